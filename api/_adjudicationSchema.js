@@ -0,0 +1,94 @@
+// Narrative sections the model drafts for the adjudication pack; parties, dates and the
+// nominating body are filled in from the form so the Scheme's mandatory details are always exact
+export const PACK_TEXT_SECTIONS = [
+  'disputeDescription',
+  'whereAndWhenArose',
+  'redressSought',
+  'background'
+];
+
+export const PACK_LIST_SECTIONS = [
+  'issuesForDecision',
+  'submissions'
+];
+
+const adjudicationPackSchema = {
+  type: 'object',
+  properties: {
+    disputeDescription: {
+      type: 'string',
+      description: 'The nature and a brief description of the dispute and of the parties involved'
+    },
+    whereAndWhenArose: {
+      type: 'string',
+      description: 'Details of where and when the dispute arose'
+    },
+    redressSought: {
+      type: 'string',
+      description: 'The nature of the redress sought, worded as the decisions the adjudicator is asked to make'
+    },
+    background: {
+      type: 'string',
+      description: 'Background to the project, the contract and how the dispute crystallised, for the referral notice'
+    },
+    issuesForDecision: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Each question the adjudicator is asked to decide'
+    },
+    submissions: {
+      type: 'array',
+      items: { type: 'string' },
+      description: "The referring party's submissions, one paragraph each, citing the contract clauses and evidence references"
+    }
+  },
+  required: [...PACK_TEXT_SECTIONS, ...PACK_LIST_SECTIONS],
+  additionalProperties: false
+};
+
+// JSON schema passed to the model as a structured output response format
+export const adjudicationPackResponseFormat = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'adjudication_pack',
+    strict: true,
+    schema: adjudicationPackSchema
+  }
+};
+
+/**
+ * Parse and validate the model's draft of the adjudication pack
+ * @param {string} responseText - The raw JSON text returned by the model
+ * @returns {{result: object|null, errors: string[]}} - The draft (null when invalid) and the errors found
+ */
+export function validateAdjudicationPackResponse(responseText) {
+  let parsed;
+  try {
+    parsed = JSON.parse(responseText);
+  } catch (error) {
+    return { result: null, errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { result: null, errors: ['draft is not an object'] };
+  }
+
+  const errors = [];
+
+  PACK_TEXT_SECTIONS.forEach(section => {
+    if (typeof parsed[section] !== 'string' || !parsed[section].trim()) {
+      errors.push(`${section} must be a non-empty string`);
+    }
+  });
+
+  PACK_LIST_SECTIONS.forEach(section => {
+    const value = parsed[section];
+    if (!Array.isArray(value) || value.length === 0) {
+      errors.push(`${section} must be a non-empty array`);
+    } else if (value.some(entry => typeof entry !== 'string' || !entry.trim())) {
+      errors.push(`${section} must only contain non-empty strings`);
+    }
+  });
+
+  return { result: errors.length === 0 ? parsed : null, errors };
+}
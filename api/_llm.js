@@ -0,0 +1,174 @@
+import OpenAI from 'openai';
+import { createHash } from 'crypto';
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const FIXTURES_DIR = process.env.LLM_FIXTURES_DIR || fileURLToPath(new URL('./_fixtures', import.meta.url));
+
+// Shared model settings for every endpoint; override per deployment with environment variables
+export const llmConfig = {
+  provider: process.env.LLM_PROVIDER || 'openai',
+  model: process.env.LLM_MODEL || 'gpt-4o',
+  temperature: parseFloat(process.env.LLM_TEMPERATURE ?? '0.7'),
+  timeout: parseInt(process.env.LLM_TIMEOUT_MS || '120000', 10),
+  maxRetries: parseInt(process.env.LLM_MAX_RETRIES || '2', 10),
+  recordFixtures: process.env.LLM_RECORD_FIXTURES === 'true'
+};
+
+const providerFactories = {
+  openai: () => createOpenAICompatibleProvider('openai', {
+    apiKey: process.env.OPENAI_API_KEY
+  }),
+  local: () => createOpenAICompatibleProvider('local', {
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+    baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1'
+  }),
+  stub: () => createStubProvider()
+};
+
+let provider = null;
+
+function getProvider() {
+  if (!provider) {
+    const factory = providerFactories[llmConfig.provider];
+    if (!factory) {
+      throw new Error(`Unknown LLM provider "${llmConfig.provider}". Use one of: ${Object.keys(providerFactories).join(', ')}`);
+    }
+    provider = factory();
+  }
+  return provider;
+}
+
+/**
+ * Describe the configured model for logs and report metadata
+ * @returns {string} - e.g. "openai:gpt-4o"
+ */
+export function describeModel() {
+  return llmConfig.provider === 'stub' ? 'stub' : `${llmConfig.provider}:${llmConfig.model}`;
+}
+
+/**
+ * Run a chat completion and return the full reply text
+ * @param {object} options
+ * @param {Array<object>} options.messages - Chat messages
+ * @param {string} options.fixture - Fixture name used by the stub provider and when recording
+ * @param {object} [options.responseFormat] - Optional structured output response format
+ * @param {AbortSignal} [options.signal] - Signal to cancel the request
+ * @returns {Promise<string>} - The reply text
+ */
+export async function completeChat(options) {
+  const content = await getProvider().complete(options);
+
+  if (llmConfig.recordFixtures && llmConfig.provider !== 'stub') {
+    await recordFixture(options, content);
+  }
+
+  return content;
+}
+
+/**
+ * Run a chat completion and yield the reply text as it is generated
+ * @param {object} options - Same options as completeChat
+ * @returns {AsyncGenerator<string>} - Chunks of reply text
+ */
+export async function* streamChat(options) {
+  let content = '';
+
+  for await (const chunk of getProvider().stream(options)) {
+    content += chunk;
+    yield chunk;
+  }
+
+  if (llmConfig.recordFixtures && llmConfig.provider !== 'stub') {
+    await recordFixture(options, content);
+  }
+}
+
+function createOpenAICompatibleProvider(name, clientOptions) {
+  const client = new OpenAI({
+    ...clientOptions,
+    timeout: llmConfig.timeout,
+    maxRetries: llmConfig.maxRetries,
+  });
+
+  const buildRequest = ({ messages, responseFormat }) => ({
+    model: llmConfig.model,
+    messages,
+    temperature: llmConfig.temperature,
+    ...(responseFormat ? { response_format: responseFormat } : {}),
+  });
+
+  return {
+    name,
+    async complete(options) {
+      const completion = await client.chat.completions.create(buildRequest(options), { signal: options.signal });
+      return completion.choices[0].message.content || '';
+    },
+    async *stream(options) {
+      const stream = await client.chat.completions.create(
+        { ...buildRequest(options), stream: true },
+        { signal: options.signal }
+      );
+      for await (const chunk of stream) {
+        yield chunk.choices[0]?.delta?.content || '';
+      }
+    }
+  };
+}
+
+// Replays recorded responses so the whole flow runs with no network or API key
+function createStubProvider() {
+  const complete = async ({ messages, responseFormat, fixture }) => {
+    const recorded = await readJson(fixturePath(fixture, fixtureKey(messages, responseFormat)));
+    if (recorded) return recorded.content;
+
+    const fallback = await readJson(fixturePath(fixture, 'default'));
+    if (fallback) return fallback.content;
+
+    throw new Error(`No stub fixture found for "${fixture}" in ${FIXTURES_DIR}`);
+  };
+
+  return {
+    name: 'stub',
+    complete,
+    async *stream(options) {
+      const content = await complete(options);
+      // Emit small chunks so streaming consumers are exercised the same way as with a real model
+      for (let i = 0; i < content.length; i += 64) {
+        if (options.signal?.aborted) throw new Error('Request was aborted.');
+        yield content.slice(i, i + 64);
+      }
+    }
+  };
+}
+
+function fixtureKey(messages, responseFormat) {
+  return createHash('sha256')
+    .update(JSON.stringify({ messages, responseFormat: responseFormat || null }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function fixturePath(fixture, key) {
+  return path.join(FIXTURES_DIR, fixture, `${key}.json`);
+}
+
+async function recordFixture({ messages, responseFormat, fixture }, content) {
+  try {
+    const filePath = fixturePath(fixture, fixtureKey(messages, responseFormat));
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFile(filePath, `${JSON.stringify({ fixture, model: describeModel(), content }, null, 2)}\n`);
+  } catch (error) {
+    console.error('Error recording LLM fixture:', error);
+  }
+}
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
@@ -0,0 +1,151 @@
+// Sections every per-issue analysis must contain, in the order ReportView renders them
+export const TEXT_SECTIONS = [
+  'detailedAnalysis',
+  'legalContext',
+  'potentialOutcomes',
+  'timelineSuggestions',
+  'riskAssessment'
+];
+
+export const LIST_SECTIONS = [
+  'relevantClauses',
+  'clauseExplanations',
+  'recommendations'
+];
+
+const issueAnalysisSchema = {
+  type: 'object',
+  properties: {
+    detailedAnalysis: {
+      type: 'string',
+      description: 'Specific analysis of the issue focusing on the relevant contract provisions'
+    },
+    legalContext: {
+      type: 'string',
+      description: 'Relevant legal framework, legislation and case law applicable to this issue'
+    },
+    relevantClauses: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Specific clauses from the contract type that apply to this issue, e.g. "Clause 4.9 - Payment notices"'
+    },
+    clauseExplanations: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'One explanation per relevant clause of how it applies to this issue'
+    },
+    recommendations: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Specific, actionable recommendations to address the issue'
+    },
+    potentialOutcomes: {
+      type: 'string',
+      description: 'Realistic assessment of possible outcomes'
+    },
+    timelineSuggestions: {
+      type: 'string',
+      description: 'Recommended timeline for addressing the issue'
+    },
+    riskAssessment: {
+      type: 'string',
+      description: 'Risks associated with the issue and the different courses of action'
+    },
+    actionItems: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          action: { type: 'string', description: 'What needs to be done' },
+          dueDate: { type: 'string', description: 'The date it must be done by, as YYYY-MM-DD' },
+          clause: { type: 'string', description: 'The clause the action relates to, or an empty string' }
+        },
+        required: ['action', 'dueDate', 'clause'],
+        additionalProperties: false
+      },
+      description: 'Dated action items drawn from the timeline suggestions'
+    }
+  },
+  required: [...TEXT_SECTIONS, ...LIST_SECTIONS, 'actionItems'],
+  additionalProperties: false
+};
+
+// JSON schema passed to the model as a structured output response format
+export const issueResponseFormat = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'issue_analysis',
+    strict: true,
+    schema: issueAnalysisSchema
+  }
+};
+
+/**
+ * Validate a single issue analysis returned by the model
+ * @param {object} item - The parsed issue analysis
+ * @returns {string[]} - Validation errors, empty when the analysis is valid
+ */
+export function validateIssueAnalysis(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return ['analysis is not an object'];
+  }
+
+  const errors = [];
+
+  TEXT_SECTIONS.forEach(section => {
+    if (typeof item[section] !== 'string' || !item[section].trim()) {
+      errors.push(`${section} must be a non-empty string`);
+    }
+  });
+
+  LIST_SECTIONS.forEach(section => {
+    const value = item[section];
+    if (!Array.isArray(value) || value.length === 0) {
+      errors.push(`${section} must be a non-empty array`);
+    } else if (value.some(entry => typeof entry !== 'string' || !entry.trim())) {
+      errors.push(`${section} must only contain non-empty strings`);
+    }
+  });
+
+  // Action items may be empty when nothing has a firm date
+  if (!Array.isArray(item.actionItems)) {
+    errors.push('actionItems must be an array');
+  } else {
+    item.actionItems.forEach((actionItem, i) => {
+      if (typeof actionItem?.action !== 'string' || !actionItem.action.trim()) {
+        errors.push(`actionItems[${i}].action must be a non-empty string`);
+      }
+      if (!isIsoDate(actionItem?.dueDate)) {
+        errors.push(`actionItems[${i}].dueDate must be a date in YYYY-MM-DD format`);
+      }
+      if (typeof actionItem?.clause !== 'string') {
+        errors.push(`actionItems[${i}].clause must be a string`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Parse and validate the model's reply for one issue
+ * @param {string} responseText - The raw JSON text returned by the model
+ * @returns {{result: object|null, errors: string[]}} - The analysis (null when invalid) and the errors found
+ */
+export function validateIssueResponse(responseText) {
+  let parsed;
+  try {
+    parsed = JSON.parse(responseText);
+  } catch (error) {
+    return { result: null, errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+
+  const errors = validateIssueAnalysis(parsed);
+  return { result: errors.length === 0 ? parsed : null, errors };
+}
+
+function isIsoDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
@@ -0,0 +1,99 @@
+/**
+ * Start a Server-Sent Events response
+ * @param {object} res - The HTTP response
+ */
+export function startEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders?.();
+}
+
+/**
+ * Write a single named event to a Server-Sent Events response
+ * @param {object} res - The HTTP response
+ * @param {string} event - The event name
+ * @param {object} data - JSON-serialisable event payload
+ */
+export function sendEvent(res, event, data) {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Incrementally scan a streamed JSON object reply and report each top-level
+ * section as soon as its value is complete.
+ * @param {Function} onSection - Called with (section, value) for every completed section
+ * @returns {{push: Function, text: Function}} - Feed chunks with push(), read the full reply with text()
+ */
+export function createSectionStreamParser(onSection) {
+  let buffer = '';
+  let scanned = 0;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let objectStart = -1;
+  const emitted = new Set();
+
+  // Parse the object seen so far and emit any keys not reported yet
+  const emitCompleted = (objectText) => {
+    let parsed;
+    try {
+      parsed = JSON.parse(objectText);
+    } catch (error) {
+      // The object is cut mid-value; wait for more of the stream
+      return;
+    }
+
+    Object.entries(parsed).forEach(([section, value]) => {
+      if (emitted.has(section)) return;
+      emitted.add(section);
+      onSection(section, value);
+    });
+  };
+
+  const push = (chunk) => {
+    buffer += chunk;
+
+    for (; scanned < buffer.length; scanned++) {
+      const char = buffer[scanned];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        depth++;
+        if (depth === 1 && char === '{') {
+          objectStart = scanned;
+        }
+      } else if (char === '}' || char === ']') {
+        if (depth === 1 && char === '}' && objectStart !== -1) {
+          emitCompleted(buffer.slice(objectStart, scanned + 1));
+          objectStart = -1;
+        }
+        depth--;
+      } else if (char === ',' && depth === 1 && objectStart !== -1) {
+        // A comma at the top level closes the previous section's value
+        emitCompleted(`${buffer.slice(objectStart, scanned)}}`);
+      }
+    }
+  };
+
+  return {
+    push,
+    text: () => buffer
+  };
+}
@@ -0,0 +1,238 @@
+import Sentry from './_sentry.js';
+import { completeChat, describeModel } from './_llm.js';
+import { adjudicationPackResponseFormat, validateAdjudicationPackResponse } from './_adjudicationSchema.js';
+import { formatAmendment } from '../src/utils/clauseUtils.js';
+import { describeNoticeDeadline } from '../src/utils/noticeDeadlines.js';
+import { NAMED_ADJUDICATOR } from '../src/data/nominatingBodies.js';
+import {
+  validateAdjudicationDetails,
+  getAdjudicationTimetable,
+  buildChronology,
+  buildEvidenceIndex
+} from '../src/utils/adjudicationPack.js';
+
+const MAX_ATTEMPTS = 3;
+
+const SYSTEM_PROMPT = `You are a UK construction adjudication specialist who drafts notices of adjudication and referral notices under the Housing Grants, Construction and Regeneration Act 1996 and the Scheme for Construction Contracts.
+You define the dispute precisely so that it matches what has crystallised between the parties, you word the redress sought as decisions an adjudicator can make, and you cite contract clauses and evidence references accurately.
+You always reply with JSON matching the supplied schema.`;
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { report, details } = req.body || {};
+
+  if (!report || !report.projectDetails || !Array.isArray(report.analysis)) {
+    return res.status(400).json({ error: 'Missing report data' });
+  }
+
+  const detailErrors = details ? validateAdjudicationDetails(details, report) : { details: 'Missing adjudication details' };
+  if (Object.keys(detailErrors).length > 0) {
+    return res.status(400).json({ error: 'Invalid adjudication details', details: detailErrors });
+  }
+
+  try {
+    console.log(`Generating adjudication pack with ${describeModel()} for project:`, report.projectDetails.projectName);
+
+    const timetable = getAdjudicationTimetable(details.noticeDate);
+    const chronology = buildChronology(report, details.issueIndexes);
+    const evidenceIndex = buildEvidenceIndex(report, details.issueIndexes);
+    const draft = await draftPack(report, details, chronology, evidenceIndex);
+
+    console.log('Successfully generated adjudication pack');
+
+    return res.status(200).json({
+      id: Date.now().toString(),
+      reportId: report.id,
+      date: new Date().toISOString(),
+      model: describeModel(),
+      details,
+      timetable,
+      chronology,
+      evidenceIndex,
+      documents: [
+        { key: 'notice', title: 'Notice of Adjudication', content: buildNoticeOfAdjudication(report, details, timetable, draft) },
+        { key: 'referral', title: 'Referral Notice', content: buildReferralNotice(report, details, timetable, draft, evidenceIndex) },
+        { key: 'chronology', title: 'Chronology', content: buildChronologyDocument(report, chronology) },
+        { key: 'evidence', title: 'Evidence Index', content: buildEvidenceIndexDocument(report, evidenceIndex) }
+      ]
+    });
+  } catch (error) {
+    console.error('Error generating adjudication pack:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      error: 'Failed to generate adjudication pack',
+      details: error.message
+    });
+  }
+}
+
+// Ask the model for the narrative sections, retrying with the validation errors until the reply matches the schema
+async function draftPack(report, details, chronology, evidenceIndex) {
+  const prompt = buildPackPrompt(report, details, chronology, evidenceIndex);
+  let validationErrors = [];
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const messages = [
+      { role: "system", content: SYSTEM_PROMPT },
+      { role: "user", content: prompt }
+    ];
+
+    if (validationErrors.length > 0) {
+      messages.push({
+        role: "user",
+        content: `Your previous reply failed validation:\n${validationErrors.join('\n')}\nReturn the complete JSON again.`
+      });
+    }
+
+    const response = await completeChat({ messages, responseFormat: adjudicationPackResponseFormat, fixture: 'adjudication' });
+    const validation = validateAdjudicationPackResponse(response);
+    if (validation.result) {
+      return validation.result;
+    }
+
+    validationErrors = validation.errors;
+    console.warn(`Adjudication pack validation failed on attempt ${attempt}:`, validationErrors);
+  }
+
+  throw new Error('The adjudication pack could not be drafted in the expected format');
+}
+
+function buildPackPrompt(report, details, chronology, evidenceIndex) {
+  const { projectDetails } = report;
+  const amendments = projectDetails.amendments || [];
+
+  return `
+Draft the narrative sections of a notice of adjudication and a referral notice for a UK construction dispute.
+
+PROJECT INFORMATION:
+Project Name: ${projectDetails.projectName}
+Project Description: ${projectDetails.projectDescription}
+Contract Type: ${projectDetails.contractType}
+
+PARTIES:
+Referring Party: ${details.referringParty.name} (${projectDetails.organizationRole})
+Responding Party: ${details.respondingParty.name}
+${amendments.length > 0 ? `
+CONTRACT AMENDMENTS:
+${amendments.map(amendment => `- ${formatAmendment(amendment)}`).join('\n')}
+` : ''}
+ISSUES BEING REFERRED:
+${details.issueIndexes.map(index => {
+  const analysis = report.analysis[index];
+  return `
+ISSUE ${index + 1}:
+Description: ${analysis.issue}
+Actions Taken: ${analysis.actionsTaken || 'None'}
+Analysis: ${analysis.detailedAnalysis || 'Not available'}
+Relevant Contract Clauses: ${analysis.relevantClauses.join(', ')}
+${analysis.noticeDeadlines?.length > 0 ? `Notice Deadlines:
+${analysis.noticeDeadlines.map(deadline => `- ${describeNoticeDeadline(deadline)}`).join('\n')}
+` : ''}`;
+}).join('\n')}
+
+CHRONOLOGY:
+${chronology.map(entry => `- ${entry.date || 'Date to be confirmed'}: ${entry.event}`).join('\n')}
+
+EVIDENCE INDEX:
+${evidenceIndex.map(entry => `- ${entry.reference}: ${entry.description}`).join('\n')}
+
+REDRESS THE REFERRING PARTY SEEKS:
+${details.redressSought}
+
+Define the dispute narrowly enough that it has clearly crystallised on the facts above, and no wider than the issues being referred. Word the redress as specific declarations and sums, including interest and the adjudicator's fees where appropriate. In the submissions, cite the contract clauses and refer to evidence by its reference (E1, E2, ...). Use UK English.
+`;
+}
+
+// Documents are plain markdown: blocks separated by blank lines, with list items on consecutive lines
+function buildNoticeOfAdjudication(report, details, timetable, draft) {
+  const { projectDetails } = report;
+
+  return [
+    '# Notice of Adjudication',
+    `Project: ${projectDetails.projectName}`,
+    `Contract: ${projectDetails.contractType}`,
+    `Date: ${formatLongDate(timetable.noticeDate)}`,
+    '## Parties',
+    ...formatParties(details),
+    '## 1. Notice',
+    `${details.referringParty.name} (the Referring Party) gives notice to ${details.respondingParty.name} (the Responding Party) of its intention to refer the dispute described below to adjudication, under the adjudication provisions of the contract and, where they do not comply with section 108 of the Housing Grants, Construction and Regeneration Act 1996, under Part I of the Scheme for Construction Contracts (England and Wales) Regulations 1998 as amended.`,
+    '## 2. The nature and a brief description of the dispute and of the parties involved',
+    draft.disputeDescription.trim(),
+    '## 3. Details of where and when the dispute arose',
+    draft.whereAndWhenArose.trim(),
+    '## 4. The nature of the redress sought',
+    draft.redressSought.trim(),
+    '## 5. The adjudicator',
+    details.nominatingBody === NAMED_ADJUDICATOR
+      ? `The Referring Party requests ${details.adjudicatorName}, named in the contract, to act as adjudicator.`
+      : `The Referring Party will request the ${details.nominatingBody} to select a person to act as adjudicator.`,
+    '## 6. Timetable',
+    `The Referring Party will serve its referral notice no later than ${formatLongDate(timetable.referralDeadline)}, within 7 days of this notice. The adjudicator is required to reach a decision within 28 days of the referral, which would be ${formatLongDate(timetable.decisionDate)} if the referral is served on the last day, unless that period is extended by agreement.`,
+    `Signed ........................................ for and on behalf of ${details.referringParty.name}`
+  ].join('\n\n');
+}
+
+function buildReferralNotice(report, details, timetable, draft, evidenceIndex) {
+  const { projectDetails } = report;
+
+  return [
+    '# Referral Notice',
+    `Project: ${projectDetails.projectName}`,
+    `Contract: ${projectDetails.contractType}`,
+    '## Parties',
+    ...formatParties(details),
+    '## 1. Introduction',
+    `This referral notice refers to the adjudicator the dispute described in the Referring Party's notice of adjudication dated ${formatLongDate(timetable.noticeDate)}. It is served no later than ${formatLongDate(timetable.referralDeadline)}.`,
+    '## 2. Background',
+    draft.background.trim(),
+    '## 3. The issues for decision',
+    draft.issuesForDecision.map(item => `- ${item.trim()}`).join('\n'),
+    '## 4. Submissions',
+    ...draft.submissions.map(paragraph => paragraph.trim()),
+    '## 5. Redress sought',
+    draft.redressSought.trim(),
+    '## 6. Documents relied on',
+    'Copies of, or relevant extracts from, the contract and the other documents the Referring Party relies on accompany this referral notice, as listed in the evidence index:',
+    formatEvidenceList(evidenceIndex),
+    `Signed ........................................ for and on behalf of ${details.referringParty.name}`
+  ].join('\n\n');
+}
+
+function buildChronologyDocument(report, chronology) {
+  return [
+    '# Chronology',
+    `Project: ${report.projectDetails.projectName}`,
+    chronology.map(entry => `- ${entry.date ? formatLongDate(entry.date) : 'Date to be confirmed'}: ${entry.event}`).join('\n')
+  ].join('\n\n');
+}
+
+function buildEvidenceIndexDocument(report, evidenceIndex) {
+  return [
+    '# Evidence Index',
+    `Project: ${report.projectDetails.projectName}`,
+    formatEvidenceList(evidenceIndex)
+  ].join('\n\n');
+}
+
+function formatEvidenceList(evidenceIndex) {
+  return evidenceIndex.map(entry => `- ${entry.reference}: ${entry.description}`).join('\n');
+}
+
+function formatParties(details) {
+  return [
+    `Referring Party: ${details.referringParty.name}, ${details.referringParty.address.replace(/\s*\n\s*/g, ', ')}`,
+    `Responding Party: ${details.respondingParty.name}, ${details.respondingParty.address.replace(/\s*\n\s*/g, ', ')}`
+  ];
+}
+
+function formatLongDate(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+}
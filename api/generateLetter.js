@@ -1,5 +1,14 @@
-import OpenAI from 'openai';
 import Sentry from './_sentry.js';
+import { completeChat, describeModel } from './_llm.js';
+import { formatClauseExtract, formatAmendment } from '../src/utils/clauseUtils.js';
+import { describePaymentTimetable } from '../src/utils/paymentTimetable.js';
+import { describeNoticeDeadline } from '../src/utils/noticeDeadlines.js';
+import { getLetterType, getLetterRecipient, getLetterClause, validateLetterFields, findMissingLetterContent } from '../src/utils/letterTypeUtils.js';
+import { formatSenderBlock } from '../src/utils/senderProfile.js';
+import { EDITABLE_SECTIONS, isSectionEdited } from '../src/utils/reportEdits.js';
+
+// Redrafts allowed when the letter is missing mandatory content for its instrument
+const MAX_ATTEMPTS = 2;
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -7,44 +16,71 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { report } = req.body;
+    const { report, letterType: letterTypeValue = 'general', letterFields = {}, issueIndex = null, sender = null } = req.body;
     
     if (!report || !report.projectDetails || !report.analysis) {
       return res.status(400).json({ error: 'Missing report data' });
     }
 
-    console.log('Generating draft letter with GPT-4o for project:', report.projectDetails.projectName);
+    const letterType = getLetterType(letterTypeValue);
+    if (!letterType) {
+      return res.status(400).json({ error: `Unknown letter type: ${letterTypeValue}` });
+    }
+
+    const fieldErrors = validateLetterFields(letterType, letterFields);
+    if (Object.keys(fieldErrors).length > 0) {
+      return res.status(400).json({ error: 'Invalid letter details', details: fieldErrors });
+    }
+
+    if (issueIndex !== null && !report.analysis[issueIndex]) {
+      return res.status(400).json({ error: `Issue ${issueIndex + 1} is not in the report` });
+    }
+
+    if (sender && (!sender.reference || !/^\d{4}-\d{2}-\d{2}$/.test(sender.date || ''))) {
+      return res.status(400).json({ error: 'Sender details need a reference and a date' });
+    }
+
+    console.log(`Generating ${letterType.label.toLowerCase()} with ${describeModel()} for project:`, report.projectDetails.projectName);
     
-    const openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
+    // Create a structured input for the model
+    const prompt = buildLetterPrompt(report, { letterType, letterFields, issueIndex, sender });
+    const messages = [
+      {
+        role: "system",
+        content: `You are a UK construction contract expert that drafts professional formal letters regarding contract disputes. 
+        You draft clear, concise, and professional letters that follow proper UK business letter format and reference the appropriate contract clauses.
+        Your letters are factual, respectful, and focused on resolving issues through the appropriate contractual mechanisms.`
+      },
+      { role: "user", content: prompt }
+    ];
 
-    // Create a structured input for GPT-4o
-    const prompt = buildLetterPrompt(report);
-
-    // Call GPT-4o
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        {
-          role: "system",
-          content: `You are a UK construction contract expert that drafts professional formal letters regarding contract disputes. 
-          You draft clear, concise, and professional letters that follow proper UK business letter format and reference the appropriate contract clauses.
-          Your letters are factual, respectful, and focused on resolving issues through the appropriate contractual mechanisms.`
-        },
-        { role: "user", content: prompt }
-      ],
-      temperature: 0.7,
-    });
+    let response;
+    let missingContent = [];
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      response = await completeChat({ fixture: 'letter', messages });
+      missingContent = findMissingLetterContent(letterType, response, letterFields, report.projectDetails.contractType);
+      if (missingContent.length === 0) break;
+
+      console.warn(`Draft ${letterType.value} letter is missing mandatory content on attempt ${attempt}:`, missingContent);
+      messages.push(
+        { role: "assistant", content: response },
+        { role: "user", content: `The letter is missing mandatory content for a ${letterType.label.toLowerCase()}:\n${missingContent.map(item => `- ${item}`).join('\n')}\nReturn the complete letter again with this content included.` }
+      );
+    }
 
-    // Parse the response
-    const response = completion.choices[0].message.content;
     console.log('Successfully generated draft letter');
     
     // Parse the GPT response into our expected format
-    const draftCommunication = parseGptLetterResponse(response, report);
+    const draftCommunication = parseGptLetterResponse(response, report, letterType, sender);
 
-    return res.status(200).json(draftCommunication);
+    return res.status(200).json({
+      ...draftCommunication,
+      letterType: letterType.value,
+      letterFields,
+      issueIndex,
+      reference: sender?.reference || null,
+      missingContent
+    });
     
   } catch (error) {
     console.error('Error generating draft letter:', error);
@@ -56,27 +92,21 @@ export default async function handler(req, res) {
   }
 }
 
-function buildLetterPrompt(report) {
-  const recipientRole = getDraftRecipient(report.projectDetails.organizationRole);
+function buildLetterPrompt(report, { letterType, letterFields, issueIndex, sender }) {
+  const { projectDetails } = report;
+  const recipientRole = getLetterRecipient(letterType, projectDetails.organizationRole);
+  const noticeClause = getLetterClause(letterType, projectDetails.contractType);
+  const amendments = projectDetails.amendments || [];
+  const issues = report.analysis
+    .map((analysis, index) => ({ analysis, index }))
+    .filter(({ index }) => issueIndex === null || index === issueIndex);
   
-  return `
-Draft a formal letter regarding a UK construction contract issue with the following details:
-
-PROJECT INFORMATION:
-Project Name: ${report.projectDetails.projectName}
-Contract Type: ${report.projectDetails.contractType}
-Your Role: ${report.projectDetails.organizationRole}
-Recipient: ${recipientRole}
-
-ISSUES TO ADDRESS:
-${report.analysis.map((analysis, index) => `
-ISSUE ${index + 1}:
-Description: ${analysis.issue}
-Actions Taken: ${analysis.actionsTaken || 'None'}
-Relevant Contract Clauses: ${analysis.relevantClauses.join(', ')}
-Key Recommendations: ${analysis.recommendations.slice(0, 2).join(' ')}
-`).join('\n')}
+  const noticeDetails = letterType.fields
+    .filter(field => String(letterFields[field.name] ?? '').trim())
+    .map(field => `${field.label}: ${letterFields[field.name]}`);
 
+  // Contractual instruments carry their own mandatory content; a general letter keeps the usual structure
+  const letterTypeSection = letterType.value === 'general' ? `
 The letter should include:
 1. Appropriate salutation for the recipient
 2. Clear reference to the project and contract
@@ -86,7 +116,60 @@ The letter should include:
 6. Professional closing
 7. Space for signature with your organization role
 8. Reference number and date
+` : `
+LETTER TYPE: ${letterType.label}
+${noticeClause ? `Given under: ${noticeClause}\n` : ''}${noticeDetails.length > 0 ? `
+DETAILS OF THE NOTICE:
+${noticeDetails.map(detail => `- ${detail}`).join('\n')}
+` : ''}
+${letterType.instructions}
+
+The letter is a formal contractual instrument. Its subject line must name it as a ${letterType.label.toLowerCase()}, and it must include:
+${letterType.requiredContent.map(requirement => `- ${requirement.label}`).join('\n')}
+
+Use the details of the notice exactly as given. Refer to the issues below only where they support the notice.
+`;
+
+  return `
+Draft a formal ${letterType.value === 'general' ? 'letter' : letterType.label.toLowerCase()} regarding a UK construction contract issue with the following details:
 
+PROJECT INFORMATION:
+Project Name: ${projectDetails.projectName}
+Contract Type: ${projectDetails.contractType}
+Your Role: ${projectDetails.organizationRole}
+Recipient: ${recipientRole}
+${sender ? `
+SENDER:
+${sender.companyName ? `Company: ${sender.companyName}\n` : ''}${sender.registeredAddress ? `Address: ${sender.registeredAddress.replace(/\s*\n\s*/g, ', ')}\n` : ''}${sender.signatoryName ? `Signed by: ${sender.signatoryName}${sender.signatoryPosition ? `, ${sender.signatoryPosition}` : ''}\n` : ''}Our Reference: ${sender.reference}
+Date of Letter: ${sender.date}
+` : ''}${amendments.length > 0 ? `
+CONTRACT AMENDMENTS (these override the standard form, so cite clauses as amended and do not rely on deleted clauses):
+${amendments.map(amendment => `- ${formatAmendment(amendment)}`).join('\n')}
+` : ''}${report.paymentTimetable ? `
+PAYMENT TIMETABLE (calculated under the Construction Act and the Scheme; state these dates exactly where payment is raised):
+${describePaymentTimetable(report.paymentTimetable).map(line => `- ${line}`).join('\n')}
+` : ''}
+ISSUES TO ADDRESS:
+${issues.map(({ analysis, index }) => `
+ISSUE ${index + 1}:
+Description: ${analysis.issue}
+Actions Taken: ${analysis.actionsTaken || 'None'}
+Relevant Contract Clauses${isSectionEdited(analysis, 'relevantClauses') ? ' (corrected by the user)' : ''}: ${analysis.relevantClauses.join(', ')}
+${isSectionEdited(analysis, 'recommendations')
+    ? `Recommendations (corrected by the user): ${analysis.recommendations.join(' ')}`
+    : `Key Recommendations: ${analysis.recommendations.slice(0, 2).join(' ')}`}
+${formatUserEditedSections(analysis)}${analysis.noticeDeadlines?.length > 0 ? `Notice Deadlines${analysis.eventDate ? ` (event on ${analysis.eventDate})` : ''}:
+${analysis.noticeDeadlines.map(deadline => `- ${describeNoticeDeadline(deadline)}`).join('\n')}
+` : ''}${analysis.contractClauses?.length > 0 ? `Contract Extracts (verbatim from the signed contract):
+${analysis.contractClauses.map(formatClauseExtract).join('\n\n')}
+` : ''}`).join('\n')}
+${issues.some(({ analysis }) => Object.keys(analysis.userEdits || {}).length > 0) ? `
+Sections marked as corrected by the user have been reviewed by the sender. Follow them wherever they differ from anything else in this request.
+` : ''}${issues.some(({ analysis }) => analysis.contractClauses?.length > 0) ? `
+Where contract extracts are given, quote or paraphrase them accurately and cite the clause numbers exactly as they appear in the extracts, since they reflect any amendments to the standard form.
+` : ''}${issues.some(({ analysis }) => analysis.noticeDeadlines?.length > 0) ? `
+Where notice deadlines are given, state the applicable deadline and clause exactly as listed (today is ${new Date().toISOString().slice(0, 10)}). If the letter serves as one of these notices, say so expressly and identify the clause under which it is given. Do not invent deadlines that are not listed.
+` : ''}${letterTypeSection}
 Format the letter as a complete draft communication with the following structure:
 - To
 - Subject
@@ -94,16 +177,18 @@ Format the letter as a complete draft communication with the following structure
 - Body (with appropriate paragraphs and formatting)
 - Closing
 - Sender information
-
+${sender ? `
+Write in the name of the sender given above and quote our reference where the letter refers to itself. Do not use placeholders such as [NAME] or [COMPANY].
+` : ''}
 Use formal UK business letter conventions and professional language throughout.
 `;
 }
 
-function parseGptLetterResponse(responseText, report) {
+function parseGptLetterResponse(responseText, report, letterType, sender) {
   // Extract the main parts of the letter
-  const to = extractLetterPart(responseText, "To:", "Subject:") || getDraftRecipient(report.projectDetails.organizationRole);
+  const to = extractLetterPart(responseText, "To:", "Subject:") || getLetterRecipient(letterType, report.projectDetails.organizationRole);
   const subject = extractLetterPart(responseText, "Subject:", "Dear") || 
-                  `${report.projectDetails.projectName} - ${report.projectDetails.contractType} - Contract Notice`;
+                  `${report.projectDetails.projectName} - ${report.projectDetails.contractType} - ${letterType.value === 'general' ? 'Contract Notice' : letterType.label}`;
   
   // Extract greeting (salutation)
   let greeting = "";
@@ -161,26 +246,26 @@ function parseGptLetterResponse(responseText, report) {
     }
   }
   
-  // Extract sender information (everything after closing)
-  let sender = "";
-  if (closingIndex !== -1) {
+  // The signature block comes from the sender profile when there is one, so names and references are exact
+  let senderBlock = "";
+  if (sender) {
+    senderBlock = formatSenderBlock(sender);
+  } else if (closingIndex !== -1) {
     const nextLineIndex = responseText.indexOf('\n', closingIndex);
     if (nextLineIndex !== -1) {
-      sender = responseText.substring(nextLineIndex).trim();
+      senderBlock = responseText.substring(nextLineIndex).trim();
     }
   }
   
   // If sender wasn't extracted properly, create a default one
-  if (!sender) {
+  if (!senderBlock) {
     const formattedDate = new Date().toLocaleDateString('en-GB', {
       day: 'numeric', 
       month: 'long', 
       year: 'numeric'
     });
     
-    const refNumber = `REF: ${report.projectDetails.projectName.substring(0, 3).toUpperCase()}/${new Date().getFullYear()}/${Math.floor(Math.random() * 1000).toString().padStart(3, '0')}`;
-    
-    sender = `[NAME]\n[POSITION]\n[COMPANY]\n${refNumber}\nDate: ${formattedDate}`;
+    senderBlock = `[NAME]\n[POSITION]\n[COMPANY]\nDate: ${formattedDate}`;
   }
   
   return {
@@ -189,7 +274,7 @@ function parseGptLetterResponse(responseText, report) {
     greeting,
     body,
     closing,
-    sender
+    sender: senderBlock
   };
 }
 
@@ -203,15 +288,10 @@ function extractLetterPart(text, startMarker, endMarker) {
   return text.substring(startIndex + startMarker.length, endIndex).trim();
 }
 
-function getDraftRecipient(role) {
-  if (role.includes('Client') || role.includes('Employer')) {
-    return 'The Contractor';
-  } else if (role.includes('Contractor')) {
-    return 'The Employer/Client';
-  } else if (role.includes('Sub-contractor')) {
-    return 'The Main Contractor';
-  } else if (role.includes('Contract Administrator') || role.includes('Architect')) {
-    return 'The Relevant Party';
-  }
-  return 'The Contract Administrator';
-}
\ No newline at end of file
+// The user's corrections to the analysis text, which the letter should reflect
+function formatUserEditedSections(analysis) {
+  return EDITABLE_SECTIONS
+    .filter(section => section.type === 'text' && isSectionEdited(analysis, section.key) && analysis[section.key])
+    .map(section => `${section.label} (corrected by the user): ${analysis[section.key]}\n`)
+    .join('');
+}
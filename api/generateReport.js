@@ -1,61 +1,96 @@
-import OpenAI from 'openai';
 import Sentry from './_sentry.js';
+import { streamChat, completeChat, describeModel } from './_llm.js';
+import { issueResponseFormat, validateIssueResponse } from './_reportSchema.js';
+import { startEventStream, sendEvent, createSectionStreamParser } from './_reportStream.js';
+import { getClauseLibraryEntry, findRelevantClauses, formatClauseReference, formatClauseExtract, formatAmendment, verifyClauseCitation, detectIssueTopics } from '../src/utils/clauseUtils.js';
+import { calculatePaymentTimetable, describePaymentTimetable } from '../src/utils/paymentTimetable.js';
+import { getNoticeDeadlines, describeNoticeDeadline } from '../src/utils/noticeDeadlines.js';
+
+const MAX_ATTEMPTS = 3;
+const DEFAULT_CONCURRENT_ISSUES = 3;
+const MAX_CONCURRENT_ISSUES = readConcurrency(process.env.REPORT_ISSUE_CONCURRENCY);
+
+const SYSTEM_PROMPT = `You are a UK construction contract expert assistant that analyzes construction contract issues and provides detailed professional analysis and recommendations. 
+You provide detailed, well-organized reports that follow a consistent structure. Focus on being thorough and specific to the contract type and issue described.
+You always reply with JSON matching the supplied schema.`;
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  const { projectDetails, issueIndex, contractDocuments = [], contractExcerpts = [] } = req.body || {};
+
+  if (!projectDetails || !Array.isArray(projectDetails.issues) || projectDetails.issues.length === 0) {
+    return res.status(400).json({ error: 'Missing project details' });
+  }
+
+  if (issueIndex !== undefined && !(Number.isInteger(issueIndex) && issueIndex >= 0 && issueIndex < projectDetails.issues.length)) {
+    return res.status(400).json({ error: 'Invalid issue index' });
+  }
+
   try {
-    const { projectDetails } = req.body;
-    
-    if (!projectDetails) {
-      return res.status(400).json({ error: 'Missing project details' });
+    getPaymentTimetable(projectDetails);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid payment terms', details: error.message });
+  }
+
+  // Clients asking for an event stream get each section as soon as the model finishes it
+  const wantsStream = (req.headers.accept || '').includes('text/event-stream');
+  const controller = new AbortController();
+
+  // Stop paying for tokens once the client has gone away
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
     }
+  });
 
-    console.log('Generating report with GPT-4o for project:', projectDetails.projectName);
-    
-    const openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
+  try {
+    // Re-run a single issue, e.g. one that failed in an earlier report
+    if (issueIndex !== undefined) {
+      console.log(`Regenerating issue ${issueIndex + 1} with ${describeModel()} for project:`, projectDetails.projectName);
+      const analysis = await analyseIssue(projectDetails, issueIndex, {
+        signal: controller.signal,
+        contractClauses: contractExcerpts[issueIndex] || []
+      });
+      return res.status(200).json({ index: issueIndex, analysis });
+    }
+
+    console.log(`Generating report with ${describeModel()} for project:`, projectDetails.projectName);
 
-    // Create a structured input for GPT-4o
-    const prompt = buildReportPrompt(projectDetails);
-
-    // Call GPT-4o
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        {
-          role: "system",
-          content: `You are a UK construction contract expert assistant that analyzes construction contract issues and provides detailed professional analysis and recommendations. 
-          You provide detailed, well-organized reports that follow a consistent structure. Focus on being thorough and specific to the contract type and issue described.`
-        },
-        { role: "user", content: prompt }
-      ],
-      temperature: 0.7,
+    if (wantsStream) {
+      startEventStream(res);
+    }
+
+    const generatedReport = await generateReport(projectDetails, {
+      signal: controller.signal,
+      contractDocuments,
+      contractExcerpts,
+      onEvent: wantsStream ? (event, data) => sendEvent(res, event, data) : () => {}
     });
 
-    // Parse the response and structure it as needed
-    const response = completion.choices[0].message.content;
-    console.log('Successfully generated report response');
-    
-    // Parse the GPT response into our expected format
-    const analysis = parseGptReportResponse(response, projectDetails);
-    
-    // Create the full report object
-    const generatedReport = {
-      id: Date.now().toString(),
-      date: new Date().toISOString(),
-      projectDetails: { ...projectDetails },
-      analysis: analysis,
-    };
+    if (wantsStream) {
+      sendEvent(res, 'complete', generatedReport);
+      return res.end();
+    }
 
     return res.status(200).json(generatedReport);
     
   } catch (error) {
+    if (controller.signal.aborted) {
+      console.log('Report generation cancelled by client for project:', projectDetails.projectName);
+      return;
+    }
+
     console.error('Error generating report:', error);
     Sentry.captureException(error);
+
+    if (res.headersSent) {
+      sendEvent(res, 'error', { error: 'Failed to generate report', details: error.message });
+      return res.end();
+    }
+
     return res.status(500).json({ 
       error: 'Failed to generate report', 
       details: error.message 
@@ -63,9 +98,215 @@ export default async function handler(req, res) {
   }
 }
 
-function buildReportPrompt(projectDetails) {
+async function generateReport(projectDetails, { signal, onEvent, contractDocuments, contractExcerpts }) {
+  const issueCount = projectDetails.issues.length;
+
+  onEvent('start', { issueCount });
+
+  // Each issue gets its own call so long submissions don't starve the later issues
+  const analysis = await mapWithConcurrency(projectDetails.issues, MAX_CONCURRENT_ISSUES, async (issue, index) => {
+    onEvent('issue-start', { index });
+    const entry = await analyseIssue(projectDetails, index, {
+      signal,
+      contractClauses: contractExcerpts[index] || [],
+      onSection: (section, value) => onEvent('section', { index, section, value }),
+      // A retried attempt starts again, so the client drops the sections it was shown from the failed one
+      onRetry: (attempt) => onEvent('issue-reset', { index, attempt })
+    });
+    onEvent('issue', { index, analysis: entry });
+    return entry;
+  });
+
+  const failedIssues = analysis
+    .map((entry, index) => (entry.status === 'failed' ? index : null))
+    .filter(index => index !== null);
+
+  if (failedIssues.length === issueCount) {
+    throw new Error(`Analysis failed for every issue: ${analysis.map(entry => entry.error).join('; ')}`);
+  }
+
+  console.log('Successfully generated report response');
+
+  if (failedIssues.length > 0) {
+    Sentry.captureMessage(`Report generated with ${failedIssues.length} failed issue(s)`);
+  }
+
+  // Create the full report object
+  return {
+    id: Date.now().toString(),
+    date: new Date().toISOString(),
+    model: describeModel(),
+    projectDetails: { ...projectDetails },
+    contractDocuments,
+    paymentTimetable: getPaymentTimetable(projectDetails),
+    analysis: analysis,
+    partial: failedIssues.length > 0,
+    failedIssues,
+  };
+}
+
+// Analyse one issue, retrying with the validation errors until the reply matches the schema
+async function analyseIssue(projectDetails, index, { signal, onSection, onRetry, contractClauses = [] }) {
+  const issue = projectDetails.issues[index];
+  const prompt = buildIssuePrompt(projectDetails, index, contractClauses);
+  let validationErrors = [];
+  let sectionsSent = false;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    if (sectionsSent) {
+      onRetry?.(attempt);
+      sectionsSent = false;
+    }
+
+    const messages = [
+      { role: "system", content: SYSTEM_PROMPT },
+      { role: "user", content: prompt }
+    ];
+
+    if (validationErrors.length > 0) {
+      messages.push({
+        role: "user",
+        content: `Your previous reply failed validation:\n${validationErrors.join('\n')}\nReturn the complete JSON again.`
+      });
+    }
+
+    let response;
+    try {
+      if (onSection) {
+        const parser = createSectionStreamParser((section, value) => {
+          sectionsSent = true;
+          onSection(section, value);
+        });
+        for await (const chunk of streamChat({ messages, responseFormat: issueResponseFormat, fixture: 'report', signal })) {
+          parser.push(chunk);
+        }
+        response = parser.text();
+      } else {
+        response = await completeChat({ messages, responseFormat: issueResponseFormat, fixture: 'report', signal });
+      }
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.error(`Error analysing issue ${index + 1} on attempt ${attempt}:`, error);
+      Sentry.captureException(error);
+      validationErrors = [];
+      continue;
+    }
+
+    const validation = validateIssueResponse(response);
+    if (validation.result) {
+      const entry = buildAnalysisEntry(issue, validation.result, projectDetails);
+      return verifyCitedClauses({ ...entry, contractClauses }, projectDetails, index);
+    }
+
+    validationErrors = validation.errors;
+    console.warn(`Issue ${index + 1} validation failed on attempt ${attempt}:`, validationErrors);
+  }
+
+  const entry = buildAnalysisEntry(issue, null, projectDetails);
+  return verifyCitedClauses({ ...entry, contractClauses }, projectDetails, index);
+}
+
+// Check each cited clause against the uploaded contract and the clause library so likely hallucinations are flagged
+function verifyCitedClauses(entry, projectDetails, index) {
+  const clauseVerification = entry.relevantClauses.map(citation =>
+    verifyClauseCitation(projectDetails.contractType, citation, entry.contractClauses)
+  );
+  const flagged = clauseVerification.filter(result => result.status !== 'verified').length;
+
+  if (flagged > 0) {
+    console.warn(`Issue ${index + 1}: ${flagged} of ${clauseVerification.length} cited clauses could not be verified for ${projectDetails.contractType}`);
+  }
+
+  return { ...entry, clauseVerification };
+}
+
+// Work out the statutory payment dates when the project has payment terms, so the model doesn't have to
+function getPaymentTimetable(projectDetails) {
+  const paymentTerms = projectDetails.paymentTerms;
+  if (!paymentTerms?.applicationDate) return null;
+
+  return calculatePaymentTimetable({ ...paymentTerms, contractType: projectDetails.contractType });
+}
+
+// A setting that is not a whole number above zero would start no workers, so fall back to the default
+function readConcurrency(value) {
+  const limit = parseInt(value, 10);
+  return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_CONCURRENT_ISSUES;
+}
+
+// Run fn over items with at most `limit` calls in flight, preserving order in the result
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
+}
+
+function buildIssuePrompt(projectDetails, index, contractClauses) {
+  const issue = projectDetails.issues[index];
+  const otherIssues = projectDetails.issues.filter((_, i) => i !== index);
+  const { edition } = getClauseLibraryEntry(projectDetails.contractType);
+  const referenceClauses = findRelevantClauses(
+    projectDetails.contractType,
+    `${issue.description} ${issue.actionsTaken || ''}`,
+    10
+  );
+
+  const otherIssuesSection = otherIssues.length > 0 ? `
+OTHER ISSUES ON THIS PROJECT (context only, they are analysed separately):
+${otherIssues.map(other => `- ${other.description}`).join('\n')}
+` : '';
+
+  // Ground the model in the clause library so it cites provisions that exist in this form
+  const referenceClausesSection = referenceClauses.length > 0 ? `
+REFERENCE CLAUSES${edition ? ` (${edition})` : ''}:
+${referenceClauses.map(clause => `- ${formatClauseReference(clause)}: ${clause.summary}`).join('\n')}
+
+Ground your analysis in these provisions where they apply. Only cite other clauses if you are confident they exist in this form of contract${edition ? ' and edition' : ''}, and give each citation as "Clause <number> - <title>".
+` : '';
+
+  const paymentTimetable = getPaymentTimetable(projectDetails);
+  const paymentTimetableSection = paymentTimetable && detectIssueTopics(`${issue.description} ${issue.actionsTaken || ''}`).includes('payment') ? `
+PAYMENT TIMETABLE (calculated under the Housing Grants, Construction and Regeneration Act 1996 as amended, and the Scheme for Construction Contracts):
+${describePaymentTimetable(paymentTimetable).map(line => `- ${line}`).join('\n')}
+
+These dates have been calculated for you. Use them exactly in your analysis and timeline suggestions rather than estimating your own.
+` : '';
+
+  const amendments = projectDetails.amendments || [];
+  const amendmentsSection = amendments.length > 0 ? `
+CONTRACT AMENDMENTS (bespoke amendments to the standard form):
+${amendments.map(amendment => `- ${formatAmendment(amendment)}`).join('\n')}
+
+These amendments override the standard form. Do not rely on a deleted clause, use the amended wording where a clause has been replaced, and take added clauses into account.
+` : '';
+
+  const noticeDeadlines = getIssueNoticeDeadlines(projectDetails.contractType, issue);
+  const noticeDeadlinesSection = noticeDeadlines.length > 0 ? `
+NOTICE DEADLINES (contractual and statutory notices that apply to this issue${issue.eventDate ? `, counted from the event date of ${issue.eventDate}` : ''}; today is ${new Date().toISOString().slice(0, 10)}):
+${noticeDeadlines.map(deadline => `- ${describeNoticeDeadline(deadline)}`).join('\n')}
+
+These deadlines have been calculated for you. State them exactly in your analysis and timeline suggestions, and say plainly where a notice that is a condition precedent has been missed or is about to be.
+` : '';
+
+  // Clauses from the contract the parties actually signed, including any amendments to the standard form
+  const contractClausesSection = contractClauses.length > 0 ? `
+CONTRACT EXTRACTS (verbatim from the uploaded contract):
+${contractClauses.map(formatClauseExtract).join('\n\n')}
+
+These extracts are the contract as signed and take precedence over the standard form wherever they differ, because the parties may have amended it. Quote the extracts verbatim where they support your analysis and cite them by the clause numbers shown.
+` : '';
+
   return `
-I need a detailed UK construction contract analysis for a real project with the following details:
+I need a detailed UK construction contract analysis of one issue on a real project with the following details:
 
 PROJECT INFORMATION:
 Project Name: ${projectDetails.projectName}
@@ -73,14 +314,12 @@ Project Description: ${projectDetails.projectDescription}
 Contract Type: ${projectDetails.contractType}
 Organization Role: ${projectDetails.organizationRole}
 
-ISSUES TO ANALYZE:
-${projectDetails.issues.map((issue, index) => `
-ISSUE ${index + 1}:
+ISSUE TO ANALYZE (issue ${index + 1} of ${projectDetails.issues.length}):
 Description: ${issue.description}
-Actions Taken: ${issue.actionsTaken || 'None'}
-`).join('\n')}
-
-For each issue, please provide a thorough analysis with the following sections:
+Actions Taken: ${issue.actionsTaken || 'None'}${issue.eventDate ? `
+Event Date: ${issue.eventDate}` : ''}
+${otherIssuesSection}${paymentTimetableSection}${noticeDeadlinesSection}${amendmentsSection}${contractClausesSection}${referenceClausesSection}
+Please provide a thorough analysis of this issue with the following sections:
 1. Detailed Analysis: Specific analysis of the issue focusing on the relevant contract provisions
 2. Legal Context: Relevant legal framework, legislation, and case law applicable to this specific issue
 3. Relevant Contract Clauses: List of specific clauses from the contract type that apply to this issue
@@ -89,160 +328,61 @@ For each issue, please provide a thorough analysis with the following sections:
 6. Potential Outcomes: Realistic assessment of possible outcomes
 7. Timeline Suggestions: Recommended timeline for addressing the issue
 8. Risk Assessment: Analysis of risks associated with the issue and different courses of action
+9. Action Items: Each dated step from your timeline as a separate action with a due date (YYYY-MM-DD) and the clause it relates to. Today is ${new Date().toISOString().slice(0, 10)}. Use the calculated dates given above where they apply, and leave out steps with no firm date
 
 Please be specific, practical, and focused on UK construction contract law and practice.
 `;
 }
 
-function parseGptReportResponse(responseText, projectDetails) {
-  // Create an array to hold the analysis for each issue
-  const analysisArray = [];
-  
-  // Split the response by issue if multiple issues were provided
-  const issueResponses = projectDetails.issues.length > 1 
-    ? splitResponseByIssues(responseText, projectDetails.issues.length)
-    : [responseText];
-  
-  // Process each issue's response
-  projectDetails.issues.forEach((issue, index) => {
-    if (index >= issueResponses.length) return;
-    
-    const responseForIssue = issueResponses[index];
-    
-    // Extract each section from the response
-    const detailedAnalysis = extractSection(responseForIssue, "Detailed Analysis", true);
-    const legalContext = extractSection(responseForIssue, "Legal Context", true);
-    const relevantClauses = extractListItems(responseForIssue, "Relevant Contract Clauses");
-    const clauseExplanations = extractListItems(responseForIssue, "Clause Explanations");
-    const recommendations = extractListItems(responseForIssue, "Recommendations");
-    const potentialOutcomes = extractSection(responseForIssue, "Potential Outcomes", true);
-    const timelineSuggestions = extractSection(responseForIssue, "Timeline Suggestions", true);
-    const riskAssessment = extractSection(responseForIssue, "Risk Assessment", true);
-    
-    // Create the analysis object
-    analysisArray.push({
+function buildAnalysisEntry(issue, result, projectDetails) {
+  if (!result) {
+    return {
       issue: issue.description,
       actionsTaken: issue.actionsTaken,
-      detailedAnalysis,
-      legalContext,
-      relevantClauses: relevantClauses.length > 0 ? relevantClauses : generateFallbackClauses(projectDetails.contractType, issue.description),
-      clauseExplanations,
-      recommendations: recommendations.length > 0 ? recommendations : ["Seek professional legal advice specific to your contract situation."],
-      potentialOutcomes,
-      timelineSuggestions,
-      riskAssessment
-    });
-  });
-  
-  return analysisArray;
-}
-
-function splitResponseByIssues(text, issueCount) {
-  const issueResponses = [];
-  
-  // Try to split by issue headings
-  const issueRegex = /ISSUE\s*\d+:|Issue\s*\d+:|Analysis for Issue\s*\d+:|Regarding Issue\s*\d+:/gi;
-  let matches = [...text.matchAll(issueRegex)];
-  
-  if (matches.length >= issueCount) {
-    // We found issue separators, split by them
-    matches.forEach((match, i) => {
-      const startPos = match.index;
-      const endPos = i < matches.length - 1 ? matches[i + 1].index : text.length;
-      issueResponses.push(text.substring(startPos, endPos).trim());
-    });
-  } else {
-    // If we can't clearly split by issue markers, try to divide the text evenly
-    const approximateIssueLength = Math.floor(text.length / issueCount);
-    for (let i = 0; i < issueCount; i++) {
-      const startPos = i * approximateIssueLength;
-      const endPos = (i === issueCount - 1) ? text.length : (i + 1) * approximateIssueLength;
-      issueResponses.push(text.substring(startPos, endPos).trim());
-    }
+      eventDate: issue.eventDate || '',
+      status: 'failed',
+      error: 'The analysis for this issue could not be generated. Retry this issue or regenerate the report.',
+      detailedAnalysis: '',
+      legalContext: '',
+      relevantClauses: generateFallbackClauses(projectDetails.contractType, issue),
+      clauseExplanations: [],
+      recommendations: ["Seek professional legal advice specific to your contract situation."],
+      potentialOutcomes: '',
+      timelineSuggestions: '',
+      riskAssessment: '',
+      actionItems: [],
+      noticeDeadlines: getIssueNoticeDeadlines(projectDetails.contractType, issue)
+    };
   }
-  
-  return issueResponses;
-}
 
-function extractSection(text, sectionName, allowMultiParagraph = false) {
-  // Create regex to find the section - looking for the heading followed by text
-  const sectionRegex = new RegExp(`${sectionName}[\\s\\n]*:?[\\s\\n]*(.*?)(?=\\n\\s*\\d+\\.\\s*[A-Z]|\\n\\s*[A-Z][a-z]+\\s*[A-Z][a-z]+|\\n\\s*$|$)`, 's');
-  const match = text.match(sectionRegex);
-  
-  if (match && match[1]) {
-    const content = match[1].trim();
-    
-    if (allowMultiParagraph) {
-      return content;
-    } else {
-      // For single paragraph sections, just take the first paragraph
-      const firstParagraph = content.split(/\n\s*\n/)[0];
-      return firstParagraph.trim();
-    }
-  }
-  
-  // If section name wasn't found with a colon, try without
-  const altSectionRegex = new RegExp(`${sectionName}[\\s\\n]*(.*?)(?=\\n\\s*\\d+\\.\\s*[A-Z]|\\n\\s*[A-Z][a-z]+\\s*[A-Z][a-z]+|\\n\\s*$|$)`, 's');
-  const altMatch = text.match(altSectionRegex);
-  
-  if (altMatch && altMatch[1]) {
-    const content = altMatch[1].trim();
-    
-    if (allowMultiParagraph) {
-      return content;
-    } else {
-      const firstParagraph = content.split(/\n\s*\n/)[0];
-      return firstParagraph.trim();
-    }
-  }
-  
-  return "";
+  return {
+    issue: issue.description,
+    actionsTaken: issue.actionsTaken,
+    eventDate: issue.eventDate || '',
+    status: 'complete',
+    detailedAnalysis: result.detailedAnalysis.trim(),
+    legalContext: result.legalContext.trim(),
+    relevantClauses: result.relevantClauses.map(clause => clause.trim()),
+    clauseExplanations: result.clauseExplanations.map(explanation => explanation.trim()),
+    recommendations: result.recommendations.map(recommendation => recommendation.trim()),
+    potentialOutcomes: result.potentialOutcomes.trim(),
+    timelineSuggestions: result.timelineSuggestions.trim(),
+    riskAssessment: result.riskAssessment.trim(),
+    actionItems: result.actionItems.map(item => ({
+      action: item.action.trim(),
+      dueDate: item.dueDate,
+      clause: item.clause.trim()
+    })),
+    noticeDeadlines: getIssueNoticeDeadlines(projectDetails.contractType, issue)
+  };
 }
 
-function extractListItems(text, sectionName) {
-  // Try to find the section
-  const sectionRegex = new RegExp(`${sectionName}[\\s\\n]*:?[\\s\\n]*(.*?)(?=\\n\\s*\\d+\\.\\s*[A-Z]|\\n\\s*[A-Z][a-z]+\\s*[A-Z][a-z]+|\\n\\s*$|$)`, 's');
-  const match = text.match(sectionRegex);
-  
-  if (!match || !match[1]) {
-    return [];
-  }
-  
-  const content = match[1].trim();
-  
-  // Look for bulleted or numbered list items
-  const listItemRegex = /(?:^|\n)\s*(?:[\d•\-\*]+\.?\s*|\-\s+)(.*?)(?=\n\s*(?:[\d•\-\*]+\.?\s*|\-\s+)|$)/gs;
-  const listMatches = [...content.matchAll(listItemRegex)];
-  
-  if (listMatches.length > 0) {
-    return listMatches.map(m => m[1].trim()).filter(item => item.length > 0);
-  }
-  
-  // If no list items found, try to split by newlines
-  const lines = content.split('\n').map(line => line.trim())
-    .filter(line => line.length > 0 && !line.match(/^[\d•\-\*]+\.?\s*$/));
-  
-  return lines;
+function getIssueNoticeDeadlines(contractType, issue) {
+  return getNoticeDeadlines(contractType, `${issue.description} ${issue.actionsTaken || ''}`, issue.eventDate);
 }
 
-function generateFallbackClauses(contractType, issueDescription) {
-  const issueKeywords = issueDescription.toLowerCase();
-  
-  if (contractType.includes('JCT')) {
-    if (issueKeywords.includes('payment')) return ['Clause 4.8', 'Clause 4.9', 'Clause 4.10', 'Clause 4.11'];
-    if (issueKeywords.includes('delay')) return ['Clause 2.26', 'Clause 2.27', 'Clause 2.28', 'Clause 2.29'];
-    if (issueKeywords.includes('variation')) return ['Clause 3.14', 'Clause 3.15', 'Clause 3.16', 'Clause 5.6'];
-    if (issueKeywords.includes('defect')) return ['Clause 2.38', 'Clause 2.39', 'Clause 2.40', 'Clause 3.18'];
-    return ['Clause 1.7', 'Clause 2.1', 'Clause 8.4', 'Clause 8.9'];
-  }
-  
-  if (contractType.includes('NEC')) {
-    if (issueKeywords.includes('payment')) return ['Clause 50.1', 'Clause 51.1', 'Clause 51.2', 'Clause 51.3'];
-    if (issueKeywords.includes('delay')) return ['Clause 60.1', 'Clause 61.3', 'Clause 62.2', 'Clause 63.3'];
-    if (issueKeywords.includes('variation')) return ['Clause 60.1(1)', 'Clause 61.2', 'Clause 63.1', 'Clause 63.7'];
-    if (issueKeywords.includes('defect')) return ['Clause 40.1', 'Clause 42.1', 'Clause 43.1', 'Clause 44.1'];
-    return ['Clause 10.1', 'Clause 15.1', 'Clause 91.1', 'Clause 93.1'];
-  }
-  
-  return ['General Contract Provisions', 'Specific Terms of Agreement', 'Implied Terms', 'Payment Terms'];
-}
\ No newline at end of file
+function generateFallbackClauses(contractType, issue) {
+  const relevant = findRelevantClauses(contractType, `${issue.description} ${issue.actionsTaken || ''}`, 4);
+  const clauses = relevant.length > 0 ? relevant : getClauseLibraryEntry(contractType).clauses.slice(0, 4);
+  return clauses.map(formatClauseReference);
+}
@@ -0,0 +1,138 @@
+import Sentry from './_sentry.js';
+import { completeChat, describeModel } from './_llm.js';
+import { formatClauseExtract, formatAmendment } from '../src/utils/clauseUtils.js';
+import { getLetterType } from '../src/utils/letterTypeUtils.js';
+import { isSectionEdited } from '../src/utils/reportEdits.js';
+import { LETTER_PARTS, MAX_REWRITE_INSTRUCTION_LENGTH, getBodyParagraphs, formatLetterText } from '../src/utils/letterEditing.js';
+
+// Marks the part of the letter being redrafted, so the model sees it in place
+const START_MARKER = '<<<REWRITE>>>';
+const END_MARKER = '<<<END REWRITE>>>';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { report, letter, part: partKey, paragraphIndex = null, instruction = '' } = req.body;
+
+    if (!report || !report.projectDetails || !report.analysis) {
+      return res.status(400).json({ error: 'Missing report data' });
+    }
+
+    if (!letter || typeof letter.body !== 'string') {
+      return res.status(400).json({ error: 'Missing letter' });
+    }
+
+    const part = LETTER_PARTS.find(candidate => candidate.key === partKey);
+    if (!part) {
+      return res.status(400).json({ error: `Unknown letter part: ${partKey}` });
+    }
+
+    if (part.key === 'body' && !(Number.isInteger(paragraphIndex) && getBodyParagraphs(letter.body)[paragraphIndex])) {
+      return res.status(400).json({ error: `Paragraph ${Number.isInteger(paragraphIndex) ? paragraphIndex + 1 : paragraphIndex} is not in the letter` });
+    }
+
+    if (typeof instruction !== 'string' || instruction.length > MAX_REWRITE_INSTRUCTION_LENGTH) {
+      return res.status(400).json({ error: `Instructions must be text of at most ${MAX_REWRITE_INSTRUCTION_LENGTH} characters` });
+    }
+
+    console.log(`Rewriting letter ${part.label.toLowerCase()} with ${describeModel()} for project:`, report.projectDetails.projectName);
+
+    const messages = [
+      {
+        role: "system",
+        content: `You are a UK construction contract expert that redrafts parts of formal letters regarding contract disputes.
+        You change only the text you are asked to change, keep it consistent with the rest of the letter, and follow the sender's instructions exactly.`
+      },
+      { role: "user", content: buildRewritePrompt(report, { letter, part, paragraphIndex, instruction: instruction.trim() }) }
+    ];
+
+    const response = await completeChat({ fixture: 'letter-rewrite', messages });
+    const text = cleanRewrite(response, part);
+    if (!text) {
+      throw new Error('The model returned no text');
+    }
+
+    console.log('Successfully rewrote letter', part.label.toLowerCase());
+
+    return res.status(200).json({ part: part.key, paragraphIndex: part.key === 'body' ? paragraphIndex : null, text });
+
+  } catch (error) {
+    console.error('Error rewriting letter:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({
+      error: 'Failed to rewrite the letter',
+      details: error.message
+    });
+  }
+}
+
+function buildRewritePrompt(report, { letter, part, paragraphIndex, instruction }) {
+  const { projectDetails } = report;
+  const letterType = getLetterType(letter.letterType);
+  const amendments = projectDetails.amendments || [];
+  const issues = report.analysis
+    .map((analysis, index) => ({ analysis, index }))
+    .filter(({ index }) => letter.issueIndex === null || letter.issueIndex === undefined || index === letter.issueIndex);
+
+  // The whole letter, with the part being redrafted marked in place
+  const markedLetter = part.key === 'body'
+    ? {
+      ...letter,
+      body: getBodyParagraphs(letter.body)
+        .map((paragraph, index) => (index === paragraphIndex ? `${START_MARKER}\n${paragraph}\n${END_MARKER}` : paragraph))
+        .join('\n\n')
+    }
+    : { ...letter, [part.key]: `${START_MARKER}\n${letter[part.key] || ''}\n${END_MARKER}` };
+
+  return `
+Redraft one part of a letter regarding a UK construction contract issue.
+
+PROJECT INFORMATION:
+Project Name: ${projectDetails.projectName}
+Contract Type: ${projectDetails.contractType}
+Your Role: ${projectDetails.organizationRole}
+${letterType && letterType.value !== 'general' ? `Letter Type: ${letterType.label} (a formal contractual instrument; do not remove content it needs to be valid)\n` : ''}${amendments.length > 0 ? `
+CONTRACT AMENDMENTS (these override the standard form, so cite clauses as amended and do not rely on deleted clauses):
+${amendments.map(amendment => `- ${formatAmendment(amendment)}`).join('\n')}
+` : ''}
+ISSUES IN THE REPORT:
+${issues.map(({ analysis, index }) => `
+ISSUE ${index + 1}:
+Description: ${analysis.issue}
+Relevant Contract Clauses${isSectionEdited(analysis, 'relevantClauses') ? ' (corrected by the user)' : ''}: ${analysis.relevantClauses.join(', ')}
+Recommendations${isSectionEdited(analysis, 'recommendations') ? ' (corrected by the user)' : ''}: ${analysis.recommendations.join(' ')}
+${analysis.contractClauses?.length > 0 ? `Contract Extracts (verbatim from the signed contract):
+${analysis.contractClauses.map(formatClauseExtract).join('\n\n')}
+` : ''}`).join('\n')}
+THE LETTER (the ${part.label.toLowerCase()} to redraft is between ${START_MARKER} and ${END_MARKER}):
+${formatLetterText(markedLetter)}
+
+INSTRUCTION FROM THE SENDER:
+${instruction || 'Improve the wording while keeping the meaning.'}
+
+Redraft only the marked ${part.label.toLowerCase()}. Keep it consistent with the rest of the letter and cite clause numbers exactly as they appear above.
+Reply with the replacement text only: no markers, labels, quotation marks, explanations or other parts of the letter.
+${part.key === 'body' ? 'Return a single paragraph unless the instruction asks for more.' : ''}
+`;
+}
+
+// Strip anything the model wraps around the replacement despite the instructions
+function cleanRewrite(responseText, part) {
+  let text = responseText
+    .replaceAll(START_MARKER, '')
+    .replaceAll(END_MARKER, '')
+    .trim();
+
+  if (part.key === 'to' || part.key === 'subject') {
+    text = text.replace(new RegExp(`^${part.key}:\\s*`, 'i'), '');
+  }
+
+  if (/^["“].*["”]$/s.test(text)) {
+    text = text.slice(1, -1).trim();
+  }
+
+  return text;
+}
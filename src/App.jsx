@@ -3,6 +3,10 @@ import { Routes, Route, Navigate } from 'react-router-dom';
 import DisclaimerPage from './components/disclaimer/DisclaimerPage';
 import ProjectDetailsForm from './components/project/ProjectDetailsForm';
 import ReportView from './components/reports/ReportView';
+import AdjudicationPackView from './components/reports/AdjudicationPackView';
+import SenderProfileForm from './components/profile/SenderProfileForm';
+import ProjectList from './components/project/ProjectList';
+import ProjectDashboard from './components/project/ProjectDashboard';
 import Header from './components/common/Header';
 import Footer from './components/common/Footer';
 import { useAppContext } from './contexts/AppContext';
@@ -23,12 +27,36 @@ export default function App() {
               hasConsented ? <ProjectDetailsForm /> : <Navigate to="/" replace />
             } 
           />
+          <Route 
+            path="/projects" 
+            element={
+              hasConsented ? <ProjectList /> : <Navigate to="/" replace />
+            } 
+          />
+          <Route 
+            path="/projects/:projectId" 
+            element={
+              hasConsented ? <ProjectDashboard /> : <Navigate to="/" replace />
+            } 
+          />
           <Route 
             path="/report" 
             element={
               hasConsented ? <ReportView /> : <Navigate to="/" replace />
             } 
           />
+          <Route 
+            path="/adjudication/:reportId" 
+            element={
+              hasConsented ? <AdjudicationPackView /> : <Navigate to="/" replace />
+            } 
+          />
+          <Route 
+            path="/profile" 
+            element={
+              hasConsented ? <SenderProfileForm /> : <Navigate to="/" replace />
+            } 
+          />
           <Route path="*" element={<Navigate to="/" replace />} />
         </Routes>
       </main>
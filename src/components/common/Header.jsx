@@ -20,6 +20,14 @@ export default function Header() {
         {hasConsented && (
           <nav>
             <ul className="flex space-x-4 text-sm">
+              <li>
+                <Link 
+                  to="/projects" 
+                  className="text-white hover:text-blue-200 transition-colors py-1 px-2 rounded hover:bg-blue-700"
+                >
+                  Projects
+                </Link>
+              </li>
               <li>
                 <Link 
                   to="/project" 
@@ -36,6 +44,14 @@ export default function Header() {
                   Reports
                 </Link>
               </li>
+              <li>
+                <Link 
+                  to="/profile" 
+                  className="text-white hover:text-blue-200 transition-colors py-1 px-2 rounded hover:bg-blue-700"
+                >
+                  Letterhead
+                </Link>
+              </li>
             </ul>
           </nav>
         )}
@@ -0,0 +1,270 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAppContext } from '../../contexts/AppContext';
+import Button from '../common/Button';
+import { FaPlus, FaTrash, FaImage, FaArrowLeft } from 'react-icons/fa';
+import {
+  REFERENCE_TOKENS,
+  MAX_LOGO_BYTES,
+  createSignatory,
+  findMissingProfileDetails,
+  formatLetterReference,
+  getLetterheadLines
+} from '../../utils/senderProfile';
+
+export default function SenderProfileForm() {
+  const { senderProfile, updateSenderProfile } = useAppContext();
+  const navigate = useNavigate();
+  const [logoError, setLogoError] = useState(null);
+
+  const missingDetails = findMissingProfileDetails(senderProfile);
+  const letterheadLines = getLetterheadLines(senderProfile);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    updateSenderProfile({ [name]: value });
+  };
+
+  const updateSignatory = (id, field, value) => {
+    updateSenderProfile({
+      signatories: senderProfile.signatories.map(signatory => signatory.id === id ? { ...signatory, [field]: value } : signatory)
+    });
+  };
+
+  const removeSignatory = (id) => {
+    updateSenderProfile({ signatories: senderProfile.signatories.filter(signatory => signatory.id !== id) });
+  };
+
+  const handleLogoChange = (e) => {
+    const [file] = e.target.files;
+    // Clear the input so the same file can be chosen again after removing it
+    e.target.value = '';
+    if (!file) return;
+
+    if (file.size > MAX_LOGO_BYTES) {
+      setLogoError(`The logo must be smaller than ${MAX_LOGO_BYTES / 1024} KB.`);
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      setLogoError(null);
+      updateSenderProfile({ logo: reader.result });
+    };
+    reader.onerror = () => setLogoError('The logo could not be read. Please try another file.');
+    reader.readAsDataURL(file);
+  };
+
+  const inputClass = 'box-border w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="max-w-4xl mx-auto bg-white shadow-lg rounded-lg p-6">
+      <h2 className="text-2xl font-bold text-gray-800 mb-2">Letterhead and Sender</h2>
+      <p className="text-gray-600 mb-6">
+        Draft letters are signed, referenced and printed on this letterhead. The profile is kept in this browser.
+      </p>
+
+      {missingDetails.length > 0 && (
+        <div className="mb-6 p-3 border border-yellow-300 rounded bg-yellow-50 text-sm text-yellow-900">
+          <p className="font-medium">Letters will contain placeholders until you add:</p>
+          <ul className="list-disc pl-5">
+            {missingDetails.map(item => (
+              <li key={item}>{item}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="space-y-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="companyName" className="block text-sm font-medium text-gray-700 mb-1">
+              Company Name
+            </label>
+            <input
+              type="text"
+              id="companyName"
+              name="companyName"
+              value={senderProfile.companyName}
+              onChange={handleChange}
+              className={inputClass}
+              placeholder="e.g. Acme Construction Ltd"
+            />
+          </div>
+
+          <div>
+            <label htmlFor="companyNumber" className="block text-sm font-medium text-gray-700 mb-1">
+              Company Registration Number (optional)
+            </label>
+            <input
+              type="text"
+              id="companyNumber"
+              name="companyNumber"
+              value={senderProfile.companyNumber}
+              onChange={handleChange}
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        <div>
+          <label htmlFor="registeredAddress" className="block text-sm font-medium text-gray-700 mb-1">
+            Registered Address
+          </label>
+          <textarea
+            id="registeredAddress"
+            name="registeredAddress"
+            value={senderProfile.registeredAddress}
+            onChange={handleChange}
+            rows="3"
+            className={inputClass}
+          ></textarea>
+        </div>
+
+        <div>
+          <p className="block text-sm font-medium text-gray-700 mb-1">Logo (optional)</p>
+          <div className="flex items-center gap-4">
+            {senderProfile.logo && (
+              <img src={senderProfile.logo} alt="Company logo" className="max-h-16 max-w-xs object-contain border border-gray-200 rounded p-1" />
+            )}
+            <label
+              htmlFor="logoFile"
+              className="flex items-center px-3 py-2 border-2 border-dashed border-gray-300 rounded-md text-gray-600 cursor-pointer hover:border-blue-500 hover:text-blue-600"
+            >
+              <FaImage className="mr-2" />
+              {senderProfile.logo ? 'Replace logo' : 'Choose logo image'}
+              <input
+                type="file"
+                id="logoFile"
+                accept="image/png,image/jpeg,image/gif"
+                onChange={handleLogoChange}
+                className="hidden"
+              />
+            </label>
+            {senderProfile.logo && (
+              <Button
+                onClick={() => updateSenderProfile({ logo: null })}
+                size="sm"
+                variant="light"
+                icon={<FaTrash size={12} />}
+              >
+                Remove
+              </Button>
+            )}
+          </div>
+          {logoError && <p className="mt-1 text-sm text-red-600">{logoError}</p>}
+        </div>
+
+        <div>
+          <div className="flex justify-between items-center mb-2">
+            <p className="block text-sm font-medium text-gray-700">Signatories</p>
+            <Button
+              onClick={() => updateSenderProfile({ signatories: [...senderProfile.signatories, createSignatory()] })}
+              size="sm"
+              variant="light"
+              icon={<FaPlus size={12} />}
+            >
+              Add Signatory
+            </Button>
+          </div>
+          <div className="space-y-2">
+            {senderProfile.signatories.map((signatory, index) => (
+              <div key={signatory.id} className="grid grid-cols-1 md:grid-cols-[1fr_1fr_auto] gap-2 items-center">
+                <input
+                  type="text"
+                  aria-label={`Signatory ${index + 1} name`}
+                  value={signatory.name}
+                  onChange={(e) => updateSignatory(signatory.id, 'name', e.target.value)}
+                  className={inputClass}
+                  placeholder="Name"
+                />
+                <input
+                  type="text"
+                  aria-label={`Signatory ${index + 1} position`}
+                  value={signatory.position}
+                  onChange={(e) => updateSignatory(signatory.id, 'position', e.target.value)}
+                  className={inputClass}
+                  placeholder="Position, e.g. Commercial Director"
+                />
+                <Button
+                  onClick={() => removeSignatory(signatory.id)}
+                  size="sm"
+                  variant="light"
+                  icon={<FaTrash size={12} />}
+                  disabled={senderProfile.signatories.length === 1}
+                >
+                  Remove
+                </Button>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-[2fr_1fr] gap-4">
+          <div>
+            <label htmlFor="referenceScheme" className="block text-sm font-medium text-gray-700 mb-1">
+              Reference Number Scheme
+            </label>
+            <input
+              type="text"
+              id="referenceScheme"
+              name="referenceScheme"
+              value={senderProfile.referenceScheme}
+              onChange={handleChange}
+              className={inputClass}
+            />
+            <p className="mt-1 text-sm text-gray-500">
+              {REFERENCE_TOKENS.map(({ token, description }) => `${token} ${description.toLowerCase()}`).join('; ')}.
+            </p>
+          </div>
+
+          <div>
+            <label htmlFor="nextReferenceNumber" className="block text-sm font-medium text-gray-700 mb-1">
+              Next Letter Number
+            </label>
+            <input
+              type="number"
+              id="nextReferenceNumber"
+              min="1"
+              value={senderProfile.nextReferenceNumber}
+              onChange={(e) => updateSenderProfile({ nextReferenceNumber: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        <div className="p-4 border border-gray-200 rounded-lg bg-gray-50">
+          <p className="text-sm font-medium text-gray-700 mb-2">Preview</p>
+          {letterheadLines.length > 0 && (
+            <div className="flex items-start justify-between gap-4 pb-3 mb-3 border-b-2 border-gray-800 bg-white p-3">
+              {senderProfile.logo && (
+                <img src={senderProfile.logo} alt="" className="max-h-12 max-w-[40%] object-contain" />
+              )}
+              <div className="ml-auto text-right">
+                {letterheadLines.map((line, i) => (
+                  <p key={i} className={i === 0 ? 'font-bold text-gray-800' : 'text-sm text-gray-600'}>
+                    {line}
+                  </p>
+                ))}
+              </div>
+            </div>
+          )}
+          <p className="text-sm text-gray-700">
+            <span className="font-medium">Next reference:</span> {formatLetterReference(senderProfile, 'Project')}
+          </p>
+        </div>
+      </div>
+
+      <div className="mt-6">
+        <Button
+          onClick={() => navigate(-1)}
+          size="sm"
+          variant="secondary"
+          icon={<FaArrowLeft />}
+        >
+          Back
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import React from 'react';
+import Button from '../common/Button';
+import { amendmentTypes } from '../../data/amendmentTypes';
+import { FaTrash } from 'react-icons/fa';
+
+export default function AmendmentForm({
+  amendment,
+  index,
+  updateAmendment,
+  removeAmendment,
+  validationErrors
+}) {
+  const handleChange = (field, value) => {
+    updateAmendment(index, field, value);
+  };
+  
+  return (
+    <div className="p-4 border border-gray-200 rounded-lg mb-4 bg-gray-50">
+      <div className="flex justify-between items-center mb-3">
+        <h4 className="text-md font-medium">Amendment #{index + 1}</h4>
+        
+        <Button
+          type="button"
+          onClick={() => removeAmendment(index)}
+          className="bg-red-600 hover:bg-red-700 px-2 py-1"
+          icon={<FaTrash size={14} />}
+        >
+          Remove
+        </Button>
+      </div>
+      
+      <div className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {/* Clause Reference */}
+          <div>
+            <label htmlFor={`amendment_${index}_clause`} className="block text-sm font-medium text-gray-700 mb-1">
+              Clause Reference *
+            </label>
+            <input
+              type="text"
+              id={`amendment_${index}_clause`}
+              value={amendment.clauseReference}
+              onChange={(e) => handleChange('clauseReference', e.target.value)}
+              className={`box-border w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                validationErrors[`amendment_${index}_clause`] ? 'border-red-500' : 'border-gray-300'
+              }`}
+              placeholder="e.g. Clause 4.9 or 61.3"
+            />
+            {validationErrors[`amendment_${index}_clause`] && (
+              <p className="mt-1 text-sm text-red-600">{validationErrors[`amendment_${index}_clause`]}</p>
+            )}
+          </div>
+          
+          {/* Amendment Type */}
+          <div>
+            <label htmlFor={`amendment_${index}_type`} className="block text-sm font-medium text-gray-700 mb-1">
+              Type of Amendment *
+            </label>
+            <select
+              id={`amendment_${index}_type`}
+              value={amendment.type}
+              onChange={(e) => handleChange('type', e.target.value)}
+              className="box-border w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {amendmentTypes.map(type => (
+                <option key={type.value} value={type.value}>
+                  {type.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+        
+        {/* Amended Wording */}
+        {amendment.type !== 'deleted' && (
+          <div>
+            <label htmlFor={`amendment_${index}_wording`} className="block text-sm font-medium text-gray-700 mb-1">
+              Amended Wording *
+            </label>
+            <textarea
+              id={`amendment_${index}_wording`}
+              value={amendment.wording}
+              onChange={(e) => handleChange('wording', e.target.value)}
+              rows="3"
+              className={`box-border w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                validationErrors[`amendment_${index}_wording`] ? 'border-red-500' : 'border-gray-300'
+              }`}
+              placeholder="Enter the clause wording as amended"
+            ></textarea>
+            {validationErrors[`amendment_${index}_wording`] && (
+              <p className="mt-1 text-sm text-red-600">{validationErrors[`amendment_${index}_wording`]}</p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
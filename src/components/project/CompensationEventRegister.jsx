@@ -0,0 +1,154 @@
+import React from 'react';
+import Button from '../common/Button';
+import { assessCompensationEvent } from '../../utils/compensationEvents';
+import { FaPlus, FaTrash, FaArrowDown } from 'react-icons/fa';
+
+const DATE_FIELDS = [
+  { key: 'eventDate', label: 'Event happened / became aware' },
+  { key: 'notifiedDate', label: 'Notified (61.3)' },
+  { key: 'quotationInstructedDate', label: 'Quotation instructed' },
+  { key: 'quotationSubmittedDate', label: 'Quotation submitted' },
+  { key: 'assessmentStartDate', label: 'PM to assess from (64)' },
+  { key: 'failureNoticeDate', label: 'Notified PM failure to reply' },
+  { key: 'quotationAcceptedDate', label: 'Accepted / assessed' }
+];
+
+const STATUS_STYLES = {
+  'time-barred': { label: 'Time-barred', className: 'bg-red-100 text-red-800' },
+  'at-risk': { label: 'At risk', className: 'bg-yellow-100 text-yellow-800' },
+  open: { label: 'Open', className: 'bg-blue-100 text-blue-800' },
+  'deemed-accepted': { label: 'Deemed accepted', className: 'bg-green-100 text-green-800' },
+  accepted: { label: 'Accepted', className: 'bg-green-100 text-green-800' }
+};
+
+const DEADLINE_STYLES = {
+  met: 'text-green-700',
+  pending: 'text-gray-700',
+  'at-risk': 'text-yellow-700 font-medium',
+  overdue: 'text-red-700 font-medium',
+  late: 'text-red-700',
+  'time-barred': 'text-red-700 font-medium'
+};
+
+export default function CompensationEventRegister({
+  compensationEvents,
+  addCompensationEvent,
+  updateCompensationEvent,
+  removeCompensationEvent,
+  addCompensationEventAsIssue
+}) {
+  return (
+    <div>
+      {compensationEvents.length === 0 && (
+        <p className="text-sm text-gray-500 italic mb-4">No compensation events recorded yet.</p>
+      )}
+
+      {compensationEvents.map((event, index) => {
+        const { status, deadlines, deemedAcceptanceDate } = assessCompensationEvent(event);
+        const statusStyle = STATUS_STYLES[status];
+
+        return (
+          <div key={event.id} className="p-4 border border-gray-200 rounded-lg mb-4 bg-gray-50">
+            <div className="flex justify-between items-center mb-3 gap-2">
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={event.reference}
+                  onChange={(e) => updateCompensationEvent(index, 'reference', e.target.value)}
+                  className="box-border w-24 px-2 py-1 border border-gray-300 rounded-md font-medium focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  aria-label="Reference"
+                />
+                <span className={`px-2 py-0.5 rounded text-xs font-medium ${statusStyle.className}`}>
+                  {statusStyle.label}
+                </span>
+              </div>
+
+              <div className="flex gap-2">
+                <Button
+                  type="button"
+                  onClick={() => addCompensationEventAsIssue(event)}
+                  size="sm"
+                  variant="info"
+                  icon={<FaArrowDown size={12} />}
+                  disabled={!event.description.trim()}
+                >
+                  Add as Issue
+                </Button>
+                <Button
+                  type="button"
+                  onClick={() => removeCompensationEvent(index)}
+                  className="bg-red-600 hover:bg-red-700 px-2 py-1"
+                  icon={<FaTrash size={14} />}
+                >
+                  Remove
+                </Button>
+              </div>
+            </div>
+
+            <div className="space-y-4">
+              <div>
+                <label htmlFor={`ce_${index}_description`} className="block text-sm font-medium text-gray-700 mb-1">
+                  Event
+                </label>
+                <textarea
+                  id={`ce_${index}_description`}
+                  value={event.description}
+                  onChange={(e) => updateCompensationEvent(index, 'description', e.target.value)}
+                  rows="2"
+                  className="box-border w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="e.g. Project Manager instruction changing the Scope (60.1(1))"
+                ></textarea>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                {DATE_FIELDS.map(field => (
+                  <div key={field.key}>
+                    <label htmlFor={`ce_${index}_${field.key}`} className="block text-xs font-medium text-gray-600 mb-1">
+                      {field.label}
+                    </label>
+                    <input
+                      type="date"
+                      id={`ce_${index}_${field.key}`}
+                      value={event[field.key]}
+                      onChange={(e) => updateCompensationEvent(index, field.key, e.target.value)}
+                      className="box-border w-full px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                ))}
+              </div>
+
+              {(deadlines.length > 0 || deemedAcceptanceDate) && (
+                <ul className="text-sm space-y-1">
+                  {deadlines.map((deadline, i) => (
+                    <li key={i} className={DEADLINE_STYLES[deadline.status]}>
+                      Clause {deadline.clause} - {deadline.label} by {new Date(deadline.date).toLocaleDateString(undefined, { timeZone: 'UTC' })} ({deadline.status.replace('-', ' ')})
+                    </li>
+                  ))}
+                  {deemedAcceptanceDate && (
+                    <li className="text-green-700">
+                      Quotation deemed accepted on {new Date(deemedAcceptanceDate).toLocaleDateString(undefined, { timeZone: 'UTC' })} if the Project Manager still has not replied (62.6 / 64.4)
+                    </li>
+                  )}
+                </ul>
+              )}
+            </div>
+          </div>
+        );
+      })}
+
+      <p className="text-xs text-gray-500 mb-4">
+        Missing the eight-week notification period under clause 61.3 usually bars the claim, unless the event arises from something the Project Manager should have notified.
+      </p>
+
+      <Button
+        type="button"
+        onClick={addCompensationEvent}
+        size="sm"
+        variant="secondary"
+        icon={<FaPlus />}
+      >
+        Add Compensation Event
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import Button from '../common/Button';
+import { FaFileUpload, FaFileAlt, FaTrash, FaSpinner } from 'react-icons/fa';
+
+export default function ContractUpload({
+  contractDocuments,
+  storageError,
+  uploadContractDocument,
+  removeContractDocument
+}) {
+  const [isReading, setIsReading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleFileChange = async (e) => {
+    const files = [...e.target.files];
+    // Clear the input so the same file can be chosen again after removing it
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setError(null);
+    setIsReading(true);
+
+    try {
+      for (const file of files) {
+        await uploadContractDocument(file);
+      }
+    } catch (uploadError) {
+      setError(uploadError.message || 'The document could not be read. Please try another file.');
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  return (
+    <div>
+      <label htmlFor="contractFile" className="block text-sm font-medium text-gray-700 mb-1">
+        Contract Documents (optional)
+      </label>
+      <p className="text-sm text-gray-500 mb-2">
+        Upload the signed contract and any schedule of amendments as PDF, Word (.docx) or text files so the report can quote their clauses. Files are read and indexed in your browser; only the clauses relevant to each issue are sent for analysis.
+      </p>
+
+      {contractDocuments.length > 0 && (
+        <ul className="space-y-2 mb-2">
+          {contractDocuments.map(document => (
+            <li key={document.id} className="flex items-center justify-between p-3 border border-gray-300 rounded-md bg-gray-50">
+              <div className="flex items-center text-gray-800">
+                <FaFileAlt className="mr-2 text-blue-600" />
+                <span>
+                  {document.fileName}
+                  <span className="text-sm text-gray-500 ml-2">({document.clauseCount} clauses indexed)</span>
+                </span>
+              </div>
+              <Button
+                type="button"
+                onClick={() => removeContractDocument(document.id)}
+                size="sm"
+                variant="light"
+                icon={<FaTrash size={12} />}
+              >
+                Remove
+              </Button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <label
+        htmlFor="contractFile"
+        className={`flex items-center justify-center px-3 py-4 border-2 border-dashed border-gray-300 rounded-md text-gray-600 ${
+          isReading ? 'cursor-wait' : 'cursor-pointer hover:border-blue-500 hover:text-blue-600'
+        }`}
+      >
+        {isReading ? <FaSpinner className="animate-spin mr-2" /> : <FaFileUpload className="mr-2" />}
+        {isReading
+          ? 'Reading document...'
+          : contractDocuments.length > 0 ? 'Add another document' : 'Choose contract files'}
+        <input
+          type="file"
+          id="contractFile"
+          accept=".pdf,.docx,.txt,application/pdf,application/vnd.openxmlformats-officedocument.wordprocessingml.document,text/plain"
+          multiple
+          onChange={handleFileChange}
+          disabled={isReading}
+          className="sr-only"
+        />
+      </label>
+
+      {error && (
+        <p className="mt-1 text-sm text-red-600">{error}</p>
+      )}
+
+      {storageError && (
+        <p className="mt-1 text-sm text-yellow-800">{storageError}</p>
+      )}
+    </div>
+  );
+}
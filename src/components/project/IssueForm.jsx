@@ -66,6 +66,21 @@ export default function IssueForm({
             placeholder="Describe any actions you've already taken regarding this issue"
           ></textarea>
         </div>
+
+        {/* Event Date */}
+        <div>
+          <label htmlFor={`issue_${index}_eventDate`} className="block text-sm font-medium text-gray-700 mb-1">
+            When did the event happen (or when did you become aware of it)?
+          </label>
+          <input
+            type="date"
+            id={`issue_${index}_eventDate`}
+            value={issue.eventDate || ''}
+            onChange={(e) => handleChange('eventDate', e.target.value)}
+            className="box-border w-full md:w-1/3 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <p className="mt-1 text-sm text-gray-500">Used to work out contractual notice deadlines.</p>
+        </div>
       </div>
     </div>
   );
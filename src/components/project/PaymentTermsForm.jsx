@@ -0,0 +1,123 @@
+import React from 'react';
+import { calculatePaymentTimetable, describePaymentTimetable, PAYMENT_CYCLES, SCHEME_PERIODS } from '../../utils/paymentTimetable';
+
+const PERIOD_FIELDS = [
+  { key: 'dueDateDays', label: 'Due date (days after valuation)' },
+  { key: 'finalDateDays', label: 'Final date (days after due date)' },
+  { key: 'paymentNoticeDays', label: 'Payment notice (days after due date)' },
+  { key: 'payLessNoticeDays', label: 'Pay less notice (days before final date)' }
+];
+
+export default function PaymentTermsForm({
+  paymentTerms,
+  contractType,
+  updatePaymentTerms
+}) {
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    updatePaymentTerms({ [name]: value });
+  };
+
+  const handlePeriodChange = (key, value) => {
+    updatePaymentTerms({ contractPeriods: { ...paymentTerms.contractPeriods, [key]: value } });
+  };
+
+  // Preview the statutory dates as the user types
+  let timetableLines = [];
+  if (paymentTerms.applicationDate) {
+    try {
+      timetableLines = describePaymentTimetable(calculatePaymentTimetable({ ...paymentTerms, contractType }));
+    } catch (error) {
+      timetableLines = [];
+    }
+  }
+
+  return (
+    <div className="p-4 border border-gray-200 rounded-lg bg-gray-50 space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label htmlFor="applicationDate" className="block text-sm font-medium text-gray-700 mb-1">
+            Application Date
+          </label>
+          <input
+            type="date"
+            id="applicationDate"
+            name="applicationDate"
+            value={paymentTerms.applicationDate}
+            onChange={handleChange}
+            className="box-border w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+
+        <div>
+          <label htmlFor="periodEndDate" className="block text-sm font-medium text-gray-700 mb-1">
+            Valuation Date / Period End
+          </label>
+          <input
+            type="date"
+            id="periodEndDate"
+            name="periodEndDate"
+            value={paymentTerms.periodEndDate}
+            onChange={handleChange}
+            className="box-border w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+
+        <div>
+          <label htmlFor="paymentCycle" className="block text-sm font-medium text-gray-700 mb-1">
+            Payment Cycle
+          </label>
+          <select
+            id="paymentCycle"
+            name="paymentCycle"
+            value={paymentTerms.paymentCycle}
+            onChange={handleChange}
+            className="box-border w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {Object.entries(PAYMENT_CYCLES).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-1">Contract Payment Periods</p>
+        <p className="text-sm text-gray-500 mb-2">
+          Leave blank to use the standard form periods, or the Scheme for Construction Contracts where the form has none.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          {PERIOD_FIELDS.map(field => (
+            <div key={field.key}>
+              <label htmlFor={`period_${field.key}`} className="block text-xs font-medium text-gray-600 mb-1">
+                {field.label}
+              </label>
+              <input
+                type="number"
+                min="0"
+                id={`period_${field.key}`}
+                value={paymentTerms.contractPeriods[field.key]}
+                onChange={(e) => handlePeriodChange(field.key, e.target.value)}
+                className="box-border w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                placeholder={`Scheme: ${SCHEME_PERIODS[field.key]}`}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {timetableLines.length > 0 && (
+        <div className="p-3 border border-blue-200 rounded bg-blue-50">
+          <p className="text-sm font-medium text-blue-800 mb-1">Payment Timetable</p>
+          <ul className="text-sm text-blue-900 space-y-1">
+            {timetableLines.map((line, i) => (
+              <li key={i}>{line}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
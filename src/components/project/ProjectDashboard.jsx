@@ -0,0 +1,173 @@
+import React from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useAppContext } from '../../contexts/AppContext';
+import Button from '../common/Button';
+import { FaArrowLeft, FaArrowRight, FaRedo } from 'react-icons/fa';
+import { getProjectReports, getProjectLetters, getProjectIssueHistory } from '../../utils/projects';
+
+export default function ProjectDashboard() {
+  const { projectId } = useParams();
+  const { projects, savedReports, report: currentReport, startProjectAnalysis } = useAppContext();
+  const navigate = useNavigate();
+
+  const project = projects.find(p => p.id === projectId);
+
+  if (!project) {
+    return (
+      <div className="max-w-4xl mx-auto bg-white shadow-lg rounded-lg p-6 text-center">
+        <h2 className="text-2xl font-bold text-gray-800 mb-6">Project</h2>
+        <p className="text-gray-600 mb-6">This project could not be found.</p>
+        <Button
+          onClick={() => navigate('/projects')}
+          className="mx-auto"
+        >
+          Back to Projects
+        </Button>
+      </div>
+    );
+  }
+
+  const reports = getProjectReports(project.id, savedReports);
+  const letters = getProjectLetters(reports);
+  const issueHistory = getProjectIssueHistory(reports);
+  // A report still being worked on shows here before it is saved
+  const unsavedReport = currentReport?.projectId === project.id && !reports.some(r => r.id === currentReport.id) ? currentReport : null;
+
+  const handleNewAnalysis = () => {
+    startProjectAnalysis(project.id);
+    navigate('/project');
+  };
+
+  const formatDate = (isoDate) => new Date(isoDate).toLocaleDateString();
+
+  return (
+    <div className="max-w-4xl mx-auto bg-white shadow-lg rounded-lg p-6">
+      <div className="flex justify-between items-start mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800">{project.details.projectName}</h2>
+          <p className="text-sm text-gray-600">
+            {project.details.contractType} - {project.details.organizationRole}
+          </p>
+          <p className="text-gray-700 mt-2">{project.details.projectDescription}</p>
+        </div>
+        <div className="flex gap-2">
+          <Button
+            onClick={() => navigate('/projects')}
+            size="sm"
+            variant="secondary"
+            icon={<FaArrowLeft />}
+          >
+            Projects
+          </Button>
+          <Button
+            onClick={handleNewAnalysis}
+            size="sm"
+            variant="primary"
+            icon={<FaRedo />}
+          >
+            New Analysis
+          </Button>
+        </div>
+      </div>
+
+      <div className="mb-8">
+        <h3 className="text-lg font-semibold text-gray-800 mb-3">Reports</h3>
+        {reports.length === 0 && !unsavedReport ? (
+          <p className="text-gray-600 text-sm">No reports have been saved for this project yet.</p>
+        ) : (
+          <div className="space-y-2">
+            {unsavedReport && (
+              <div className="flex justify-between items-center p-3 border border-yellow-300 rounded bg-yellow-50">
+                <p className="text-sm text-gray-800">
+                  {formatDate(unsavedReport.date)} - {unsavedReport.analysis.length} issues
+                  <span className="ml-2 text-yellow-800 font-medium">Not saved</span>
+                </p>
+                <Button
+                  onClick={() => navigate('/report')}
+                  size="sm"
+                  variant="primary"
+                  icon={<FaArrowRight />}
+                >
+                  Open
+                </Button>
+              </div>
+            )}
+            {reports.map(report => (
+              <div key={report.id} className="flex justify-between items-center p-3 border border-gray-200 rounded">
+                <p className="text-sm text-gray-800">
+                  {formatDate(report.date)} - {report.analysis.length} issues
+                  {report.draftLetters?.length > 0 && `, ${report.draftLetters.length} letters`}
+                  {report.partial && <span className="ml-2 text-red-700 font-medium">Incomplete</span>}
+                </p>
+                <Button
+                  onClick={() => navigate('/report', { state: { reportId: report.id } })}
+                  size="sm"
+                  variant="primary"
+                  icon={<FaArrowRight />}
+                >
+                  Open
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="mb-8">
+        <h3 className="text-lg font-semibold text-gray-800 mb-3">Issue History</h3>
+        {issueHistory.length === 0 ? (
+          <p className="text-gray-600 text-sm">Issues appear here once a report for this project is saved.</p>
+        ) : (
+          <table className="w-full text-sm border border-gray-200">
+            <thead className="bg-gray-50 text-left">
+              <tr>
+                <th className="p-2 border-b">Issue</th>
+                <th className="p-2 border-b">First analysed</th>
+                <th className="p-2 border-b">Last analysed</th>
+                <th className="p-2 border-b">Reports</th>
+              </tr>
+            </thead>
+            <tbody>
+              {issueHistory.map(entry => (
+                <tr key={entry.issue} className="align-top">
+                  <td className="p-2 border-b">{entry.issue}</td>
+                  <td className="p-2 border-b whitespace-nowrap">{formatDate(entry.firstAnalysed)}</td>
+                  <td className="p-2 border-b whitespace-nowrap">{formatDate(entry.lastAnalysed)}</td>
+                  <td className="p-2 border-b">{entry.reportIds.length}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 mb-3">Letters</h3>
+        {letters.length === 0 ? (
+          <p className="text-gray-600 text-sm">No draft letters have been generated for this project's saved reports.</p>
+        ) : (
+          <ul className="space-y-2">
+            {letters.map((letter, index) => (
+              <li key={`${letter.reportId}-${index}`} className="flex justify-between items-center p-3 border border-gray-200 rounded">
+                <div className="text-sm">
+                  <p className="font-medium text-gray-800">{letter.subject}</p>
+                  <p className="text-gray-600">
+                    {letter.reference && `Ref: ${letter.reference} - `}To {letter.to} - from the report of {formatDate(letter.reportDate)}
+                  </p>
+                </div>
+                <Button
+                  onClick={() => navigate('/report', { state: { reportId: letter.reportId } })}
+                  size="sm"
+                  variant="light"
+                  icon={<FaArrowRight />}
+                >
+                  Report
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
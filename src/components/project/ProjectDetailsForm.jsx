@@ -1,10 +1,15 @@
 import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link } from 'react-router-dom';
 import { useAppContext } from '../../contexts/AppContext';
 import Button from '../common/Button';
 import { contractTypes } from '../../data/contractTypes';
 import { organizationRoles } from '../../data/organizationRoles';
 import IssueForm from './IssueForm';
+import ContractUpload from './ContractUpload';
+import AmendmentForm from './AmendmentForm';
+import PaymentTermsForm from './PaymentTermsForm';
+import CompensationEventRegister from './CompensationEventRegister';
+import { isNecContract } from '../../utils/compensationEvents';
 import { FaPlus, FaArrowRight, FaSpinner } from 'react-icons/fa';
 
 export default function ProjectDetailsForm() {
@@ -14,13 +19,29 @@ export default function ProjectDetailsForm() {
     addIssue, 
     updateIssue, 
     removeIssue,
+    addAmendment,
+    updateAmendment,
+    removeAmendment,
+    updatePaymentTerms,
+    addCompensationEvent,
+    updateCompensationEvent,
+    removeCompensationEvent,
+    addCompensationEventAsIssue,
+    contractDocuments,
+    contractIndexError,
+    uploadContractDocument,
+    removeContractDocument,
     generateReport,
     setShouldGenerateLetter,
-    isGeneratingReport 
+    isGeneratingReport,
+    projects,
+    currentProjectId,
+    startProjectAnalysis
   } = useAppContext();
   
   const navigate = useNavigate();
   const [validationErrors, setValidationErrors] = useState({});
+  const currentProject = projects.find(project => project.id === currentProjectId);
   
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -60,6 +81,15 @@ export default function ProjectDetailsForm() {
       }
     });
     
+    projectDetails.amendments.forEach((amendment, index) => {
+      if (!amendment.clauseReference.trim()) {
+        errors[`amendment_${index}_clause`] = 'Clause reference is required';
+      }
+      if (amendment.type !== 'deleted' && !amendment.wording.trim()) {
+        errors[`amendment_${index}_wording`] = 'Amended wording is required';
+      }
+    });
+    
     setValidationErrors(errors);
     return Object.keys(errors).length === 0;
   };
@@ -74,8 +104,10 @@ export default function ProjectDetailsForm() {
     try {
       // Reset the shouldGenerateLetter flag to trigger the prompt on report page
       setShouldGenerateLetter(null);
-      await generateReport();
+      // Move to the report straight away so the analysis can be watched as it streams in
+      const generation = generateReport();
       navigate('/report');
+      await generation;
     } catch (error) {
       console.error('Error generating report:', error);
       alert('An error occurred while generating the report. Please try again.');
@@ -86,6 +118,32 @@ export default function ProjectDetailsForm() {
     <div className="max-w-4xl mx-auto bg-white shadow-lg rounded-lg p-6">
       <h2 className="text-2xl font-bold text-gray-800 mb-6">Project Details</h2>
       
+      {currentProject ? (
+        <div className="mb-6 p-3 border border-blue-200 rounded bg-blue-50 text-sm text-blue-900">
+          Filled in from the project <span className="font-medium">{currentProject.details.projectName}</span>. The new report will be added to it.{' '}
+          <Link to={`/projects/${currentProject.id}`} className="underline">View project</Link>
+        </div>
+      ) : projects.length > 0 && (
+        <div className="mb-6">
+          <label htmlFor="startFromProject" className="block text-sm font-medium text-gray-700 mb-1">
+            Start from an existing project
+          </label>
+          <select
+            id="startFromProject"
+            value=""
+            onChange={(e) => startProjectAnalysis(e.target.value)}
+            className="box-border w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">New project</option>
+            {projects.map(project => (
+              <option key={project.id} value={project.id}>
+                {project.details.projectName}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+      
       <form onSubmit={handleSubmit}>
         <div className="space-y-6">
           {/* Project Name */}
@@ -156,6 +214,14 @@ export default function ProjectDetailsForm() {
             )}
           </div>
           
+          {/* Contract Document */}
+          <ContractUpload
+            contractDocuments={contractDocuments}
+            storageError={contractIndexError}
+            uploadContractDocument={uploadContractDocument}
+            removeContractDocument={removeContractDocument}
+          />
+          
           {/* Organization Role */}
           <div>
             <label htmlFor="organizationRole" className="block text-sm font-medium text-gray-700 mb-1">
@@ -182,6 +248,69 @@ export default function ProjectDetailsForm() {
             )}
           </div>
           
+          {/* Amendments Section */}
+          <div className="mt-8">
+            <h3 className="text-lg font-medium text-gray-800 mb-1">Contract Amendments</h3>
+            <p className="text-sm text-gray-500 mb-4">
+              Record any bespoke amendments to the standard form, such as deleted clauses, changed payment periods or added time-bars.
+            </p>
+            
+            {projectDetails.amendments.map((amendment, index) => (
+              <AmendmentForm
+                key={index}
+                amendment={amendment}
+                index={index}
+                updateAmendment={updateAmendment}
+                removeAmendment={removeAmendment}
+                validationErrors={validationErrors}
+              />
+            ))}
+            
+            <div className="mt-4">
+              <Button
+                type="button"
+                onClick={addAmendment}
+                size="sm"
+                variant="secondary"
+                icon={<FaPlus />}
+              >
+                Add Amendment
+              </Button>
+            </div>
+          </div>
+          
+          {/* Payment Timetable Section */}
+          <div className="mt-8">
+            <h3 className="text-lg font-medium text-gray-800 mb-1">Payment Timetable</h3>
+            <p className="text-sm text-gray-500 mb-4">
+              For payment issues, enter the application details to work out the Construction Act due date, notice deadlines and final date for payment.
+            </p>
+            
+            <PaymentTermsForm
+              paymentTerms={projectDetails.paymentTerms}
+              contractType={projectDetails.contractType}
+              updatePaymentTerms={updatePaymentTerms}
+            />
+          </div>
+          
+          {/* Compensation Event Register (NEC only) */}
+          {isNecContract(projectDetails.contractType) && (
+            <div className="mt-8">
+              <h3 className="text-lg font-medium text-gray-800 mb-1">Compensation Event Register</h3>
+              <p className="text-sm text-gray-500 mb-4">
+                Track each compensation event against the clause 61.3, 62.3 and 64 periods, and add any event to the report as an issue.
+              </p>
+              
+              <CompensationEventRegister
+                compensationEvents={projectDetails.compensationEvents}
+                addCompensationEvent={addCompensationEvent}
+                updateCompensationEvent={updateCompensationEvent}
+                removeCompensationEvent={removeCompensationEvent}
+                addCompensationEventAsIssue={addCompensationEventAsIssue}
+              />
+            </div>
+          )}
+          
           {/* Issues Section */}
           <div className="mt-8">
             <h3 className="text-lg font-medium text-gray-800 mb-4">Contract Issues</h3>
@@ -201,7 +330,7 @@ export default function ProjectDetailsForm() {
             <div className="mt-4">
               <Button
                 type="button"
-                onClick={addIssue}
+                onClick={() => addIssue()}
                 size="sm"
                 variant="secondary"
                 icon={<FaPlus />}
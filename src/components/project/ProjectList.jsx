@@ -0,0 +1,95 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAppContext } from '../../contexts/AppContext';
+import Button from '../common/Button';
+import { FaPlus, FaArrowRight, FaRedo } from 'react-icons/fa';
+import { getProjectReports, getProjectLetters } from '../../utils/projects';
+
+export default function ProjectList() {
+  const { projects, savedReports, startProjectAnalysis, startNewProject } = useAppContext();
+  const navigate = useNavigate();
+
+  const handleNewProject = () => {
+    startNewProject();
+    navigate('/project');
+  };
+
+  const handleNewAnalysis = (projectId) => {
+    startProjectAnalysis(projectId);
+    navigate('/project');
+  };
+
+  // Most recently worked on first
+  const sortedProjects = [...projects].sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+  return (
+    <div className="max-w-4xl mx-auto bg-white shadow-lg rounded-lg p-6">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold text-gray-800">Projects</h2>
+        <Button
+          onClick={handleNewProject}
+          size="sm"
+          variant="primary"
+          icon={<FaPlus />}
+        >
+          New Project
+        </Button>
+      </div>
+
+      {sortedProjects.length === 0 ? (
+        <p className="text-gray-600 text-center">
+          No projects yet. A project is created the first time you generate a report for it.
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {sortedProjects.map(project => {
+            const reports = getProjectReports(project.id, savedReports);
+            const letters = getProjectLetters(reports);
+
+            return (
+              <div
+                key={project.id}
+                className="p-4 border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                <div className="flex justify-between items-start">
+                  <div>
+                    <h3 className="text-lg font-semibold text-gray-800">{project.details.projectName}</h3>
+                    <p className="text-sm text-gray-600">
+                      {project.details.contractType} - {project.details.organizationRole}
+                    </p>
+                    <p className="text-sm text-gray-700 mt-1">
+                      <span className="font-medium">Reports:</span> {reports.length}
+                      {' '}&middot; <span className="font-medium">Letters:</span> {letters.length}
+                      {reports.length > 0 && (
+                        <>
+                          {' '}&middot; <span className="font-medium">Last analysed:</span> {new Date(reports[0].date).toLocaleDateString()}
+                        </>
+                      )}
+                    </p>
+                  </div>
+
+                  <div className="flex gap-2">
+                    <Button
+                      onClick={() => navigate(`/projects/${project.id}`)}
+                      variant="primary"
+                      icon={<FaArrowRight />}
+                    >
+                      Open
+                    </Button>
+                    <Button
+                      onClick={() => handleNewAnalysis(project.id)}
+                      variant="light"
+                      icon={<FaRedo />}
+                    >
+                      New Analysis
+                    </Button>
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,306 @@
+import React, { useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useAppContext } from '../../contexts/AppContext';
+import Button from '../common/Button';
+import { FaArrowLeft, FaFile, FaGavel, FaSpinner } from 'react-icons/fa';
+import { nominatingBodies, NAMED_ADJUDICATOR } from '../../data/nominatingBodies';
+import { createAdjudicationDetails, validateAdjudicationDetails, getAdjudicationTimetable } from '../../utils/adjudicationPack';
+import { exportPackageToWord } from '../../utils/exportUtils';
+
+export default function AdjudicationPackView() {
+  const { reportId } = useParams();
+  const { report: currentReport, savedReports, generateAdjudicationPack, senderProfile } = useAppContext();
+  const navigate = useNavigate();
+
+  const report = savedReports.find(saved => saved.id === reportId) || (currentReport?.id === reportId ? currentReport : null);
+
+  // The referring party is usually the organisation on the letterhead
+  const [details, setDetails] = useState(() => report ? {
+    ...createAdjudicationDetails(report),
+    referringParty: { name: senderProfile.companyName, address: senderProfile.registeredAddress }
+  } : null);
+  const [validationErrors, setValidationErrors] = useState({});
+  const [pack, setPack] = useState(null);
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!report) {
+    return (
+      <div className="max-w-4xl mx-auto bg-white shadow-lg rounded-lg p-6 text-center">
+        <h2 className="text-2xl font-bold text-gray-800 mb-6">Adjudication Pack</h2>
+        <p className="text-gray-600 mb-6">Save the report first, then build the adjudication pack from your saved reports.</p>
+        <Button
+          onClick={() => navigate('/report')}
+          className="mx-auto"
+        >
+          Back to Report
+        </Button>
+      </div>
+    );
+  }
+
+  const updatePartyField = (party, field, value) => {
+    setDetails(prev => ({ ...prev, [party]: { ...prev[party], [field]: value } }));
+    setValidationErrors(prev => ({ ...prev, [`${party}.${field}`]: null }));
+  };
+
+  const updateField = (field, value) => {
+    setDetails(prev => ({ ...prev, [field]: value }));
+    setValidationErrors(prev => ({ ...prev, [field]: null }));
+  };
+
+  const toggleIssue = (index) => {
+    updateField('issueIndexes', details.issueIndexes.includes(index)
+      ? details.issueIndexes.filter(i => i !== index)
+      : [...details.issueIndexes, index].sort((a, b) => a - b));
+  };
+
+  const handleGenerate = async () => {
+    const errors = validateAdjudicationDetails(details, report);
+    setValidationErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    setIsGenerating(true);
+    setError(null);
+    try {
+      setPack(await generateAdjudicationPack(report, details));
+    } catch (generateError) {
+      setError(generateError.message);
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  const handleExport = () => {
+    exportPackageToWord(
+      pack.documents,
+      `Adjudication_Pack_${report.projectDetails.projectName.replace(/\s+/g, '_')}.docx`,
+      `Adjudication Pack: ${report.projectDetails.projectName}`
+    );
+  };
+
+  const timetable = details.noticeDate ? getAdjudicationTimetable(details.noticeDate) : null;
+  const inputClass = (field) => `box-border w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+    validationErrors[field] ? 'border-red-500' : 'border-gray-300'
+  }`;
+  const fieldError = (field) => validationErrors[field] && (
+    <p className="mt-1 text-sm text-red-600">{validationErrors[field]}</p>
+  );
+
+  return (
+    <div className="max-w-5xl mx-auto bg-white shadow-lg rounded-lg p-6">
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800">Adjudication Pack</h2>
+          <p className="text-sm text-gray-600">
+            {report.projectDetails.projectName} - {report.projectDetails.contractType}
+          </p>
+        </div>
+        <Button
+          onClick={() => navigate('/report')}
+          size="sm"
+          variant="secondary"
+          icon={<FaArrowLeft />}
+        >
+          Back to Report
+        </Button>
+      </div>
+
+      <div className="space-y-6 mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {[
+            { key: 'referringParty', label: 'Referring Party (you)' },
+            { key: 'respondingParty', label: 'Responding Party' }
+          ].map(party => (
+            <div key={party.key} className="p-4 border border-gray-200 rounded-lg bg-gray-50 space-y-3">
+              <h3 className="text-lg font-semibold text-gray-800">{party.label}</h3>
+              <div>
+                <label htmlFor={`${party.key}_name`} className="block text-sm font-medium text-gray-700 mb-1">
+                  Name *
+                </label>
+                <input
+                  type="text"
+                  id={`${party.key}_name`}
+                  value={details[party.key].name}
+                  onChange={(e) => updatePartyField(party.key, 'name', e.target.value)}
+                  className={inputClass(`${party.key}.name`)}
+                />
+                {fieldError(`${party.key}.name`)}
+              </div>
+              <div>
+                <label htmlFor={`${party.key}_address`} className="block text-sm font-medium text-gray-700 mb-1">
+                  Address for service *
+                </label>
+                <textarea
+                  id={`${party.key}_address`}
+                  value={details[party.key].address}
+                  onChange={(e) => updatePartyField(party.key, 'address', e.target.value)}
+                  rows="3"
+                  className={inputClass(`${party.key}.address`)}
+                ></textarea>
+                {fieldError(`${party.key}.address`)}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <label htmlFor="nominatingBody" className="block text-sm font-medium text-gray-700 mb-1">
+              Adjudicator Nominating Body *
+            </label>
+            <select
+              id="nominatingBody"
+              value={details.nominatingBody}
+              onChange={(e) => updateField('nominatingBody', e.target.value)}
+              className={inputClass('nominatingBody')}
+            >
+              <option value="">Select the body named in the contract</option>
+              {nominatingBodies.map(body => (
+                <option key={body} value={body}>
+                  {body}
+                </option>
+              ))}
+              <option value={NAMED_ADJUDICATOR}>{NAMED_ADJUDICATOR}</option>
+            </select>
+            {fieldError('nominatingBody')}
+
+            {details.nominatingBody === NAMED_ADJUDICATOR && (
+              <div className="mt-3">
+                <label htmlFor="adjudicatorName" className="block text-sm font-medium text-gray-700 mb-1">
+                  Named Adjudicator *
+                </label>
+                <input
+                  type="text"
+                  id="adjudicatorName"
+                  value={details.adjudicatorName}
+                  onChange={(e) => updateField('adjudicatorName', e.target.value)}
+                  className={inputClass('adjudicatorName')}
+                />
+                {fieldError('adjudicatorName')}
+              </div>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="noticeDate" className="block text-sm font-medium text-gray-700 mb-1">
+              Date of Notice of Adjudication *
+            </label>
+            <input
+              type="date"
+              id="noticeDate"
+              value={details.noticeDate}
+              onChange={(e) => updateField('noticeDate', e.target.value)}
+              className={inputClass('noticeDate')}
+            />
+            {fieldError('noticeDate')}
+            {timetable && (
+              <p className="mt-2 text-sm text-gray-600">
+                Referral notice by {new Date(timetable.referralDeadline).toLocaleDateString(undefined, { timeZone: 'UTC' })}; decision due
+                about {new Date(timetable.decisionDate).toLocaleDateString(undefined, { timeZone: 'UTC' })} (28 days after referral).
+              </p>
+            )}
+          </div>
+        </div>
+
+        <div>
+          <label htmlFor="redressSought" className="block text-sm font-medium text-gray-700 mb-1">
+            Redress Sought *
+          </label>
+          <textarea
+            id="redressSought"
+            value={details.redressSought}
+            onChange={(e) => updateField('redressSought', e.target.value)}
+            rows="3"
+            className={inputClass('redressSought')}
+            placeholder="e.g. Payment of the notified sum of £125,000 plus interest, and that the Responding Party pays the adjudicator's fees"
+          ></textarea>
+          {fieldError('redressSought')}
+        </div>
+
+        <div>
+          <p className="block text-sm font-medium text-gray-700 mb-1">Issues to Refer *</p>
+          <div className="space-y-1">
+            {report.analysis.map((analysis, index) => (
+              <label key={index} className="flex items-start gap-2 text-gray-800">
+                <input
+                  type="checkbox"
+                  checked={details.issueIndexes.includes(index)}
+                  onChange={() => toggleIssue(index)}
+                  className="mt-1"
+                />
+                <span>Issue {index + 1}: {analysis.issue}</span>
+              </label>
+            ))}
+          </div>
+          {fieldError('issueIndexes')}
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 border border-red-200 rounded bg-red-50 text-sm text-red-800">
+          {error}
+        </div>
+      )}
+
+      <div className="flex gap-2 mb-6">
+        <Button
+          onClick={handleGenerate}
+          variant="primary"
+          icon={isGenerating ? <FaSpinner className="animate-spin" /> : <FaGavel />}
+          disabled={isGenerating}
+        >
+          {isGenerating ? 'Drafting...' : pack ? 'Redraft Pack' : 'Draft Adjudication Pack'}
+        </Button>
+
+        {pack && (
+          <Button
+            onClick={handleExport}
+            variant="info"
+            icon={<FaFile />}
+          >
+            Export Pack to Word
+          </Button>
+        )}
+      </div>
+
+      {pack && (
+        <div className="space-y-6">
+          {pack.documents.map(packDocument => (
+            <div key={packDocument.key} className="p-6 border border-gray-200 rounded-lg bg-white">
+              <PackDocumentContent content={packDocument.content} />
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="mt-6 pt-4 border-t border-gray-200">
+        <p className="text-sm text-gray-600 italic">
+          Note: These are drafts for review. Check every date, sum and clause against your contract, and take legal advice before serving a notice of adjudication.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+// Render the markdown blocks the pack endpoint produces
+function PackDocumentContent({ content }) {
+  return content.split('\n\n').map((block, i) => {
+    if (block.startsWith('# ')) {
+      return <h3 key={i} className="text-xl font-bold text-gray-800 mb-4">{block.slice(2)}</h3>;
+    }
+    if (block.startsWith('## ')) {
+      return <h4 key={i} className="text-lg font-semibold text-gray-800 mt-4 mb-2">{block.slice(3)}</h4>;
+    }
+    if (block.startsWith('- ')) {
+      return (
+        <ul key={i} className="list-disc pl-5 space-y-1 mb-3">
+          {block.split('\n').map((item, j) => (
+            <li key={j} className="text-gray-800">{item.replace(/^- /, '')}</li>
+          ))}
+        </ul>
+      );
+    }
+    return <p key={i} className="text-gray-800 mb-3 whitespace-pre-line">{block}</p>;
+  });
+}
@@ -1,6 +1,10 @@
-import React, { forwardRef } from 'react';
+import React, { forwardRef, useState } from 'react';
+import Button from '../common/Button';
+import { FaPen, FaMagic, FaSpinner } from 'react-icons/fa';
+import { getLetterheadLines } from '../../utils/senderProfile';
+import { LETTER_PARTS, MAX_REWRITE_INSTRUCTION_LENGTH, getBodyParagraphs } from '../../utils/letterEditing';
 
-const DraftCommunication = forwardRef(({ draftCommunication }, ref) => {
+const DraftCommunication = forwardRef(({ draftCommunication, senderProfile, editable = false, onEditPart, onRewritePart }, ref) => {
   if (!draftCommunication) {
     return (
       <div className="p-6 border border-gray-200 rounded-lg bg-white text-center">
@@ -9,18 +13,33 @@ const DraftCommunication = forwardRef(({ draftCommunication }, ref) => {
     );
   }
   
+  // Each part of the letter can be edited by hand or redrafted on its own
+  const partProps = (part, paragraphIndex = null) => ({
+    label: LETTER_PARTS.find(candidate => candidate.key === part).label,
+    text: part === 'body' ? getBodyParagraphs(draftCommunication.body)[paragraphIndex] : draftCommunication[part] || '',
+    editable: editable && Boolean(onEditPart),
+    onEdit: (text) => onEditPart(part, paragraphIndex, text),
+    onRewrite: (instruction) => onRewritePart(part, paragraphIndex, instruction)
+  });
+  
   // Function to convert the text with proper formatting
   const formatBody = (text) => {
-    return text.split('\n\n').map((paragraph, i) => {
+    return getBodyParagraphs(text).map((paragraph, i) => {
       // Check if paragraph is a heading (Issue X: ...)
       if (paragraph.match(/^Issue \d+:/)) {
         return (
-          <h3 key={i} className="text-lg font-semibold mt-4 mb-2">
-            {paragraph}
-          </h3>
+          <LetterPart key={i} {...partProps('body', i)}>
+            <h3 className="text-lg font-semibold mt-4 mb-2">
+              {paragraph}
+            </h3>
+          </LetterPart>
         );
       }
-      return <p key={i} className="mb-4">{paragraph}</p>;
+      return (
+        <LetterPart key={i} {...partProps('body', i)}>
+          <p className="mb-4">{paragraph}</p>
+        </LetterPart>
+      );
     });
   };
   
@@ -30,35 +49,65 @@ const DraftCommunication = forwardRef(({ draftCommunication }, ref) => {
       className="p-6 border border-gray-200 rounded-lg bg-white mb-6"
     >
       <div className="max-w-2xl mx-auto">
+        {draftCommunication.missingContent?.length > 0 && (
+          <div className="mb-6 p-3 border border-yellow-300 rounded bg-yellow-50 text-sm text-yellow-900 print:hidden">
+            <p className="font-medium">This draft may not be a valid notice. Check it includes:</p>
+            <ul className="list-disc pl-5">
+              {draftCommunication.missingContent.map((item, i) => (
+                <li key={i}>{item}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+        
+        {senderProfile && getLetterheadLines(senderProfile).length > 0 && (
+          <div className="flex items-start justify-between gap-4 pb-4 mb-6 border-b-2 border-gray-800">
+            {senderProfile.logo && (
+              <img
+                src={senderProfile.logo}
+                alt={`${senderProfile.companyName} logo`}
+                className="max-h-16 max-w-[40%] object-contain"
+              />
+            )}
+            <div className="ml-auto text-right">
+              {getLetterheadLines(senderProfile).map((line, i) => (
+                <p key={i} className={i === 0 ? 'text-lg font-bold text-gray-800' : 'text-sm text-gray-600'}>
+                  {line}
+                </p>
+              ))}
+            </div>
+          </div>
+        )}
+        
         <div className="mb-6">
-          <div className="mb-4">
+          <LetterPart className="mb-4" {...partProps('to')}>
             <p className="text-sm font-medium text-gray-600">To:</p>
-            <p className="text-gray-800">{draftCommunication.to}</p>
-          </div>
+            <p className="text-gray-800 whitespace-pre-line">{draftCommunication.to}</p>
+          </LetterPart>
           
-          <div className="mb-4">
+          <LetterPart className="mb-4" {...partProps('subject')}>
             <p className="text-sm font-medium text-gray-600">Subject:</p>
             <p className="text-gray-800">{draftCommunication.subject}</p>
-          </div>
+          </LetterPart>
         </div>
         
-        <div className="mb-4">
+        <LetterPart className="mb-4" {...partProps('greeting')}>
           <p className="text-gray-800">{draftCommunication.greeting}</p>
-        </div>
+        </LetterPart>
         
         <div className="mb-4">
           {formatBody(draftCommunication.body)}
         </div>
         
         {draftCommunication.closing && (
-          <div className="mb-4">
+          <LetterPart className="mb-4" {...partProps('closing')}>
             <p className="text-gray-800">{draftCommunication.closing}</p>
-          </div>
+          </LetterPart>
         )}
         
-        <div className="whitespace-pre-line">
+        <LetterPart className="whitespace-pre-line" {...partProps('sender')}>
           <p className="text-gray-800">{draftCommunication.sender}</p>
-        </div>
+        </LetterPart>
         
         <div className="mt-8 pt-4 border-t border-gray-200">
           <p className="text-sm text-gray-600 italic">
@@ -70,6 +119,127 @@ const DraftCommunication = forwardRef(({ draftCommunication }, ref) => {
   );
 });
 
+// One part of the letter, with controls to edit it by hand or have it redrafted following an instruction
+function LetterPart({ label, text, editable, onEdit, onRewrite, className = '', children }) {
+  const [mode, setMode] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [instruction, setInstruction] = useState('');
+  const [isRewriting, setIsRewriting] = useState(false);
+  const [error, setError] = useState('');
+  
+  const startEditing = () => {
+    setDraft(text);
+    setError('');
+    setMode('edit');
+  };
+  
+  const startRewriting = () => {
+    setError('');
+    setMode('rewrite');
+  };
+  
+  const handleSave = () => {
+    onEdit(draft);
+    setMode(null);
+  };
+  
+  const handleRewrite = async (e) => {
+    e.preventDefault();
+    setIsRewriting(true);
+    setError('');
+    try {
+      await onRewrite(instruction);
+      setInstruction('');
+      setMode(null);
+    } catch (rewriteError) {
+      setError(rewriteError.message || 'Could not rewrite this part of the letter. Please try again.');
+    } finally {
+      setIsRewriting(false);
+    }
+  };
+  
+  return (
+    <div className={`group relative ${className}`}>
+      {mode === 'edit' ? (
+        <div className="mb-4 print:hidden">
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            rows={Math.max(2, Math.ceil(text.length / 80) + 1)}
+            className="box-border w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            aria-label={label}
+          />
+          {label === 'Paragraph' && <p className="text-xs text-gray-500 mb-2">Leave empty to remove the paragraph.</p>}
+          <div className="flex gap-2 mt-1">
+            <Button onClick={handleSave} size="sm" variant="primary">
+              Save
+            </Button>
+            <Button onClick={() => setMode(null)} size="sm" variant="light">
+              Cancel
+            </Button>
+          </div>
+        </div>
+      ) : children}
+      
+      {mode === 'rewrite' && (
+        <form onSubmit={handleRewrite} className="mb-4 p-3 border border-blue-200 rounded-md bg-blue-50 print:hidden">
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Rewrite this {label.toLowerCase()}
+          </label>
+          <input
+            type="text"
+            value={instruction}
+            onChange={(e) => setInstruction(e.target.value)}
+            maxLength={MAX_REWRITE_INSTRUCTION_LENGTH}
+            placeholder='e.g. "make firmer" or "add reference to clause 4.9"'
+            disabled={isRewriting}
+            className="box-border w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            autoFocus
+          />
+          {error && <p className="text-sm text-red-700 mt-1">{error}</p>}
+          <div className="flex gap-2 mt-2">
+            <Button
+              type="submit"
+              size="sm"
+              variant="primary"
+              icon={isRewriting ? <FaSpinner className="animate-spin" /> : <FaMagic />}
+              disabled={isRewriting}
+            >
+              {isRewriting ? 'Rewriting...' : 'Rewrite'}
+            </Button>
+            <Button onClick={() => setMode(null)} size="sm" variant="light" disabled={isRewriting}>
+              Cancel
+            </Button>
+          </div>
+        </form>
+      )}
+      
+      {editable && mode === null && (
+        <span className="absolute top-0 right-0 flex gap-1 bg-white opacity-0 group-hover:opacity-100 focus-within:opacity-100 print:hidden">
+          <button
+            type="button"
+            onClick={startEditing}
+            className="p-1 text-gray-500 hover:text-blue-700"
+            title={`Edit ${label.toLowerCase()}`}
+            aria-label={`Edit ${label.toLowerCase()}`}
+          >
+            <FaPen size={12} />
+          </button>
+          <button
+            type="button"
+            onClick={startRewriting}
+            className="p-1 text-gray-500 hover:text-blue-700"
+            title={`Rewrite ${label.toLowerCase()} with an instruction`}
+            aria-label={`Rewrite ${label.toLowerCase()} with an instruction`}
+          >
+            <FaMagic size={12} />
+          </button>
+        </span>
+      )}
+    </div>
+  );
+}
+
 DraftCommunication.displayName = 'DraftCommunication';
 
 export default DraftCommunication;
\ No newline at end of file
@@ -1,33 +1,188 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAppContext } from '../../contexts/AppContext';
 import Button from '../common/Button';
 import { FaCheck, FaTimes } from 'react-icons/fa';
+import { getAvailableLetterTypes, getLetterType, getLetterRecipient, getLetterClause, validateLetterFields } from '../../utils/letterTypeUtils';
+import { findMissingProfileDetails, getSignatory } from '../../utils/senderProfile';
+
+export default function DraftLetterPrompt({ report, onResponse }) {
+  const { senderProfile } = useAppContext();
+  const { contractType, organizationRole } = report.projectDetails;
+  const availableTypes = getAvailableLetterTypes(contractType, organizationRole);
+  const signatories = senderProfile.signatories.filter(signatory => signatory.name.trim());
+  const missingProfileDetails = findMissingProfileDetails(senderProfile);
+
+  const [letterTypeValue, setLetterTypeValue] = useState('general');
+  const [letterFields, setLetterFields] = useState({});
+  const [issueIndex, setIssueIndex] = useState('');
+  const [signatoryId, setSignatoryId] = useState(() => getSignatory(senderProfile)?.id || '');
+  const [validationErrors, setValidationErrors] = useState({});
+
+  const letterType = getLetterType(letterTypeValue);
+  const noticeClause = getLetterClause(letterType, contractType);
+
+  const handleTypeChange = (e) => {
+    setLetterTypeValue(e.target.value);
+    setLetterFields({});
+    setValidationErrors({});
+  };
+
+  const handleFieldChange = (name, value) => {
+    setLetterFields(prev => ({ ...prev, [name]: value }));
+    if (validationErrors[name]) {
+      setValidationErrors(prev => ({ ...prev, [name]: null }));
+    }
+  };
+
+  const handleCreate = () => {
+    const errors = validateLetterFields(letterType, letterFields);
+    setValidationErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    onResponse(true, {
+      letterType: letterTypeValue,
+      letterFields,
+      issueIndex: issueIndex === '' ? null : Number(issueIndex),
+      signatoryId: signatoryId || undefined
+    });
+  };
 
-export default function DraftLetterPrompt({ onResponse }) {
   return (
     <div className="max-w-4xl mx-auto bg-white shadow-lg rounded-lg p-6">
       <h2 className="text-2xl font-bold text-gray-800 mb-6">Draft Communication</h2>
-      
+
       <div className="mb-6">
         <p className="text-gray-700 mb-4">
-          Would you like us to create a draft letter based on your contract analysis report? 
-          This letter will focus specifically on the issue(s) you've reported and can be used as 
-          a starting point for formal communication with the other party.
-        </p>
-        <p className="text-gray-700">
-          The letter will reference the specific contractual clauses relevant to your issue(s)
-          and outline your position in a professional manner.
+          Would you like us to create a draft letter based on your contract analysis report?
+          Choose a general letter covering your issue(s), or a specific contractual notice
+          with the content that instrument requires.
         </p>
       </div>
-      
+
+      <div className="space-y-4 mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="letterType" className="block text-sm font-medium text-gray-700 mb-1">
+              Letter Type
+            </label>
+            <select
+              id="letterType"
+              value={letterTypeValue}
+              onChange={handleTypeChange}
+              className="box-border w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {availableTypes.map(type => (
+                <option key={type.value} value={type.value}>
+                  {type.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="letterIssue" className="block text-sm font-medium text-gray-700 mb-1">
+              Issue
+            </label>
+            <select
+              id="letterIssue"
+              value={issueIndex}
+              onChange={(e) => setIssueIndex(e.target.value)}
+              className="box-border w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">All issues</option>
+              {report.analysis.map((analysis, index) => (
+                <option key={index} value={index}>
+                  Issue {index + 1}: {analysis.issue.length > 60 ? `${analysis.issue.slice(0, 60)}...` : analysis.issue}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="p-3 border border-blue-200 rounded bg-blue-50 text-sm text-blue-900">
+          <p>{letterType.description}</p>
+          <p className="mt-1">
+            <span className="font-medium">To:</span> {getLetterRecipient(letterType, organizationRole)}
+            {noticeClause && (
+              <>
+                {' '}<span className="font-medium ml-2">Given under:</span> {noticeClause}
+              </>
+            )}
+          </p>
+        </div>
+
+        {signatories.length > 1 && (
+          <div>
+            <label htmlFor="letterSignatory" className="block text-sm font-medium text-gray-700 mb-1">
+              Signed By
+            </label>
+            <select
+              id="letterSignatory"
+              value={signatoryId}
+              onChange={(e) => setSignatoryId(e.target.value)}
+              className="box-border w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {signatories.map(signatory => (
+                <option key={signatory.id} value={signatory.id}>
+                  {signatory.name}{signatory.position && `, ${signatory.position}`}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {missingProfileDetails.length > 0 && (
+          <div className="p-3 border border-yellow-300 rounded bg-yellow-50 text-sm text-yellow-900">
+            Your letterhead is incomplete (missing: {missingProfileDetails.join('; ')}), so the letter will contain placeholders.{' '}
+            <Link to="/profile" className="font-medium underline">Set up your letterhead</Link>
+          </div>
+        )}
+
+        {letterType.fields.map(field => (
+          <div key={field.name}>
+            <label htmlFor={`letter_${field.name}`} className="block text-sm font-medium text-gray-700 mb-1">
+              {field.label}{field.required && ' *'}
+            </label>
+            {field.type === 'textarea' ? (
+              <textarea
+                id={`letter_${field.name}`}
+                value={letterFields[field.name] || ''}
+                onChange={(e) => handleFieldChange(field.name, e.target.value)}
+                rows="2"
+                className={`box-border w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                  validationErrors[field.name] ? 'border-red-500' : 'border-gray-300'
+                }`}
+              ></textarea>
+            ) : (
+              <input
+                type={field.type}
+                id={`letter_${field.name}`}
+                value={letterFields[field.name] || ''}
+                onChange={(e) => handleFieldChange(field.name, e.target.value)}
+                min={field.type === 'number' ? '0' : undefined}
+                step={field.type === 'number' ? '0.01' : undefined}
+                className={`box-border w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                  validationErrors[field.name] ? 'border-red-500' : 'border-gray-300'
+                }`}
+              />
+            )}
+            {validationErrors[field.name] && (
+              <p className="mt-1 text-sm text-red-600">{validationErrors[field.name]}</p>
+            )}
+          </div>
+        ))}
+      </div>
+
       <div className="flex justify-center gap-4">
         <Button
-          onClick={() => onResponse(true)}
+          onClick={handleCreate}
           variant="primary"
           icon={<FaCheck />}
         >
           Yes, create draft letter
         </Button>
-        
+
         <Button
           onClick={() => onResponse(false)}
           variant="secondary"
@@ -38,4 +193,4 @@ export default function DraftLetterPrompt({ onResponse }) {
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import Button from '../common/Button';
+import { FaPen, FaUndo } from 'react-icons/fa';
+import { formatSectionInput, parseSectionInput } from '../../utils/reportEdits';
+
+export default function EditableSection({ label, type, value, edited, editable, onSave, onRevert, className = 'mb-4', children }) {
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState('');
+  const isEditing = draft !== null;
+
+  const startEditing = () => {
+    setDraft(formatSectionInput(value, type));
+    setError('');
+  };
+
+  const handleSave = () => {
+    try {
+      onSave(parseSectionInput(draft, type));
+      setDraft(null);
+    } catch (parseError) {
+      setError(parseError.message);
+    }
+  };
+
+  return (
+    <div className={className}>
+      <div className="flex items-center gap-2 mb-2">
+        <h5 className="text-md font-medium text-gray-700">{label}:</h5>
+        {edited && (
+          <span className="px-2 py-0.5 rounded text-xs font-medium bg-purple-100 text-purple-800" title="This section has been edited and differs from the generated analysis">
+            Edited by user
+          </span>
+        )}
+        {editable && !isEditing && (
+          <span className="ml-auto flex gap-1 print:hidden">
+            {edited && (
+              <button
+                type="button"
+                onClick={onRevert}
+                className="p-1 text-gray-500 hover:text-gray-800"
+                title="Restore the generated wording"
+                aria-label={`Restore the generated ${label.toLowerCase()}`}
+              >
+                <FaUndo size={12} />
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={startEditing}
+              className="p-1 text-gray-500 hover:text-blue-700"
+              title={`Edit ${label}`}
+              aria-label={`Edit ${label.toLowerCase()}`}
+            >
+              <FaPen size={12} />
+            </button>
+          </span>
+        )}
+      </div>
+
+      {isEditing ? (
+        <div className="print:hidden">
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            rows={type === 'text' ? 6 : Math.max(3, value.length + 1)}
+            className="box-border w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            aria-label={label}
+          />
+          {type === 'list' && <p className="text-xs text-gray-500 mb-2">One item per line.</p>}
+          {type === 'actions' && (
+            <p className="text-xs text-gray-500 mb-2">
+              One action per line, as date (YYYY-MM-DD) | action | clause. Notice and payment deadlines are calculated and can't be edited here.
+            </p>
+          )}
+          {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+          <div className="flex gap-2 mt-1">
+            <Button onClick={handleSave} size="sm" variant="primary">
+              Save
+            </Button>
+            <Button onClick={() => setDraft(null)} size="sm" variant="light">
+              Cancel
+            </Button>
+          </div>
+        </div>
+      ) : children}
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import Button from '../common/Button';
+import { FaTimes, FaPlus, FaMinus } from 'react-icons/fa';
+import { getReportVersions, diffReportVersions } from '../../utils/reportVersions';
+
+const changeLabels = {
+  added: { text: 'New issue', className: 'bg-green-100 text-green-800' },
+  removed: { text: 'Issue removed', className: 'bg-red-100 text-red-800' },
+  changed: { text: 'Changed', className: 'bg-yellow-100 text-yellow-800' },
+  unchanged: { text: 'No change', className: 'bg-gray-100 text-gray-700' }
+};
+
+export default function ReportVersionDiff({ report, onClose }) {
+  const versions = getReportVersions(report);
+  // Compare the previous analysis with the current one unless the user picks others
+  const [beforeIndex, setBeforeIndex] = useState(versions.length - 2);
+  const [afterIndex, setAfterIndex] = useState(versions.length - 1);
+
+  const { inputs, issues } = diffReportVersions(versions[beforeIndex], versions[afterIndex]);
+
+  const describeVersion = (version, index) => (
+    `Version ${index + 1} - ${new Date(version.date).toLocaleString()}${version.model ? ` - ${version.model}` : ''}${index === versions.length - 1 ? ' (current)' : ''}`
+  );
+
+  const versionSelect = (id, label, value, onChange) => (
+    <div className="flex-1">
+      <label htmlFor={id} className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <select
+        id={id}
+        value={value}
+        onChange={(e) => onChange(parseInt(e.target.value, 10))}
+        className="box-border w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        {versions.map((version, index) => (
+          <option key={index} value={index}>{describeVersion(version, index)}</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  return (
+    <div className="max-w-5xl mx-auto bg-white shadow-lg rounded-lg p-6">
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800">Report Versions</h2>
+          <p className="text-sm text-gray-600">{report.projectDetails.projectName}</p>
+        </div>
+        <Button
+          onClick={onClose}
+          className="bg-gray-600 hover:bg-gray-700 px-2 py-1"
+          icon={<FaTimes />}
+        >
+          Close
+        </Button>
+      </div>
+
+      <div className="flex flex-col md:flex-row gap-4 mb-6">
+        {versionSelect('beforeVersion', 'Compare', beforeIndex, setBeforeIndex)}
+        {versionSelect('afterVersion', 'With', afterIndex, setAfterIndex)}
+      </div>
+
+      {beforeIndex === afterIndex ? (
+        <p className="text-gray-600">Choose two different versions to compare.</p>
+      ) : (
+        <>
+          <div className="mb-8">
+            <h3 className="text-lg font-semibold text-gray-800 mb-3">Inputs</h3>
+            {inputs.length === 0 ? (
+              <p className="text-sm text-gray-600">Both versions were generated from the same project details and model.</p>
+            ) : (
+              <div className="space-y-3">
+                {inputs.map(section => <SectionDiff key={section.label} section={section} />)}
+              </div>
+            )}
+          </div>
+
+          <h3 className="text-lg font-semibold text-gray-800 mb-3">Issues</h3>
+          <div className="space-y-4">
+            {issues.map(entry => (
+              <div key={entry.issue} className="p-4 border border-gray-200 rounded-lg">
+                <div className="flex justify-between items-start gap-4 mb-2">
+                  <h4 className="font-semibold text-gray-800">{entry.issue}</h4>
+                  <span className={`px-2 py-0.5 rounded-full text-xs whitespace-nowrap ${changeLabels[entry.change].className}`}>
+                    {changeLabels[entry.change].text}
+                  </span>
+                </div>
+                <div className="space-y-3">
+                  {entry.sections.map(section => <SectionDiff key={section.label} section={section} />)}
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function SectionDiff({ section }) {
+  if (section.type === 'list') {
+    return (
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-1">{section.label}</p>
+        <ul className="space-y-1 text-sm">
+          {section.added.map((item, i) => (
+            <li key={`added-${i}`} className="flex items-start p-2 rounded bg-green-50 text-green-900">
+              <FaPlus className="mt-1 mr-2 flex-shrink-0" size={10} />
+              {item}
+            </li>
+          ))}
+          {section.removed.map((item, i) => (
+            <li key={`removed-${i}`} className="flex items-start p-2 rounded bg-red-50 text-red-900 line-through">
+              <FaMinus className="mt-1 mr-2 flex-shrink-0" size={10} />
+              {item}
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  }
+
+  // Text sections are shown side by side, earlier version on the left
+  return (
+    <div>
+      <p className="text-sm font-medium text-gray-700 mb-1">{section.label}</p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-2 text-sm">
+        <div className="p-2 rounded bg-red-50 text-gray-800 whitespace-pre-line">{section.before || <em className="text-gray-500">None</em>}</div>
+        <div className="p-2 rounded bg-green-50 text-gray-800 whitespace-pre-line">{section.after || <em className="text-gray-500">None</em>}</div>
+      </div>
+    </div>
+  );
+}
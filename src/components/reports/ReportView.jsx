@@ -1,13 +1,24 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 import { useReactToPrint } from 'react-to-print';
 import { useAppContext } from '../../contexts/AppContext';
 import Button from '../common/Button';
-import { FaFilePdf, FaFile, FaPrint, FaCopy, FaSave, FaList, FaPen, FaArrowLeft, FaEye, FaRedo, FaSpinner } from 'react-icons/fa';
+import { FaFilePdf, FaFile, FaPrint, FaCopy, FaSave, FaList, FaPen, FaArrowLeft, FaEye, FaRedo, FaSpinner, FaStop, FaCheckCircle, FaExclamationTriangle, FaQuestionCircle, FaCalendarAlt, FaMarkdown, FaFileCode, FaHistory } from 'react-icons/fa';
 import DraftCommunication from './DraftCommunication';
 import SavedReportsList from './SavedReportsList';
-import { exportToPDF, exportToWord } from '../../utils/exportUtils';
+import ReportVersionDiff from './ReportVersionDiff';
+import EditableSection from './EditableSection';
+import { exportToPDF, exportToWord, exportToICS, exportToFile, copyToClipboard } from '../../utils/exportUtils';
+import { EDITABLE_SECTIONS, isSectionEdited } from '../../utils/reportEdits';
+import { buildReportDocument, buildLetterDocument, toMarkdown, toPlainText, toHtml, toJson } from '../../utils/reportSerializer';
+import { getIssueActionItems, getReportActionItems } from '../../utils/actionItems';
 import DraftLetterPrompt from './DraftLetterPrompt';
+import { amendmentTypes } from '../../data/amendmentTypes';
+import { describePaymentTimetable } from '../../utils/paymentTimetable';
+import { getNoticeDeadlineStatus } from '../../utils/noticeDeadlines';
+import { matchClause, getClauseVerification, describeClauseVerification } from '../../utils/clauseUtils';
+
+const REPORT_DISCLAIMER = 'This analysis is based on the information provided and is for informational purposes only. It is not legal advice. Please consult with a qualified legal professional before taking any action.';
 
 export default function ReportView() {
   const { 
@@ -16,19 +27,38 @@ export default function ReportView() {
     savedReports,
     saveCurrentReport,
     deleteSavedReport,
+    importSavedReports,
+    updateSavedReportTags,
+    savedReportsError,
+    currentProjectId,
     generateReport,
+    cancelReportGeneration,
+    retryReportIssue,
+    editReportSection,
+    revertReportSection,
     generateDraftCommunication,
+    editDraftLetter,
+    rewriteDraftLetter,
     shouldGenerateLetter,
     setShouldGenerateLetter,
     isGeneratingReport,
-    isGeneratingLetter
+    isGeneratingLetter,
+    senderProfile
   } = useAppContext();
   
   const navigate = useNavigate();
+  const location = useLocation();
   const [showSavedReports, setShowSavedReports] = useState(false);
-  const [selectedReport, setSelectedReport] = useState(null);
+  const [showVersions, setShowVersions] = useState(false);
+  // The project dashboard opens a saved report by passing its ID
+  const [selectedReport, setSelectedReport] = useState(() => (
+    savedReports.find(saved => saved.id === location.state?.reportId) || null
+  ));
   const [showDraft, setShowDraft] = useState(false);
   const [showLetterPrompt, setShowLetterPrompt] = useState(false);
+  const [retryingIssues, setRetryingIssues] = useState([]);
+  const [isRewritingLetter, setIsRewritingLetter] = useState(false);
+  const [calendarExcludedIssues, setCalendarExcludedIssues] = useState([]);
   
   // Refs for printing
   const reportRef = useRef();
@@ -36,6 +66,10 @@ export default function ReportView() {
   
   // Determine which report to display
   const displayReport = selectedReport || report;
+  const isStreamingReport = isGeneratingReport && displayReport === report;
+  const completedIssueCount = displayReport
+    ? displayReport.analysis.filter(analysis => analysis.status === 'complete' || analysis.status === 'failed').length
+    : 0;
 
   // Check if we should show the letter prompt
   useEffect(() => {
@@ -45,13 +79,18 @@ export default function ReportView() {
     }
   }, [report, shouldGenerateLetter, setShouldGenerateLetter]);
 
+  // Calendar selections belong to the report they were made on
+  useEffect(() => {
+    setCalendarExcludedIssues([]);
+  }, [displayReport?.id]);
+
   // Handle letter prompt response
-  const handleLetterPromptResponse = async (wantsDraft) => {
+  const handleLetterPromptResponse = async (wantsDraft, letterOptions) => {
     setShouldGenerateLetter(wantsDraft);
     setShowLetterPrompt(false);
     
     if (wantsDraft) {
-      await generateDraftCommunication(displayReport);
+      await generateDraftCommunication(displayReport, letterOptions);
       setShowDraft(true);
     }
   };
@@ -86,140 +125,88 @@ export default function ReportView() {
   
   // Handle export report to PDF
   const handleExportReportToPDF = () => {
-    if (!reportRef.current) return;
+    if (!displayReport) return;
+    const { projectDetails } = displayReport;
     exportToPDF(
-      reportRef.current, 
-      `Contract_Report_${displayReport?.projectDetails.projectName.replace(/\s+/g, '_')}.pdf`
+      buildReportDocument(displayReport), 
+      `Contract_Report_${projectDetails.projectName.replace(/\s+/g, '_')}.pdf`,
+      {
+        cover: {
+          title: 'Contract Analysis Report',
+          lines: [
+            projectDetails.projectName,
+            projectDetails.contractType,
+            `Prepared for: ${projectDetails.organizationRole}`,
+            `Date: ${new Date(displayReport.date).toLocaleDateString()}`
+          ]
+        },
+        tableOfContents: true,
+        disclaimer: REPORT_DISCLAIMER
+      }
     );
   };
   
   // Handle export draft to PDF
   const handleExportDraftToPDF = () => {
-    if (!draftRef.current) return;
+    if (!draftCommunication) return;
     exportToPDF(
-      draftRef.current, 
-      `Draft_Communication_${displayReport?.projectDetails.projectName.replace(/\s+/g, '_')}.pdf`
+      buildLetterDocument(draftCommunication), 
+      `Draft_Communication_${displayReport?.projectDetails.projectName.replace(/\s+/g, '_')}.pdf`,
+      {
+        letterhead: senderProfile,
+        footerText: draftCommunication.reference ? `Our ref: ${draftCommunication.reference}` : ''
+      }
     );
   };
   
   // Handle export report to Word
   const handleExportReportToWord = () => {
     if (!displayReport) return;
-    
-    // Format the report content
-    let content = `# Contract Report: ${displayReport.projectDetails.projectName}\n\n`;
-    content += `Date: ${new Date(displayReport.date).toLocaleDateString()}\n\n`;
-    content += `## Project Details\n\n`;
-    content += `Project: ${displayReport.projectDetails.projectName}\n`;
-    content += `Description: ${displayReport.projectDetails.projectDescription}\n`;
-    content += `Contract Type: ${displayReport.projectDetails.contractType}\n`;
-    content += `Organization Role: ${displayReport.projectDetails.organizationRole}\n\n`;
-    
-    content += `## Issues Analysis\n\n`;
-    
-    displayReport.analysis.forEach((analysis, index) => {
-      content += `### Issue ${index + 1}: ${analysis.issue}\n\n`;
-      content += `Actions Taken: ${analysis.actionsTaken || 'None'}\n\n`;
-      
-      if (analysis.detailedAnalysis) {
-        content += `#### Analysis:\n${analysis.detailedAnalysis}\n\n`;
-      }
-      
-      if (analysis.legalContext) {
-        content += `#### Legal Context:\n${analysis.legalContext}\n\n`;
-      }
-      
-      content += `#### Relevant Contract Clauses:\n`;
-      analysis.relevantClauses.forEach(clause => {
-        content += `* ${clause}\n`;
-      });
-      
-      if (analysis.clauseExplanations) {
-        content += `\n#### Clause Explanations:\n`;
-        analysis.clauseExplanations.forEach(explanation => {
-          content += `* ${explanation}\n`;
-        });
-      }
-      
-      content += `\n#### Recommendations:\n`;
-      analysis.recommendations.forEach(rec => {
-        content += `* ${rec}\n`;
-      });
-      
-      if (analysis.potentialOutcomes) {
-        content += `\n#### Potential Outcomes:\n${analysis.potentialOutcomes}\n\n`;
-      }
-      
-      if (analysis.timelineSuggestions) {
-        content += `\n#### Timeline Suggestions:\n${analysis.timelineSuggestions}\n\n`;
-      }
-      
-      if (analysis.riskAssessment) {
-        content += `\n#### Risk Assessment:\n${analysis.riskAssessment}\n\n`;
-      }
-      
-      content += `\n`;
-    });
-    
-    exportToWord(content, `Contract_Report_${displayReport.projectDetails.projectName.replace(/\s+/g, '_')}.docx`);
+    exportToWord(
+      buildReportDocument(displayReport), 
+      `Contract_Report_${displayReport.projectDetails.projectName.replace(/\s+/g, '_')}.docx`
+    );
+  };
+  
+  // Handle export report to Markdown
+  const handleExportReportToMarkdown = () => {
+    if (!displayReport) return;
+    exportToFile(
+      toMarkdown(buildReportDocument(displayReport)), 
+      `Contract_Report_${displayReport.projectDetails.projectName.replace(/\s+/g, '_')}.md`,
+      'text/markdown'
+    );
+  };
+  
+  // Handle export report to JSON
+  const handleExportReportToJSON = () => {
+    if (!displayReport) return;
+    exportToFile(
+      toJson(buildReportDocument(displayReport)), 
+      `Contract_Report_${displayReport.projectDetails.projectName.replace(/\s+/g, '_')}.json`,
+      'application/json'
+    );
   };
   
   // Handle export draft to Word
   const handleExportDraftToWord = () => {
     if (!draftCommunication) return;
-    
-    // Format the draft content
-    let content = `${draftCommunication.greeting}\n\n`;
-    content += `${draftCommunication.body}\n\n`;
-    if (draftCommunication.closing) {
-      content += `${draftCommunication.closing}\n\n`;
-    }
-    content += `${draftCommunication.sender}`;
-    
-    exportToWord(content, `Draft_Communication_${displayReport.projectDetails.projectName.replace(/\s+/g, '_')}.docx`);
+    exportToWord(
+      buildLetterDocument(draftCommunication), 
+      `Draft_Communication_${displayReport.projectDetails.projectName.replace(/\s+/g, '_')}.docx`,
+      {
+        letterhead: senderProfile,
+        footerText: draftCommunication.reference ? `Our ref: ${draftCommunication.reference}` : ''
+      }
+    );
   };
   
   // Handle copy report to clipboard
   const handleCopyReportToClipboard = () => {
     if (!displayReport) return;
+    const reportDocument = buildReportDocument(displayReport);
     
-    // Format the report content
-    let content = `Contract Report: ${displayReport.projectDetails.projectName}\n\n`;
-    content += `Date: ${new Date(displayReport.date).toLocaleDateString()}\n\n`;
-    content += `Project Details:\n`;
-    content += `Project: ${displayReport.projectDetails.projectName}\n`;
-    content += `Description: ${displayReport.projectDetails.projectDescription}\n`;
-    content += `Contract Type: ${displayReport.projectDetails.contractType}\n`;
-    content += `Organization Role: ${displayReport.projectDetails.organizationRole}\n\n`;
-    
-    content += `Issues Analysis:\n\n`;
-    
-    displayReport.analysis.forEach((analysis, index) => {
-      content += `Issue ${index + 1}: ${analysis.issue}\n`;
-      content += `Actions Taken: ${analysis.actionsTaken || 'None'}\n\n`;
-      
-      if (analysis.detailedAnalysis) {
-        content += `Analysis: ${analysis.detailedAnalysis}\n\n`;
-      }
-      
-      content += `Relevant Contract Clauses:\n`;
-      analysis.relevantClauses.forEach(clause => {
-        content += `- ${clause}\n`;
-      });
-      
-      content += `\nRecommendations:\n`;
-      analysis.recommendations.forEach(rec => {
-        content += `- ${rec}\n`;
-      });
-      
-      if (analysis.potentialOutcomes) {
-        content += `\nPotential Outcomes: ${analysis.potentialOutcomes}\n\n`;
-      }
-      
-      content += `\n`;
-    });
-    
-    navigator.clipboard.writeText(content)
+    copyToClipboard({ text: toPlainText(reportDocument), html: toHtml(reportDocument) })
       .then(() => {
         alert('Report copied to clipboard');
       })
@@ -228,19 +215,40 @@ export default function ReportView() {
       });
   };
   
+  // Handle export of the selected issues' action items to a calendar file
+  const handleExportToCalendar = () => {
+    if (!displayReport) return;
+    
+    const issueIndexes = displayReport.analysis
+      .map((_, index) => index)
+      .filter(index => !calendarExcludedIssues.includes(index));
+    const items = getReportActionItems(displayReport, issueIndexes);
+    
+    if (items.length === 0) {
+      alert('There are no dated action items for the selected issues.');
+      return;
+    }
+    
+    exportToICS(
+      items,
+      `Action_Items_${displayReport.projectDetails.projectName.replace(/\s+/g, '_')}.ics`,
+      { reportId: displayReport.id, projectName: displayReport.projectDetails.projectName }
+    );
+  };
+  
+  // Include or leave out an issue's action items in the calendar export
+  const toggleCalendarIssue = (index) => {
+    setCalendarExcludedIssues(prev =>
+      prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index]
+    );
+  };
+  
   // Handle copy draft to clipboard
   const handleCopyDraftToClipboard = () => {
     if (!draftCommunication) return;
+    const letterDocument = buildLetterDocument(draftCommunication);
     
-    // Format the draft content
-    let content = `${draftCommunication.greeting}\n\n`;
-    content += `${draftCommunication.body}\n\n`;
-    if (draftCommunication.closing) {
-      content += `${draftCommunication.closing}\n\n`;
-    }
-    content += `${draftCommunication.sender}`;
-    
-    navigator.clipboard.writeText(content)
+    copyToClipboard({ text: toPlainText(letterDocument), html: toHtml(letterDocument) })
       .then(() => {
         alert('Draft communication copied to clipboard');
       })
@@ -250,9 +258,13 @@ export default function ReportView() {
   };
   
   // Handle save current report
-  const handleSaveReport = () => {
-    saveCurrentReport();
-    alert('Report saved successfully');
+  const handleSaveReport = async () => {
+    try {
+      await saveCurrentReport();
+      alert('Report saved successfully');
+    } catch (error) {
+      alert(error.message);
+    }
   };
   
   // Handle load saved report
@@ -273,19 +285,101 @@ export default function ReportView() {
     }
   };
   
-  // Generate a new report using the current project details
+  // Regenerate the displayed report as a new version, keeping the earlier analysis in its history
   const handleRegenerateReport = async () => {
+    const previousReport = displayReport;
     try {
-      await generateReport();
-      setSelectedReport(null); // Switch back to the current report
+      setSelectedReport(null); // Switch back to the current report so progress is visible
       setShowDraft(false);
       setShouldGenerateLetter(false); // Don't automatically show the prompt again
+      await generateReport({
+        previousReport,
+        // Use the project form when it is open for this report's project, otherwise the report's own inputs
+        details: currentProjectId === previousReport.projectId ? null : previousReport.projectDetails
+      });
     } catch (error) {
       console.error('Error regenerating report:', error);
       alert('An error occurred while regenerating the report. Please try again.');
     }
   };
 
+  // Replace a section of an issue with the user's wording
+  const handleEditSection = (index, section, value) => {
+    const updatedReport = editReportSection(displayReport, index, section, value);
+    if (selectedReport) {
+      setSelectedReport(updatedReport);
+    }
+  };
+  
+  // Put back the generated wording of a section
+  const handleRevertSection = (index, section) => {
+    const updatedReport = revertReportSection(displayReport, index, section);
+    if (selectedReport) {
+      setSelectedReport(updatedReport);
+    }
+  };
+  
+  const getSectionProps = (analysis, index, section) => {
+    const { label, type } = EDITABLE_SECTIONS.find(editable => editable.key === section);
+    return {
+      label,
+      type,
+      value: analysis[section] || (type === 'text' ? '' : []),
+      edited: isSectionEdited(analysis, section),
+      // Sections can't be edited while the analysis is still streaming in
+      editable: !isStreamingReport,
+      onSave: (value) => handleEditSection(index, section, value),
+      onRevert: () => handleRevertSection(index, section)
+    };
+  };
+  
+  // Keep a saved report opened from the list in step with edits to its letter
+  const keepSelectedLetter = (updatedLetter) => {
+    if (selectedReport && selectedReport.id === updatedLetter.reportId) {
+      setSelectedReport(prev => ({
+        ...prev,
+        draftLetters: (prev.draftLetters || []).map(letter => (letter.id === updatedLetter.id ? updatedLetter : letter))
+      }));
+    }
+  };
+  
+  // Replace part of the draft letter with the user's wording
+  const handleEditLetterPart = (part, paragraphIndex, text) => {
+    try {
+      keepSelectedLetter(editDraftLetter(part, paragraphIndex, text));
+    } catch (error) {
+      console.error('Error editing letter:', error);
+      alert(error.message);
+    }
+  };
+  
+  // Redraft part of the draft letter. The letter is locked meanwhile so the rewrite applies to the latest
+  // wording; errors are shown next to the part being rewritten.
+  const handleRewriteLetterPart = async (part, paragraphIndex, instruction) => {
+    setIsRewritingLetter(true);
+    try {
+      keepSelectedLetter(await rewriteDraftLetter(part, paragraphIndex, instruction));
+    } finally {
+      setIsRewritingLetter(false);
+    }
+  };
+  
+  // Re-run the analysis for a single failed issue
+  const handleRetryIssue = async (index) => {
+    setRetryingIssues(prev => [...prev, index]);
+    try {
+      const updatedReport = await retryReportIssue(displayReport, index);
+      if (selectedReport) {
+        setSelectedReport(updatedReport);
+      }
+    } catch (error) {
+      console.error('Error retrying issue:', error);
+      alert('An error occurred while regenerating this issue. Please try again.');
+    } finally {
+      setRetryingIssues(prev => prev.filter(i => i !== index));
+    }
+  };
+
   // Handle creating a draft letter
   const handleCreateDraftLetter = async () => {
     // If we're just toggling between views
@@ -311,6 +405,19 @@ export default function ReportView() {
         onClose={() => setShowSavedReports(false)}
         onLoad={handleLoadReport}
         onDelete={handleDeleteReport}
+        onAdjudicate={(savedReport) => navigate(`/adjudication/${savedReport.id}`)}
+        onImport={importSavedReports}
+        onUpdateTags={updateSavedReportTags}
+        storageError={savedReportsError}
+      />
+    );
+  }
+
+  if (showVersions && displayReport) {
+    return (
+      <ReportVersionDiff
+        report={displayReport}
+        onClose={() => setShowVersions(false)}
       />
     );
   }
@@ -318,6 +425,7 @@ export default function ReportView() {
   if (showLetterPrompt) {
     return (
       <DraftLetterPrompt
+        report={displayReport}
         onResponse={handleLetterPromptResponse}
       />
     );
@@ -338,6 +446,7 @@ export default function ReportView() {
               variant="success"
               icon={<FaSave />}
               title="Save Report"
+              disabled={isGeneratingReport}
             >
               Save
             </Button>
@@ -382,7 +491,7 @@ export default function ReportView() {
               variant="info"
               icon={<FaPen />}
               title="Create or View Draft Letter"
-              disabled={isGeneratingLetter}
+              disabled={isGeneratingLetter || isStreamingReport}
             >
               Letter
             </Button>
@@ -417,6 +526,22 @@ export default function ReportView() {
               title="Export to Word"
             />
             
+            <Button
+              onClick={handleExportReportToMarkdown}
+              size="sm"
+              variant="light"
+              icon={<FaMarkdown />}
+              title="Export to Markdown"
+            />
+            
+            <Button
+              onClick={handleExportReportToJSON}
+              size="sm"
+              variant="light"
+              icon={<FaFileCode />}
+              title="Export to JSON"
+            />
+            
             <Button
               onClick={handleCopyReportToClipboard}
               size="sm"
@@ -425,21 +550,69 @@ export default function ReportView() {
               title="Copy to Clipboard"
             />
             
-            {selectedReport && (
-              <Button
-                onClick={handleRegenerateReport}
-                disabled={isGeneratingReport}
-                size="sm"
-                variant="success"
-                icon={isGeneratingReport ? <FaSpinner className="animate-spin" /> : <FaRedo />}
-                title="Generate New Report"
-                className="ml-auto"
-              >
-                {isGeneratingReport ? 'Generating...' : 'New Report'}
-              </Button>
-            )}
+            <Button
+              onClick={handleExportToCalendar}
+              size="sm"
+              variant="info"
+              icon={<FaCalendarAlt />}
+              title="Export Action Items to Calendar (.ics)"
+            />
+            
+            <div className="ml-auto flex gap-2">
+              {displayReport.versions?.length > 0 && (
+                <Button
+                  onClick={() => setShowVersions(true)}
+                  disabled={isStreamingReport}
+                  size="sm"
+                  variant="light"
+                  icon={<FaHistory />}
+                  title="Compare Versions"
+                >
+                  Versions ({displayReport.versions.length + 1})
+                </Button>
+              )}
+              
+              {!isStreamingReport && (
+                <Button
+                  onClick={handleRegenerateReport}
+                  disabled={isGeneratingReport}
+                  size="sm"
+                  variant="success"
+                  icon={isGeneratingReport ? <FaSpinner className="animate-spin" /> : <FaRedo />}
+                  title="Generate a New Version"
+                >
+                  {isGeneratingReport ? 'Generating...' : 'Regenerate'}
+                </Button>
+              )}
+            </div>
           </div>
           
+          {isStreamingReport && (
+            <div className="mb-6 p-4 border border-blue-200 rounded-lg bg-blue-50">
+              <div className="flex justify-between items-center mb-2">
+                <p className="text-sm font-medium text-blue-800 flex items-center">
+                  <FaSpinner className="animate-spin mr-2" />
+                  Analysing issues: {completedIssueCount} of {displayReport.analysis.length} complete
+                </p>
+                <Button
+                  onClick={cancelReportGeneration}
+                  size="sm"
+                  variant="danger"
+                  icon={<FaStop />}
+                  title="Cancel Report Generation"
+                >
+                  Cancel
+                </Button>
+              </div>
+              <div className="w-full h-2 bg-blue-100 rounded-full overflow-hidden">
+                <div
+                  className="h-2 bg-blue-600 transition-all"
+                  style={{ width: `${(completedIssueCount / displayReport.analysis.length) * 100}%` }}
+                />
+              </div>
+            </div>
+          )}
+          
           <div 
             ref={reportRef} 
             className="p-6 border border-gray-200 rounded-lg bg-white mb-6"
@@ -457,6 +630,17 @@ export default function ReportView() {
                   <p className="text-gray-800">{displayReport.projectDetails.contractType}</p>
                 </div>
                 
+                {displayReport.contractDocuments?.length > 0 && (
+                  <div>
+                    <p className="text-sm font-medium text-gray-600">Contract Documents:</p>
+                    {displayReport.contractDocuments.map((document, i) => (
+                      <p key={i} className="text-gray-800">
+                        {document.fileName} ({document.clauseCount} clauses)
+                      </p>
+                    ))}
+                  </div>
+                )}
+                
                 <div>
                   <p className="text-sm font-medium text-gray-600">Your Role:</p>
                   <p className="text-gray-800">{displayReport.projectDetails.organizationRole}</p>
@@ -464,7 +648,10 @@ export default function ReportView() {
                 
                 <div>
                   <p className="text-sm font-medium text-gray-600">Report Date:</p>
-                  <p className="text-gray-800">{new Date(displayReport.date).toLocaleDateString()}</p>
+                  <p className="text-gray-800">
+                    {new Date(displayReport.date).toLocaleDateString()}
+                    {displayReport.versions?.length > 0 && ` (version ${displayReport.versions.length + 1})`}
+                  </p>
                 </div>
               </div>
               
@@ -474,8 +661,53 @@ export default function ReportView() {
               </div>
             </div>
             
+            {displayReport.projectDetails.amendments?.length > 0 && (
+              <div className="mb-6 pb-4 border-b border-gray-200">
+                <h3 className="text-xl font-bold text-gray-800 mb-2">Contract Amendments</h3>
+                <ul className="space-y-2">
+                  {displayReport.projectDetails.amendments.map((amendment, index) => (
+                    <li key={index} className="text-gray-800">
+                      <span className="font-medium">
+                        {/^\d/.test(amendment.clauseReference.trim()) ? 'Clause ' : ''}{amendment.clauseReference}
+                      </span>
+                      <span className={`ml-2 inline-block px-2 py-0.5 rounded text-xs font-medium ${
+                        amendment.type === 'deleted' ? 'bg-red-100 text-red-800' : amendment.type === 'added' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+                      }`}>
+                        {amendmentTypes.find(type => type.value === amendment.type)?.label || amendment.type}
+                      </span>
+                      {amendment.type !== 'deleted' && amendment.wording && (
+                        <p className="text-sm text-gray-700 whitespace-pre-line mt-1">{amendment.wording}</p>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            
+            {displayReport.paymentTimetable && (
+              <div className="mb-6 pb-4 border-b border-gray-200">
+                <h3 className="text-xl font-bold text-gray-800 mb-2">Payment Timetable</h3>
+                <p className="text-sm text-gray-600 mb-2">
+                  Calculated under the Housing Grants, Construction and Regeneration Act 1996 (as amended) and the Scheme for Construction Contracts. Check the dates against the contract before relying on them.
+                </p>
+                <ul className="list-disc pl-5 space-y-1">
+                  {describePaymentTimetable(displayReport.paymentTimetable).map((line, i) => (
+                    <li key={i} className="text-gray-800">{line}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            
             <h3 className="text-xl font-bold text-gray-800 mb-4">Issues Analysis</h3>
             
+            {displayReport.partial && (
+              <div className="mb-4 p-3 border border-yellow-300 rounded-lg bg-yellow-50">
+                <p className="text-sm text-yellow-800">
+                  Some issues could not be analysed and are marked below. Retry them individually or generate a new report.
+                </p>
+              </div>
+            )}
+            
             <div className="space-y-6">
               {displayReport.analysis.map((analysis, index) => (
                 <div key={index} className="p-4 border border-gray-200 rounded-lg bg-gray-50">
@@ -483,6 +715,35 @@ export default function ReportView() {
                     Issue #{index + 1}: {analysis.issue}
                   </h4>
                   
+                  {analysis.status === 'pending' && (
+                    <p className="mb-4 text-sm text-gray-500 italic">Waiting for analysis...</p>
+                  )}
+                  
+                  {analysis.status === 'in-progress' && (
+                    <p className="mb-4 text-sm text-blue-700 flex items-center">
+                      <FaSpinner className="animate-spin mr-2" />
+                      Analysing this issue...
+                    </p>
+                  )}
+                  
+                  {analysis.status === 'failed' && (
+                    <div className="mb-4 p-3 border border-red-200 rounded-lg bg-red-50 flex justify-between items-center gap-4">
+                      <p className="text-sm text-red-800">{analysis.error}</p>
+                      {!isStreamingReport && (
+                        <Button
+                          onClick={() => handleRetryIssue(index)}
+                          disabled={retryingIssues.includes(index)}
+                          size="sm"
+                          variant="danger"
+                          icon={retryingIssues.includes(index) ? <FaSpinner className="animate-spin" /> : <FaRedo />}
+                          title="Retry This Issue"
+                        >
+                          {retryingIssues.includes(index) ? 'Retrying...' : 'Retry'}
+                        </Button>
+                      )}
+                    </div>
+                  )}
+                  
                   {analysis.actionsTaken && (
                     <div className="mb-4">
                       <p className="text-sm font-medium text-gray-600">Actions Taken:</p>
@@ -490,68 +751,142 @@ export default function ReportView() {
                     </div>
                   )}
 
-                  {analysis.detailedAnalysis && (
+                  {analysis.noticeDeadlines?.length > 0 && (
                     <div className="mb-4">
-                      <h5 className="text-md font-medium text-gray-700 mb-2">Detailed Analysis:</h5>
-                      <p className="text-gray-800">{analysis.detailedAnalysis}</p>
+                      <h5 className="text-md font-medium text-gray-700 mb-2">
+                        Notice Deadlines{analysis.eventDate ? ` (event on ${new Date(analysis.eventDate).toLocaleDateString(undefined, { timeZone: 'UTC' })})` : ''}:
+                      </h5>
+                      <ul className="space-y-2">
+                        {analysis.noticeDeadlines.map((deadline, i) => (
+                          <li key={i} className={`p-2 border rounded ${deadline.conditionPrecedent ? 'border-red-200 bg-red-50' : 'border-gray-200 bg-white'}`}>
+                            <div className="flex flex-wrap items-center gap-2">
+                              <span className="font-medium text-gray-800">{deadline.clause}</span>
+                              <NoticeDeadlineBadge deadline={deadline} />
+                              {deadline.conditionPrecedent && (
+                                <span className="px-2 py-0.5 rounded text-xs font-medium bg-red-100 text-red-800">Condition precedent</span>
+                              )}
+                            </div>
+                            <p className="text-sm text-gray-600">{deadline.timing}</p>
+                          </li>
+                        ))}
+                      </ul>
+                      {!analysis.eventDate && analysis.noticeDeadlines.some(deadline => !deadline.forthwith && !deadline.from) && (
+                        <p className="mt-1 text-xs text-gray-500">Add the event date to the issue to calculate these deadlines.</p>
+                      )}
                     </div>
                   )}
 
-                  {analysis.legalContext && (
-                    <div className="mb-4">
-                      <h5 className="text-md font-medium text-gray-700 mb-2">Legal Context:</h5>
+                  {(analysis.detailedAnalysis || isSectionEdited(analysis, 'detailedAnalysis')) && (
+                    <EditableSection {...getSectionProps(analysis, index, 'detailedAnalysis')}>
+                      <p className="text-gray-800">{analysis.detailedAnalysis}</p>
+                    </EditableSection>
+                  )}
+
+                  {(analysis.legalContext || isSectionEdited(analysis, 'legalContext')) && (
+                    <EditableSection {...getSectionProps(analysis, index, 'legalContext')}>
                       <p className="text-gray-800 whitespace-pre-line">{analysis.legalContext}</p>
-                    </div>
+                    </EditableSection>
                   )}
                   
-                  <div className="mb-4">
-                    <h5 className="text-md font-medium text-gray-700 mb-2">Relevant Contract Clauses:</h5>
-                    <ul className="list-disc pl-5 space-y-1">
-                      {analysis.relevantClauses.map((clause, i) => (
-                        <li key={i} className="text-gray-800">{clause}</li>
-                      ))}
-                    </ul>
-                  </div>
+                  {(analysis.relevantClauses?.length > 0 || isSectionEdited(analysis, 'relevantClauses')) && (
+                    <EditableSection {...getSectionProps(analysis, index, 'relevantClauses')}>
+                      <ul className="list-disc pl-5 space-y-1">
+                        {analysis.relevantClauses.map((clause, i) => {
+                          const libraryClause = matchClause(displayReport.projectDetails.contractType, clause);
+                          const verification = getClauseVerification(displayReport.projectDetails.contractType, analysis)[i];
+                          return (
+                            <li key={i} className="text-gray-800">
+                              {clause}
+                              <ClauseVerificationBadge verification={verification} />
+                              {libraryClause && (
+                                <p className="text-sm text-gray-600">{libraryClause.summary}</p>
+                              )}
+                            </li>
+                          );
+                        })}
+                      </ul>
+                    </EditableSection>
+                  )}
 
-                  {analysis.clauseExplanations && analysis.clauseExplanations.length > 0 && (
+                  {analysis.contractClauses?.length > 0 && (
                     <div className="mb-4">
-                      <h5 className="text-md font-medium text-gray-700 mb-2">Clause Explanations:</h5>
+                      <h5 className="text-md font-medium text-gray-700 mb-2">From Your Contract:</h5>
+                      <div className="space-y-2">
+                        {analysis.contractClauses.map((clause, i) => (
+                          <details key={i} className="border border-gray-200 rounded bg-white">
+                            <summary className="px-3 py-2 cursor-pointer text-sm font-medium text-gray-800">
+                              Clause {clause.number}{clause.heading ? ` - ${clause.heading}` : ''}
+                              {clause.source && <span className="ml-2 text-xs text-gray-500">{clause.source}</span>}
+                            </summary>
+                            <blockquote className="px-3 pb-3 text-sm text-gray-700 whitespace-pre-line">
+                              {clause.text}
+                            </blockquote>
+                          </details>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {(analysis.clauseExplanations?.length > 0 || isSectionEdited(analysis, 'clauseExplanations')) && (
+                    <EditableSection {...getSectionProps(analysis, index, 'clauseExplanations')}>
                       <ul className="list-disc pl-5 space-y-1">
                         {analysis.clauseExplanations.map((explanation, i) => (
                           <li key={i} className="text-gray-800">{explanation}</li>
                         ))}
                       </ul>
-                    </div>
+                    </EditableSection>
                   )}
                   
-                  <div className="mb-4">
-                    <h5 className="text-md font-medium text-gray-700 mb-2">Recommendations:</h5>
-                    <ul className="list-disc pl-5 space-y-1">
-                      {analysis.recommendations.map((recommendation, i) => (
-                        <li key={i} className="text-gray-800">{recommendation}</li>
-                      ))}
-                    </ul>
-                  </div>
+                  {(analysis.recommendations?.length > 0 || isSectionEdited(analysis, 'recommendations')) && (
+                    <EditableSection {...getSectionProps(analysis, index, 'recommendations')}>
+                      <ul className="list-disc pl-5 space-y-1">
+                        {analysis.recommendations.map((recommendation, i) => (
+                          <li key={i} className="text-gray-800">{recommendation}</li>
+                        ))}
+                      </ul>
+                    </EditableSection>
+                  )}
 
-                  {analysis.potentialOutcomes && (
-                    <div className="mb-4">
-                      <h5 className="text-md font-medium text-gray-700 mb-2">Potential Outcomes:</h5>
+                  {(analysis.potentialOutcomes || isSectionEdited(analysis, 'potentialOutcomes')) && (
+                    <EditableSection {...getSectionProps(analysis, index, 'potentialOutcomes')}>
                       <p className="text-gray-800 whitespace-pre-line">{analysis.potentialOutcomes}</p>
-                    </div>
+                    </EditableSection>
                   )}
 
-                  {analysis.timelineSuggestions && (
-                    <div className="mb-4">
-                      <h5 className="text-md font-medium text-gray-700 mb-2">Timeline Suggestions:</h5>
+                  {(analysis.timelineSuggestions || isSectionEdited(analysis, 'timelineSuggestions')) && (
+                    <EditableSection {...getSectionProps(analysis, index, 'timelineSuggestions')}>
                       <p className="text-gray-800 whitespace-pre-line">{analysis.timelineSuggestions}</p>
-                    </div>
+                    </EditableSection>
+                  )}
+
+                  {(getIssueActionItems(analysis, displayReport.paymentTimetable).length > 0 || isSectionEdited(analysis, 'actionItems')) && (
+                    <EditableSection {...getSectionProps(analysis, index, 'actionItems')}>
+                      <label className="flex items-center gap-1 mb-2 text-sm text-gray-600">
+                        <input
+                          type="checkbox"
+                          checked={!calendarExcludedIssues.includes(index)}
+                          onChange={() => toggleCalendarIssue(index)}
+                        />
+                        Include in calendar export
+                      </label>
+                      <ul className="space-y-1">
+                        {getIssueActionItems(analysis, displayReport.paymentTimetable).map((item, i) => (
+                          <li key={i} className="text-gray-800">
+                            <span className="font-medium">{new Date(item.date).toLocaleDateString(undefined, { timeZone: 'UTC' })}</span>
+                            {' - '}{item.title}
+                            {item.source === 'timeline' && item.clause && (
+                              <span className="text-sm text-gray-500"> ({item.clause})</span>
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                    </EditableSection>
                   )}
 
-                  {analysis.riskAssessment && (
-                    <div>
-                      <h5 className="text-md font-medium text-gray-700 mb-2">Risk Assessment:</h5>
+                  {(analysis.riskAssessment || isSectionEdited(analysis, 'riskAssessment')) && (
+                    <EditableSection {...getSectionProps(analysis, index, 'riskAssessment')} className="">
                       <p className="text-gray-800 whitespace-pre-line">{analysis.riskAssessment}</p>
-                    </div>
+                    </EditableSection>
                   )}
                 </div>
               ))}
@@ -559,8 +894,7 @@ export default function ReportView() {
             
             <div className="mt-6 pt-4 border-t border-gray-200">
               <p className="text-sm text-gray-600 italic">
-                Note: This analysis is based on the information provided and is for informational purposes only. 
-                It is not legal advice. Please consult with a qualified legal professional before taking any action.
+                Note: {REPORT_DISCLAIMER}
               </p>
             </div>
           </div>
@@ -603,6 +937,10 @@ export default function ReportView() {
           
           <DraftCommunication 
             draftCommunication={draftCommunication} 
+            senderProfile={senderProfile}
+            editable={!isGeneratingLetter && !isRewritingLetter}
+            onEditPart={handleEditLetterPart}
+            onRewritePart={handleRewriteLetterPart}
             ref={draftRef} 
           />
         </>
@@ -624,22 +962,75 @@ export default function ReportView() {
             size="sm"
             variant="primary"
             icon={<FaPen />}
-            disabled={isGeneratingLetter}
+            disabled={isGeneratingLetter || isStreamingReport}
           >
             Create Draft Letter
           </Button>
         ) : (
-          <Button
-            onClick={() => generateDraftCommunication(displayReport)}
-            size="sm"
-            variant="primary"
-            icon={isGeneratingLetter ? <FaSpinner className="animate-spin" /> : <FaRedo />}
-            disabled={isGeneratingLetter}
-          >
-            {isGeneratingLetter ? 'Generating...' : 'Refresh Draft Letter'}
-          </Button>
+          <div className="flex gap-2">
+            <Button
+              onClick={() => setShowLetterPrompt(true)}
+              size="sm"
+              variant="secondary"
+              icon={<FaPen />}
+              disabled={isGeneratingLetter}
+            >
+              Change Letter Type
+            </Button>
+            
+            <Button
+              onClick={() => generateDraftCommunication(displayReport, draftCommunication ? {
+                letterType: draftCommunication.letterType,
+                letterFields: draftCommunication.letterFields,
+                issueIndex: draftCommunication.issueIndex,
+                signatoryId: draftCommunication.signatoryId,
+                reference: draftCommunication.reference
+              } : undefined)}
+              size="sm"
+              variant="primary"
+              icon={isGeneratingLetter ? <FaSpinner className="animate-spin" /> : <FaRedo />}
+              disabled={isGeneratingLetter}
+            >
+              {isGeneratingLetter ? 'Generating...' : 'Refresh Draft Letter'}
+            </Button>
+          </div>
         )}
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
+
+function ClauseVerificationBadge({ verification }) {
+  const styles = {
+    verified: { className: 'bg-green-100 text-green-800', icon: <FaCheckCircle /> },
+    'wrong-edition': { className: 'bg-red-100 text-red-800', icon: <FaExclamationTriangle /> },
+    unknown: { className: 'bg-yellow-100 text-yellow-800', icon: <FaQuestionCircle /> }
+  };
+  const { className, icon } = styles[verification.status] || styles.unknown;
+  
+  return (
+    <span className={`ml-2 inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium ${className}`}>
+      {icon}
+      {describeClauseVerification(verification)}
+    </span>
+  );
+}
+
+function NoticeDeadlineBadge({ deadline }) {
+  const status = getNoticeDeadlineStatus(deadline);
+  const styles = {
+    expired: { className: 'bg-red-100 text-red-800', label: 'Passed' },
+    imminent: { className: 'bg-yellow-100 text-yellow-800', label: 'Due soon' },
+    open: { className: 'bg-blue-100 text-blue-800', label: 'Open' },
+    forthwith: { className: 'bg-yellow-100 text-yellow-800', label: 'Forthwith' },
+    undated: { className: 'bg-gray-100 text-gray-700', label: deadline.from ? `Runs from ${deadline.from}` : 'No fixed period' }
+  };
+  const { className, label } = styles[status];
+  
+  return (
+    <span className={`inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium ${className}`}>
+      {deadline.deadline && `${new Date(deadline.deadline).toLocaleDateString(undefined, { timeZone: 'UTC' })} - `}
+      {label}
+    </span>
+  );
+}
@@ -1,13 +1,95 @@
-import React from 'react';
+import React, { useState } from 'react';
 import Button from '../common/Button';
-import { FaTrash, FaArrowRight, FaTimes } from 'react-icons/fa';
+import { FaTrash, FaArrowRight, FaTimes, FaGavel, FaFileExport, FaFileImport, FaSearch } from 'react-icons/fa';
+import { createReportFile, parseReportFile } from '../../utils/reportArchive';
+import { exportToFile } from '../../utils/exportUtils';
+import { addTag, filterSavedReports, getReportFilterOptions } from '../../utils/reportSearch';
 
-export default function SavedReportsList({ savedReports, onClose, onLoad, onDelete }) {
-  if (savedReports.length === 0) {
-    return (
-      <div className="max-w-4xl mx-auto bg-white shadow-lg rounded-lg p-6 text-center">
-        <div className="flex justify-between items-center mb-6">
-          <h2 className="text-2xl font-bold text-gray-800">Saved Reports</h2>
+const emptyFilters = { query: '', contractType: '', organizationRole: '', tag: '', dateFrom: '', dateTo: '' };
+
+export default function SavedReportsList({ savedReports, onClose, onLoad, onDelete, onAdjudicate, onImport, onUpdateTags, storageError }) {
+  const [importResult, setImportResult] = useState(null);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [tagInputs, setTagInputs] = useState({});
+  
+  const filterOptions = getReportFilterOptions(savedReports);
+  const filteredReports = filterSavedReports(savedReports, filters);
+  const isFiltered = Object.values(filters).some(Boolean);
+  
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+  
+  const handleAddTag = (e, report) => {
+    e.preventDefault();
+    onUpdateTags(report.id, addTag(report.tags || [], tagInputs[report.id] || ''));
+    setTagInputs(prev => ({ ...prev, [report.id]: '' }));
+  };
+  
+  const handleExport = (reports, filename) => {
+    exportToFile(JSON.stringify(createReportFile(reports), null, 2), filename, 'application/json');
+  };
+  
+  const handleImport = (e) => {
+    const [file] = e.target.files;
+    // Clear the input so the same file can be chosen again
+    e.target.value = '';
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const { reports, skipped } = parseReportFile(reader.result);
+        const { added, renamed, duplicates } = onImport(reports);
+        setImportResult({
+          error: false,
+          messages: [
+            `Imported ${added} report${added === 1 ? '' : 's'} from ${file.name}.`,
+            renamed > 0 && `${renamed} had the same ID as a different saved report and ${renamed === 1 ? 'was' : 'were'} given a new ID.`,
+            duplicates > 0 && `${duplicates} ${duplicates === 1 ? 'was' : 'were'} already saved and skipped.`,
+            ...skipped.map(problem => `Not imported - ${problem}.`)
+          ].filter(Boolean)
+        });
+      } catch (error) {
+        setImportResult({ error: true, messages: [`${file.name} could not be imported. ${error.message}`] });
+      }
+    };
+    reader.onerror = () => setImportResult({ error: true, messages: [`${file.name} could not be read. Please try again.`] });
+    reader.readAsText(file);
+  };
+  
+  const inputClass = 'box-border w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+  
+  const header = (
+    <>
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold text-gray-800">Saved Reports</h2>
+        <div className="flex gap-2">
+          <label
+            htmlFor="reportImportFile"
+            className="flex items-center px-2 py-1 rounded-md border border-gray-300 text-gray-700 cursor-pointer hover:bg-gray-100"
+          >
+            <FaFileImport className="mr-2" />
+            Import
+            <input
+              type="file"
+              id="reportImportFile"
+              accept=".json,application/json"
+              onChange={handleImport}
+              className="hidden"
+            />
+          </label>
+          {savedReports.length > 0 && (
+            <Button
+              onClick={() => handleExport(savedReports, `Saved_Reports_${new Date().toISOString().slice(0, 10)}.json`)}
+              variant="light"
+              className="px-2 py-1"
+              icon={<FaFileExport />}
+            >
+              Export All
+            </Button>
+          )}
           <Button
             onClick={onClose}
             className="bg-gray-600 hover:bg-gray-700 px-2 py-1"
@@ -16,6 +98,28 @@ export default function SavedReportsList({ savedReports, onClose, onLoad, onDele
             Close
           </Button>
         </div>
+      </div>
+      
+      {storageError && (
+        <div className="mb-6 p-3 border border-red-300 rounded bg-red-50 text-sm text-left text-red-900">
+          {storageError}
+        </div>
+      )}
+      
+      {importResult && (
+        <div className={`mb-6 p-3 border rounded text-sm text-left ${importResult.error ? 'border-red-300 bg-red-50 text-red-900' : 'border-green-300 bg-green-50 text-green-900'}`}>
+          {importResult.messages.map((message, i) => (
+            <p key={i}>{message}</p>
+          ))}
+        </div>
+      )}
+    </>
+  );
+  
+  if (savedReports.length === 0) {
+    return (
+      <div className="max-w-4xl mx-auto bg-white shadow-lg rounded-lg p-6 text-center">
+        {header}
         
         <p className="text-gray-600 mb-6">You don't have any saved reports yet.</p>
         
@@ -31,19 +135,53 @@ export default function SavedReportsList({ savedReports, onClose, onLoad, onDele
   
   return (
     <div className="max-w-4xl mx-auto bg-white shadow-lg rounded-lg p-6">
-      <div className="flex justify-between items-center mb-6">
-        <h2 className="text-2xl font-bold text-gray-800">Saved Reports</h2>
-        <Button
-          onClick={onClose}
-          className="bg-gray-600 hover:bg-gray-700 px-2 py-1"
-          icon={<FaTimes />}
-        >
-          Close
-        </Button>
+      {header}
+      
+      <div className="mb-6 p-4 border border-gray-200 rounded-lg bg-gray-50 space-y-3">
+        <div className="relative">
+          <FaSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input
+            type="search"
+            name="query"
+            aria-label="Search saved reports"
+            value={filters.query}
+            onChange={handleFilterChange}
+            className={`${inputClass} pl-9`}
+            placeholder="Search project names, issues and analysis"
+          />
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+          <select name="contractType" aria-label="Contract type" value={filters.contractType} onChange={handleFilterChange} className={inputClass}>
+            <option value="">All contract types</option>
+            {filterOptions.contractTypes.map(type => <option key={type} value={type}>{type}</option>)}
+          </select>
+          <select name="organizationRole" aria-label="Role" value={filters.organizationRole} onChange={handleFilterChange} className={inputClass}>
+            <option value="">All roles</option>
+            {filterOptions.roles.map(role => <option key={role} value={role}>{role}</option>)}
+          </select>
+          <select name="tag" aria-label="Tag" value={filters.tag} onChange={handleFilterChange} className={inputClass}>
+            <option value="">All tags</option>
+            {filterOptions.tags.map(tag => <option key={tag} value={tag}>{tag}</option>)}
+          </select>
+          <input type="date" name="dateFrom" aria-label="From date" value={filters.dateFrom} onChange={handleFilterChange} className={inputClass} />
+          <input type="date" name="dateTo" aria-label="To date" value={filters.dateTo} onChange={handleFilterChange} className={inputClass} />
+        </div>
+        {isFiltered && (
+          <div className="flex justify-between items-center text-sm text-gray-600">
+            <span>Showing {filteredReports.length} of {savedReports.length} reports</span>
+            <button type="button" onClick={() => setFilters(emptyFilters)} className="text-blue-600 hover:underline">
+              Clear filters
+            </button>
+          </div>
+        )}
       </div>
       
+      {filteredReports.length === 0 && (
+        <p className="text-gray-600 text-center">No saved reports match your search.</p>
+      )}
+      
       <div className="space-y-4">
-        {savedReports.map((report) => (
+        {filteredReports.map((report) => (
           <div 
             key={report.id} 
             className="p-4 border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors"
@@ -67,6 +205,22 @@ export default function SavedReportsList({ savedReports, onClose, onLoad, onDele
                   Load
                 </Button>
                 
+                <Button
+                  onClick={() => onAdjudicate(report)}
+                  variant="info"
+                  icon={<FaGavel />}
+                >
+                  Adjudication Pack
+                </Button>
+                
+                <Button
+                  onClick={() => handleExport([report], `Report_${report.projectDetails.projectName.replace(/\s+/g, '_')}.json`)}
+                  variant="light"
+                  icon={<FaFileExport />}
+                >
+                  Export
+                </Button>
+                
                 <Button
                   onClick={() => onDelete(report.id)}
                   className="bg-red-600 hover:bg-red-700"
@@ -83,11 +237,46 @@ export default function SavedReportsList({ savedReports, onClose, onLoad, onDele
               </p>
               <p className="text-gray-700 text-sm mt-1">
                 <span className="font-medium">Issues:</span> {report.analysis.length}
+                {report.draftLetters?.length > 0 && (
+                  <>
+                    {' '}&middot; <span className="font-medium">Draft letters:</span> {report.draftLetters.length}
+                  </>
+                )}
               </p>
+              <div className="flex flex-wrap items-center gap-2 mt-2">
+                {(report.tags || []).map(tag => (
+                  <span key={tag} className="flex items-center px-2 py-0.5 rounded-full bg-blue-100 text-blue-800 text-xs">
+                    {tag}
+                    <button
+                      type="button"
+                      onClick={() => onUpdateTags(report.id, report.tags.filter(existing => existing !== tag))}
+                      className="ml-1 text-blue-600 hover:text-blue-900"
+                      aria-label={`Remove tag ${tag}`}
+                    >
+                      <FaTimes size={10} />
+                    </button>
+                  </span>
+                ))}
+                <form onSubmit={(e) => handleAddTag(e, report)}>
+                  <input
+                    type="text"
+                    list="savedReportTags"
+                    aria-label={`Add a tag to ${report.projectDetails.projectName}`}
+                    value={tagInputs[report.id] || ''}
+                    onChange={(e) => setTagInputs(prev => ({ ...prev, [report.id]: e.target.value }))}
+                    className="px-2 py-0.5 border border-gray-300 rounded-full text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="Add tag"
+                  />
+                </form>
+              </div>
             </div>
           </div>
         ))}
       </div>
+      
+      <datalist id="savedReportTags">
+        {filterOptions.tags.map(tag => <option key={tag} value={tag} />)}
+      </datalist>
     </div>
   );
 }
\ No newline at end of file
@@ -1,5 +1,16 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
 import * as Sentry from '@sentry/browser';
+import { readEventStream } from '../utils/eventStream';
+import { extractContractText } from '../utils/contractDocument';
+import { createCompensationEvent, compensationEventToIssue } from '../utils/compensationEvents';
+import { createClauseIndex, addDocumentToIndex, removeDocumentFromIndex, restoreClauseIndex, searchClauseIndex } from '../utils/clauseIndex';
+import { createSenderProfile, formatLetterReference, getLetterSender } from '../utils/senderProfile';
+import { mergeImportedReports } from '../utils/reportArchive';
+import { createBlankProjectDetails, saveProjectDetails, assignReportsToProjects } from '../utils/projects';
+import { addReportVersion, keepReportIdentity } from '../utils/reportVersions';
+import { applySectionEdit, revertSectionEdit } from '../utils/reportEdits';
+import { replaceLetterPart } from '../utils/letterEditing';
+import { loadSavedReports, writeSavedReports, describeStorageError, loadContractIndex, writeContractIndex, describeContractStorageError, NEW_PROJECT_KEY } from '../utils/reportStore';
 
 const AppContext = createContext();
 
@@ -12,12 +23,39 @@ export function AppProvider({ children }) {
   const [hasConsented, setHasConsented] = useState(false);
   
   // Project details state
-  const [projectDetails, setProjectDetails] = useState({
-    projectName: '',
-    projectDescription: '',
-    contractType: '',
-    organizationRole: '',
-    issues: [{ description: '', actionsTaken: '' }]
+  const [projectDetails, setProjectDetails] = useState(createBlankProjectDetails);
+  
+  // Projects own their details between analyses; the form is opened for one of them or for a new project
+  const [projects, setProjects] = useState(() => {
+    try {
+      const saved = localStorage.getItem('projects');
+      return saved ? JSON.parse(saved) : [];
+    } catch (error) {
+      Sentry.captureException(error);
+      console.error('Error loading projects:', error);
+      return [];
+    }
+  });
+  const [currentProjectId, setCurrentProjectId] = useState(null);
+  
+  // Clause index over the contract documents uploaded for the project on the form, stored per project so it
+  // isn't rebuilt. The owner is the project the index in memory belongs to, or null while it is loading.
+  const [contractIndex, setContractIndex] = useState(createClauseIndex);
+  const [contractIndexOwner, setContractIndexOwner] = useState(null);
+  const [contractIndexError, setContractIndexError] = useState(null);
+  // The index as last written to storage
+  const persistedIndexRef = useRef(null);
+  
+  // Organisation profile used for the letterhead, signature block and letter references
+  const [senderProfile, setSenderProfile] = useState(() => {
+    try {
+      const saved = localStorage.getItem('senderProfile');
+      return saved ? { ...createSenderProfile(), ...JSON.parse(saved) } : createSenderProfile();
+    } catch (error) {
+      Sentry.captureException(error);
+      console.error('Error loading sender profile:', error);
+      return createSenderProfile();
+    }
   });
   
   // Generated report state
@@ -26,28 +64,111 @@ export function AppProvider({ children }) {
   const [shouldGenerateLetter, setShouldGenerateLetter] = useState(null);
   const [isGeneratingReport, setIsGeneratingReport] = useState(false);
   const [isGeneratingLetter, setIsGeneratingLetter] = useState(false);
+  const reportAbortControllerRef = useRef(null);
   
-  // Saved reports
-  const [savedReports, setSavedReports] = useState(() => {
+  // Saved reports, loaded from IndexedDB after the first render
+  const [savedReports, setSavedReports] = useState([]);
+  const [savedReportsError, setSavedReportsError] = useState(null);
+  // The reports as last written to storage, by ID; null until they have been loaded
+  const persistedReportsRef = useRef(null);
+
+  useEffect(() => {
+    loadSavedReports()
+      .then(reports => {
+        persistedReportsRef.current = new Map(reports.map(r => [r.id, r]));
+        // Reports saved before projects existed are grouped into projects by name
+        const assigned = assignReportsToProjects(projects, reports);
+        setProjects(assigned.projects);
+        // Keep anything saved while the stored reports were loading
+        setSavedReports(prev => [...assigned.reports, ...prev.filter(r => !persistedReportsRef.current.has(r.id))]);
+      })
+      .catch(error => {
+        Sentry.captureException(error);
+        console.error('Error loading saved reports:', error);
+        setSavedReportsError(describeStorageError(error));
+      });
+  }, []);
+
+  // Write only the reports that changed, and delete removed ones, whenever the saved reports change
+  useEffect(() => {
+    const persisted = persistedReportsRef.current;
+    if (!persisted) return;
+    
+    const currentIds = new Set(savedReports.map(r => r.id));
+    const changedReports = savedReports.filter(r => persisted.get(r.id) !== r);
+    const removedIds = [...persisted.keys()].filter(id => !currentIds.has(id));
+    if (changedReports.length === 0 && removedIds.length === 0) return;
+    
+    persistedReportsRef.current = new Map(savedReports.map(r => [r.id, r]));
+    writeSavedReports(changedReports, removedIds)
+      .then(() => setSavedReportsError(null))
+      .catch(error => {
+        Sentry.captureException(error);
+        console.error('Error saving reports:', error);
+        setSavedReportsError(describeStorageError(error));
+      });
+  }, [savedReports]);
+
+  // Load the contract documents of the project on the form whenever another project is opened
+  useEffect(() => {
+    const owner = currentProjectId || NEW_PROJECT_KEY;
+    if (owner === contractIndexOwner) return;
+    
+    let cancelled = false;
+    setContractIndexOwner(null);
+    setContractIndex(createClauseIndex());
+    loadContractIndex(owner)
+      .then(saved => restoreClauseIndex(saved) || createClauseIndex())
+      .catch(error => {
+        Sentry.captureException(error);
+        console.error('Error loading contract index:', error);
+        setContractIndexError(describeContractStorageError(error));
+        return createClauseIndex();
+      })
+      .then(index => {
+        if (cancelled) return;
+        persistedIndexRef.current = index;
+        setContractIndex(index);
+        setContractIndexOwner(owner);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [currentProjectId]);
+
+  // Store the contract index with its project whenever it changes
+  useEffect(() => {
+    if (!contractIndexOwner || persistedIndexRef.current === contractIndex) return;
+    
+    persistedIndexRef.current = contractIndex;
+    writeContractIndex(contractIndexOwner, contractIndex)
+      .then(() => setContractIndexError(null))
+      .catch(error => {
+        Sentry.captureException(error);
+        console.error('Error saving contract index:', error);
+        setContractIndexError(describeContractStorageError(error));
+      });
+  }, [contractIndex, contractIndexOwner]);
+
+  // Save projects to localStorage whenever they change
+  useEffect(() => {
     try {
-      const saved = localStorage.getItem('savedReports');
-      return saved ? JSON.parse(saved) : [];
+      localStorage.setItem('projects', JSON.stringify(projects));
     } catch (error) {
       Sentry.captureException(error);
-      console.error('Error loading saved reports:', error);
-      return [];
+      console.error('Error saving projects to localStorage:', error);
     }
-  });
+  }, [projects]);
 
-  // Save reports to localStorage whenever they change
+  // Save the sender profile to localStorage whenever it changes
   useEffect(() => {
     try {
-      localStorage.setItem('savedReports', JSON.stringify(savedReports));
+      localStorage.setItem('senderProfile', JSON.stringify(senderProfile));
     } catch (error) {
       Sentry.captureException(error);
-      console.error('Error saving reports to localStorage:', error);
+      console.error('Error saving sender profile to localStorage:', error);
     }
-  }, [savedReports]);
+  }, [senderProfile]);
   
   // Provide consent management
   const giveConsent = () => setHasConsented(true);
@@ -58,12 +179,35 @@ export function AppProvider({ children }) {
     setProjectDetails(prev => ({ ...prev, ...details }));
   };
   
-  // Add a new issue to the project
-  const addIssue = () => {
-    setProjectDetails(prev => ({
-      ...prev,
-      issues: [...prev.issues, { description: '', actionsTaken: '' }]
-    }));
+  // Fill the project form from a project, ready for a new analysis
+  const startProjectAnalysis = (projectId) => {
+    const project = projects.find(p => p.id === projectId);
+    if (!project) return;
+    
+    setProjectDetails({ ...createBlankProjectDetails(), ...project.details });
+    setCurrentProjectId(project.id);
+  };
+  
+  // Clear the project form for a project that hasn't been analysed yet
+  const startNewProject = () => {
+    setProjectDetails(createBlankProjectDetails());
+    setCurrentProjectId(null);
+  };
+  
+  // Update the sender profile
+  const updateSenderProfile = (updates) => {
+    setSenderProfile(prev => ({ ...prev, ...updates }));
+  };
+  
+  // Add a new issue to the project, filling in the blank first issue if it hasn't been started
+  const addIssue = (issue = { description: '', actionsTaken: '', eventDate: '' }) => {
+    setProjectDetails(prev => {
+      const [first] = prev.issues;
+      if (issue.description && prev.issues.length === 1 && !first.description.trim() && !first.actionsTaken.trim()) {
+        return { ...prev, issues: [issue] };
+      }
+      return { ...prev, issues: [...prev.issues, issue] };
+    });
   };
   
   // Update a specific issue
@@ -86,18 +230,169 @@ export function AppProvider({ children }) {
     });
   };
   
-  // Generate report using GPT-4o
-  const generateReport = async () => {
+  // Read an uploaded contract or schedule of amendments and add its clauses to the index
+  const uploadContractDocument = async (file) => {
+    try {
+      if (!contractIndexOwner) {
+        throw new Error('The project\'s contract documents are still loading. Please try again in a moment.');
+      }
+      
+      const text = await extractContractText(file);
+      const updatedIndex = addDocumentToIndex(contractIndex, { fileName: file.name, text });
+      const uploaded = updatedIndex.documents[updatedIndex.documents.length - 1];
+      console.log(`Indexed ${uploaded.clauseCount} clauses from ${file.name}`);
+      
+      setContractIndex(updatedIndex);
+      return uploaded;
+      
+    } catch (error) {
+      Sentry.captureException(error);
+      console.error('Error reading contract document:', error);
+      throw error;
+    }
+  };
+  
+  // Remove an uploaded document and its clauses from the index
+  const removeContractDocument = (documentId) => {
+    setContractIndex(prev => removeDocumentFromIndex(prev, documentId));
+  };
+  
+  // Add a compensation event to the NEC register
+  const addCompensationEvent = () => {
+    setProjectDetails(prev => ({
+      ...prev,
+      compensationEvents: [...prev.compensationEvents, createCompensationEvent(prev.compensationEvents.length + 1)]
+    }));
+  };
+  
+  // Update a specific compensation event
+  const updateCompensationEvent = (index, field, value) => {
+    setProjectDetails(prev => {
+      const updatedEvents = [...prev.compensationEvents];
+      updatedEvents[index] = {
+        ...updatedEvents[index],
+        [field]: value
+      };
+      return { ...prev, compensationEvents: updatedEvents };
+    });
+  };
+  
+  // Remove a compensation event
+  const removeCompensationEvent = (index) => {
+    setProjectDetails(prev => ({
+      ...prev,
+      compensationEvents: prev.compensationEvents.filter((_, i) => i !== index)
+    }));
+  };
+  
+  // Raise a compensation event as an issue for the report
+  const addCompensationEventAsIssue = (event) => {
+    addIssue(compensationEventToIssue(event));
+  };
+  
+  // Update the payment terms used for the statutory payment timetable
+  const updatePaymentTerms = (terms) => {
+    setProjectDetails(prev => ({
+      ...prev,
+      paymentTerms: { ...prev.paymentTerms, ...terms }
+    }));
+  };
+  
+  // Add a bespoke amendment to the standard form
+  const addAmendment = () => {
+    setProjectDetails(prev => ({
+      ...prev,
+      amendments: [...prev.amendments, { clauseReference: '', type: 'replaced', wording: '' }]
+    }));
+  };
+  
+  // Update a specific amendment
+  const updateAmendment = (index, field, value) => {
+    setProjectDetails(prev => {
+      const updatedAmendments = [...prev.amendments];
+      updatedAmendments[index] = {
+        ...updatedAmendments[index],
+        [field]: value
+      };
+      return { ...prev, amendments: updatedAmendments };
+    });
+  };
+  
+  // Remove an amendment
+  const removeAmendment = (index) => {
+    setProjectDetails(prev => ({
+      ...prev,
+      amendments: prev.amendments.filter((_, i) => i !== index)
+    }));
+  };
+  
+  // The clause index of the project an analysis runs for. Documents uploaded on the form for a new project move
+  // to it once it has an ID; another project's documents are read from storage rather than the form's.
+  const getProjectContractIndex = async (projectId, fromNewProjectForm) => {
+    if (fromNewProjectForm && contractIndexOwner === NEW_PROJECT_KEY && contractIndex.documents.length > 0) {
+      const newProjectIndex = contractIndex;
+      // The save effect writes the index under its new owner; the copy under the placeholder key is dropped
+      persistedIndexRef.current = null;
+      setContractIndexOwner(projectId);
+      await writeContractIndex(NEW_PROJECT_KEY, createClauseIndex()).catch(error => {
+        Sentry.captureException(error);
+        console.error('Error clearing new project contract index:', error);
+      });
+      return newProjectIndex;
+    }
+    
+    if (contractIndexOwner === projectId) {
+      return contractIndex;
+    }
+    
+    return restoreClauseIndex(await loadContractIndex(projectId)) || createClauseIndex();
+  };
+  
+  // Generate report with the AI model, filling in each issue as the analysis streams in.
+  // Regenerating a report makes the new analysis its latest version, run with the given details or the project form's.
+  const generateReport = async ({ previousReport = null, details = null } = {}) => {
+    const controller = new AbortController();
+    reportAbortControllerRef.current = controller;
+    const inputs = details || projectDetails;
+    
+    // The project keeps the details this analysis ran with, ready to pre-fill the next one
+    const fromNewProjectForm = !previousReport && !currentProjectId;
+    const saved = saveProjectDetails(projects, previousReport ? previousReport.projectId : currentProjectId, inputs);
+    setProjects(saved.projects);
+    setCurrentProjectId(saved.projectId);
+    if (details) {
+      setProjectDetails(details);
+    }
+    
+    // Show a placeholder for every issue straight away so progress can be tracked
+    const pendingReport = createPendingReport(inputs, saved.projectId);
+    let currentReport = previousReport ? addReportVersion(previousReport, pendingReport) : pendingReport;
+    const updateReport = (updater) => {
+      currentReport = updater(currentReport);
+      setReport(currentReport);
+    };
+    
     try {
       setIsGeneratingReport(true);
-      console.log('Generating report for:', projectDetails);
+      setReport(currentReport);
+      console.log('Generating report for:', inputs);
+      
+      const analysisIndex = await getProjectContractIndex(saved.projectId, fromNewProjectForm);
       
       const response = await fetch('/api/generateReport', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          'Accept': 'text/event-stream',
         },
-        body: JSON.stringify({ projectDetails }),
+        body: JSON.stringify({
+          projectDetails: inputs,
+          contractDocuments: analysisIndex.documents.map(({ fileName, clauseCount }) => ({ fileName, clauseCount })),
+          contractExcerpts: inputs.issues.map(issue =>
+            searchClauseIndex(analysisIndex, `${issue.description} ${issue.actionsTaken || ''}`)
+          )
+        }),
+        signal: controller.signal,
       });
 
       if (!response.ok) {
@@ -105,23 +400,114 @@ export function AppProvider({ children }) {
         throw new Error(errorData.error || 'Failed to generate report');
       }
 
-      const generatedReport = await response.json();
-      console.log('Generated report:', generatedReport);
+      await readEventStream(response, (event, data) => {
+        if (event === 'issue-start') {
+          updateReport(prev => updateAnalysisEntry(prev, data.index, entry => ({ ...entry, status: 'in-progress' })));
+        } else if (event === 'issue-reset') {
+          // The server is retrying an attempt that failed validation; clear what it streamed
+          updateReport(prev => updateAnalysisEntry(prev, data.index, () => ({ ...createPendingEntry(inputs.issues[data.index]), status: 'in-progress' })));
+        } else if (event === 'section') {
+          updateReport(prev => updateAnalysisEntry(prev, data.index, entry => ({
+            ...entry,
+            status: 'in-progress',
+            [data.section]: data.value
+          })));
+        } else if (event === 'issue') {
+          updateReport(prev => updateAnalysisEntry(prev, data.index, () => data.analysis));
+        } else if (event === 'complete') {
+          updateReport(prev => keepReportIdentity(prev, data));
+        } else if (event === 'error') {
+          throw new Error(data.details || data.error || 'Failed to generate report');
+        }
+      });
       
-      setReport(generatedReport);
-      return generatedReport;
+      console.log('Generated report:', currentReport);
+      return currentReport;
       
     } catch (error) {
+      const cancelled = controller.signal.aborted;
+      
+      // Keep whatever arrived and mark the rest as failed so the report still lines up with the issues
+      updateReport(prev => markUnfinishedIssuesFailed(
+        prev,
+        cancelled
+          ? 'Report generation was cancelled before this issue was analysed.'
+          : 'The analysis for this issue could not be generated. Please regenerate the report.'
+      ));
+      
+      if (cancelled) {
+        console.log('Report generation cancelled');
+        return currentReport;
+      }
+      
       Sentry.captureException(error);
       console.error('Error generating report:', error);
       throw error;
     } finally {
+      reportAbortControllerRef.current = null;
       setIsGeneratingReport(false);
     }
   };
   
-  // Generate draft communication using GPT-4o
-  const generateDraftCommunication = async (reportData) => {
+  // Cancel an in-flight report generation
+  const cancelReportGeneration = () => {
+    reportAbortControllerRef.current?.abort();
+  };
+  
+  // Re-run the analysis for one issue of a report and merge the result back in
+  const retryReportIssue = async (targetReport, index) => {
+    try {
+      console.log(`Retrying issue ${index + 1} for report:`, targetReport.id);
+      
+      const response = await fetch('/api/generateReport', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          projectDetails: targetReport.projectDetails,
+          issueIndex: index,
+          // Reuse the extracts the report was generated with so the retried issue is grounded the same way
+          contractExcerpts: targetReport.analysis.map(entry => entry.contractClauses || [])
+        }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to regenerate issue');
+      }
+
+      const { analysis } = await response.json();
+      const updatedReport = summariseFailures(updateAnalysisEntry(targetReport, index, () => analysis));
+      
+      return replaceReport(updatedReport);
+      
+    } catch (error) {
+      Sentry.captureException(error);
+      console.error('Error retrying issue:', error);
+      throw error;
+    }
+  };
+  
+  // Replace a section of an issue's analysis with the user's wording, marking it as edited
+  const editReportSection = (targetReport, index, section, value) => {
+    return replaceReport(updateAnalysisEntry(targetReport, index, entry => applySectionEdit(entry, section, value)));
+  };
+  
+  // Put back the generated wording of an edited section
+  const revertReportSection = (targetReport, index, section) => {
+    return replaceReport(updateAnalysisEntry(targetReport, index, entry => revertSectionEdit(entry, section)));
+  };
+  
+  // Keep the current and saved copies of a changed report in step
+  const replaceReport = (updatedReport) => {
+    setReport(prev => (prev && prev.id === updatedReport.id ? updatedReport : prev));
+    setSavedReports(prev => prev.map(r => (r.id === updatedReport.id ? updatedReport : r)));
+    return updatedReport;
+  };
+  
+  // Generate draft communication with the AI model
+  const generateDraftCommunication = async (reportData, letterOptions = {}) => {
     try {
       if (!reportData) {
         throw new Error('No report data available to generate draft letter');
@@ -130,12 +516,17 @@ export function AppProvider({ children }) {
       setIsGeneratingLetter(true);
       console.log('Generating draft letter for report:', reportData.id);
       
+      // A redraft keeps its reference; a new letter takes the next number in the scheme
+      const { signatoryId, reference: existingReference, ...options } = letterOptions;
+      const reference = existingReference || formatLetterReference(senderProfile, reportData.projectDetails.projectName);
+      const sender = getLetterSender(senderProfile, signatoryId, reference, new Date().toISOString().slice(0, 10));
+      
       const response = await fetch('/api/generateLetter', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ report: reportData }),
+        body: JSON.stringify({ report: reportData, ...options, sender }),
       });
 
       if (!response.ok) {
@@ -143,9 +534,19 @@ export function AppProvider({ children }) {
         throw new Error(errorData.error || 'Failed to generate draft letter');
       }
 
-      const generatedLetter = await response.json();
+      // The IDs let later edits find the copy of the letter kept with its report, whichever report is on screen
+      const generatedLetter = { ...await response.json(), id: Date.now().toString(), reportId: reportData.id, signatoryId: signatoryId || null };
       console.log('Generated draft letter:', generatedLetter);
       
+      if (!existingReference) {
+        setSenderProfile(prev => ({ ...prev, nextReferenceNumber: prev.nextReferenceNumber + 1 }));
+      }
+      
+      // Keep the letter with the report so it is saved and exported alongside it
+      const addLetter = (r) => ({ ...r, draftLetters: [...(r.draftLetters || []), generatedLetter] });
+      setReport(prev => (prev && prev.id === reportData.id ? addLetter(prev) : prev));
+      setSavedReports(prev => prev.map(r => (r.id === reportData.id ? addLetter(r) : r)));
+      
       setDraftCommunication(generatedLetter);
       return generatedLetter;
       
@@ -159,10 +560,105 @@ export function AppProvider({ children }) {
     }
   };
   
-  // Save current report
-  const saveCurrentReport = () => {
+  // The report the draft letter was generated from, which may not be the one on screen
+  const getDraftLetterReport = () => {
+    const letterReport = [report, ...savedReports].find(r => r && r.id === draftCommunication?.reportId);
+    if (!letterReport) {
+      throw new Error('The report this letter was drafted from is no longer available.');
+    }
+    return letterReport;
+  };
+  
+  // Replace one part of the draft letter with the user's wording
+  const editDraftLetter = (part, paragraphIndex, text) => {
+    const letterReport = getDraftLetterReport();
+    const updatedLetter = replaceLetterPart(draftCommunication, part, paragraphIndex, text, letterReport.projectDetails.contractType);
+    return replaceDraftLetter(updatedLetter);
+  };
+  
+  // Redraft one part of the draft letter following the user's instruction, leaving the rest as it is
+  const rewriteDraftLetter = async (part, paragraphIndex, instruction) => {
+    try {
+      const letterReport = getDraftLetterReport();
+      console.log(`Rewriting letter ${part} for report:`, letterReport.id);
+      
+      const response = await fetch('/api/rewriteLetter', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ report: letterReport, letter: draftCommunication, part, paragraphIndex, instruction }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to rewrite the letter');
+      }
+
+      const { text } = await response.json();
+      return editDraftLetter(part, paragraphIndex, text);
+      
+    } catch (error) {
+      Sentry.captureException(error);
+      console.error('Error rewriting letter:', error);
+      throw error;
+    }
+  };
+  
+  // Keep the displayed letter and the copy kept with its report in step
+  const replaceDraftLetter = (updatedLetter) => {
+    const updateLetters = (r) => ({
+      ...r,
+      draftLetters: (r.draftLetters || []).map(letter => (letter.id === updatedLetter.id ? updatedLetter : letter))
+    });
+    setReport(prev => (prev && prev.id === updatedLetter.reportId ? updateLetters(prev) : prev));
+    setSavedReports(prev => prev.map(r => (r.id === updatedLetter.reportId ? updateLetters(r) : r)));
+    setDraftCommunication(updatedLetter);
+    return updatedLetter;
+  };
+  
+  // Draft a notice of adjudication, referral notice, chronology and evidence index from a saved report
+  const generateAdjudicationPack = async (targetReport, details) => {
+    try {
+      console.log('Generating adjudication pack for report:', targetReport.id);
+      
+      const response = await fetch('/api/generateAdjudicationPack', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ report: targetReport, details }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to generate adjudication pack');
+      }
+
+      return await response.json();
+    } catch (error) {
+      Sentry.captureException(error);
+      console.error('Error generating adjudication pack:', error);
+      throw error;
+    }
+  };
+  
+  // Save current report, resolving once it is stored
+  const saveCurrentReport = async () => {
     if (!report) return;
     
+    try {
+      await writeSavedReports([report]);
+    } catch (error) {
+      Sentry.captureException(error);
+      console.error('Error saving report:', error);
+      const message = describeStorageError(error);
+      setSavedReportsError(message);
+      throw new Error(message);
+    }
+    
+    persistedReportsRef.current?.set(report.id, report);
+    setSavedReportsError(null);
     setSavedReports(prev => {
       // Check if report with same ID already exists
       const exists = prev.some(r => r.id === report.id);
@@ -181,6 +677,21 @@ export function AppProvider({ children }) {
     setSavedReports(prev => prev.filter(r => r.id !== reportId));
   };
   
+  // Replace the tags on a saved report
+  const updateSavedReportTags = (reportId, tags) => {
+    setSavedReports(prev => prev.map(r => (r.id === reportId ? { ...r, tags } : r)));
+  };
+  
+  // Add reports read from an exported file to the saved reports
+  const importSavedReports = (importedReports) => {
+    const result = mergeImportedReports(savedReports, importedReports);
+    // Imported reports join a project of the same name, or bring their own
+    const assigned = assignReportsToProjects(projects, result.savedReports);
+    setProjects(assigned.projects);
+    setSavedReports(assigned.reports);
+    return result;
+  };
+  
   // Provide context value
   const value = {
     hasConsented,
@@ -188,18 +699,46 @@ export function AppProvider({ children }) {
     revokeConsent,
     projectDetails,
     updateProjectDetails,
+    projects,
+    currentProjectId,
+    startProjectAnalysis,
+    startNewProject,
     addIssue,
     updateIssue,
     removeIssue,
+    addAmendment,
+    updateAmendment,
+    removeAmendment,
+    updatePaymentTerms,
+    addCompensationEvent,
+    updateCompensationEvent,
+    removeCompensationEvent,
+    addCompensationEventAsIssue,
+    contractDocuments: contractIndex.documents,
+    contractIndexError,
+    uploadContractDocument,
+    removeContractDocument,
     report,
     generateReport,
+    cancelReportGeneration,
+    retryReportIssue,
+    editReportSection,
+    revertReportSection,
     isGeneratingReport,
     draftCommunication,
     generateDraftCommunication,
+    editDraftLetter,
+    rewriteDraftLetter,
     isGeneratingLetter,
+    senderProfile,
+    updateSenderProfile,
+    generateAdjudicationPack,
     savedReports,
+    savedReportsError,
     saveCurrentReport,
     deleteSavedReport,
+    importSavedReports,
+    updateSavedReportTags,
     shouldGenerateLetter,
     setShouldGenerateLetter
   };
@@ -209,4 +748,59 @@ export function AppProvider({ children }) {
       {children}
     </AppContext.Provider>
   );
-}
\ No newline at end of file
+}
+
+function createPendingReport(projectDetails, projectId) {
+  return {
+    id: Date.now().toString(),
+    projectId,
+    date: new Date().toISOString(),
+    projectDetails: { ...projectDetails },
+    analysis: projectDetails.issues.map(createPendingEntry)
+  };
+}
+
+function createPendingEntry(issue) {
+  return {
+    issue: issue.description,
+    actionsTaken: issue.actionsTaken,
+    eventDate: issue.eventDate || '',
+    status: 'pending',
+    detailedAnalysis: '',
+    legalContext: '',
+    relevantClauses: [],
+    clauseExplanations: [],
+    recommendations: [],
+    potentialOutcomes: '',
+    timelineSuggestions: '',
+    riskAssessment: '',
+    actionItems: [],
+    noticeDeadlines: []
+  };
+}
+
+function updateAnalysisEntry(report, index, updater) {
+  if (!report || !report.analysis[index]) return report;
+  
+  const analysis = [...report.analysis];
+  analysis[index] = updater(analysis[index]);
+  return { ...report, analysis };
+}
+
+function markUnfinishedIssuesFailed(report, message) {
+  const analysis = report.analysis.map(entry => (
+    entry.status === 'pending' || entry.status === 'in-progress'
+      ? { ...entry, status: 'failed', error: message }
+      : entry
+  ));
+  
+  return summariseFailures({ ...report, analysis });
+}
+
+function summariseFailures(report) {
+  const failedIssues = report.analysis
+    .map((entry, index) => (entry.status === 'failed' ? index : null))
+    .filter(index => index !== null);
+  
+  return { ...report, partial: failedIssues.length > 0, failedIssues };
+}
@@ -0,0 +1,5 @@
+export const amendmentTypes = [
+  { value: 'deleted', label: 'Deleted' },
+  { value: 'replaced', label: 'Replaced' },
+  { value: 'added', label: 'Added' }
+];
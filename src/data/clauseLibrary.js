@@ -0,0 +1,409 @@
+// Curated clause references for each form in contractTypes.js.
+// Clause numbers refer to the edition named on each entry; section references are used
+// where a form's sub-clause numbering varies between editions or options.
+// Topics: payment, delay, variation, defects, termination, notices, general.
+
+const CONSTRUCTION_ACT = [
+  {
+    clause: '108',
+    prefix: 'Section',
+    title: 'Right to refer disputes to adjudication (Construction Act 1996)',
+    topics: ['general', 'payment'],
+    summary: 'Either party may refer a dispute to adjudication at any time. The adjudicator must decide within 28 days of referral unless the time is extended.'
+  },
+  {
+    clause: '109',
+    prefix: 'Section',
+    title: 'Entitlement to stage payments (Construction Act 1996)',
+    topics: ['payment'],
+    summary: 'A party carrying out construction operations is entitled to payment by instalments, stage payments or other periodic payments unless the work will take less than 45 days.'
+  },
+  {
+    clause: '110',
+    prefix: 'Section',
+    title: 'Dates for payment (Construction Act 1996)',
+    topics: ['payment'],
+    summary: 'Every construction contract must provide an adequate mechanism for working out what is due and when, including a due date and a final date for payment.'
+  },
+  {
+    clause: '110A',
+    prefix: 'Section',
+    title: 'Payment notices (Construction Act 1996)',
+    topics: ['payment', 'notices'],
+    summary: 'The payer must give a notice within 5 days of the payment due date stating the sum it considers due and the basis on which it was calculated.'
+  },
+  {
+    clause: '110B',
+    prefix: 'Section',
+    title: 'Default payment notices by the payee (Construction Act 1996)',
+    topics: ['payment', 'notices'],
+    summary: 'If the payer fails to give a payment notice, the payee\'s application, or a default notice it gives, stands as the notified sum.'
+  },
+  {
+    clause: '111',
+    prefix: 'Section',
+    title: 'Requirement to pay the notified sum and pay less notices (Construction Act 1996)',
+    topics: ['payment', 'notices'],
+    summary: 'The notified sum must be paid by the final date for payment unless a pay less notice is given within the prescribed period before that date.'
+  },
+  {
+    clause: '112',
+    prefix: 'Section',
+    title: 'Right to suspend performance for non-payment (Construction Act 1996)',
+    topics: ['payment', 'termination', 'notices', 'delay'],
+    summary: 'If the notified sum is not paid in full by the final date, the payee may suspend all or part of its work on at least 7 days\' notice, and is entitled to a time extension and its reasonable costs.'
+  },
+  {
+    clause: '113',
+    prefix: 'Section',
+    title: 'Prohibition of conditional payment provisions (Construction Act 1996)',
+    topics: ['payment'],
+    summary: 'Pay-when-paid clauses are ineffective except where a third party payer is insolvent, and payment cannot be made conditional on performance under another contract.'
+  }
+];
+
+const CONSUMER_RIGHTS_ACT = [
+  {
+    clause: '49',
+    prefix: 'Section',
+    title: 'Service to be performed with reasonable care and skill (Consumer Rights Act 2015)',
+    topics: ['defects'],
+    summary: 'Every contract to supply a service to a consumer includes a term that the trader must perform it with reasonable care and skill.'
+  },
+  {
+    clause: '51',
+    prefix: 'Section',
+    title: 'Reasonable price to be paid for a service (Consumer Rights Act 2015)',
+    topics: ['payment', 'variation'],
+    summary: 'Where the price is not fixed by the contract, the consumer must pay a reasonable price and no more.'
+  },
+  {
+    clause: '52',
+    prefix: 'Section',
+    title: 'Service to be performed within a reasonable time (Consumer Rights Act 2015)',
+    topics: ['delay'],
+    summary: 'Where the contract does not fix the time for performance, the trader must perform the service within a reasonable time.'
+  },
+  {
+    clause: '55',
+    prefix: 'Section',
+    title: 'Right to repeat performance (Consumer Rights Act 2015)',
+    topics: ['defects'],
+    summary: 'If the service is not performed in line with the contract, the consumer can require the trader to perform it again within a reasonable time and at no extra cost.'
+  },
+  {
+    clause: '56',
+    prefix: 'Section',
+    title: 'Right to a price reduction (Consumer Rights Act 2015)',
+    topics: ['defects', 'payment'],
+    summary: 'Where repeat performance is impossible or not done within a reasonable time, the consumer can claim an appropriate price reduction.'
+  }
+];
+
+const JCT_SBC_2016 = [
+  { clause: '1.7', title: 'Notices and other communications', topics: ['notices'], summary: 'Notices must be in writing and given in the manner and to the address set out in the Contract Particulars.' },
+  { clause: '2.1', title: 'General obligations', topics: ['general', 'defects'], summary: 'The Contractor must carry out and complete the Works in a proper and workmanlike manner and in accordance with the Contract Documents.' },
+  { clause: '2.27', title: 'Notice by Contractor of delay to progress', topics: ['delay', 'notices'], summary: 'When it becomes reasonably apparent that progress is or is likely to be delayed, the Contractor must forthwith notify the cause, with particulars and an estimate of the delay.' },
+  { clause: '2.28', title: 'Fixing Completion Date', topics: ['delay'], summary: 'The Architect/Contract Administrator fixes a later Completion Date, normally within 12 weeks of receiving the required particulars, where a Relevant Event causes delay.' },
+  { clause: '2.29', title: 'Relevant Events', topics: ['delay', 'variation'], summary: 'Lists the events that entitle the Contractor to an extension of time, including Variations, Employer impediment and exceptionally adverse weather.' },
+  { clause: '2.31', title: 'Non-Completion Certificate', topics: ['delay'], summary: 'If the Contractor fails to complete by the Completion Date, the Architect/Contract Administrator issues a Non-Completion Certificate.' },
+  { clause: '2.32', title: 'Payment or allowance of liquidated damages', topics: ['delay', 'payment', 'notices'], summary: 'After a Non-Completion Certificate and the required notices, the Employer may recover liquidated damages at the rate in the Contract Particulars.' },
+  { clause: '2.38', title: 'Schedules of defects and instructions', topics: ['defects'], summary: 'Defects appearing within the Rectification Period are notified in a schedule and must be made good by the Contractor at its own cost.' },
+  { clause: '2.39', title: 'Certificate of Making Good', topics: ['defects'], summary: 'Once the scheduled defects are made good, the Architect/Contract Administrator issues a Certificate of Making Good.' },
+  { clause: '3.14', title: 'Instructions requiring Variations', topics: ['variation'], summary: 'The Architect/Contract Administrator may issue instructions requiring a Variation, subject to the Contractor\'s limited right of reasonable objection.' },
+  { clause: '3.18', title: 'Work not in accordance with the Contract', topics: ['defects'], summary: 'The Architect/Contract Administrator may instruct removal of non-compliant work, accept it with an appropriate deduction, or order a Variation.' },
+  { clause: '4.9', title: 'Interim Certificates and valuations', topics: ['payment', 'notices'], summary: 'Interim Certificates are issued no later than 5 days after each due date and act as the Payment Notice for the sum due.' },
+  { clause: '4.10', title: 'Interim payments – final date and amount, Pay Less Notices', topics: ['payment', 'notices'], summary: 'The final date for payment is 14 days after the due date; the Employer may pay less only by giving a Pay Less Notice no later than 5 days before that date.' },
+  { clause: '4.11', title: 'Contractor\'s right of suspension', topics: ['payment', 'termination', 'notices'], summary: 'If a sum due is not paid in full by the final date for payment, the Contractor may suspend performance after giving 7 days\' notice.' },
+  { clause: '4.20', title: 'Loss and expense – matters materially affecting regular progress', topics: ['delay', 'payment', 'notices'], summary: 'The Contractor must notify as soon as it becomes apparent that regular progress is or will be materially affected, to recover direct loss and expense.' },
+  { clause: '5.1', title: 'Definition of Variations', topics: ['variation'], summary: 'Defines a Variation as a change to the design, quality or quantity of the Works, or to the obligations and restrictions on how they are carried out.' },
+  { clause: '5.2', title: 'Valuation of Variations and provisional sum work', topics: ['variation', 'payment'], summary: 'Variations are valued by the Quantity Surveyor under the Valuation Rules unless a Variation Quotation has been accepted.' },
+  { clause: '5.6', title: 'Measurable Work', topics: ['variation', 'payment'], summary: 'Valuation rules for additional or substituted measurable work, based on Contract Bills rates where the work is of similar character.' },
+  { clause: '8.4', title: 'Default by Contractor', topics: ['termination', 'notices'], summary: 'The Employer may give notice specifying a default such as wholly suspending the work or failing to proceed regularly and diligently, and terminate if it continues for 14 days.' },
+  { clause: '8.5', title: 'Insolvency of Contractor', topics: ['termination'], summary: 'The Employer may terminate by notice at any time if the Contractor becomes Insolvent.' },
+  { clause: '8.9', title: 'Default by Employer', topics: ['termination', 'payment', 'notices'], summary: 'The Contractor may give notice specifying a default such as non-payment and terminate if it continues for 14 days.' },
+  { clause: '8.11', title: 'Termination by either Party', topics: ['termination'], summary: 'Either party may terminate if the whole of the Works is suspended for the stated period due to specified neutral events.' },
+  { clause: '9.2', title: 'Adjudication', topics: ['general', 'payment'], summary: 'Either party may refer a dispute to adjudication under the Scheme for Construction Contracts.' }
+];
+
+const JCT_DB_2016 = [
+  { clause: '1.7', title: 'Notices and other communications', topics: ['notices'], summary: 'Notices must be in writing and given in the manner and to the address set out in the Contract Particulars.' },
+  { clause: '2.1', title: 'General obligations', topics: ['general', 'defects'], summary: 'The Contractor must carry out and complete the Works in a proper and workmanlike manner in accordance with the Employer\'s Requirements and Contractor\'s Proposals.' },
+  { clause: '2.24', title: 'Notice by Contractor of delay to progress', topics: ['delay', 'notices'], summary: 'When it becomes reasonably apparent that progress is or is likely to be delayed, the Contractor must forthwith notify the Employer of the cause with particulars and an estimate of delay.' },
+  { clause: '2.25', title: 'Fixing Completion Date', topics: ['delay'], summary: 'The Employer fixes a later Completion Date, normally within 12 weeks of receiving the required particulars, where a Relevant Event causes delay.' },
+  { clause: '2.26', title: 'Relevant Events', topics: ['delay', 'variation'], summary: 'Lists the events that entitle the Contractor to an extension of time, including Changes and Employer impediment.' },
+  { clause: '2.29', title: 'Payment or allowance of liquidated damages', topics: ['delay', 'payment', 'notices'], summary: 'After a Non-Completion Notice and the required notices, the Employer may recover liquidated damages at the stated rate.' },
+  { clause: '2.35', title: 'Schedules of defects and instructions', topics: ['defects'], summary: 'Defects appearing within the Rectification Period are notified in a schedule and made good by the Contractor at its own cost.' },
+  { clause: '3.9', title: 'Instructions requiring Changes', topics: ['variation'], summary: 'The Employer may issue instructions requiring a Change, subject to the Contractor\'s limited right of reasonable objection.' },
+  { clause: '4.7', title: 'Interim Payments – due dates', topics: ['payment'], summary: 'Sets how interim payment due dates are fixed under Alternative A (stage payments) or Alternative B (periodic payments).' },
+  { clause: '4.9', title: 'Interim Payments – final date and amount, Pay Less Notices', topics: ['payment', 'notices'], summary: 'The final date for payment is 14 days after the due date; the Employer may pay less only by giving a Pay Less Notice in time.' },
+  { clause: '4.11', title: 'Contractor\'s right of suspension', topics: ['payment', 'termination', 'notices'], summary: 'If a sum due is not paid in full by the final date for payment, the Contractor may suspend performance after giving 7 days\' notice.' },
+  { clause: '5.1', title: 'Definition of Changes', topics: ['variation'], summary: 'Defines a Change as an alteration to the Employer\'s Requirements or to the obligations and restrictions on carrying out the Works.' },
+  { clause: '5.2', title: 'Valuation of Changes', topics: ['variation', 'payment'], summary: 'Changes are valued by agreement or under the Valuation Rules.' },
+  { clause: '8.4', title: 'Default by Contractor', topics: ['termination', 'notices'], summary: 'The Employer may give notice specifying a default and terminate if it continues for 14 days.' },
+  { clause: '8.9', title: 'Default by Employer', topics: ['termination', 'payment', 'notices'], summary: 'The Contractor may give notice specifying a default such as non-payment and terminate if it continues for 14 days.' },
+  { clause: '9.2', title: 'Adjudication', topics: ['general', 'payment'], summary: 'Either party may refer a dispute to adjudication under the Scheme for Construction Contracts.' }
+];
+
+const JCT_IC_2016 = [
+  { clause: '1.7', title: 'Notices and other communications', topics: ['notices'], summary: 'Notices must be in writing and given in the manner and to the address set out in the Contract Particulars.' },
+  { clause: '2.19', title: 'Extension of time', topics: ['delay', 'notices'], summary: 'The Contractor must notify delays forthwith; the Architect/Contract Administrator fixes a later Completion Date where a Relevant Event causes delay.' },
+  { clause: '2.20', title: 'Relevant Events', topics: ['delay', 'variation'], summary: 'Lists the events that entitle the Contractor to an extension of time.' },
+  { clause: '2.22', title: 'Payment or allowance of liquidated damages', topics: ['delay', 'payment', 'notices'], summary: 'After a Non-Completion Certificate and the required notices, the Employer may recover liquidated damages at the stated rate.' },
+  { clause: '2.30', title: 'Defects', topics: ['defects'], summary: 'Defects appearing within the Rectification Period must be made good by the Contractor at its own cost.' },
+  { clause: 'Section 4', title: 'Payment – interim payments, Payment Notices and Pay Less Notices', topics: ['payment', 'notices'], summary: 'Sets the due dates, certificates, Pay Less Notice timing and the Contractor\'s right to suspend for non-payment.' },
+  { clause: '5.1', title: 'Definition of Variations', topics: ['variation'], summary: 'Defines a Variation as a change to the design, quality or quantity of the Works, or to how they are carried out.' },
+  { clause: '5.2', title: 'Valuation of Variations', topics: ['variation', 'payment'], summary: 'Variations are valued by agreement or under the Valuation Rules.' },
+  { clause: '8.4', title: 'Default by Contractor', topics: ['termination', 'notices'], summary: 'The Employer may give notice specifying a default and terminate if it continues for 14 days.' },
+  { clause: '8.9', title: 'Default by Employer', topics: ['termination', 'payment', 'notices'], summary: 'The Contractor may give notice specifying a default such as non-payment and terminate if it continues for 14 days.' },
+  { clause: '9.2', title: 'Adjudication', topics: ['general', 'payment'], summary: 'Either party may refer a dispute to adjudication under the Scheme for Construction Contracts.' }
+];
+
+const JCT_MW_2016 = [
+  { clause: '1.7', title: 'Notices and other communications', topics: ['notices'], summary: 'Notices must be in writing and given in the manner and to the address set out in the Contract Particulars.' },
+  { clause: '2.7', title: 'Extension of time', topics: ['delay', 'notices'], summary: 'The Contractor must notify the Architect/Contract Administrator when it becomes apparent the Works will not be completed on time; a reasonable extension is given for causes beyond its control.' },
+  { clause: '2.8', title: 'Damages for non-completion', topics: ['delay', 'payment', 'notices'], summary: 'If the Works are not completed by the Date for Completion, the Employer may recover liquidated damages after the required certificate and notices.' },
+  { clause: '2.10', title: 'Defects', topics: ['defects'], summary: 'Defects appearing within the Rectification Period must be made good by the Contractor at its own cost.' },
+  { clause: '3.6', title: 'Variations', topics: ['variation', 'payment'], summary: 'The Architect/Contract Administrator may order additions, omissions or changes, valued on a fair and reasonable basis using the contract prices where relevant.' },
+  { clause: '4.3', title: 'Interim payments', topics: ['payment', 'notices'], summary: 'Sets the interim due dates, Payment Notices and Pay Less Notices for progress payments.' },
+  { clause: '4.7', title: 'Contractor\'s right of suspension', topics: ['payment', 'termination', 'notices'], summary: 'If a sum due is not paid in full by the final date for payment, the Contractor may suspend performance after giving 7 days\' notice.' },
+  { clause: '6.4', title: 'Default by Contractor', topics: ['termination', 'notices'], summary: 'The Employer may give notice specifying a default and terminate if it continues for 7 days.' },
+  { clause: '6.8', title: 'Default by Employer', topics: ['termination', 'payment', 'notices'], summary: 'The Contractor may give notice specifying a default such as non-payment and terminate if it continues for 7 days.' },
+  { clause: '7.2', title: 'Adjudication', topics: ['general', 'payment'], summary: 'Either party may refer a dispute to adjudication under the Scheme for Construction Contracts.' }
+];
+
+// Shared section structure used across the other JCT forms
+const JCT_SECTIONS = [
+  { clause: 'Section 2', title: 'Carrying out the Works – progress, completion and extensions of time', topics: ['delay', 'notices', 'defects'], summary: 'Covers the obligation to proceed regularly and diligently, notification of delay, extensions of time, completion and defects.' },
+  { clause: 'Section 3', title: 'Control of the Works – instructions', topics: ['variation', 'defects'], summary: 'Covers instructions, including those requiring variations and the removal of non-compliant work.' },
+  { clause: 'Section 4', title: 'Payment', topics: ['payment', 'notices'], summary: 'Covers due dates, Payment Notices, Pay Less Notices, the right of suspension and final payment.' },
+  { clause: 'Section 5', title: 'Variations', topics: ['variation', 'payment'], summary: 'Defines variations and sets out how they are valued.' },
+  { clause: 'Section 8', title: 'Termination', topics: ['termination', 'notices'], summary: 'Covers termination for default, insolvency and neutral events, and the notices required.' },
+  { clause: 'Section 9', title: 'Settlement of disputes', topics: ['general'], summary: 'Covers mediation, adjudication and arbitration or litigation.' }
+];
+
+const NEC4_ECC = [
+  { clause: '10.1', title: 'Actions', topics: ['general'], summary: 'The parties, Project Manager and Supervisor must act as stated in the contract.' },
+  { clause: '10.2', title: 'Mutual trust and co-operation', topics: ['general'], summary: 'The parties, Project Manager and Supervisor must act in a spirit of mutual trust and co-operation.' },
+  { clause: '13.1', title: 'Communications', topics: ['notices'], summary: 'Instructions, certificates, submissions, notifications and replies must be communicated in a form which can be read, copied and recorded.' },
+  { clause: '15.1', title: 'Early warning', topics: ['notices', 'delay', 'payment'], summary: 'The Contractor and Project Manager must give an early warning of any matter which could increase the Prices, delay Completion or impair performance.' },
+  { clause: '31.1', title: 'The programme', topics: ['delay'], summary: 'The Contractor submits a first programme for acceptance within the period stated in the Contract Data.' },
+  { clause: '32.1', title: 'Revising the programme', topics: ['delay'], summary: 'Revised programmes show actual progress, the effects of implemented compensation events and notified early warnings.' },
+  { clause: '42.2', title: 'Notifying Defects', topics: ['defects', 'notices'], summary: 'Until the defects date, the Supervisor and Contractor notify each other of each Defect as soon as they find it.' },
+  { clause: '43.1', title: 'Correcting Defects', topics: ['defects'], summary: 'The Contractor corrects a Defect whether or not the Supervisor notifies it, within the defect correction period.' },
+  { clause: '44.2', title: 'Accepting Defects', topics: ['defects', 'variation'], summary: 'The Contractor and Project Manager may agree that a Defect is not corrected, with a reduction to the Prices or an earlier Completion Date.' },
+  { clause: '45.1', title: 'Uncorrected Defects', topics: ['defects', 'payment'], summary: 'If the Contractor is given access but does not correct a notified Defect in time, the Project Manager assesses the cost of having it corrected by others.' },
+  { clause: '50.1', title: 'Assessing the amount due', topics: ['payment'], summary: 'The Project Manager assesses the amount due at each assessment date.' },
+  { clause: '51.1', title: 'Payment certificate', topics: ['payment', 'notices'], summary: 'The Project Manager certifies a payment within one week of each assessment date.' },
+  { clause: '51.2', title: 'Payment', topics: ['payment'], summary: 'Each certified payment is made within three weeks of the assessment date unless a different period is stated in the Contract Data.' },
+  { clause: '60.1', title: 'Compensation events', topics: ['variation', 'delay', 'payment'], summary: 'Lists the compensation events, including Project Manager instructions changing the Scope and failures by the Client to meet its obligations.' },
+  { clause: '61.1', title: 'Notifying compensation events – Project Manager', topics: ['variation', 'notices'], summary: 'The Project Manager notifies a compensation event at the time of giving an instruction or changing an earlier decision.' },
+  { clause: '61.3', title: 'Notifying compensation events – Contractor', topics: ['variation', 'delay', 'notices'], summary: 'The Contractor must notify a compensation event within 8 weeks of becoming aware of it, or lose its entitlement to a change in the Prices or Completion Date.' },
+  { clause: '61.4', title: 'Project Manager\'s reply to a notification', topics: ['variation', 'notices'], summary: 'The Project Manager replies within one week of notification; failure to reply can be treated as acceptance after a further notice.' },
+  { clause: '62.2', title: 'Quotations for compensation events', topics: ['variation', 'payment', 'delay'], summary: 'Quotations comprise proposed changes to the Prices and any delay to the Completion Date and Key Dates.' },
+  { clause: '62.3', title: 'Quotation timescales', topics: ['variation', 'notices'], summary: 'The Contractor submits quotations within three weeks of being instructed; the Project Manager replies within two weeks.' },
+  { clause: '63.1', title: 'Assessing compensation events', topics: ['variation', 'payment'], summary: 'Changes to the Prices are assessed as the effect of the event on Defined Cost plus the resulting Fee.' },
+  { clause: '64.1', title: 'Project Manager\'s assessments', topics: ['variation', 'payment', 'notices'], summary: 'Sets when the Project Manager must assess a compensation event itself, for example where no quotation is submitted in time.' },
+  { clause: '65.1', title: 'Implementing compensation events', topics: ['variation'], summary: 'A compensation event is implemented when its quotation or assessment is accepted or deemed accepted.' },
+  { clause: '90.1', title: 'Termination procedure', topics: ['termination', 'notices'], summary: 'A party wishing to terminate notifies the Project Manager and the other party with reasons; the Project Manager issues a termination certificate if the reason is valid.' },
+  { clause: '91.1', title: 'Reasons for termination', topics: ['termination'], summary: 'Lists the reasons for termination, including insolvency, substantial failure to comply with obligations and non-payment.' },
+  { clause: 'W2', prefix: 'Option', title: 'Dispute resolution procedure (Construction Act)', topics: ['general', 'payment'], summary: 'Disputes may be referred to adjudication at any time under the procedure in Option W2.' }
+];
+
+const NEC3_ECC = [
+  { clause: '10.1', title: 'Actions', topics: ['general'], summary: 'The parties, Project Manager and Supervisor must act as stated in the contract and in a spirit of mutual trust and co-operation.' },
+  { clause: '13.1', title: 'Communications', topics: ['notices'], summary: 'Instructions, certificates, submissions, notifications and replies must be communicated in a form which can be read, copied and recorded.' },
+  { clause: '16.1', title: 'Early warning', topics: ['notices', 'delay', 'payment'], summary: 'The Contractor and Project Manager must give an early warning of any matter which could increase the total of the Prices, delay Completion or impair performance.' },
+  { clause: '31.1', title: 'The programme', topics: ['delay'], summary: 'The Contractor submits a first programme for acceptance within the period stated in the Contract Data.' },
+  { clause: '32.1', title: 'Revising the programme', topics: ['delay'], summary: 'Revised programmes show actual progress and the effects of implemented compensation events and early warnings.' },
+  { clause: '42.2', title: 'Notifying Defects', topics: ['defects', 'notices'], summary: 'Until the defects date, the Supervisor and Contractor notify each other of each Defect as soon as they find it.' },
+  { clause: '43.1', title: 'Correcting Defects', topics: ['defects'], summary: 'The Contractor corrects a Defect whether or not the Supervisor notifies it, within the defect correction period.' },
+  { clause: '44.2', title: 'Accepting Defects', topics: ['defects', 'variation'], summary: 'The Contractor and Project Manager may agree that a Defect is not corrected, with a reduction to the Prices or an earlier Completion Date.' },
+  { clause: '45.1', title: 'Uncorrected Defects', topics: ['defects', 'payment'], summary: 'If the Contractor is given access but does not correct a notified Defect in time, the Project Manager assesses the cost of having it corrected by others.' },
+  { clause: '50.1', title: 'Assessing the amount due', topics: ['payment'], summary: 'The Project Manager assesses the amount due at each assessment date.' },
+  { clause: '51.1', title: 'Payment certificate', topics: ['payment', 'notices'], summary: 'The Project Manager certifies a payment within one week of each assessment date.' },
+  { clause: '51.2', title: 'Payment', topics: ['payment'], summary: 'Each certified payment is made within three weeks of the assessment date unless a different period is stated in the Contract Data.' },
+  { clause: '60.1', title: 'Compensation events', topics: ['variation', 'delay', 'payment'], summary: 'Lists the compensation events, including Project Manager instructions changing the Works Information.' },
+  { clause: '61.1', title: 'Notifying compensation events – Project Manager', topics: ['variation', 'notices'], summary: 'The Project Manager notifies a compensation event at the time of giving an instruction or changing an earlier decision.' },
+  { clause: '61.3', title: 'Notifying compensation events – Contractor', topics: ['variation', 'delay', 'notices'], summary: 'The Contractor must notify a compensation event within 8 weeks of becoming aware of it, or lose its entitlement to a change in the Prices or Completion Date.' },
+  { clause: '61.4', title: 'Project Manager\'s reply to a notification', topics: ['variation', 'notices'], summary: 'The Project Manager replies within one week of notification; failure to reply can be treated as acceptance after a further notice.' },
+  { clause: '62.2', title: 'Quotations for compensation events', topics: ['variation', 'payment', 'delay'], summary: 'Quotations comprise proposed changes to the Prices and any delay to the Completion Date and Key Dates.' },
+  { clause: '62.3', title: 'Quotation timescales', topics: ['variation', 'notices'], summary: 'The Contractor submits quotations within three weeks of being instructed; the Project Manager replies within two weeks.' },
+  { clause: '63.1', title: 'Assessing compensation events', topics: ['variation', 'payment'], summary: 'Changes to the Prices are assessed as the effect of the event on Actual Cost plus the resulting Fee.' },
+  { clause: '64.1', title: 'Project Manager\'s assessments', topics: ['variation', 'payment', 'notices'], summary: 'Sets when the Project Manager must assess a compensation event itself, for example where no quotation is submitted in time.' },
+  { clause: '65.1', title: 'Implementing compensation events', topics: ['variation'], summary: 'A compensation event is implemented when its quotation or assessment is accepted or deemed accepted.' },
+  { clause: '90.1', title: 'Termination procedure', topics: ['termination', 'notices'], summary: 'A party wishing to terminate notifies the Project Manager and the other party with reasons; the Project Manager issues a termination certificate if the reason is valid.' },
+  { clause: '91.1', title: 'Reasons for termination', topics: ['termination'], summary: 'Lists the reasons for termination, including insolvency, substantial failure to comply with obligations and non-payment.' },
+  { clause: 'W2', prefix: 'Option', title: 'Dispute resolution procedure (Construction Act)', topics: ['general', 'payment'], summary: 'Disputes may be referred to adjudication at any time under the procedure in Option W2.' },
+  { clause: 'Y(UK)2', prefix: 'Option', title: 'Housing Grants, Construction and Regeneration Act 1996 payment provisions', topics: ['payment', 'notices'], summary: 'Adds the statutory due date, final date for payment and pay less notice provisions.' }
+];
+
+// Core clauses shared by the other NEC contracts; detailed numbering varies by contract
+const NEC4_CORE = [
+  NEC4_ECC.find(entry => entry.clause === '10.1'),
+  NEC4_ECC.find(entry => entry.clause === '10.2'),
+  NEC4_ECC.find(entry => entry.clause === '13.1'),
+  NEC4_ECC.find(entry => entry.clause === '15.1'),
+  { clause: 'Core clause 5', title: 'Payment', topics: ['payment', 'notices'], summary: 'Covers assessment dates, payment certificates and the time for payment.' },
+  { clause: 'Core clause 6', title: 'Compensation events', topics: ['variation', 'delay', 'payment', 'notices'], summary: 'Covers what counts as a compensation event, notification time-bars, quotations and assessment.' },
+  { clause: 'Core clause 9', title: 'Termination', topics: ['termination', 'notices'], summary: 'Covers the reasons and procedures for termination and payment on termination.' },
+  NEC4_ECC.find(entry => entry.clause === 'W2')
+];
+
+const NEC3_CORE = [
+  NEC3_ECC.find(entry => entry.clause === '10.1'),
+  NEC3_ECC.find(entry => entry.clause === '13.1'),
+  NEC3_ECC.find(entry => entry.clause === '16.1'),
+  { clause: 'Core clause 5', title: 'Payment', topics: ['payment', 'notices'], summary: 'Covers assessment dates, payment certificates and the time for payment.' },
+  { clause: 'Core clause 6', title: 'Compensation events', topics: ['variation', 'delay', 'payment', 'notices'], summary: 'Covers what counts as a compensation event, notification time-bars, quotations and assessment.' },
+  { clause: 'Core clause 9', title: 'Termination', topics: ['termination', 'notices'], summary: 'Covers the reasons and procedures for termination and payment on termination.' },
+  NEC3_ECC.find(entry => entry.clause === 'W2')
+];
+
+const FIDIC_2017 = [
+  { clause: '1.3', prefix: 'Sub-Clause', title: 'Notices and Other Communications', topics: ['notices'], summary: 'Notices must be in writing, identified as a Notice and delivered to the address stated in the Contract Data.' },
+  { clause: '3.7', prefix: 'Sub-Clause', title: 'Agreement or Determination', topics: ['general', 'payment', 'notices'], summary: 'The Engineer consults the parties to reach agreement and otherwise makes a fair determination within the stated time limits.' },
+  { clause: '4.1', prefix: 'Sub-Clause', title: 'Contractor\'s General Obligations', topics: ['general', 'defects'], summary: 'The Contractor executes the Works in accordance with the Contract so they are fit for the purposes defined in the Contract.' },
+  { clause: '8.3', prefix: 'Sub-Clause', title: 'Programme', topics: ['delay'], summary: 'The Contractor submits an initial programme within 28 days of the Commencement Date and revised programmes as required.' },
+  { clause: '8.5', prefix: 'Sub-Clause', title: 'Extension of Time for Completion', topics: ['delay', 'variation'], summary: 'The Contractor is entitled to an extension of time for listed causes, subject to the claims procedure in Sub-Clause 20.2.' },
+  { clause: '8.8', prefix: 'Sub-Clause', title: 'Delay Damages', topics: ['delay', 'payment'], summary: 'If the Contractor fails to complete on time, the Employer is entitled to delay damages at the rate stated, subject to the stated maximum.' },
+  { clause: '11.1', prefix: 'Sub-Clause', title: 'Completion of Outstanding Work and Remedying Defects', topics: ['defects'], summary: 'The Contractor completes outstanding work and remedies notified defects during the Defects Notification Period.' },
+  { clause: '13.1', prefix: 'Sub-Clause', title: 'Right to Vary', topics: ['variation'], summary: 'The Engineer may initiate a Variation at any time before the Taking-Over Certificate.' },
+  { clause: '13.3', prefix: 'Sub-Clause', title: 'Variation Procedure', topics: ['variation', 'payment'], summary: 'Sets how Variations are instructed, priced and valued.' },
+  { clause: '14.3', prefix: 'Sub-Clause', title: 'Application for Interim Payment', topics: ['payment'], summary: 'The Contractor submits a Statement after each month showing the amounts it considers due.' },
+  { clause: '14.6', prefix: 'Sub-Clause', title: 'Issue of IPC', topics: ['payment', 'notices'], summary: 'The Engineer issues an Interim Payment Certificate within 28 days of receiving the Statement.' },
+  { clause: '14.7', prefix: 'Sub-Clause', title: 'Payment', topics: ['payment'], summary: 'The Employer pays each certified amount within 56 days of the Engineer receiving the Statement.' },
+  { clause: '14.8', prefix: 'Sub-Clause', title: 'Delayed Payment', topics: ['payment'], summary: 'The Contractor is entitled to financing charges on late payments without needing to give notice.' },
+  { clause: '15.2', prefix: 'Sub-Clause', title: 'Termination for Contractor\'s Default', topics: ['termination', 'notices'], summary: 'The Employer may give notice of intention to terminate for listed defaults and terminate 14 days later.' },
+  { clause: '16.1', prefix: 'Sub-Clause', title: 'Suspension by Contractor', topics: ['payment', 'termination', 'notices'], summary: 'The Contractor may suspend or slow work on at least 21 days\' notice if the Employer fails to pay or certify.' },
+  { clause: '16.2', prefix: 'Sub-Clause', title: 'Termination by Contractor', topics: ['termination', 'payment', 'notices'], summary: 'The Contractor may give notice of intention to terminate for listed Employer defaults and terminate 14 days later.' },
+  { clause: '20.1', prefix: 'Sub-Clause', title: 'Claims', topics: ['notices', 'payment', 'delay'], summary: 'Sets out what counts as a Claim and that Claims for payment or extension of time follow Sub-Clause 20.2.' },
+  { clause: '20.2', prefix: 'Sub-Clause', title: 'Claims for Payment and/or EOT', topics: ['notices', 'payment', 'delay'], summary: 'A Notice of Claim must be given within 28 days of becoming aware of the event, or the claim is time-barred; a fully detailed Claim follows within 84 days.' },
+  { clause: '21.4', prefix: 'Sub-Clause', title: 'Obtaining DAAB\'s Decision', topics: ['general'], summary: 'A Dispute may be referred to the Dispute Avoidance/Adjudication Board within 42 days of a Notice of Dissatisfaction.' }
+];
+
+// The Silver Book replaces the Engineer with the Employer's Representative
+const FIDIC_SILVER_2017 = FIDIC_2017.map(entry => (
+  entry.clause === '3.7'
+    ? { ...entry, clause: '3.5', title: 'Agreement or Determination', summary: 'The Employer\'s Representative consults the parties to reach agreement and otherwise makes a fair determination within the stated time limits.' }
+    : entry
+));
+
+// First edition numbering, used to spot citations from the wrong edition
+const FIDIC_1999 = [
+  { clause: '1.3', prefix: 'Sub-Clause', title: 'Communications', topics: ['notices'], summary: 'Notices and other communications must be in writing and delivered to the stated address.' },
+  { clause: '2.5', prefix: 'Sub-Clause', title: 'Employer\'s Claims', topics: ['notices', 'payment'], summary: 'The Employer must give notice and particulars of any claim for payment or extension of the Defects Notification Period.' },
+  { clause: '3.5', prefix: 'Sub-Clause', title: 'Determinations', topics: ['general', 'payment'], summary: 'The Engineer consults the parties and otherwise makes a fair determination.' },
+  { clause: '8.4', prefix: 'Sub-Clause', title: 'Extension of Time for Completion', topics: ['delay'], summary: 'The Contractor is entitled to an extension of time for listed causes, subject to Sub-Clause 20.1.' },
+  { clause: '8.7', prefix: 'Sub-Clause', title: 'Delay Damages', topics: ['delay', 'payment'], summary: 'If the Contractor fails to complete on time, the Employer is entitled to delay damages at the stated rate.' },
+  { clause: '16.1', prefix: 'Sub-Clause', title: 'Contractor\'s Entitlement to Suspend Work', topics: ['payment', 'termination', 'notices'], summary: 'The Contractor may suspend or slow work on at least 21 days\' notice if the Employer fails to pay or certify.' },
+  { clause: '20.1', prefix: 'Sub-Clause', title: 'Contractor\'s Claims', topics: ['notices', 'payment', 'delay'], summary: 'Notice of a claim must be given within 28 days of becoming aware of the event, or the claim is time-barred.' },
+  { clause: '20.4', prefix: 'Sub-Clause', title: 'Obtaining Dispute Adjudication Board\'s Decision', topics: ['general'], summary: 'Either party may refer a dispute to the Dispute Adjudication Board.' }
+];
+
+const FIDIC_GOLD_2008 = [
+  { clause: '1.3', prefix: 'Sub-Clause', title: 'Communications', topics: ['notices'], summary: 'Notices and other communications must be in writing and delivered to the stated address.' },
+  { clause: '8.7', prefix: 'Sub-Clause', title: 'Extension of Time for Completion of Design-Build', topics: ['delay'], summary: 'The Contractor is entitled to an extension of time for listed causes, subject to the claims procedure.' },
+  { clause: '13.1', prefix: 'Sub-Clause', title: 'Right to Vary', topics: ['variation'], summary: 'The Employer\'s Representative may initiate Variations before the Commissioning Certificate.' },
+  { clause: '14.3', prefix: 'Sub-Clause', title: 'Application for Interim Payment Certificates', topics: ['payment'], summary: 'The Contractor submits monthly Statements of the amounts it considers due.' },
+  { clause: '15.2', prefix: 'Sub-Clause', title: 'Termination by Employer', topics: ['termination', 'notices'], summary: 'The Employer may terminate on 14 days\' notice for listed Contractor defaults.' },
+  { clause: '16.1', prefix: 'Sub-Clause', title: 'Contractor\'s Entitlement to Suspend Work', topics: ['payment', 'termination', 'notices'], summary: 'The Contractor may suspend or slow work on at least 21 days\' notice if the Employer fails to pay or certify.' },
+  { clause: '20.1', prefix: 'Sub-Clause', title: 'Contractor\'s Claims', topics: ['notices', 'payment', 'delay'], summary: 'A notice of claim must be given within 28 days of becoming aware of the event, or the claim is time-barred.' }
+];
+
+const ICE_7TH = [
+  { clause: '12', title: 'Adverse physical conditions and artificial obstructions', topics: ['delay', 'payment', 'notices'], summary: 'The Contractor must give notice as early as practicable of unforeseeable physical conditions to claim additional time and cost.' },
+  { clause: '14', title: 'Programme to be furnished', topics: ['delay'], summary: 'The Contractor submits a programme for acceptance and revises it when required.' },
+  { clause: '44', title: 'Extension of time for completion', topics: ['delay', 'notices'], summary: 'The Contractor must deliver full and detailed particulars of any claim for extension within 28 days after the cause of delay arises.' },
+  { clause: '47', title: 'Liquidated damages for delay', topics: ['delay', 'payment'], summary: 'Liquidated damages are payable at the stated rate if the Works are not completed on time.' },
+  { clause: '49', title: 'Outstanding work and defects', topics: ['defects'], summary: 'The Contractor completes outstanding work and makes good defects notified before the end of the Defects Correction Period.' },
+  { clause: '51', title: 'Ordered variations', topics: ['variation'], summary: 'The Engineer may order any variation necessary for completion of the Works.' },
+  { clause: '52', title: 'Valuation of ordered variations', topics: ['variation', 'payment'], summary: 'Variations are valued at contract rates where applicable, otherwise at fair rates and prices.' },
+  { clause: '53', title: 'Additional payments', topics: ['payment', 'notices'], summary: 'The Contractor must give notice within 28 days of the event giving rise to a claim for additional payment.' },
+  { clause: '60', title: 'Monthly statements and payment', topics: ['payment', 'notices'], summary: 'The Contractor submits monthly statements; the Engineer certifies and the Employer pays within the stated periods.' },
+  { clause: '63', title: 'Determination of the Contractor\'s employment', topics: ['termination', 'notices'], summary: 'The Employer may determine the Contractor\'s employment after notice for listed defaults.' },
+  { clause: '66', title: 'Avoidance and settlement of disputes', topics: ['general'], summary: 'Sets the Notice of Dispute, conciliation, adjudication and arbitration procedures.' },
+  { clause: '68', title: 'Service of notices', topics: ['notices'], summary: 'Notices must be served at the stated address or registered office.' }
+];
+
+const GC_WORKS_1998 = [
+  { clause: '36', title: 'Extensions of time', topics: ['delay', 'notices'], summary: 'The Contractor must notify the Project Manager of delay and may be granted an extension for listed causes.' },
+  { clause: '40', title: 'Valuation of instructions', topics: ['variation', 'payment'], summary: 'Instructions changing the Works are valued by quotation or by the Quantity Surveyor using the stated rules.' },
+  { clause: '46', title: 'Prolongation and disruption', topics: ['delay', 'payment', 'notices'], summary: 'The Contractor may recover expense from prolongation or disruption if it gives notice promptly.' },
+  { clause: '48', title: 'Advances on account', topics: ['payment'], summary: 'Sets the monthly advances on account and the related payment notices.' },
+  { clause: '56', title: 'Determination by the Employer', topics: ['termination', 'notices'], summary: 'The Employer may determine the contract by notice for listed defaults or at will.' },
+  { clause: '59', title: 'Adjudication', topics: ['general', 'payment'], summary: 'Either party may refer a dispute to adjudication.' }
+];
+
+const PPC2000 = [
+  { clause: '27', title: 'Problem-solving and dispute avoidance or resolution', topics: ['general', 'notices'], summary: 'Sets the problem-solving hierarchy and the right to adjudication for disputes between Partnering Team members.' }
+];
+
+// otherEditions holds earlier or later editions of the same form, used to flag wrong-edition citations
+const jct = (edition, clauses) => ({ family: 'JCT', edition, clauses: [...clauses, ...CONSTRUCTION_ACT] });
+const nec = (edition, clauses, otherEditions = []) => ({ family: 'NEC', edition, clauses: [...clauses, ...CONSTRUCTION_ACT], otherEditions });
+const fidic = (edition, clauses, otherEditions = []) => ({ family: 'FIDIC', edition, clauses: [...clauses, ...CONSTRUCTION_ACT], otherEditions });
+const statutory = (family, edition = null) => ({ family, edition, clauses: CONSTRUCTION_ACT });
+
+export const clauseLibrary = {
+  // JCT Contracts
+  'JCT Standard Building Contract': jct('JCT SBC 2016', JCT_SBC_2016),
+  'JCT Design and Build Contract': jct('JCT DB 2016', JCT_DB_2016),
+  'JCT Minor Works Contract': jct('JCT MW 2016', JCT_MW_2016),
+  'JCT Intermediate Building Contract': jct('JCT IC 2016', JCT_IC_2016),
+  'JCT Construction Management Contract': jct('JCT CM 2016', JCT_SECTIONS),
+  'JCT Management Building Contract': jct('JCT MC 2016', JCT_SECTIONS),
+  'JCT Measured Term Contract': jct('JCT MTC 2016', JCT_SECTIONS),
+  'JCT Prime Cost Building Contract': jct('JCT PCC 2016', JCT_SECTIONS),
+  'JCT Repair and Maintenance Contract': jct('JCT RM 2016', JCT_SECTIONS),
+  'JCT Minor Works Building Contract': jct('JCT MW 2016', JCT_MW_2016),
+
+  // NEC Contracts
+  'NEC3 Engineering and Construction Contract (ECC)': nec('NEC3 ECC (April 2013)', NEC3_ECC, [{ edition: 'NEC4 ECC (June 2017)', clauses: NEC4_ECC }]),
+  'NEC4 Engineering and Construction Contract (ECC)': nec('NEC4 ECC (June 2017)', NEC4_ECC, [{ edition: 'NEC3 ECC (April 2013)', clauses: NEC3_ECC }]),
+  'NEC3 Engineering and Construction Short Contract (ECSC)': nec('NEC3 ECSC', NEC3_CORE, [{ edition: 'NEC4', clauses: NEC4_CORE }]),
+  'NEC4 Engineering and Construction Short Contract (ECSC)': nec('NEC4 ECSC', NEC4_CORE, [{ edition: 'NEC3', clauses: NEC3_CORE }]),
+  'NEC3 Professional Services Contract (PSC)': nec('NEC3 PSC', NEC3_CORE, [{ edition: 'NEC4', clauses: NEC4_CORE }]),
+  'NEC4 Professional Services Contract (PSC)': nec('NEC4 PSC', NEC4_CORE, [{ edition: 'NEC3', clauses: NEC3_CORE }]),
+  'NEC3 Term Service Contract (TSC)': nec('NEC3 TSC', NEC3_CORE, [{ edition: 'NEC4', clauses: NEC4_CORE }]),
+  'NEC4 Term Service Contract (TSC)': nec('NEC4 TSC', NEC4_CORE, [{ edition: 'NEC3', clauses: NEC3_CORE }]),
+  'NEC3 Supply Contract (SC)': nec('NEC3 SC', NEC3_CORE, [{ edition: 'NEC4', clauses: NEC4_CORE }]),
+  'NEC4 Supply Contract (SC)': nec('NEC4 SC', NEC4_CORE, [{ edition: 'NEC3', clauses: NEC3_CORE }]),
+  'NEC3 Framework Contract (FC)': nec('NEC3 FC', NEC3_CORE.filter(entry => entry.clause !== 'Core clause 6')),
+  'NEC4 Framework Contract (FC)': nec('NEC4 FC', NEC4_CORE.filter(entry => entry.clause !== 'Core clause 6')),
+
+  // RIBA Contracts
+  'RIBA Standard Agreement': statutory('RIBA'),
+  'RIBA Concise Agreement': statutory('RIBA'),
+  'RIBA Domestic Building Contract': { family: 'RIBA', edition: null, clauses: CONSUMER_RIGHTS_ACT },
+  'RIBA Building Contract for a Home Owner/Occupier': { family: 'RIBA', edition: null, clauses: CONSUMER_RIGHTS_ACT },
+
+  // ICE Contracts
+  'ICE Conditions of Contract': { family: 'ICE', edition: 'ICE 7th Edition', clauses: [...ICE_7TH, ...CONSTRUCTION_ACT] },
+  'ICE Design and Construct Contract': { family: 'ICE', edition: 'ICE Design and Construct 2nd Edition', clauses: [...ICE_7TH, ...CONSTRUCTION_ACT] },
+  'ICE Minor Works Contract': statutory('ICE'),
+
+  // FIDIC Contracts
+  'FIDIC Red Book (Construction)': fidic('FIDIC Red Book 2017', FIDIC_2017, [{ edition: 'FIDIC Red Book 1999', clauses: FIDIC_1999 }]),
+  'FIDIC Yellow Book (Plant & Design-Build)': fidic('FIDIC Yellow Book 2017', FIDIC_2017, [{ edition: 'FIDIC Yellow Book 1999', clauses: FIDIC_1999 }]),
+  'FIDIC Silver Book (EPC/Turnkey)': fidic('FIDIC Silver Book 2017', FIDIC_SILVER_2017, [{ edition: 'FIDIC Silver Book 1999', clauses: FIDIC_1999 }]),
+  'FIDIC Green Book (Short Form)': statutory('FIDIC'),
+  'FIDIC Gold Book (Design, Build and Operate)': fidic('FIDIC Gold Book 2008', FIDIC_GOLD_2008),
+  'FIDIC Blue Book (Dredging and Reclamation)': statutory('FIDIC'),
+  'FIDIC White Book (Client/Consultant Model Services Agreement)': statutory('FIDIC'),
+
+  // Other standard forms
+  'ACA Form of Building Agreement': statutory('Other'),
+  'GC/Works Contracts': { family: 'GC/Works', edition: 'GC/Works/1 (1998)', clauses: [...GC_WORKS_1998, ...CONSTRUCTION_ACT] },
+  'PPC2000 Contract': { family: 'PPC', edition: 'PPC2000 (2008 amendments)', clauses: [...PPC2000, ...CONSTRUCTION_ACT] },
+  'IChemE Forms of Contract': statutory('Other'),
+  'ACE Agreements': statutory('Other'),
+  'CIC Consultant Contract': statutory('Other'),
+
+  // Specialist/Others
+  'Bespoke Contract': statutory('Other'),
+  'Letter of Intent': statutory('Other'),
+  'Framework Agreement': statutory('Other'),
+  'Term Contract': statutory('Other'),
+  'Other': statutory('Other')
+};
@@ -0,0 +1,232 @@
+// Letter types the draft letter generator can produce.
+// families limits a type to those contract families (null for any form);
+// recipients maps the sender's side (employer, contractor or subcontractor) to the addressee, and a missing side can't give the notice;
+// noticeTitles pick the clause from noticeRules.js, falling back to statutoryClause;
+// requiredContent lists what the instrument must contain to be valid, checked against the drafted letter.
+
+export const letterTypes = [
+  {
+    value: 'general',
+    label: 'General letter',
+    description: 'A letter setting out your position on every issue in the report.',
+    families: null,
+    recipients: null,
+    fields: [],
+    instructions: `Address every issue in the report, with reference to the specific contract clauses, and make clear requests for action with reasonable timeframes.`,
+    requiredContent: []
+  },
+  {
+    value: 'nec-early-warning',
+    label: 'NEC early warning notice',
+    description: 'Notify a matter that could increase the Prices, delay Completion or a Key Date, or impair performance.',
+    families: ['NEC'],
+    recipients: { contractor: 'The Project Manager', employer: 'The Contractor', subcontractor: 'The Contractor' },
+    noticeTitles: ['Early warning'],
+    fields: [
+      { name: 'matter', label: 'Matter being notified', type: 'textarea', required: true },
+      { name: 'possibleEffects', label: 'How it could affect the Prices, Completion, Key Dates or performance', type: 'textarea', required: true },
+      { name: 'proposedActions', label: 'Proposals for avoiding or reducing the effect', type: 'textarea', required: false }
+    ],
+    instructions: `Draft a short early warning notice. Identify the clause under which it is given, describe the matter, state each way it could increase the total of the Prices, delay Completion, delay meeting a Key Date or impair the performance of the works in use, and ask for the matter to be entered in the Early Warning Register and discussed at an early warning meeting. Keep the tone neutral and collaborative.`,
+    requiredContent: [
+      { label: 'the clause under which the notice is given', check: ({ text, clause }) => mentionsClause(text, clause) },
+      { label: 'the words "early warning"', check: ({ text }) => /early warning/i.test(text) },
+      { label: 'the possible effect on Prices, Completion or Key Dates', check: ({ text }) => /\b(prices|completion|key date)/i.test(text) }
+    ]
+  },
+  {
+    value: 'nec-compensation-event',
+    label: 'NEC compensation event notification',
+    description: 'Notify the Project Manager of an event you believe is a compensation event.',
+    families: ['NEC'],
+    recipients: { contractor: 'The Project Manager', subcontractor: 'The Contractor' },
+    noticeTitles: ['Notify a compensation event'],
+    fields: [
+      { name: 'eventDescription', label: 'The event', type: 'textarea', required: true },
+      { name: 'compensationEventClause', label: 'Compensation event clause (e.g. 60.1(1))', type: 'text', required: true },
+      { name: 'awareDate', label: 'Date you became aware of the event', type: 'date', required: true }
+    ],
+    instructions: `Draft a notification of a compensation event. State expressly that it is a notification under the clause given, identify the event and the clause in the compensation event list it falls under, state the date the Contractor became aware of it, and note that the Project Manager must reply within one week (or a longer agreed period) and instruct quotations. Do not include a quotation.`,
+    requiredContent: [
+      { label: 'the notification clause', check: ({ text, clause }) => mentionsClause(text, clause) },
+      { label: 'the compensation event clause', check: ({ text, fields }) => mentionsClause(text, fields.compensationEventClause) },
+      { label: 'the date you became aware of the event', check: ({ text, fields }) => mentionsDate(text, fields.awareDate) },
+      { label: 'the words "compensation event"', check: ({ text }) => /compensation event/i.test(text) }
+    ]
+  },
+  {
+    value: 'jct-extension-of-time',
+    label: 'JCT extension of time notice',
+    description: 'Notify the Architect/Contract Administrator that progress is or is likely to be delayed.',
+    families: ['JCT'],
+    recipients: { contractor: 'The Architect/Contract Administrator', subcontractor: 'The Contractor' },
+    noticeTitles: ['Notice of delay to progress'],
+    fields: [
+      { name: 'cause', label: 'Cause of delay (the Relevant Event)', type: 'textarea', required: true },
+      { name: 'materialCircumstances', label: 'Material circumstances', type: 'textarea', required: true },
+      { name: 'expectedDelay', label: 'Estimated delay to completion', type: 'text', required: true },
+      { name: 'completionDate', label: 'Current Completion Date', type: 'date', required: true }
+    ],
+    instructions: `Draft a notice of delay to progress. State that progress is being or is likely to be delayed, give the material circumstances including the cause, identify the Relevant Event, give particulars of the expected effects and an estimate of the delay to completion beyond the Completion Date, and ask for a fair and reasonable extension of time. Say that further particulars will follow as required.`,
+    requiredContent: [
+      { label: 'the notice clause', check: ({ text, clause }) => mentionsClause(text, clause) },
+      { label: 'the words "Relevant Event"', check: ({ text }) => /relevant event/i.test(text) },
+      { label: 'the current Completion Date', check: ({ text, fields }) => mentionsDate(text, fields.completionDate) },
+      { label: 'the estimated delay', check: ({ text, fields }) => text.toLowerCase().includes(fields.expectedDelay.trim().toLowerCase()) }
+    ]
+  },
+  {
+    value: 'payment-notice',
+    label: 'Payment notice',
+    description: 'State the sum you consider due at the due date and how it was calculated.',
+    families: null,
+    recipients: { employer: 'The Contractor', contractor: 'The Sub-contractor' },
+    noticeTitles: [],
+    statutoryClause: 'Section 110A of the Housing Grants, Construction and Regeneration Act 1996',
+    fields: [
+      { name: 'applicationReference', label: 'Application or valuation reference', type: 'text', required: true },
+      { name: 'dueDate', label: 'Due date', type: 'date', required: true },
+      { name: 'sumDue', label: 'Sum considered due (£)', type: 'number', required: true },
+      { name: 'basis', label: 'Basis on which the sum is calculated', type: 'textarea', required: true }
+    ],
+    instructions: `Draft a payment notice. State that it is a payment notice, identify the payment it relates to and its due date, state the sum the payer considers to be or to have been due at the payment due date and the basis on which that sum is calculated. Do not argue the wider dispute.`,
+    requiredContent: [
+      { label: 'the words "payment notice"', check: ({ text }) => /payment notice/i.test(text) },
+      { label: 'the sum considered due', check: ({ text, fields }) => mentionsAmount(text, fields.sumDue) },
+      { label: 'the due date', check: ({ text, fields }) => mentionsDate(text, fields.dueDate) },
+      { label: 'the basis of calculation', check: ({ text }) => /\b(basis|calculat)/i.test(text) }
+    ]
+  },
+  {
+    value: 'pay-less-notice',
+    label: 'Pay less notice',
+    description: 'Give notice that you intend to pay less than the notified sum.',
+    families: null,
+    recipients: { employer: 'The Contractor', contractor: 'The Sub-contractor' },
+    noticeTitles: ['Pay less notice'],
+    statutoryClause: 'Section 111 of the Housing Grants, Construction and Regeneration Act 1996',
+    fields: [
+      { name: 'applicationReference', label: 'Payment notice or application reference', type: 'text', required: true },
+      { name: 'notifiedSum', label: 'Notified sum (£)', type: 'number', required: true },
+      { name: 'sumToPay', label: 'Sum you consider due and will pay (£)', type: 'number', required: true },
+      { name: 'finalDate', label: 'Final date for payment', type: 'date', required: true },
+      { name: 'basis', label: 'Basis on which the sum is calculated', type: 'textarea', required: true }
+    ],
+    instructions: `Draft a pay less notice. State that it is a pay less notice, identify the notified sum it relates to, state the sum the payer considers to be due on the date the notice is served and the basis on which that sum is calculated, including each deduction. Note the final date for payment, and that the notice is served within the prescribed period before it.`,
+    requiredContent: [
+      { label: 'the words "pay less notice"', check: ({ text }) => /pay less notice/i.test(text) },
+      { label: 'the notified sum', check: ({ text, fields }) => mentionsAmount(text, fields.notifiedSum) },
+      { label: 'the sum to be paid', check: ({ text, fields }) => mentionsAmount(text, fields.sumToPay) },
+      { label: 'the basis of calculation', check: ({ text }) => /\b(basis|calculat)/i.test(text) }
+    ],
+    validate: (fields) => Number(fields.sumToPay) > Number(fields.notifiedSum)
+      ? { sumToPay: 'The sum to be paid should not be more than the notified sum' }
+      : {}
+  },
+  {
+    value: 'notice-of-dispute',
+    label: 'Notice of dispute',
+    description: 'Record that a dispute has crystallised and set out the redress sought.',
+    families: null,
+    recipients: { employer: 'The Contractor', contractor: 'The Employer/Client', subcontractor: 'The Contractor' },
+    noticeTitles: [],
+    statutoryClause: 'Section 108 of the Housing Grants, Construction and Regeneration Act 1996',
+    fields: [
+      { name: 'disputeDescription', label: 'What is in dispute', type: 'textarea', required: true },
+      { name: 'redressSought', label: 'Redress sought', type: 'textarea', required: true },
+      { name: 'responseDate', label: 'Date by which a response is required', type: 'date', required: false }
+    ],
+    instructions: `Draft a notice of dispute. State clearly that a dispute has arisen, describe its nature and the parties involved, set out the redress sought, and state that unless it is resolved the sender reserves the right to refer it to adjudication at any time under the contract and the Construction Act. Keep it suitable for use as the basis of a later notice of adjudication.`,
+    requiredContent: [
+      { label: 'the word "dispute"', check: ({ text }) => /\bdispute\b/i.test(text) },
+      { label: 'the redress sought', check: ({ text }) => /\b(redress|seek|sought)/i.test(text) },
+      { label: 'a reference to adjudication', check: ({ text }) => /adjudicat/i.test(text) }
+    ]
+  },
+  {
+    value: 'suspension-notice',
+    label: 'Notice of intention to suspend',
+    description: 'Give at least 7 days\' notice that you intend to suspend performance for non-payment.',
+    families: null,
+    recipients: { contractor: 'The Employer/Client', subcontractor: 'The Contractor' },
+    noticeTitles: ['Notice of intention to suspend for non-payment', 'Notice of suspension by the Contractor', 'Notice of intention to suspend performance'],
+    statutoryClause: 'Section 112 of the Housing Grants, Construction and Regeneration Act 1996',
+    fields: [
+      { name: 'unpaidSum', label: 'Sum not paid (£)', type: 'number', required: true },
+      { name: 'finalDate', label: 'Final date for payment that has passed', type: 'date', required: true },
+      { name: 'suspensionDate', label: 'Date suspension will start', type: 'date', required: true },
+      { name: 'obligationsSuspended', label: 'Obligations to be suspended (all or part)', type: 'textarea', required: true }
+    ],
+    instructions: `Draft a notice of intention to suspend performance for non-payment. State the sum due that has not been paid in full by the final date for payment, the grounds on which it is intended to suspend, the obligations to be suspended (all or part), and the date from which suspension will begin. State that the right to suspend ceases once the sum is paid in full and that the sender reserves the right to reasonable costs and expenses and an extension of time for the period of suspension.`,
+    requiredContent: [
+      { label: 'the unpaid sum', check: ({ text, fields }) => mentionsAmount(text, fields.unpaidSum) },
+      { label: 'the final date for payment', check: ({ text, fields }) => mentionsDate(text, fields.finalDate) },
+      { label: 'the date suspension will start', check: ({ text, fields }) => mentionsDate(text, fields.suspensionDate) },
+      { label: 'the grounds for suspension', check: ({ text }) => /\b(ground|non-payment|not been paid|failure to pay)/i.test(text) }
+    ],
+    validate: (fields) => {
+      const errors = {};
+      if (fields.finalDate && fields.finalDate >= today()) {
+        errors.finalDate = 'The final date for payment must have passed before you can give notice';
+      }
+      if (fields.suspensionDate && fields.suspensionDate < addDays(today(), 7)) {
+        errors.suspensionDate = 'Suspension can only start at least 7 days after the notice is given';
+      }
+      return errors;
+    }
+  },
+  {
+    value: 'termination-warning',
+    label: 'Termination warning (default) notice',
+    description: 'Specify a default that, if it continues, may lead to termination.',
+    families: ['JCT', 'FIDIC', 'NEC', 'ICE'],
+    recipients: { employer: 'The Contractor', contractor: 'The Employer/Client', subcontractor: 'The Contractor' },
+    noticeTitles: ['Termination following a default notice', 'Notice of termination by the Employer', 'Notice of termination by the Contractor'],
+    fields: [
+      { name: 'specifiedDefault', label: 'The specified default', type: 'textarea', required: true },
+      { name: 'defaultClause', label: 'Clause the default falls under', type: 'text', required: true },
+      { name: 'remedyPeriod', label: 'Period to end the default (days)', type: 'number', required: true }
+    ],
+    instructions: `Draft a default (warning) notice that may be followed by termination. Identify the specified default precisely and the clause it falls under, require the default to be ended within the stated period, and state that if it continues the sender may terminate the employment under the contract. Follow the contractual requirements for delivery of notices strictly; do not terminate in this letter.`,
+    requiredContent: [
+      { label: 'the clause the default falls under', check: ({ text, fields }) => mentionsClause(text, fields.defaultClause) },
+      { label: 'the period to end the default', check: ({ text, fields }) => new RegExp(`\\b${Number(fields.remedyPeriod)}\\b`).test(text) },
+      { label: 'a reference to termination', check: ({ text }) => /terminat/i.test(text) }
+    ]
+  }
+];
+
+function mentionsClause(text, clause) {
+  if (!clause) return true;
+  const number = clause.match(/[A-Z]?\d+(?:\.\d+)*(?:\([a-z0-9]+\))*/i)?.[0];
+  return number ? text.includes(number) : true;
+}
+
+// Letters may give sums with or without a £ sign, commas and pence
+function mentionsAmount(text, value) {
+  const amount = Number(value);
+  if (!Number.isFinite(amount)) return true;
+  const figures = text.replace(/,/g, '').match(/\d+(?:\.\d+)?/g) || [];
+  return figures.some(figure => Math.abs(Number(figure) - amount) < 0.005);
+}
+
+// Letters may give dates as 2026-11-04, 04/11/2026 or 4 November 2026
+function mentionsDate(text, value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return true;
+  const [, year, month, day] = match;
+  const monthName = new Date(Date.UTC(2000, Number(month) - 1, 1)).toLocaleString('en-GB', { month: 'long', timeZone: 'UTC' });
+  return text.includes(value)
+    || text.includes(`${day}/${month}/${year}`)
+    || new RegExp(`\\b${Number(day)}(st|nd|rd|th)?\\s+${monthName},?\\s+${year}`, 'i').test(text);
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
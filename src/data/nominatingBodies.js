@@ -0,0 +1,14 @@
+// Adjudicator nominating bodies commonly named in UK construction contracts or used under the Scheme
+export const nominatingBodies = [
+  'Royal Institution of Chartered Surveyors (RICS)',
+  'Chartered Institute of Arbitrators (CIArb)',
+  'Technology and Construction Solicitors\' Association (TeCSA)',
+  'Technology and Construction Bar Association (TECBAR)',
+  'Royal Institute of British Architects (RIBA)',
+  'Construction Industry Council (CIC)',
+  'Institution of Civil Engineers (ICE)',
+  'Association of Independent Construction Adjudicators (AICA)'
+];
+
+// Used when the contract names the adjudicator, so no nominating body is approached
+export const NAMED_ADJUDICATOR = 'Adjudicator named in the contract';
@@ -0,0 +1,242 @@
+// Contractual and statutory notice periods by form of contract.
+// days is counted from the event date (null when the period is "as soon as" with no fixed limit, 0 for "forthwith");
+// from names the trigger when the period runs from something other than the event, so it can't be dated from the issue.
+// conditionPrecedent is true where missing the notice can bar the claim or right altogether.
+
+const CONSTRUCTION_ACT_NOTICES = [
+  {
+    clause: '112', prefix: 'Section', title: 'Notice of intention to suspend performance',
+    topics: ['payment'], days: null,
+    timing: 'At least 7 days before suspending, once the final date for payment has passed without payment',
+    conditionPrecedent: true
+  }
+];
+
+// The JCT 2016 forms share their notice mechanisms but number them differently
+const jctNotices = ({ delay, lossAndExpense, suspension, defects, termination, terminationDays = 14, terminationWindowDays = 21 }) => [
+  delay && {
+    clause: delay, title: 'Notice of delay to progress',
+    topics: ['delay'], days: 0,
+    timing: 'Forthwith once it becomes reasonably apparent that progress is or is likely to be delayed, with particulars and an estimate of the delay',
+    conditionPrecedent: false
+  },
+  lossAndExpense && {
+    clause: lossAndExpense, title: 'Application for loss and/or expense',
+    topics: ['delay', 'variation'], days: null,
+    timing: 'As soon as the likely effect on regular progress becomes (or should have become) reasonably apparent',
+    conditionPrecedent: true
+  },
+  suspension && {
+    clause: suspension, title: 'Notice of intention to suspend for non-payment',
+    topics: ['payment'], days: null,
+    timing: 'At least 7 days before suspending, once the final date for payment has passed without payment',
+    conditionPrecedent: true
+  },
+  defects && {
+    clause: defects, title: 'Schedule of defects',
+    topics: ['defects'], days: 14, from: 'the expiry of the Rectification Period',
+    timing: 'Not later than 14 days after the expiry of the Rectification Period',
+    conditionPrecedent: false
+  },
+  termination && {
+    clause: termination, title: 'Termination following a default notice',
+    topics: ['termination'], days: terminationDays + terminationWindowDays, from: 'the default notice',
+    timing: `If the default continues for ${terminationDays} days after the default notice, a termination notice within the following ${terminationWindowDays} days`,
+    conditionPrecedent: true
+  }
+].filter(Boolean);
+
+const NEC_ECC_NOTICES = [
+  {
+    clause: '61.3', title: 'Notify a compensation event',
+    topics: ['delay', 'variation', 'payment'], days: 56,
+    timing: 'Within eight weeks of becoming aware that the event has happened',
+    conditionPrecedent: true
+  },
+  {
+    clause: '62.3', title: 'Submit quotation for a compensation event',
+    topics: ['variation', 'delay'], days: 21, from: 'the instruction to submit a quotation',
+    timing: 'Within three weeks of being instructed to submit a quotation',
+    conditionPrecedent: false
+  },
+  {
+    clause: '62.6', title: 'Notify failure to reply to a quotation',
+    topics: ['variation', 'delay'], days: null,
+    timing: 'Once the period for reply has passed; the quotation is treated as accepted if there is no reply within a further two weeks',
+    conditionPrecedent: false
+  },
+  {
+    clause: 'Y2.3', title: 'Pay less notice',
+    topics: ['payment'], days: null,
+    timing: 'Not later than seven days before the final date for payment',
+    conditionPrecedent: true
+  }
+];
+
+const NEC4_ECC_NOTICES = [
+  {
+    clause: '15.1', title: 'Early warning',
+    topics: ['delay', 'variation', 'defects', 'payment', 'notices'], days: 0,
+    timing: 'As soon as the Contractor becomes aware of the matter',
+    conditionPrecedent: false
+  },
+  ...NEC_ECC_NOTICES
+];
+
+const NEC3_ECC_NOTICES = [
+  {
+    clause: '16.1', title: 'Early warning',
+    topics: ['delay', 'variation', 'defects', 'payment', 'notices'], days: 0,
+    timing: 'As soon as the Contractor becomes aware of the matter',
+    conditionPrecedent: false
+  },
+  ...NEC_ECC_NOTICES
+];
+
+const FIDIC_2017_NOTICES = [
+  {
+    clause: '20.2.1', prefix: 'Sub-Clause', title: 'Notice of Claim',
+    topics: ['delay', 'variation', 'payment', 'defects', 'notices'], days: 28,
+    timing: 'As soon as practicable and not later than 28 days after becoming aware (or when the claimant should have become aware) of the event',
+    conditionPrecedent: true
+  },
+  {
+    clause: '20.2.4', prefix: 'Sub-Clause', title: 'Fully detailed Claim',
+    topics: ['delay', 'variation', 'payment'], days: 84,
+    timing: 'Within 84 days after becoming aware (or when the claimant should have become aware) of the event',
+    conditionPrecedent: true
+  },
+  {
+    clause: '16.1', prefix: 'Sub-Clause', title: "Notice of suspension by the Contractor",
+    topics: ['payment'], days: null,
+    timing: 'Not less than 21 days before suspending or reducing the rate of work',
+    conditionPrecedent: true
+  },
+  {
+    clause: '15.2', prefix: 'Sub-Clause', title: 'Notice of termination by the Employer',
+    topics: ['termination'], days: null,
+    timing: 'Termination takes effect 14 days after the notice (immediately in certain cases)',
+    conditionPrecedent: true
+  },
+  {
+    clause: '16.2', prefix: 'Sub-Clause', title: 'Notice of termination by the Contractor',
+    topics: ['termination'], days: null,
+    timing: 'Termination takes effect 14 days after the notice (immediately in certain cases)',
+    conditionPrecedent: true
+  }
+];
+
+const FIDIC_1999_NOTICES = [
+  {
+    clause: '20.1', prefix: 'Sub-Clause', title: "Notice of Contractor's Claim",
+    topics: ['delay', 'variation', 'payment', 'defects', 'notices'], days: 28,
+    timing: 'As soon as practicable and not later than 28 days after becoming aware (or when the Contractor should have become aware) of the event',
+    conditionPrecedent: true
+  },
+  {
+    clause: '20.1', prefix: 'Sub-Clause', title: 'Fully detailed claim',
+    topics: ['delay', 'variation', 'payment'], days: 42,
+    timing: 'Within 42 days after becoming aware (or when the Contractor should have become aware) of the event',
+    conditionPrecedent: false
+  },
+  {
+    clause: '16.1', prefix: 'Sub-Clause', title: "Notice of suspension by the Contractor",
+    topics: ['payment'], days: null,
+    timing: 'Not less than 21 days before suspending or reducing the rate of work',
+    conditionPrecedent: true
+  },
+  {
+    clause: '15.2', prefix: 'Sub-Clause', title: 'Notice of termination by the Employer',
+    topics: ['termination'], days: null,
+    timing: 'Termination takes effect 14 days after the notice (immediately in certain cases)',
+    conditionPrecedent: true
+  }
+];
+
+const ICE_7TH_NOTICES = [
+  {
+    clause: '44(1)', title: 'Particulars of a claim for extension of time',
+    topics: ['delay'], days: 28,
+    timing: 'Within 28 days after the cause of delay has arisen or as soon thereafter as is reasonable',
+    conditionPrecedent: false
+  },
+  {
+    clause: '12(1)', title: 'Notice of adverse physical conditions or artificial obstructions',
+    topics: ['delay', 'variation', 'payment'], days: 0,
+    timing: 'As early as practicable after encountering the conditions',
+    conditionPrecedent: false
+  },
+  {
+    clause: '53(1)', title: 'Notice of claim for additional payment',
+    topics: ['variation', 'payment', 'delay'], days: 28,
+    timing: 'As soon as reasonably possible and within 28 days after the happening of the events giving rise to the claim',
+    conditionPrecedent: false
+  }
+];
+
+// Notice rule sets keyed by every entry in contractTypes.js
+const statutory = (edition = null) => ({ edition, rules: CONSTRUCTION_ACT_NOTICES });
+const withStatutory = (edition, rules) => ({ edition, rules: [...rules, ...CONSTRUCTION_ACT_NOTICES] });
+
+export const noticeRules = {
+  // JCT Contracts
+  'JCT Standard Building Contract': withStatutory('JCT SBC 2016', jctNotices({ delay: '2.27', lossAndExpense: '4.20', suspension: '4.11', defects: '2.38', termination: '8.4' })),
+  'JCT Design and Build Contract': withStatutory('JCT DB 2016', jctNotices({ delay: '2.24', suspension: '4.11', defects: '2.35', termination: '8.4' })),
+  'JCT Minor Works Contract': withStatutory('JCT MW 2016', jctNotices({ delay: '2.7', suspension: '4.7', termination: '6.4', terminationDays: 7, terminationWindowDays: 10 })),
+  'JCT Intermediate Building Contract': withStatutory('JCT IC 2016', jctNotices({ delay: '2.19', defects: '2.30', termination: '8.4' })),
+  'JCT Construction Management Contract': statutory('JCT CM 2016'),
+  'JCT Management Building Contract': statutory('JCT MC 2016'),
+  'JCT Measured Term Contract': statutory('JCT MTC 2016'),
+  'JCT Prime Cost Building Contract': statutory('JCT PCC 2016'),
+  'JCT Repair and Maintenance Contract': statutory('JCT RM 2016'),
+  'JCT Minor Works Building Contract': withStatutory('JCT MW 2016', jctNotices({ delay: '2.7', suspension: '4.7', termination: '6.4', terminationDays: 7, terminationWindowDays: 10 })),
+
+  // NEC Contracts
+  'NEC3 Engineering and Construction Contract (ECC)': withStatutory('NEC3 ECC (April 2013)', NEC3_ECC_NOTICES),
+  'NEC4 Engineering and Construction Contract (ECC)': withStatutory('NEC4 ECC (June 2017)', NEC4_ECC_NOTICES),
+  'NEC3 Engineering and Construction Short Contract (ECSC)': statutory('NEC3 ECSC'),
+  'NEC4 Engineering and Construction Short Contract (ECSC)': statutory('NEC4 ECSC'),
+  'NEC3 Professional Services Contract (PSC)': statutory('NEC3 PSC'),
+  'NEC4 Professional Services Contract (PSC)': statutory('NEC4 PSC'),
+  'NEC3 Term Service Contract (TSC)': withStatutory('NEC3 TSC', NEC3_ECC_NOTICES.filter(rule => rule.clause === '61.3')),
+  'NEC4 Term Service Contract (TSC)': withStatutory('NEC4 TSC', NEC4_ECC_NOTICES.filter(rule => rule.clause === '61.3')),
+  'NEC3 Supply Contract (SC)': statutory('NEC3 SC'),
+  'NEC4 Supply Contract (SC)': statutory('NEC4 SC'),
+  'NEC3 Framework Contract (FC)': statutory('NEC3 FC'),
+  'NEC4 Framework Contract (FC)': statutory('NEC4 FC'),
+
+  // RIBA Contracts
+  'RIBA Standard Agreement': statutory(),
+  'RIBA Concise Agreement': statutory(),
+  'RIBA Domestic Building Contract': { edition: null, rules: [] },
+  'RIBA Building Contract for a Home Owner/Occupier': { edition: null, rules: [] },
+
+  // ICE Contracts
+  'ICE Conditions of Contract': withStatutory('ICE 7th Edition', ICE_7TH_NOTICES),
+  'ICE Design and Construct Contract': withStatutory('ICE Design and Construct 2nd Edition', ICE_7TH_NOTICES),
+  'ICE Minor Works Contract': statutory(),
+
+  // FIDIC Contracts
+  'FIDIC Red Book (Construction)': withStatutory('FIDIC Red Book 2017', FIDIC_2017_NOTICES),
+  'FIDIC Yellow Book (Plant & Design-Build)': withStatutory('FIDIC Yellow Book 2017', FIDIC_2017_NOTICES),
+  'FIDIC Silver Book (EPC/Turnkey)': withStatutory('FIDIC Silver Book 2017', FIDIC_2017_NOTICES),
+  'FIDIC Green Book (Short Form)': statutory(),
+  'FIDIC Gold Book (Design, Build and Operate)': withStatutory('FIDIC Gold Book 2008', FIDIC_1999_NOTICES.filter(rule => rule.clause === '20.1')),
+  'FIDIC Blue Book (Dredging and Reclamation)': statutory(),
+  'FIDIC White Book (Client/Consultant Model Services Agreement)': statutory(),
+
+  // Other standard forms
+  'ACA Form of Building Agreement': statutory(),
+  'GC/Works Contracts': statutory('GC/Works/1 (1998)'),
+  'PPC2000 Contract': statutory('PPC2000 (2008 amendments)'),
+  'IChemE Forms of Contract': statutory(),
+  'ACE Agreements': statutory(),
+  'CIC Consultant Contract': statutory(),
+
+  // Specialist/Others
+  'Bespoke Contract': statutory(),
+  'Letter of Intent': statutory(),
+  'Framework Agreement': statutory(),
+  'Term Contract': statutory(),
+  'Other': statutory()
+};
@@ -0,0 +1,67 @@
+import { detectIssueTopics } from './clauseUtils.js';
+
+const PAYMENT_DATES = [
+  { key: 'paymentNoticeDeadline', title: 'Payment notice deadline' },
+  { key: 'payLessNoticeDeadline', title: 'Pay less notice deadline' },
+  { key: 'finalDateForPayment', title: 'Final date for payment' }
+];
+
+/**
+ * Collect the dated action items for one issue from the calculated deadlines and the model's timeline
+ * @param {object} analysis - One issue's entry from report.analysis
+ * @param {object|null} [paymentTimetable] - The report's payment timetable, used for payment issues
+ * @returns {Array<{date: string, title: string, clause: string, source: string, key: string}>} - Items sorted
+ *   by date; source is 'notice', 'payment' or 'timeline', and key identifies the item within its source
+ */
+export const getIssueActionItems = (analysis, paymentTimetable = null) => {
+  const items = [];
+
+  (analysis.noticeDeadlines || []).forEach((deadline, index) => {
+    if (!deadline.deadline) return;
+    items.push({
+      date: deadline.deadline,
+      title: `Notice deadline: ${deadline.clause}${deadline.conditionPrecedent ? ' (condition precedent)' : ''}`,
+      clause: deadline.clause,
+      source: 'notice',
+      key: String(index)
+    });
+  });
+
+  if (paymentTimetable && detectIssueTopics(`${analysis.issue} ${analysis.actionsTaken || ''}`).includes('payment')) {
+    PAYMENT_DATES.forEach(({ key, title }) => {
+      const entry = paymentTimetable[key];
+      items.push({ date: entry.date, title, clause: entry.rule, source: 'payment', key });
+    });
+  }
+
+  (analysis.actionItems || []).forEach((item, index) => {
+    items.push({ date: item.dueDate, title: item.action, clause: item.clause, source: 'timeline', key: String(index) });
+  });
+
+  // The model often repeats a calculated deadline in its timeline, so keep the first copy of each date and title
+  const seen = new Set();
+  return items
+    .filter(item => {
+      const key = `${item.date}|${item.title.toLowerCase()}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Collect the dated action items for the selected issues in a report
+ * @param {object} report - A generated report
+ * @param {number[]} [issueIndexes] - Which issues to include, defaulting to all of them
+ * @returns {Array<object>} - Items from getIssueActionItems, each with issueIndex and issue added
+ */
+export const getReportActionItems = (report, issueIndexes = report.analysis.map((_, index) => index)) => {
+  return issueIndexes
+    .flatMap(index => getIssueActionItems(report.analysis[index], report.paymentTimetable).map(item => ({
+      ...item,
+      issueIndex: index,
+      issue: report.analysis[index].issue
+    })))
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
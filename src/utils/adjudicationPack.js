@@ -0,0 +1,170 @@
+import { NAMED_ADJUDICATOR } from '../data/nominatingBodies.js';
+import { formatAmendment } from './clauseUtils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Periods under Part I of the Scheme for Construction Contracts
+const REFERRAL_DAYS = 7;   // para 7(1): referral notice within 7 days of the notice of adjudication
+const DECISION_DAYS = 28;  // para 19(1): decision within 28 days of the referral notice
+
+/**
+ * Create empty adjudication details for the pack form
+ * @param {object} report - The saved report the pack is built from
+ * @returns {object} - Adjudication details with every issue selected
+ */
+export const createAdjudicationDetails = (report) => ({
+  referringParty: { name: '', address: '' },
+  respondingParty: { name: '', address: '' },
+  nominatingBody: '',
+  adjudicatorName: '',
+  noticeDate: formatDate(new Date()),
+  redressSought: '',
+  issueIndexes: report.analysis.map((_, index) => index)
+});
+
+/**
+ * Check the details the Scheme requires in a notice of adjudication are present
+ * @param {object} details - Adjudication details from the pack form
+ * @param {object} report - The saved report the pack is built from
+ * @returns {object} - Errors keyed by field name, empty when the details are valid
+ */
+export const validateAdjudicationDetails = (details, report) => {
+  const errors = {};
+
+  ['referringParty', 'respondingParty'].forEach(party => {
+    if (!details[party]?.name?.trim()) errors[`${party}.name`] = 'Name is required';
+    if (!details[party]?.address?.trim()) errors[`${party}.address`] = 'Address is required';
+  });
+
+  if (!details.nominatingBody) {
+    errors.nominatingBody = 'Choose a nominating body or the adjudicator named in the contract';
+  } else if (details.nominatingBody === NAMED_ADJUDICATOR && !details.adjudicatorName?.trim()) {
+    errors.adjudicatorName = 'Name the adjudicator';
+  }
+
+  if (!parseDate(details.noticeDate)) errors.noticeDate = 'Notice date is required';
+  if (!details.redressSought?.trim()) errors.redressSought = 'Redress sought is required';
+
+  const issueIndexes = details.issueIndexes || [];
+  if (issueIndexes.length === 0 || issueIndexes.some(index => !report.analysis[index])) {
+    errors.issueIndexes = 'Choose at least one issue from the report to refer';
+  }
+
+  return errors;
+};
+
+/**
+ * Work out the Scheme timetable that runs from the notice of adjudication
+ * @param {string} noticeDate - The date of the notice of adjudication (YYYY-MM-DD)
+ * @returns {{noticeDate: string, referralDeadline: string, decisionDate: string}} - decisionDate assumes the
+ *   referral is served on the last day and no extension is agreed
+ */
+export const getAdjudicationTimetable = (noticeDate) => {
+  const notice = parseDate(noticeDate);
+  const referral = addDays(notice, REFERRAL_DAYS);
+
+  return {
+    noticeDate: formatDate(notice),
+    referralDeadline: formatDate(referral),
+    decisionDate: formatDate(addDays(referral, DECISION_DAYS))
+  };
+};
+
+/**
+ * Build a chronology of the referred issues from the dates recorded in the report
+ * @param {object} report - The saved report
+ * @param {number[]} issueIndexes - The issues being referred
+ * @returns {Array<{date: string|null, event: string}>} - Entries in date order, undated entries last
+ */
+export const buildChronology = (report, issueIndexes) => {
+  const entries = [];
+  const add = (date, event) => entries.push({ date: parseDate(date) ? date : null, event });
+
+  const timetable = report.paymentTimetable;
+  if (timetable) {
+    add(timetable.applicationDate, 'Interim application for payment made');
+    add(timetable.dueDate.date, 'Due date for payment');
+    add(timetable.paymentNoticeDeadline.date, 'Last date for the payment notice');
+    add(timetable.payLessNoticeDeadline.date, 'Last date for a pay less notice');
+    add(timetable.finalDateForPayment.date, 'Final date for payment');
+  }
+
+  (report.projectDetails.compensationEvents || []).forEach(event => {
+    if (!event.description) return;
+    add(event.eventDate, `Compensation event ${event.reference} occurred: ${event.description}`);
+    if (event.notifiedDate) add(event.notifiedDate, `Compensation event ${event.reference} notified`);
+    if (event.quotationSubmittedDate) add(event.quotationSubmittedDate, `Quotation for ${event.reference} submitted`);
+    if (event.quotationAcceptedDate) add(event.quotationAcceptedDate, `Quotation for ${event.reference} accepted or assessed`);
+  });
+
+  issueIndexes.forEach(index => {
+    const analysis = report.analysis[index];
+    add(analysis.eventDate, `Issue ${index + 1}: ${analysis.issue}`);
+    (analysis.noticeDeadlines || [])
+      .filter(deadline => deadline.deadline)
+      .forEach(deadline => add(deadline.deadline, `Deadline for ${deadline.clause}`));
+  });
+
+  add(report.date?.slice(0, 10), 'Contract analysis report prepared');
+
+  return entries.sort((a, b) => {
+    if (!a.date) return b.date ? 1 : 0;
+    if (!b.date) return -1;
+    return a.date.localeCompare(b.date);
+  });
+};
+
+/**
+ * Build a numbered index of the evidence the referral relies on
+ * @param {object} report - The saved report
+ * @param {number[]} issueIndexes - The issues being referred
+ * @returns {Array<{reference: string, description: string}>} - Entries numbered E1, E2, ...
+ */
+export const buildEvidenceIndex = (report, issueIndexes) => {
+  const descriptions = [];
+
+  if (report.contractDocuments?.length > 0) {
+    report.contractDocuments.forEach(contractDocument => descriptions.push(`Contract document: ${contractDocument.fileName}`));
+  } else {
+    descriptions.push(`The contract (${report.projectDetails.contractType})`);
+  }
+
+  const amendments = report.projectDetails.amendments || [];
+  if (amendments.length > 0) {
+    descriptions.push(`Schedule of amendments: ${amendments.map(formatAmendment).join('; ')}`);
+  }
+
+  if (report.paymentTimetable) {
+    descriptions.push('Interim application for payment and any payment or pay less notices received');
+  }
+
+  (report.projectDetails.compensationEvents || [])
+    .filter(event => event.description && event.notifiedDate)
+    .forEach(event => descriptions.push(`Notification of compensation event ${event.reference} dated ${event.notifiedDate}`));
+
+  issueIndexes.forEach(index => {
+    const analysis = report.analysis[index];
+    (analysis.contractClauses || []).forEach(clause => {
+      descriptions.push(`Issue ${index + 1}: Clause ${clause.number}${clause.heading ? ` - ${clause.heading}` : ''}${clause.source ? ` (${clause.source})` : ''}`);
+    });
+    if (analysis.actionsTaken) {
+      descriptions.push(`Issue ${index + 1}: Correspondence and records of the actions taken - ${analysis.actionsTaken}`);
+    }
+  });
+
+  // Keep the first mention of each document
+  return [...new Set(descriptions)].map((description, i) => ({ reference: `E${i + 1}`, description }));
+};
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function parseDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  return match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
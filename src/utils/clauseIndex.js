@@ -0,0 +1,204 @@
+import { splitIntoClauses } from './contractDocument.js';
+
+// Bump when the stored index layout or scoring inputs change so saved indexes are rebuilt
+const INDEX_VERSION = 1;
+
+// Standard BM25 tuning: term-frequency saturation and document-length normalisation
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Long clauses are split so each chunk stays small enough to quote in a prompt
+const MAX_CHUNK_LENGTH = 1500;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'that', 'this', 'with', 'have', 'has', 'had', 'was', 'were', 'are', 'not', 'but',
+  'from', 'they', 'their', 'them', 'which', 'will', 'shall', 'any', 'all', 'such', 'been', 'its', 'our',
+  'who', 'what', 'when', 'where', 'into', 'under', 'than', 'then', 'there', 'these', 'those', 'may', 'can'
+]);
+
+/**
+ * Create an empty clause index
+ * @returns {object} - An index with no documents
+ */
+export const createClauseIndex = () => ({
+  version: INDEX_VERSION,
+  documents: [],
+  chunks: [],
+  documentFrequency: {},
+  averageLength: 0
+});
+
+/**
+ * Chunk a document by clause heading and add it to the index
+ * @param {object} index - The current index
+ * @param {{fileName: string, text: string}} document - The uploaded document and its extracted text
+ * @returns {object} - A new index including the document
+ */
+export const addDocumentToIndex = (index, { fileName, text }) => {
+  const clauses = splitIntoClauses(text);
+  if (clauses.length === 0) {
+    throw new Error(`No numbered clauses were found in ${fileName}.`);
+  }
+
+  const documentId = `${Date.now().toString()}-${index.documents.length}`;
+  const chunks = clauses.flatMap(clause => chunkClause(clause).map(chunk => createChunk(documentId, chunk)));
+
+  return computeStatistics({
+    ...index,
+    documents: [...index.documents, {
+      id: documentId,
+      fileName,
+      uploadedAt: new Date().toISOString(),
+      clauseCount: clauses.length
+    }],
+    chunks: [...index.chunks, ...chunks]
+  });
+};
+
+/**
+ * Remove a document and its chunks from the index
+ * @param {object} index - The current index
+ * @param {string} documentId - The document to remove
+ * @returns {object} - A new index without the document
+ */
+export const removeDocumentFromIndex = (index, documentId) => {
+  return computeStatistics({
+    ...index,
+    documents: index.documents.filter(document => document.id !== documentId),
+    chunks: index.chunks.filter(chunk => chunk.documentId !== documentId)
+  });
+};
+
+/**
+ * Bring a saved index up to date, re-scoring its stored chunks if it was built by an older version
+ * @param {object} savedIndex - An index loaded from storage
+ * @returns {object|null} - A usable index, or null when there is nothing to restore
+ */
+export const restoreClauseIndex = (savedIndex) => {
+  if (!savedIndex || !Array.isArray(savedIndex.chunks) || !Array.isArray(savedIndex.documents)) {
+    return null;
+  }
+
+  if (savedIndex.version === INDEX_VERSION) {
+    return savedIndex;
+  }
+
+  return computeStatistics({
+    ...createClauseIndex(),
+    documents: savedIndex.documents,
+    chunks: savedIndex.chunks.map(chunk => createChunk(chunk.documentId, chunk))
+  });
+};
+
+/**
+ * Find the chunks most relevant to a query using BM25
+ * @param {object} index - The clause index
+ * @param {string} query - Usually an issue description and the actions taken
+ * @param {number} limit - Maximum number of clauses to return (top-k)
+ * @returns {Array<{number: string, heading: string, text: string, source: string}>} - Matching clauses, best first
+ */
+export const searchClauseIndex = (index, query, limit = 5) => {
+  if (!index || index.chunks.length === 0) return [];
+
+  const queryTerms = [...new Set(tokenise(query))];
+  if (queryTerms.length === 0) return [];
+
+  const chunkCount = index.chunks.length;
+  const fileNames = Object.fromEntries(index.documents.map(document => [document.id, document.fileName]));
+
+  return index.chunks
+    .map(chunk => ({
+      chunk,
+      score: queryTerms.reduce((total, term) => {
+        const frequency = chunk.termCounts[term];
+        if (!frequency) return total;
+
+        const documentFrequency = index.documentFrequency[term] || 0;
+        const idf = Math.log(1 + (chunkCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        const lengthNorm = 1 - BM25_B + BM25_B * (chunk.length / (index.averageLength || 1));
+        return total + idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm);
+      }, 0)
+    }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ chunk }) => ({
+      number: chunk.number,
+      heading: chunk.heading,
+      text: chunk.text,
+      source: fileNames[chunk.documentId] || ''
+    }));
+};
+
+function chunkClause(clause) {
+  if (clause.text.length <= MAX_CHUNK_LENGTH) {
+    return [clause];
+  }
+
+  // Split on line breaks so sub-clauses and paragraphs stay whole where possible
+  const parts = [];
+  let current = '';
+  const lines = clause.text.split('\n').flatMap(line =>
+    line.length > MAX_CHUNK_LENGTH ? line.match(new RegExp(`.{1,${MAX_CHUNK_LENGTH}}(?:\\s+|$)`, 'g')) : [line]
+  );
+  lines.forEach(line => {
+    if (current && current.length + line.length + 1 > MAX_CHUNK_LENGTH) {
+      parts.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${line}` : line;
+  });
+  if (current) parts.push(current);
+
+  return parts.map((text, i) => ({
+    number: clause.number,
+    heading: i === 0 ? clause.heading : `${clause.heading} (continued)`,
+    text
+  }));
+}
+
+function createChunk(documentId, { number, heading, text }) {
+  const terms = tokenise(text);
+  const termCounts = {};
+  terms.forEach(term => {
+    termCounts[term] = (termCounts[term] || 0) + 1;
+  });
+
+  return { documentId, number, heading, text, length: terms.length, termCounts };
+}
+
+function computeStatistics(index) {
+  const documentFrequency = {};
+  let totalLength = 0;
+
+  index.chunks.forEach(chunk => {
+    totalLength += chunk.length;
+    Object.keys(chunk.termCounts).forEach(term => {
+      documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+    });
+  });
+
+  return {
+    ...index,
+    version: INDEX_VERSION,
+    documentFrequency,
+    averageLength: index.chunks.length > 0 ? totalLength / index.chunks.length : 0
+  };
+}
+
+function tokenise(text = '') {
+  return text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 2 && !STOP_WORDS.has(token))
+    .map(stem);
+}
+
+// Light suffix stripping so simple word forms match, e.g. "delays", "delayed" and "delaying" all become "delay"
+function stem(token) {
+  if (token.length > 5 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+  if (token.length > 5 && token.endsWith('ing')) return token.slice(0, -3);
+  if (token.length > 4 && token.endsWith('ed')) return token.slice(0, -2);
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+  return token;
+}
@@ -0,0 +1,189 @@
+import { clauseLibrary } from '../data/clauseLibrary.js';
+
+// Keywords that suggest which clause topics an issue touches
+const TOPIC_KEYWORDS = {
+  payment: ['payment', 'pay', 'paid', 'invoice', 'valuation', 'application', 'retention', 'certificate', 'cash', 'money', 'owed', 'fee'],
+  delay: ['delay', 'extension of time', 'eot', 'late', 'programme', 'completion date', 'liquidated damages', 'behind schedule', 'overrun'],
+  variation: ['variation', 'change', 'instruction', 'additional work', 'extra work', 'compensation event', 'scope', 'omission'],
+  defects: ['defect', 'snag', 'making good', 'workmanship', 'rectif', 'latent', 'faulty', 'poor quality'],
+  termination: ['terminat', 'determin', 'repudiat', 'insolven', 'suspend', 'suspension', 'walk off', 'walked off'],
+  notices: ['notice', 'notify', 'notification', 'time-bar', 'time bar', 'deadline', 'early warning']
+};
+
+/**
+ * Find the clause library entry for a contract type
+ * @param {string} contractType - An entry from contractTypes.js
+ * @returns {{family: string, edition: string|null, clauses: Array<object>}} - The library entry, falling back to statutory provisions
+ */
+export const getClauseLibraryEntry = (contractType) => {
+  return clauseLibrary[contractType] || clauseLibrary.Other;
+};
+
+/**
+ * Work out which clause topics an issue description relates to
+ * @param {string} text - The issue description and any actions taken
+ * @returns {string[]} - Matching topics, empty when none are recognised
+ */
+export const detectIssueTopics = (text = '') => {
+  return Object.keys(TOPIC_KEYWORDS).filter(topic =>
+    TOPIC_KEYWORDS[topic].some(keyword => new RegExp(`\\b${escapeRegExp(keyword)}`, 'i').test(text))
+  );
+};
+
+/**
+ * Format a library clause as a citation, e.g. "Clause 4.9 - Interim Certificates and valuations"
+ * @param {object} clause - A clause library entry
+ * @returns {string} - The formatted citation
+ */
+export const formatClauseReference = (clause) => {
+  const prefix = clause.prefix ?? (/^\d/.test(clause.clause) ? 'Clause' : '');
+  return `${prefix ? `${prefix} ` : ''}${clause.clause} - ${clause.title}`;
+};
+
+/**
+ * Format a retrieved clause for a prompt, keeping the clause reference alongside the verbatim text
+ * @param {object} clause - A clause retrieved from the uploaded contract documents
+ * @returns {string} - The formatted extract
+ */
+export const formatClauseExtract = (clause) => {
+  const title = `Clause ${clause.number}${clause.heading ? ` - ${clause.heading}` : ''}`;
+  return `--- ${title}${clause.source ? ` (${clause.source})` : ''} ---\n${clause.text}`;
+};
+
+/**
+ * Describe a bespoke amendment to the standard form, e.g. 'Clause 4.9 - replaced: "..."'
+ * @param {{clauseReference: string, type: string, wording: string}} amendment - An amendment from projectDetails
+ * @returns {string} - The formatted amendment
+ */
+export const formatAmendment = (amendment) => {
+  const reference = amendment.clauseReference.trim();
+  const label = /^\d/.test(reference) ? `Clause ${reference}` : reference;
+
+  if (amendment.type === 'deleted') {
+    return `${label} - deleted`;
+  }
+
+  return `${label} - ${amendment.type}: "${amendment.wording.trim()}"`;
+};
+
+/**
+ * Rank the library clauses for a contract type against an issue
+ * @param {string} contractType - An entry from contractTypes.js
+ * @param {string} issueText - The issue description and any actions taken
+ * @param {number} limit - Maximum number of clauses to return
+ * @returns {Array<object>} - The most relevant clause library entries
+ */
+export const findRelevantClauses = (contractType, issueText, limit = 6) => {
+  const { clauses } = getClauseLibraryEntry(contractType);
+  const topics = detectIssueTopics(issueText);
+
+  if (topics.length === 0) {
+    return clauses.filter(clause => clause.topics.includes('general')).slice(0, limit);
+  }
+
+  return clauses
+    .map((clause, index) => ({
+      clause,
+      index,
+      score: clause.topics.filter(topic => topics.includes(topic)).length
+    }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(({ clause }) => clause);
+};
+
+/**
+ * Pull the clause number out of a free-text citation
+ * @param {string} citation - e.g. "Clause 61.3 - Notifying compensation events" or "Sub-Clause 20.2.1"
+ * @returns {string|null} - The clause number, e.g. "61.3", or null when none is found
+ */
+export const parseClauseNumber = (citation = '') => {
+  const labelled = citation.match(/(?:sub-?clause|clause|section|option|cl\.)\s*([A-Z]?(?:\([A-Z]+\))?\d+[A-Z]?(?:\.\d+)*)/i);
+  if (labelled) return labelled[1];
+
+  const bare = citation.match(/\b(\d+[A-Z]?(?:\.\d+)*)\b/);
+  return bare ? bare[1] : null;
+};
+
+/**
+ * Find the library clause a citation refers to
+ * @param {string} contractType - An entry from contractTypes.js
+ * @param {string} citation - A clause citation from a report
+ * @returns {object|null} - The matching clause library entry, or null if it is not in the library
+ */
+export const matchClause = (contractType, citation) => {
+  return findClauseInList(getClauseLibraryEntry(contractType).clauses, citation);
+};
+
+/**
+ * Check a cited clause against the uploaded contract extracts, then the reference list for the selected contract
+ * @param {string} contractType - An entry from contractTypes.js
+ * @param {string} citation - A clause citation from a report
+ * @param {Array<object>} contractClauses - Clauses from the uploaded contract that were sent with the prompt
+ * @returns {{status: string, edition?: string, source?: string}} - 'verified', 'wrong-edition' (with the edition it belongs to) or 'unknown'
+ */
+export const verifyClauseCitation = (contractType, citation, contractClauses = []) => {
+  const contractMatch = findClauseInList(contractClauses.map(clause => ({ clause: clause.number })), citation);
+  if (contractMatch) {
+    return { status: 'verified', source: 'contract' };
+  }
+
+  const entry = getClauseLibraryEntry(contractType);
+
+  if (findClauseInList(entry.clauses, citation)) {
+    return { status: 'verified' };
+  }
+
+  const otherEdition = (entry.otherEditions || []).find(other => findClauseInList(other.clauses, citation));
+  if (otherEdition) {
+    return { status: 'wrong-edition', edition: otherEdition.edition };
+  }
+
+  return { status: 'unknown' };
+};
+
+/**
+ * Get the verification status for every clause cited in an analysis
+ * @param {string} contractType - An entry from contractTypes.js
+ * @param {object} analysis - A report analysis entry
+ * @returns {Array<object>} - One verification result per entry in relevantClauses
+ */
+export const getClauseVerification = (contractType, analysis) => {
+  return analysis.relevantClauses.map((citation, i) =>
+    analysis.clauseVerification?.[i] || verifyClauseCitation(contractType, citation, analysis.contractClauses)
+  );
+};
+
+/**
+ * Describe a verification result for display and exports
+ * @param {object} verification - A result from verifyClauseCitation
+ * @returns {string} - A short label
+ */
+export const describeClauseVerification = (verification) => {
+  if (verification.status === 'verified') return verification.source === 'contract' ? 'Verified against uploaded contract' : 'Verified';
+  if (verification.status === 'wrong-edition') return `Possibly wrong edition (matches ${verification.edition})`;
+  return 'Not in reference list – check against the contract';
+};
+
+function findClauseInList(clauses, citation) {
+  const number = parseClauseNumber(citation);
+
+  if (number) {
+    const normalised = number.toUpperCase();
+
+    // Exact match first, then the parent clause of a sub-clause or paragraph such as 20.2.1 or 60.1(1)
+    const match = clauses.find(clause => clause.clause.toUpperCase() === normalised)
+      || clauses.find(clause => normalised.startsWith(`${clause.clause.toUpperCase()}.`));
+    if (match) return match;
+  }
+
+  // Section-level references such as "Section 4" or "Core clause 6"
+  return clauses.find(clause =>
+    /^\D/.test(clause.clause) && new RegExp(`\\b${escapeRegExp(clause.clause)}\\b`, 'i').test(citation)
+  ) || null;
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,150 @@
+import { getClauseLibraryEntry } from './clauseUtils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Periods under the NEC3 and NEC4 ECC core clauses; NEC periods are calendar weeks with no holiday exclusions
+const NOTIFICATION_PERIOD_DAYS = 56;      // 61.3: notify within eight weeks of becoming aware of the event
+const QUOTATION_PERIOD_DAYS = 21;         // 62.3: submit quotations within three weeks of the instruction
+const QUOTATION_REPLY_DAYS = 14;          // 62.3: the Project Manager replies within two weeks of a submission
+const ASSESSMENT_PERIOD_DAYS = 21;        // 64.3: the Project Manager assesses within the time allowed for a quotation
+const DEEMED_ACCEPTANCE_DAYS = 14;        // 62.6 and 64.4: a further two weeks after notice of the failure
+
+// Flag a deadline as at risk once it is this close
+const AT_RISK_DAYS = 14;
+
+/**
+ * Check whether a contract type is an NEC contract that uses compensation events
+ * @param {string} contractType - An entry from contractTypes.js
+ * @returns {boolean} - True for NEC3 and NEC4 contracts
+ */
+export const isNecContract = (contractType) => {
+  return Boolean(contractType) && getClauseLibraryEntry(contractType).family === 'NEC';
+};
+
+/**
+ * Create an empty compensation event for the register
+ * @param {number} number - The next sequence number in the register
+ * @returns {object} - A new compensation event
+ */
+export const createCompensationEvent = (number) => ({
+  id: `${Date.now().toString()}-${number}`,
+  reference: `CE${String(number).padStart(3, '0')}`,
+  description: '',
+  eventDate: '',
+  notifiedDate: '',
+  quotationInstructedDate: '',
+  quotationSubmittedDate: '',
+  quotationAcceptedDate: '',
+  assessmentStartDate: '',
+  failureNoticeDate: ''
+});
+
+/**
+ * Work out the clause 61.3, 62.3 and 64 periods for a compensation event and how it stands today
+ * @param {object} event - A compensation event from the register
+ * @param {string} [today] - The date to assess against (YYYY-MM-DD), defaulting to the current date
+ * @returns {{status: string, deadlines: Array<object>, deemedAcceptanceDate: string|null}} - status is
+ *   'time-barred', 'at-risk', 'open', 'deemed-accepted' or 'accepted'
+ */
+export const assessCompensationEvent = (event, today = formatDate(new Date())) => {
+  const deadlines = [];
+  const now = parseDate(today);
+
+  const addDeadline = (label, clause, due, doneDate, { fatal = false } = {}) => {
+    const done = parseDate(doneDate);
+    let status = 'pending';
+    if (done) {
+      status = done.getTime() <= due.getTime() ? 'met' : (fatal ? 'time-barred' : 'late');
+    } else if (now.getTime() > due.getTime()) {
+      status = fatal ? 'time-barred' : 'overdue';
+    } else if (due.getTime() - now.getTime() <= AT_RISK_DAYS * DAY_MS) {
+      status = 'at-risk';
+    }
+    deadlines.push({ label, clause, date: formatDate(due), status });
+  };
+
+  const eventDate = parseDate(event.eventDate);
+  if (eventDate) {
+    addDeadline('Notify the compensation event', '61.3', addDays(eventDate, NOTIFICATION_PERIOD_DAYS), event.notifiedDate, { fatal: true });
+  }
+
+  const instructedDate = parseDate(event.quotationInstructedDate);
+  if (instructedDate) {
+    addDeadline('Submit quotation', '62.3', addDays(instructedDate, QUOTATION_PERIOD_DAYS), event.quotationSubmittedDate);
+  }
+
+  const submittedDate = parseDate(event.quotationSubmittedDate);
+  if (submittedDate) {
+    addDeadline('Project Manager replies to quotation', '62.3', addDays(submittedDate, QUOTATION_REPLY_DAYS), event.quotationAcceptedDate);
+  }
+
+  const assessmentStartDate = parseDate(event.assessmentStartDate);
+  if (assessmentStartDate) {
+    addDeadline('Project Manager assesses the event', '64.3', addDays(assessmentStartDate, ASSESSMENT_PERIOD_DAYS), event.quotationAcceptedDate);
+  }
+
+  // Once the Contractor has notified the Project Manager's failure to reply, silence for two more weeks is acceptance
+  const failureNoticeDate = parseDate(event.failureNoticeDate);
+  const deemedAcceptance = failureNoticeDate && !event.quotationAcceptedDate
+    ? addDays(failureNoticeDate, DEEMED_ACCEPTANCE_DAYS)
+    : null;
+  const deemedAcceptanceDate = deemedAcceptance ? formatDate(deemedAcceptance) : null;
+
+  let status = 'open';
+  if (event.quotationAcceptedDate) {
+    status = 'accepted';
+  } else if (deemedAcceptance && now.getTime() >= deemedAcceptance.getTime()) {
+    status = 'deemed-accepted';
+  } else if (deadlines.some(deadline => deadline.status === 'time-barred')) {
+    status = 'time-barred';
+  } else if (deadlines.some(deadline => ['at-risk', 'overdue', 'late'].includes(deadline.status))) {
+    status = 'at-risk';
+  }
+
+  return { status, deadlines, deemedAcceptanceDate };
+};
+
+/**
+ * Turn a compensation event into an issue for the report
+ * @param {object} event - A compensation event from the register
+ * @returns {{description: string, actionsTaken: string, eventDate: string}} - An issue for projectDetails.issues
+ */
+export const compensationEventToIssue = (event) => {
+  const { status, deadlines, deemedAcceptanceDate } = assessCompensationEvent(event);
+  const notification = deadlines.find(deadline => deadline.clause === '61.3');
+
+  const facts = [
+    event.eventDate && `The event happened (or we became aware of it) on ${event.eventDate}.`,
+    notification && `The clause 61.3 notification deadline is ${notification.date} (${notification.status.replace('-', ' ')}).`,
+    deemedAcceptanceDate && `The quotation is deemed accepted on ${deemedAcceptanceDate} if the Project Manager does not reply.`,
+    status === 'time-barred' && 'The register flags this event as time-barred.'
+  ].filter(Boolean);
+
+  const actions = [
+    event.notifiedDate && `Compensation event notified on ${event.notifiedDate}.`,
+    event.quotationInstructedDate && `Quotation instructed on ${event.quotationInstructedDate}.`,
+    event.quotationSubmittedDate && `Quotation submitted on ${event.quotationSubmittedDate}.`,
+    event.assessmentStartDate && `Project Manager to assess from ${event.assessmentStartDate}.`,
+    event.failureNoticeDate && `Notified the Project Manager of their failure to reply on ${event.failureNoticeDate}.`,
+    event.quotationAcceptedDate && `Quotation accepted or assessed on ${event.quotationAcceptedDate}.`
+  ].filter(Boolean);
+
+  return {
+    description: `Compensation event ${event.reference}: ${event.description}${facts.length > 0 ? `\n${facts.join(' ')}` : ''}`,
+    actionsTaken: actions.join(' '),
+    eventDate: event.eventDate
+  };
+};
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function parseDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  return match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
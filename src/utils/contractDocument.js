@@ -0,0 +1,92 @@
+/**
+ * Extract plain text from an uploaded contract, entirely in the browser
+ * @param {File} file - A PDF, DOCX or plain-text file
+ * @returns {Promise<string>} - The document text
+ */
+export const extractContractText = async (file) => {
+  const extension = file.name.split('.').pop().toLowerCase();
+
+  if (extension === 'pdf' || file.type === 'application/pdf') {
+    return extractPdfText(file);
+  }
+
+  if (extension === 'docx') {
+    const mammoth = await import('mammoth/mammoth.browser');
+    const result = await mammoth.extractRawText({ arrayBuffer: await file.arrayBuffer() });
+    return result.value;
+  }
+
+  if (extension === 'txt' || file.type.startsWith('text/')) {
+    return file.text();
+  }
+
+  throw new Error('Unsupported file type. Please upload a PDF, DOCX or plain-text file.');
+};
+
+/**
+ * Split contract text into numbered clauses
+ * @param {string} text - The full contract text
+ * @returns {Array<{number: string, heading: string, text: string}>} - Clauses in document order
+ */
+export const splitIntoClauses = (text) => {
+  const clauses = [];
+  let current = null;
+
+  text.replace(/\r\n?/g, '\n').split('\n').forEach(rawLine => {
+    const line = rawLine.replace(/\s+/g, ' ').trim();
+    if (!line) return;
+
+    const heading = matchClauseHeading(line);
+    if (heading) {
+      current = { number: heading.number, heading: heading.heading, lines: [line] };
+      clauses.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+  });
+
+  // Tables of contents repeat clause headings, so keep the fullest copy of each clause number
+  const byNumber = new Map();
+  clauses.forEach(clause => {
+    const text = clause.lines.join('\n');
+    const existing = byNumber.get(clause.number);
+    if (!existing || text.length > existing.text.length) {
+      byNumber.set(clause.number, { number: clause.number, heading: clause.heading, text });
+    }
+  });
+
+  return [...byNumber.values()];
+};
+
+async function extractPdfText(file) {
+  const pdfjs = await import('pdfjs-dist');
+  const { default: workerSrc } = await import('pdfjs-dist/build/pdf.worker.min.mjs?url');
+  pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
+
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+  const pages = [];
+
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+    const page = await pdf.getPage(pageNumber);
+    const content = await page.getTextContent();
+    pages.push(content.items.map(item => `${item.str}${item.hasEOL ? '\n' : ''}`).join(''));
+  }
+
+  return pages.join('\n');
+}
+
+function matchClauseHeading(line) {
+  // "Clause 2.27 Notice of delay" or "Sub-Clause 20.2: Claims"
+  const labelled = line.match(/^(?:sub-?clause|clause)\s+(\d+(?:\.\d+)*[A-Z]?)[\s.:\-–]*(.*)$/i);
+  if (labelled) return { number: labelled[1], heading: labelled[2] || line };
+
+  // "2.27 Notice by Contractor of delay to progress"
+  const dotted = line.match(/^(\d{1,3}(?:\.\d{1,3}){1,3}[A-Z]?)\.?\s+(\S.*)$/);
+  if (dotted) return { number: dotted[1], heading: dotted[2].slice(0, 120) };
+
+  // "8 Termination" - a short top-level heading without a full stop
+  const topLevel = line.match(/^(\d{1,3})\.?\s+([A-Z][^.]{2,80})$/);
+  if (topLevel) return { number: topLevel[1], heading: topLevel[2] };
+
+  return null;
+}
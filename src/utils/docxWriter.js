@@ -0,0 +1,302 @@
+import JSZip from 'jszip';
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Measurements are in twentieths of a point (twips) unless noted; A4 with 2.5cm margins
+const PAGE_WIDTH = 11906;
+const PAGE_HEIGHT = 16838;
+const PAGE_MARGIN = 1418;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * PAGE_MARGIN;
+
+// Drawing sizes are in EMUs; the header logo is 1.5cm high
+const LOGO_HEIGHT_EMU = 540000;
+
+const NUMBERING_BULLET = 1;
+
+const NAMESPACES = [
+  'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"',
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"',
+  'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing"',
+  'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"',
+  'xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"'
+].join(' ');
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+
+/**
+ * Build a Word (.docx) document from a list of blocks
+ * @param {object} options
+ * @param {Array<object>} options.blocks - Content blocks:
+ *   {type: 'heading', level: 1-4, text}, {type: 'paragraph', text}, {type: 'list', ordered, items},
+ *   {type: 'table', rows} (the first row is the header) or {type: 'pageBreak'}.
+ *   Text may use **bold** and line breaks.
+ * @param {string} [options.title] - Document title, stored in the document properties
+ * @param {string[]} [options.headerLines] - Lines for the page header; the first is shown in bold
+ * @param {string} [options.footerText] - Text shown in the footer before the page number
+ * @param {{dataUrl: string, width: number, height: number}} [options.logo] - Image for the page header, size in pixels
+ * @returns {Promise<Blob>} - The .docx file
+ */
+export const createDocx = async ({ blocks, title = '', headerLines = [], footerText = '', logo = null }) => {
+  const zip = new JSZip();
+  const image = logo && parseImageDataUrl(logo.dataUrl);
+  const orderedListCount = blocks.filter(block => block.type === 'list' && block.ordered).length;
+
+  // Office packages list only files, so skip the folder entries JSZip adds by default
+  const addPart = (name, content, options = {}) => zip.file(name, content, { createFolders: false, ...options });
+
+  addPart('[Content_Types].xml', buildContentTypes(image));
+  addPart('_rels/.rels', buildPackageRelationships());
+  addPart('docProps/core.xml', buildCoreProperties(title));
+  addPart('word/document.xml', buildDocument(blocks));
+  addPart('word/styles.xml', buildStyles());
+  addPart('word/numbering.xml', buildNumbering(orderedListCount));
+  addPart('word/header1.xml', buildHeader(headerLines, image && logo));
+  addPart('word/footer1.xml', buildFooter(footerText));
+  addPart('word/_rels/document.xml.rels', buildDocumentRelationships());
+
+  if (image) {
+    addPart(`word/media/logo.${image.extension}`, image.base64, { base64: true });
+    addPart('word/_rels/header1.xml.rels', buildRelationships([
+      { id: 'rIdLogo', type: 'image', target: `media/logo.${image.extension}` }
+    ]));
+  }
+
+  return zip.generateAsync({ type: 'blob', mimeType: DOCX_MIME_TYPE, compression: 'DEFLATE' });
+};
+
+function buildDocument(blocks) {
+  let orderedListIndex = 0;
+
+  const body = blocks.map(block => {
+    switch (block.type) {
+      case 'heading':
+        return buildParagraph(block.text, { style: `Heading${Math.min(Math.max(block.level, 1), 4)}` });
+      case 'list': {
+        // Each ordered list has its own numbering instance so it restarts at 1
+        const numId = block.ordered ? NUMBERING_BULLET + (++orderedListIndex) : NUMBERING_BULLET;
+        return block.items.map(item => buildParagraph(item, { style: 'ListParagraph', numId })).join('');
+      }
+      case 'table':
+        return buildTable(block.rows);
+      case 'pageBreak':
+        return '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+      default:
+        return buildParagraph(block.text);
+    }
+  }).join('');
+
+  return `${XML_DECLARATION}
+<w:document ${NAMESPACES}><w:body>${body}<w:sectPr>
+<w:headerReference w:type="default" r:id="rIdHeader"/>
+<w:footerReference w:type="default" r:id="rIdFooter"/>
+<w:pgSz w:w="${PAGE_WIDTH}" w:h="${PAGE_HEIGHT}"/>
+<w:pgMar w:top="${PAGE_MARGIN}" w:right="${PAGE_MARGIN}" w:bottom="${PAGE_MARGIN}" w:left="${PAGE_MARGIN}" w:header="708" w:footer="708" w:gutter="0"/>
+</w:sectPr></w:body></w:document>`;
+}
+
+function buildParagraph(text, { style = null, numId = null, align = null, bold = false, keepNext = false } = {}) {
+  const properties = [
+    style && `<w:pStyle w:val="${style}"/>`,
+    keepNext && '<w:keepNext/>',
+    numId && `<w:numPr><w:ilvl w:val="0"/><w:numId w:val="${numId}"/></w:numPr>`,
+    align && `<w:jc w:val="${align}"/>`
+  ].filter(Boolean).join('');
+
+  return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${buildRuns(text, bold)}</w:p>`;
+}
+
+// Split **bold** spans into their own runs and turn newlines into line breaks
+function buildRuns(text = '', bold = false) {
+  return String(text).split(/(\*\*[^*]+\*\*)/).filter(Boolean).map(part => {
+    const isBold = bold || /^\*\*[^*]+\*\*$/.test(part);
+    const content = isBold && part.startsWith('**') ? part.slice(2, -2) : part;
+    const lines = content.split('\n').map(line => `<w:t xml:space="preserve">${escapeXml(line)}</w:t>`).join('<w:br/>');
+    return `<w:r>${isBold ? '<w:rPr><w:b/></w:rPr>' : ''}${lines}</w:r>`;
+  }).join('');
+}
+
+function buildTable(rows) {
+  const columnCount = Math.max(...rows.map(row => row.length));
+  const columnWidth = Math.floor(CONTENT_WIDTH / columnCount);
+
+  const tableRows = rows.map((row, rowIndex) => {
+    const isHeader = rowIndex === 0;
+    const cells = Array.from({ length: columnCount }, (_, i) => `<w:tc>
+<w:tcPr><w:tcW w:w="${columnWidth}" w:type="dxa"/>${isHeader ? '<w:shd w:val="clear" w:color="auto" w:fill="D9E2F3"/>' : ''}</w:tcPr>
+${buildParagraph(row[i] || '', { style: 'TableText', bold: isHeader })}
+</w:tc>`).join('');
+
+    return `<w:tr>${isHeader ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}${cells}</w:tr>`;
+  }).join('');
+
+  // A paragraph after the table stops Word merging consecutive tables
+  return `<w:tbl>
+<w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="${columnWidth * columnCount}" w:type="dxa"/></w:tblPr>
+<w:tblGrid>${`<w:gridCol w:w="${columnWidth}"/>`.repeat(columnCount)}</w:tblGrid>
+${tableRows}
+</w:tbl><w:p/>`;
+}
+
+function buildHeader(headerLines, logo) {
+  const logoParagraph = logo ? `<w:p>${buildDrawing(logo)}</w:p>` : '';
+  const lines = headerLines.map((line, i) => buildParagraph(line, {
+    style: 'Header',
+    align: 'right',
+    bold: i === 0
+  })).join('');
+
+  // A rule under the header separates it from the page content
+  const rule = (logoParagraph || lines)
+    ? '<w:p><w:pPr><w:pStyle w:val="Header"/><w:pBdr><w:bottom w:val="single" w:sz="12" w:space="1" w:color="1F2937"/></w:pBdr></w:pPr></w:p>'
+    : '';
+
+  return `${XML_DECLARATION}
+<w:hdr ${NAMESPACES}>${logoParagraph}${lines}${rule || '<w:p/>'}</w:hdr>`;
+}
+
+function buildFooter(footerText) {
+  const pageField = (instruction) => `<w:fldSimple w:instr=" ${instruction} "><w:r><w:t>1</w:t></w:r></w:fldSimple>`;
+
+  return `${XML_DECLARATION}
+<w:ftr ${NAMESPACES}><w:p><w:pPr><w:pStyle w:val="Footer"/><w:jc w:val="center"/></w:pPr>
+${footerText ? `<w:r><w:t xml:space="preserve">${escapeXml(footerText)}    </w:t></w:r>` : ''}
+<w:r><w:t xml:space="preserve">Page </w:t></w:r>${pageField('PAGE')}<w:r><w:t xml:space="preserve"> of </w:t></w:r>${pageField('NUMPAGES')}
+</w:p></w:ftr>`;
+}
+
+function buildDrawing({ width, height }) {
+  const cy = LOGO_HEIGHT_EMU;
+  const cx = Math.round(width && height ? (width / height) * cy : cy);
+
+  return `<w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0">
+<wp:extent cx="${cx}" cy="${cy}"/>
+<wp:docPr id="1" name="Logo"/>
+<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture">
+<pic:pic><pic:nvPicPr><pic:cNvPr id="1" name="Logo"/><pic:cNvPicPr/></pic:nvPicPr>
+<pic:blipFill><a:blip r:embed="rIdLogo"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>
+<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>
+</pic:pic></a:graphicData></a:graphic>
+</wp:inline></w:drawing></w:r>`;
+}
+
+function buildStyles() {
+  const heading = (level, size, color) => `<w:style w:type="paragraph" w:styleId="Heading${level}">
+<w:name w:val="heading ${level}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+<w:pPr><w:keepNext/><w:spacing w:before="${level === 1 ? 360 : 240}" w:after="120"/><w:outlineLvl w:val="${level - 1}"/></w:pPr>
+<w:rPr><w:b/><w:color w:val="${color}"/><w:sz w:val="${size}"/></w:rPr>
+</w:style>`;
+
+  return `${XML_DECLARATION}
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/><w:sz w:val="22"/><w:lang w:val="en-GB"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="259" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+${heading(1, 32, '2F5496')}
+${heading(2, 28, '2F5496')}
+${heading(3, 24, '1F3864')}
+${heading(4, 22, '1F3864')}
+<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/>
+<w:pPr><w:spacing w:after="60"/><w:ind w:left="720"/><w:contextualSpacing/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="TableText"><w:name w:val="Table Text"/><w:basedOn w:val="Normal"/>
+<w:pPr><w:spacing w:after="0"/></w:pPr><w:rPr><w:sz w:val="20"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Header"><w:name w:val="header"/><w:basedOn w:val="Normal"/>
+<w:pPr><w:spacing w:after="0"/></w:pPr><w:rPr><w:color w:val="4B5563"/><w:sz w:val="18"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Footer"><w:name w:val="footer"/><w:basedOn w:val="Normal"/>
+<w:pPr><w:spacing w:after="0"/></w:pPr><w:rPr><w:color w:val="4B5563"/><w:sz w:val="18"/></w:rPr></w:style>
+<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/>
+<w:tblPr><w:tblBorders>
+<w:top w:val="single" w:sz="4" w:space="0" w:color="A6A6A6"/><w:left w:val="single" w:sz="4" w:space="0" w:color="A6A6A6"/>
+<w:bottom w:val="single" w:sz="4" w:space="0" w:color="A6A6A6"/><w:right w:val="single" w:sz="4" w:space="0" w:color="A6A6A6"/>
+<w:insideH w:val="single" w:sz="4" w:space="0" w:color="A6A6A6"/><w:insideV w:val="single" w:sz="4" w:space="0" w:color="A6A6A6"/>
+</w:tblBorders><w:tblCellMar><w:top w:w="57" w:type="dxa"/><w:left w:w="108" w:type="dxa"/><w:bottom w:w="57" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr>
+</w:style>
+</w:styles>`;
+}
+
+function buildNumbering(orderedListCount) {
+  const level = (format, text, font) => `<w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="${format}"/><w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/>
+<w:pPr><w:ind w:left="720" w:hanging="360"/></w:pPr>${font ? `<w:rPr><w:rFonts w:ascii="${font}" w:hAnsi="${font}" w:hint="default"/></w:rPr>` : ''}</w:lvl>`;
+
+  const orderedInstances = Array.from({ length: orderedListCount }, (_, i) => `<w:num w:numId="${NUMBERING_BULLET + i + 1}"><w:abstractNumId w:val="1"/>
+<w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/></w:lvlOverride></w:num>`).join('');
+
+  return `${XML_DECLARATION}
+<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="singleLevel"/>${level('bullet', '•', 'Calibri')}</w:abstractNum>
+<w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="singleLevel"/>${level('decimal', '%1.')}</w:abstractNum>
+<w:num w:numId="${NUMBERING_BULLET}"><w:abstractNumId w:val="0"/></w:num>
+${orderedInstances}
+</w:numbering>`;
+}
+
+function buildContentTypes(image) {
+  const imageTypes = { png: 'image/png', jpeg: 'image/jpeg', gif: 'image/gif' };
+  const part = (name, type) => `<Override PartName="${name}" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.${type}+xml"/>`;
+
+  return `${XML_DECLARATION}
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+${image ? `<Default Extension="${image.extension}" ContentType="${imageTypes[image.extension]}"/>` : ''}
+${part('/word/document.xml', 'document.main')}
+${part('/word/styles.xml', 'styles')}
+${part('/word/numbering.xml', 'numbering')}
+${part('/word/header1.xml', 'header')}
+${part('/word/footer1.xml', 'footer')}
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+}
+
+function buildPackageRelationships() {
+  return `${XML_DECLARATION}
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+}
+
+function buildDocumentRelationships() {
+  return buildRelationships([
+    { id: 'rIdStyles', type: 'styles', target: 'styles.xml' },
+    { id: 'rIdNumbering', type: 'numbering', target: 'numbering.xml' },
+    { id: 'rIdHeader', type: 'header', target: 'header1.xml' },
+    { id: 'rIdFooter', type: 'footer', target: 'footer1.xml' }
+  ]);
+}
+
+function buildRelationships(relationships) {
+  return `${XML_DECLARATION}
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${relationships.map(({ id, type, target }) => `<Relationship Id="${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/${type}" Target="${target}"/>`).join('\n')}
+</Relationships>`;
+}
+
+function buildCoreProperties(title) {
+  const now = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+  return `${XML_DECLARATION}
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${escapeXml(title)}</dc:title>
+<dc:creator>Contract Assistant</dc:creator>
+<dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>
+<dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>
+</cp:coreProperties>`;
+}
+
+function parseImageDataUrl(dataUrl) {
+  const match = /^data:image\/(png|jpeg|jpg|gif);base64,(.+)$/.exec(dataUrl || '');
+  if (!match) return null;
+  return { extension: match[1] === 'jpg' ? 'jpeg' : match[1], base64: match[2] };
+}
+
+// XML 1.0 can't carry most control characters, so drop them along with escaping markup
+function escapeXml(text) {
+  return String(text)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
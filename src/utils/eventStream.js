@@ -0,0 +1,51 @@
+/**
+ * Read a Server-Sent Events response body and dispatch each event as it arrives
+ * @param {Response} response - The fetch response with a text/event-stream body
+ * @param {Function} onEvent - Called with (event, data) for each parsed event
+ */
+export const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      dispatchEvent(buffer.slice(0, boundary), onEvent);
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+
+  if (buffer.trim()) {
+    dispatchEvent(buffer, onEvent);
+  }
+};
+
+/**
+ * Parse a single raw event block and pass it on
+ * @param {string} block - The raw event text
+ * @param {Function} onEvent - The event callback
+ */
+function dispatchEvent(block, onEvent) {
+  let event = 'message';
+  const dataLines = [];
+
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  });
+
+  if (dataLines.length === 0) return;
+
+  onEvent(event, JSON.parse(dataLines.join('\n')));
+}
@@ -1,61 +1,33 @@
-import html2canvas from 'html2canvas';
-import { jsPDF } from 'jspdf';
 import { saveAs } from 'file-saver';
+import { createDocx } from './docxWriter';
+import { createPdf } from './pdfWriter';
+import { getLetterheadLines } from './senderProfile';
 
 /**
- * Export HTML element content to PDF
- * @param {HTMLElement} element - The element to export
+ * Export a report or letter document to a text PDF with real page breaks and page numbers
+ * @param {{title: string, blocks: Array<object>}} document - The document from reportSerializer
  * @param {string} filename - The filename for the PDF
+ * @param {object} [options]
+ * @param {string} [options.title] - Repeated in the page header and stored as the document title; defaults to the document's
+ * @param {{title: string, lines: string[]}} [options.cover] - Adds a cover page
+ * @param {boolean} [options.tableOfContents] - Adds a contents page after the cover
+ * @param {object} [options.letterhead] - Sender profile whose logo and company details head the first page
+ * @param {string} [options.footerText] - Shown at the left of each footer
+ * @param {string} [options.disclaimer] - Printed at the foot of every page
  */
-export const exportToPDF = async (element, filename) => {
+export const exportToPDF = async (document, filename, { title = document.title, cover = null, tableOfContents = false, letterhead = null, footerText = '', disclaimer = '' } = {}) => {
   try {
-    // Create a canvas from the element
-    const canvas = await html2canvas(element, {
-      scale: 2, // Higher scale for better quality
-      useCORS: true,
-      logging: false,
-      backgroundColor: '#ffffff'
+    const pdf = createPdf({
+      blocks: document.blocks,
+      title,
+      cover,
+      tableOfContents,
+      letterheadLines: letterhead ? getLetterheadLines(letterhead) : [],
+      logo: letterhead?.logo ? await loadImage(letterhead.logo) : null,
+      footerText,
+      disclaimer
     });
     
-    // Calculate dimensions
-    const imgWidth = 210; // A4 width in mm
-    const pageHeight = 297; // A4 height in mm
-    const imgHeight = (canvas.height * imgWidth) / canvas.width;
-    let heightLeft = imgHeight;
-    let position = 0;
-    
-    // Create PDF
-    const pdf = new jsPDF('p', 'mm', 'a4');
-    let currentPage = 0;
-    
-    // Add image to PDF
-    pdf.addImage(
-      canvas.toDataURL('image/png'), 
-      'PNG', 
-      0, 
-      currentPage === 0 ? 0 : -position, 
-      imgWidth, 
-      imgHeight
-    );
-    heightLeft -= pageHeight;
-    
-    // Add more pages if needed
-    while (heightLeft > 0) {
-      position = heightLeft - imgHeight;
-      pdf.addPage();
-      currentPage++;
-      pdf.addImage(
-        canvas.toDataURL('image/png'), 
-        'PNG', 
-        0, 
-        position, 
-        imgWidth, 
-        imgHeight
-      );
-      heightLeft -= pageHeight;
-    }
-    
-    // Save the PDF
     pdf.save(filename);
   } catch (error) {
     console.error('Error exporting to PDF:', error);
@@ -64,40 +36,22 @@ export const exportToPDF = async (element, filename) => {
 };
 
 /**
- * Export content to Word document format
- * @param {string} content - The text content to export
+ * Export a report or letter document to a Word (.docx) document
+ * @param {{title: string, blocks: Array<object>}} document - The document from reportSerializer
  * @param {string} filename - The filename for the Word document
+ * @param {object} [options]
+ * @param {string} [options.title] - Shown in the page header and stored as the document title; defaults to the document's
+ * @param {object} [options.letterhead] - Sender profile whose logo and company details head each page instead
+ * @param {string} [options.footerText] - Shown in the footer before the page number
  */
-export const exportToWord = (content, filename) => {
+export const exportToWord = async (document, filename, { title = document.title, letterhead = null, footerText = '' } = {}) => {
   try {
-    // Convert basic markdown to HTML
-    const htmlContent = convertMarkdownToHtml(content);
-    
-    // Create HTML document with Word-compatible styling
-    const htmlDoc = `
-      <html xmlns:o="urn:schemas-microsoft-com:office:office" 
-            xmlns:w="urn:schemas-microsoft-com:office:word" 
-            xmlns="http://www.w3.org/TR/REC-html40">
-      <head>
-        <meta charset="utf-8">
-        <style>
-          body { font-family: Calibri, Arial, sans-serif; }
-          h1 { font-size: 16pt; color: #2F5496; }
-          h2 { font-size: 14pt; color: #2F5496; }
-          h3 { font-size: 12pt; color: #1F3864; }
-          p { font-size: 11pt; }
-          ul { margin-left: 20px; }
-        </style>
-      </head>
-      <body>
-        ${htmlContent}
-      </body>
-      </html>
-    `;
-    
-    // Create Blob and save
-    const blob = new Blob(['\ufeff', htmlDoc], {
-      type: 'application/msword'
+    const blob = await createDocx({
+      blocks: document.blocks,
+      title,
+      headerLines: letterhead ? getLetterheadLines(letterhead) : [title].filter(Boolean),
+      footerText,
+      logo: letterhead?.logo ? await loadImage(letterhead.logo) : null
     });
     
     saveAs(blob, filename);
@@ -108,49 +62,235 @@ export const exportToWord = (content, filename) => {
 };
 
 /**
- * Converts simple markdown to HTML
- * @param {string} markdown - The markdown content
- * @returns {string} - HTML content
+ * Export several documents as one Word package, each starting on a new page after a contents list
+ * @param {Array<{title: string, content: string}>} documents - The documents, with markdown content
+ * @param {string} filename - The filename for the Word document
+ * @param {string} [title] - Shown in the page header and stored as the document title
  */
-function convertMarkdownToHtml(markdown) {
-  let html = markdown;
-  
-  // Headers
-  html = html.replace(/^# (.*$)/gm, '<h1>$1</h1>');
-  html = html.replace(/^## (.*$)/gm, '<h2>$1</h2>');
-  html = html.replace(/^### (.*$)/gm, '<h3>$1</h3>');
-  html = html.replace(/^#### (.*$)/gm, '<h4>$1</h4>');
-  
-  // Lists
-  html = html.replace(/^\* (.*$)/gm, '<li>$1</li>');
-  html = html.replace(/^- (.*$)/gm, '<li>$1</li>');
-  
-  // Wrap lists in ul tags
-  let inList = false;
-  const lines = html.split('\n');
-  
-  for (let i = 0; i < lines.length; i++) {
-    if (lines[i].startsWith('<li>') && !inList) {
-      lines[i] = '<ul>' + lines[i];
-      inList = true;
-    } else if (!lines[i].startsWith('<li>') && inList) {
-      lines[i - 1] = lines[i - 1] + '</ul>';
-      inList = false;
+export const exportPackageToWord = async (documents, filename, title = '') => {
+  try {
+    const blocks = [
+      { type: 'heading', level: 1, text: 'Contents' },
+      { type: 'list', ordered: true, items: documents.map(packDocument => packDocument.title) },
+      ...documents.flatMap(packDocument => [{ type: 'pageBreak' }, ...convertMarkdownToBlocks(packDocument.content)])
+    ];
+    
+    saveAs(await createDocx({ blocks, title, headerLines: [title].filter(Boolean) }), filename);
+  } catch (error) {
+    console.error('Error exporting package to Word:', error);
+    alert('An error occurred while exporting to Word. Please try again.');
+  }
+};
+
+/**
+ * Save text content to a file, e.g. a Markdown or JSON rendering of a report
+ * @param {string} content - The file content
+ * @param {string} filename - The filename
+ * @param {string} mimeType - The MIME type of the content
+ */
+export const exportToFile = (content, filename, mimeType) => {
+  try {
+    saveAs(new Blob([content], { type: `${mimeType};charset=utf-8` }), filename);
+  } catch (error) {
+    console.error('Error exporting file:', error);
+    alert('An error occurred while exporting the file. Please try again.');
+  }
+};
+
+/**
+ * Copy a document to the clipboard as rich text where the browser allows it, with a plain-text fallback
+ * @param {{text: string, html: string}} content - The plain-text and HTML renderings
+ * @returns {Promise<void>}
+ */
+export const copyToClipboard = async ({ text, html }) => {
+  if (typeof ClipboardItem !== 'undefined' && navigator.clipboard.write) {
+    try {
+      await navigator.clipboard.write([new ClipboardItem({
+        'text/plain': new Blob([text], { type: 'text/plain' }),
+        'text/html': new Blob([html], { type: 'text/html' })
+      })]);
+      return;
+    } catch (error) {
+      console.warn('Rich text copy failed, copying plain text instead:', error);
     }
   }
   
-  if (inList) {
-    lines.push('</ul>');
+  await navigator.clipboard.writeText(text);
+};
+
+// Read an image's size so it keeps its proportions when scaled in the document or PDF
+function loadImage(dataUrl) {
+  return new Promise(resolve => {
+    const image = new Image();
+    image.onload = () => resolve({ dataUrl, width: image.naturalWidth, height: image.naturalHeight });
+    image.onerror = () => resolve({ dataUrl, width: 0, height: 0 });
+    image.src = dataUrl;
+  });
+}
+
+/**
+ * Export dated action items to an iCalendar (.ics) file
+ * @param {Array<object>} items - Action items from getReportActionItems
+ * @param {string} filename - The filename for the calendar file
+ * @param {object} options
+ * @param {string} options.reportId - The report the items come from, so importing a later export updates its events
+ * @param {string} options.projectName - The project name, added to each event
+ */
+export const exportToICS = (items, filename, { reportId, projectName }) => {
+  try {
+    const now = new Date();
+    const stamp = formatICSTimestamp(now);
+    // Minutes since 1970, so each later export outranks the last and calendars take its dates and titles
+    const sequence = Math.floor(now.getTime() / 60000);
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Contract Assistant//Action Items//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH'
+    ];
+
+    items.forEach(item => {
+      const description = [
+        `Project: ${projectName}`,
+        item.issue && `Issue ${item.issueIndex + 1}: ${item.issue}`,
+        item.clause && `Clause: ${item.clause}`
+      ].filter(Boolean).join('\n');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        // Built from where the item comes from rather than its date or wording, so re-importing after
+        // a deadline moves or is reworded updates the event instead of adding a second one
+        `UID:${reportId}-${item.issueIndex}-${item.source}-${item.key}@contract-assistant`,
+        `SEQUENCE:${sequence}`,
+        `DTSTAMP:${stamp}`,
+        `LAST-MODIFIED:${stamp}`,
+        `DTSTART;VALUE=DATE:${item.date.replace(/-/g, '')}`,
+        `DTEND;VALUE=DATE:${nextDay(item.date)}`,
+        `SUMMARY:${escapeICSText(`${projectName}: ${item.title}`)}`,
+        `DESCRIPTION:${escapeICSText(description)}`,
+        'TRANSP:TRANSPARENT',
+        // Remind a week ahead and again the day before
+        ...createICSAlarm('-P7D', item.title),
+        ...createICSAlarm('-P1D', item.title),
+        'END:VEVENT'
+      );
+    });
+
+    lines.push('END:VCALENDAR');
+
+    const blob = new Blob([lines.map(foldICSLine).join('\r\n') + '\r\n'], {
+      type: 'text/calendar;charset=utf-8'
+    });
+
+    saveAs(blob, filename);
+  } catch (error) {
+    console.error('Error exporting to calendar:', error);
+    alert('An error occurred while exporting to calendar. Please try again.');
   }
+};
+
+function createICSAlarm(trigger, title) {
+  return [
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `TRIGGER:${trigger}`,
+    `DESCRIPTION:${escapeICSText(title)}`,
+    'END:VALARM'
+  ];
+}
+
+// RFC 5545 text values escape backslashes, semicolons, commas and newlines
+function escapeICSText(text) {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines that start with a space
+function foldICSLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (encoder.encode(current + char).length > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+function formatICSTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function nextDay(isoDate) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Converts simple markdown to document blocks for the .docx writer
+ * @param {string} markdown - The markdown content
+ * @returns {Array<object>} - Heading, paragraph, list and table blocks
+ */
+function convertMarkdownToBlocks(markdown) {
+  const blocks = [];
+  let paragraphLines = [];
   
-  // Convert newlines to paragraphs
-  html = lines.join('\n');
-  
-  // Paragraphs
-  html = html.replace(/^(?!<[hl\d]|<li|<ul|<\/ul)(.+)$/gm, '<p>$1</p>');
+  // Consecutive lines of text form one paragraph, kept on separate lines
+  const endParagraph = () => {
+    if (paragraphLines.length > 0) {
+      blocks.push({ type: 'paragraph', text: paragraphLines.join('\n') });
+      paragraphLines = [];
+    }
+  };
   
-  // Handle empty lines
-  html = html.replace(/\n\n+/g, '<br><br>');
+  markdown.split('\n').forEach(rawLine => {
+    const line = rawLine.trimEnd();
+    const heading = /^(#{1,4}) (.*)$/.exec(line);
+    const listItem = /^(?:([*-])|\d+\.) (.*)$/.exec(line);
+    
+    if (heading) {
+      endParagraph();
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+    } else if (listItem) {
+      endParagraph();
+      // Read after endParagraph so an item after a paragraph doesn't join a list above it
+      const lastBlock = blocks[blocks.length - 1];
+      const ordered = !listItem[1];
+      if (lastBlock?.type === 'list' && lastBlock.ordered === ordered) {
+        lastBlock.items.push(listItem[2]);
+      } else {
+        blocks.push({ type: 'list', ordered, items: [listItem[2]] });
+      }
+    } else if (line.startsWith('|')) {
+      endParagraph();
+      // Skip the |---|---| row under the table header
+      if (/^\|[\s:|-]+$/.test(line)) return;
+      const cells = line.replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+      const lastBlock = blocks[blocks.length - 1];
+      if (lastBlock?.type === 'table') {
+        lastBlock.rows.push(cells);
+      } else {
+        blocks.push({ type: 'table', rows: [cells] });
+      }
+    } else if (line.trim()) {
+      paragraphLines.push(line);
+    } else {
+      endParagraph();
+    }
+  });
   
-  return html;
-}
\ No newline at end of file
+  endParagraph();
+  return blocks;
+}
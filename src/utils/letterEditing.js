@@ -0,0 +1,77 @@
+import { getLetterType, findMissingLetterContent } from './letterTypeUtils.js';
+
+// The parts of a draft letter that can be edited or redrafted on their own. The body is handled a
+// paragraph at a time; paragraphs are separated by blank lines, as the letter endpoint returns them.
+export const LETTER_PARTS = [
+  { key: 'to', label: 'Recipient' },
+  { key: 'subject', label: 'Subject' },
+  { key: 'greeting', label: 'Greeting' },
+  { key: 'body', label: 'Paragraph' },
+  { key: 'closing', label: 'Closing' },
+  { key: 'sender', label: 'Signature block' }
+];
+
+// Longest rewrite instruction the endpoint accepts
+export const MAX_REWRITE_INSTRUCTION_LENGTH = 500;
+
+/**
+ * Split a letter body into paragraphs
+ * @param {string} body - The letter body
+ * @returns {string[]} - Paragraphs in order
+ */
+export const getBodyParagraphs = (body) => body.split(/\n\s*\n/);
+
+/**
+ * Read one part of a letter
+ * @param {object} letter - The draft letter
+ * @param {string} part - A key from LETTER_PARTS
+ * @param {number|null} [paragraphIndex] - The body paragraph, for the body
+ * @returns {string} - The text of that part
+ */
+export const getLetterPartText = (letter, part, paragraphIndex = null) => {
+  return part === 'body' ? getBodyParagraphs(letter.body)[paragraphIndex] : letter[part] || '';
+};
+
+/**
+ * Replace one part of a letter, checking again for any mandatory content the letter type needs
+ * @param {object} letter - The draft letter
+ * @param {string} part - A key from LETTER_PARTS
+ * @param {number|null} paragraphIndex - The body paragraph, for the body
+ * @param {string} text - The new text; an empty body paragraph is removed
+ * @param {string} contractType - The contract the letter is given under
+ * @returns {object} - The updated letter
+ */
+export const replaceLetterPart = (letter, part, paragraphIndex, text, contractType) => {
+  let updated;
+  if (part === 'body') {
+    const paragraphs = getBodyParagraphs(letter.body);
+    paragraphs[paragraphIndex] = text.trim();
+    updated = { ...letter, body: paragraphs.filter(Boolean).join('\n\n') };
+  } else {
+    updated = { ...letter, [part]: text.trim() };
+  }
+
+  const letterType = getLetterType(letter.letterType);
+  if (!letterType) return updated;
+
+  return {
+    ...updated,
+    missingContent: findMissingLetterContent(letterType, formatLetterText(updated), updated.letterFields || {}, contractType)
+  };
+};
+
+/**
+ * Write out a whole letter as plain text, e.g. as context for redrafting part of it
+ * @param {object} letter - The draft letter
+ * @returns {string} - The letter from recipient to signature
+ */
+export const formatLetterText = (letter) => {
+  return [
+    `To: ${letter.to}`,
+    `Subject: ${letter.subject}`,
+    letter.greeting,
+    letter.body,
+    letter.closing,
+    letter.sender
+  ].filter(Boolean).join('\n\n');
+};
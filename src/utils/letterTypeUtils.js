@@ -0,0 +1,127 @@
+import { letterTypes } from '../data/letterTypes.js';
+import { getClauseLibraryEntry, formatClauseReference } from './clauseUtils.js';
+import { getNoticeRules } from './noticeDeadlines.js';
+
+// Organisation roles that act for the paying party, by keyword
+const EMPLOYER_SIDE = ['Client', 'Employer', 'Project Sponsor', 'Architect', 'Contract Administrator', 'Project Manager', 'Quantity Surveyor', 'Engineer'];
+const SUBCONTRACTOR_SIDE = ['Sub-contractor', 'Supplier'];
+const CONTRACTOR_SIDE = ['Contractor', 'Construction Manager'];
+
+/**
+ * Work out which side of the contract an organisation role sits on
+ * @param {string} role - An entry from organizationRoles.js
+ * @returns {string|null} - 'employer', 'contractor', 'subcontractor', or null when it can't be told
+ */
+export const getRoleSide = (role = '') => {
+  if (SUBCONTRACTOR_SIDE.some(keyword => role.includes(keyword))) return 'subcontractor';
+  if (EMPLOYER_SIDE.some(keyword => role.includes(keyword))) return 'employer';
+  if (CONTRACTOR_SIDE.some(keyword => role.includes(keyword))) return 'contractor';
+  return null;
+};
+
+/**
+ * Find a letter type by value
+ * @param {string} value - The letter type value
+ * @returns {object|undefined} - The letter type from letterTypes.js
+ */
+export const getLetterType = (value) => {
+  return letterTypes.find(type => type.value === value);
+};
+
+/**
+ * List the letter types that suit a contract and the sender's role
+ * @param {string} contractType - An entry from contractTypes.js
+ * @param {string} role - The sender's organisation role
+ * @returns {Array<object>} - Letter types from letterTypes.js, always including the general letter
+ */
+export const getAvailableLetterTypes = (contractType, role) => {
+  const { family } = getClauseLibraryEntry(contractType);
+  const side = getRoleSide(role);
+
+  return letterTypes.filter(type =>
+    (!type.families || type.families.includes(family)) &&
+    (!type.recipients || !side || Boolean(type.recipients[side]))
+  );
+};
+
+/**
+ * Work out who a letter should be addressed to
+ * @param {object} letterType - A letter type from letterTypes.js
+ * @param {string} role - The sender's organisation role
+ * @returns {string} - The addressee
+ */
+export const getLetterRecipient = (letterType, role = '') => {
+  const side = getRoleSide(role);
+  if (letterType?.recipients && side && letterType.recipients[side]) {
+    return letterType.recipients[side];
+  }
+
+  if (role.includes('Client') || role.includes('Employer')) {
+    return 'The Contractor';
+  } else if (role.includes('Contractor')) {
+    return 'The Employer/Client';
+  } else if (role.includes('Sub-contractor')) {
+    return 'The Main Contractor';
+  } else if (role.includes('Contract Administrator') || role.includes('Architect')) {
+    return 'The Relevant Party';
+  }
+  return 'The Contract Administrator';
+};
+
+/**
+ * Find the clause a notice is given under for a contract
+ * @param {object} letterType - A letter type from letterTypes.js
+ * @param {string} contractType - An entry from contractTypes.js
+ * @returns {string|null} - The clause reference, the statutory provision, or null for general letters
+ */
+export const getLetterClause = (letterType, contractType) => {
+  const rules = getNoticeRules(contractType).rules;
+  const rule = (letterType.noticeTitles || [])
+    .map(title => rules.find(candidate => candidate.title === title))
+    .find(Boolean);
+
+  if (rule) return formatClauseReference(rule);
+  return letterType.statutoryClause || null;
+};
+
+/**
+ * Check the details given for a letter before it is drafted
+ * @param {object} letterType - A letter type from letterTypes.js
+ * @param {object} fields - The values entered for the letter type's fields
+ * @returns {object} - Errors keyed by field name, empty when the details are valid
+ */
+export const validateLetterFields = (letterType, fields = {}) => {
+  const errors = {};
+
+  letterType.fields.forEach(field => {
+    const value = String(fields[field.name] ?? '').trim();
+    if (!value) {
+      if (field.required) errors[field.name] = `${field.label} is required`;
+    } else if (field.type === 'number' && (!Number.isFinite(Number(value)) || Number(value) < 0)) {
+      errors[field.name] = `${field.label} must be a positive number`;
+    } else if (field.type === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      errors[field.name] = `${field.label} must be a valid date`;
+    }
+  });
+
+  if (Object.keys(errors).length > 0 || !letterType.validate) {
+    return errors;
+  }
+  return letterType.validate(fields);
+};
+
+/**
+ * Check a drafted letter contains the mandatory content for its instrument
+ * @param {object} letterType - A letter type from letterTypes.js
+ * @param {string} text - The full text of the drafted letter
+ * @param {object} fields - The values entered for the letter type's fields
+ * @param {string} contractType - An entry from contractTypes.js
+ * @returns {string[]} - Descriptions of the mandatory content that is missing
+ */
+export const findMissingLetterContent = (letterType, text, fields, contractType) => {
+  const clause = getLetterClause(letterType, contractType);
+
+  return letterType.requiredContent
+    .filter(requirement => !requirement.check({ text, fields, clause }))
+    .map(requirement => requirement.label);
+};
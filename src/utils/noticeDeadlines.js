@@ -0,0 +1,88 @@
+import { noticeRules } from '../data/noticeRules.js';
+import { detectIssueTopics, formatClauseReference } from './clauseUtils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Warn about deadlines this close
+const IMMINENT_DAYS = 7;
+
+/**
+ * Find the notice rule set for a contract type
+ * @param {string} contractType - An entry from contractTypes.js
+ * @returns {{edition: string|null, rules: Array<object>}} - The rule set, falling back to the statutory notices
+ */
+export const getNoticeRules = (contractType) => {
+  return noticeRules[contractType] || noticeRules.Other;
+};
+
+/**
+ * Work out the notice windows that apply to an issue
+ * @param {string} contractType - An entry from contractTypes.js
+ * @param {string} issueText - The issue description and any actions taken, used to find the issue category
+ * @param {string} [eventDate] - When the event happened or became apparent (YYYY-MM-DD)
+ * @returns {Array<object>} - One entry per applicable notice, with the deadline date when the period is fixed
+ */
+export const getNoticeDeadlines = (contractType, issueText, eventDate) => {
+  const topics = detectIssueTopics(issueText);
+  const event = parseDate(eventDate);
+
+  return getNoticeRules(contractType).rules
+    .filter(rule => rule.topics.some(topic => topics.includes(topic)))
+    .map(rule => ({
+      clause: formatClauseReference(rule),
+      timing: rule.timing,
+      conditionPrecedent: rule.conditionPrecedent,
+      forthwith: rule.days === 0,
+      from: rule.from || null,
+      // Only periods that run from the event itself can be dated from the issue
+      deadline: event && !rule.from && rule.days ? formatDate(addDays(event, rule.days)) : null
+    }));
+};
+
+/**
+ * Work out how a notice deadline stands on a given day
+ * @param {object} deadline - An entry from getNoticeDeadlines
+ * @param {string} [today] - The date to check against (YYYY-MM-DD), defaulting to the current date
+ * @returns {string} - 'expired', 'imminent', 'open', 'forthwith' or 'undated'
+ */
+export const getNoticeDeadlineStatus = (deadline, today = formatDate(new Date())) => {
+  if (deadline.forthwith) return 'forthwith';
+  if (!deadline.deadline) return 'undated';
+
+  const remaining = parseDate(deadline.deadline).getTime() - parseDate(today).getTime();
+  if (remaining < 0) return 'expired';
+  if (remaining <= IMMINENT_DAYS * DAY_MS) return 'imminent';
+  return 'open';
+};
+
+/**
+ * Describe a notice deadline as a single line for prompts and exports
+ * @param {object} deadline - An entry from getNoticeDeadlines
+ * @param {string} [today] - The date to check against (YYYY-MM-DD)
+ * @returns {string} - e.g. "Clause 61.3 - Notify a compensation event: by 2026-10-27 (open) - Within eight weeks... [condition precedent / time-bar]"
+ */
+export const describeNoticeDeadline = (deadline, today) => {
+  let when = 'no fixed period';
+  if (deadline.forthwith) {
+    when = 'forthwith';
+  } else if (deadline.deadline) {
+    when = `by ${deadline.deadline} (${getNoticeDeadlineStatus(deadline, today)})`;
+  } else if (deadline.from) {
+    when = `runs from ${deadline.from}`;
+  }
+
+  return `${deadline.clause}: ${when} - ${deadline.timing}${deadline.conditionPrecedent ? ' [condition precedent / time-bar]' : ''}`;
+};
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function parseDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  return match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
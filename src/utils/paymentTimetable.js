@@ -0,0 +1,260 @@
+import { getClauseLibraryEntry } from './clauseUtils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Scheme for Construction Contracts (England and Wales) Regulations 1998, Part II, as amended in 2011
+export const SCHEME_PERIODS = {
+  dueDateDays: 7,        // para 4: 7 days after the end of the relevant period, or the claim if later
+  finalDateDays: 17,     // para 8(2): 17 days after the due date
+  paymentNoticeDays: 5,  // para 9 and s110A: not later than 5 days after the due date
+  payLessNoticeDays: 7   // para 10 and s111: not later than 7 days before the final date
+};
+
+// Periods in the unamended standard forms; anything the user enters for the contract takes precedence
+const STANDARD_FORM_PERIODS = {
+  // JCT 2016 e.g. SBC 4.9-4.12: due 7 days after the valuation date, final date 14 days later, pay less 5 days before
+  JCT: { dueDateDays: 7, finalDateDays: 14, paymentNoticeDays: 5, payLessNoticeDays: 5 },
+  // NEC with Option Y(UK)2: due 7 days after the assessment date, final date 14 days later, pay less 7 days before
+  NEC: { dueDateDays: 7, finalDateDays: 14, paymentNoticeDays: 0, payLessNoticeDays: 7 }
+};
+
+export const PAYMENT_CYCLES = {
+  monthly: 'Monthly',
+  'four-weekly': 'Every 4 weeks',
+  fortnightly: 'Every 2 weeks'
+};
+
+/**
+ * Work out the Construction Act payment dates for one application
+ * @param {object} options
+ * @param {string} options.applicationDate - Date the payee's application was made (YYYY-MM-DD)
+ * @param {string} [options.periodEndDate] - End of the relevant period, i.e. the valuation or assessment date; defaults to the application date
+ * @param {string} [options.paymentCycle] - One of PAYMENT_CYCLES, used to find the next valuation date
+ * @param {string} [options.contractType] - An entry from contractTypes.js, for the standard form periods
+ * @param {object} [options.contractPeriods] - Contract-specific day counts that override the standard form and Scheme
+ * @returns {object} - Due date, notice deadlines and final date for payment, each with the rule it came from
+ */
+export const calculatePaymentTimetable = ({
+  applicationDate,
+  periodEndDate,
+  paymentCycle = 'monthly',
+  contractType,
+  contractPeriods = {}
+}) => {
+  const application = parseDate(applicationDate);
+  const periodEnd = periodEndDate ? parseDate(periodEndDate) : application;
+  const periods = resolvePeriods(contractType, contractPeriods);
+
+  // The Scheme takes the later of the period end plus 7 days and the claim; contracts run from the valuation date
+  const dueDate = periods.dueDateDays.basis === 'scheme'
+    ? laterOf(addStatutoryDays(periodEnd, periods.dueDateDays.days), application)
+    : addStatutoryDays(periodEnd, periods.dueDateDays.days);
+  const finalDate = addStatutoryDays(dueDate, periods.finalDateDays.days);
+
+  return {
+    applicationDate: formatDate(application),
+    periodEndDate: formatDate(periodEnd),
+    paymentCycle,
+    dueDate: {
+      date: formatDate(dueDate),
+      basis: periods.dueDateDays.basis,
+      rule: periods.dueDateDays.basis === 'scheme'
+        ? `${periods.dueDateDays.days} days after the end of the relevant period, or the date of the application if later (Scheme para 4)`
+        : `${periods.dueDateDays.days} days after the valuation date`
+    },
+    paymentNoticeDeadline: {
+      date: formatDate(addStatutoryDays(dueDate, periods.paymentNoticeDays.days)),
+      basis: periods.paymentNoticeDays.basis,
+      rule: periods.paymentNoticeDays.days === 0
+        ? 'Not later than the due date (s110A)'
+        : `Not later than ${periods.paymentNoticeDays.days} days after the due date (s110A)`
+    },
+    payLessNoticeDeadline: {
+      date: formatDate(subtractStatutoryDays(finalDate, periods.payLessNoticeDays.days)),
+      basis: periods.payLessNoticeDays.basis,
+      rule: `Not later than ${periods.payLessNoticeDays.days} days before the final date for payment (s111)`
+    },
+    finalDateForPayment: {
+      date: formatDate(finalDate),
+      basis: periods.finalDateDays.basis,
+      rule: `${periods.finalDateDays.days} days after the due date (s110)`
+    },
+    nextValuationDate: formatDate(addCycle(periodEnd, paymentCycle))
+  };
+};
+
+/**
+ * Describe a timetable as plain lines for prompts and exports
+ * @param {object} timetable - A result from calculatePaymentTimetable
+ * @returns {string[]} - One line per date
+ */
+export const describePaymentTimetable = (timetable) => {
+  const basisLabels = { contract: 'contract', 'standard-form': 'standard form', scheme: 'Scheme default' };
+  const line = (label, entry) => `${label}: ${formatDisplayDate(entry.date)} - ${entry.rule} [${basisLabels[entry.basis]}]`;
+
+  return [
+    `Application made: ${formatDisplayDate(timetable.applicationDate)}`,
+    `Valuation / end of period: ${formatDisplayDate(timetable.periodEndDate)}`,
+    line('Due date', timetable.dueDate),
+    line('Payment notice deadline', timetable.paymentNoticeDeadline),
+    line('Pay less notice deadline', timetable.payLessNoticeDeadline),
+    line('Final date for payment', timetable.finalDateForPayment),
+    `Next valuation date: ${formatDisplayDate(timetable.nextValuationDate)}`
+  ];
+};
+
+function resolvePeriods(contractType, contractPeriods) {
+  const standardForm = contractType ? STANDARD_FORM_PERIODS[getClauseLibraryEntry(contractType).family] : null;
+
+  return Object.fromEntries(Object.keys(SCHEME_PERIODS).map(key => {
+    const contractValue = parseInt(contractPeriods[key], 10);
+    if (!Number.isNaN(contractValue) && contractValue >= 0) {
+      return [key, { days: contractValue, basis: 'contract' }];
+    }
+    if (standardForm) {
+      return [key, { days: standardForm[key], basis: 'standard-form' }];
+    }
+    return [key, { days: SCHEME_PERIODS[key], basis: 'scheme' }];
+  }));
+}
+
+// s116: a period runs from the day after the reference date and skips excluded days
+function addStatutoryDays(date, days) {
+  let result = date;
+  let counted = 0;
+  while (counted < days) {
+    result = new Date(result.getTime() + DAY_MS);
+    if (!isExcludedDay(result)) counted++;
+  }
+  return result;
+}
+
+function subtractStatutoryDays(date, days) {
+  let result = date;
+  let counted = 0;
+  while (counted < days) {
+    result = new Date(result.getTime() - DAY_MS);
+    if (!isExcludedDay(result)) counted++;
+  }
+  return result;
+}
+
+// s116 leaves Christmas Day, Good Friday and bank holidays in England and Wales out of every period
+function isExcludedDay(date) {
+  return getExcludedDays(date.getUTCFullYear()).has(formatDate(date));
+}
+
+function addCycle(date, paymentCycle) {
+  if (paymentCycle === 'four-weekly') return new Date(date.getTime() + 28 * DAY_MS);
+  if (paymentCycle === 'fortnightly') return new Date(date.getTime() + 14 * DAY_MS);
+
+  // Monthly cycles keep the same day of the month, clamped to the end of shorter months
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + 1;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+}
+
+function laterOf(a, b) {
+  return a.getTime() >= b.getTime() ? a : b;
+}
+
+const excludedDaysCache = {};
+
+// One-off bank holidays proclaimed in England and Wales
+const SPECIAL_BANK_HOLIDAYS = ['2022-06-02', '2022-06-03', '2022-09-19', '2023-05-08'];
+
+function getExcludedDays(year) {
+  if (excludedDaysCache[year]) return excludedDaysCache[year];
+
+  const days = new Set();
+  const add = (date) => days.add(formatDate(date));
+
+  add(substituteWeekend(utc(year, 0, 1)));
+
+  const easter = easterSunday(year);
+  add(new Date(easter.getTime() - 2 * DAY_MS));
+  add(new Date(easter.getTime() + DAY_MS));
+
+  // The early May bank holiday moved to 8 May in 2020 and the spring one to 3 June in 2022
+  if (year === 2020) add(utc(2020, 4, 8));
+  else add(firstMonday(year, 4));
+  if (year !== 2022) add(lastMonday(year, 4));
+  add(lastMonday(year, 7));
+
+  // Christmas Day and Boxing Day, with substitute days when they fall at the weekend. Boxing Day
+  // is only a bank holiday when it is not a Sunday; the 27th and 28th stand in for it then.
+  const christmas = utc(year, 11, 25);
+  const boxingDay = utc(year, 11, 26);
+  add(christmas);
+  if (boxingDay.getUTCDay() !== 0) add(boxingDay);
+  if (christmas.getUTCDay() === 6) {
+    add(utc(year, 11, 27));
+    add(utc(year, 11, 28));
+  } else if (christmas.getUTCDay() === 0) {
+    add(utc(year, 11, 27));
+  } else if (boxingDay.getUTCDay() === 6) {
+    add(utc(year, 11, 28));
+  }
+
+  SPECIAL_BANK_HOLIDAYS.filter(date => date.startsWith(`${year}-`)).forEach(date => days.add(date));
+
+  excludedDaysCache[year] = days;
+  return days;
+}
+
+function substituteWeekend(date) {
+  const day = date.getUTCDay();
+  if (day === 6) return new Date(date.getTime() + 2 * DAY_MS);
+  if (day === 0) return new Date(date.getTime() + DAY_MS);
+  return date;
+}
+
+function firstMonday(year, month) {
+  const first = utc(year, month, 1);
+  return new Date(first.getTime() + ((8 - first.getUTCDay()) % 7) * DAY_MS);
+}
+
+function lastMonday(year, month) {
+  const last = utc(year, month + 1, 0);
+  return new Date(last.getTime() - ((last.getUTCDay() + 6) % 7) * DAY_MS);
+}
+
+// Anonymous Gregorian algorithm
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return utc(year, month - 1, day);
+}
+
+function utc(year, month, day) {
+  return new Date(Date.UTC(year, month, day));
+}
+
+function parseDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) {
+    throw new Error(`Invalid date "${value}". Use the format YYYY-MM-DD.`);
+  }
+  return utc(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function formatDisplayDate(value) {
+  return parseDate(value).toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
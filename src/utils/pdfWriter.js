@@ -0,0 +1,356 @@
+import { jsPDF } from 'jspdf';
+
+// A4 in millimetres
+const PAGE_WIDTH = 210;
+const PAGE_HEIGHT = 297;
+const MARGIN_X = 20;
+const MARGIN_TOP = 25;
+const MARGIN_BOTTOM = 28;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN_X;
+
+const PT_TO_MM = 0.3528;
+const LINE_SPACING = 1.35;
+
+const BODY_SIZE = 10.5;
+const HEADING_SIZES = { 1: 18, 2: 15, 3: 12.5, 4: 11 };
+const HEADING_COLOR = [47, 84, 150];
+const TEXT_COLOR = [31, 41, 55];
+const MUTED_COLOR = [107, 114, 128];
+
+const LIST_INDENT = 6;
+const CELL_PADDING = 1.5;
+const TOC_LINE_HEIGHT = 7;
+const LOGO_HEIGHT = 15;
+
+/**
+ * Lay out blocks as a text PDF that can be searched and copied
+ * @param {object} options
+ * @param {Array<object>} options.blocks - Heading, paragraph, list, table and pageBreak blocks, as for createDocx
+ * @param {string} [options.title] - Document title, repeated in the page header
+ * @param {{title: string, lines: string[]}} [options.cover] - Adds a cover page
+ * @param {boolean} [options.tableOfContents] - Adds a contents page listing level 2 and 3 headings
+ * @param {string[]} [options.letterheadLines] - Printed at the top of the first page; the first line in bold
+ * @param {{dataUrl: string, width: number, height: number}} [options.logo] - Shown beside the letterhead
+ * @param {string} [options.footerText] - Shown at the left of each footer
+ * @param {string} [options.disclaimer] - Printed above the footer on every page
+ * @returns {jsPDF} - The document, ready to save
+ */
+export const createPdf = ({
+  blocks,
+  title = '',
+  cover = null,
+  tableOfContents = false,
+  letterheadLines = [],
+  logo = null,
+  footerText = '',
+  disclaimer = ''
+}) => {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  doc.setProperties({ title, creator: 'Contract Assistant' });
+
+  // The disclaimer sits above the footer, so the body stops short of it
+  doc.setFontSize(7.5);
+  const disclaimerLines = disclaimer ? doc.splitTextToSize(toPdfText(disclaimer), CONTENT_WIDTH) : [];
+  const bottom = PAGE_HEIGHT - MARGIN_BOTTOM - disclaimerLines.length * lineHeight(7.5);
+
+  let coverPages = 0;
+  if (cover) {
+    drawCover(doc, cover);
+    coverPages = 1;
+  }
+
+  const tocEntries = tableOfContents ? blocks.filter(block => block.type === 'heading' && (block.level === 2 || block.level === 3)) : [];
+  const tocPerPage = Math.floor((bottom - MARGIN_TOP - 20) / TOC_LINE_HEIGHT);
+  const tocPages = tocEntries.length > 0 ? Math.ceil(tocEntries.length / tocPerPage) : 0;
+  for (let i = 0; i < tocPages; i++) {
+    if (coverPages > 0 || i > 0) doc.addPage();
+  }
+
+  if (coverPages > 0 || tocPages > 0) doc.addPage();
+  const layout = { doc, y: MARGIN_TOP, bottom, headingPages: [] };
+
+  if (letterheadLines.length > 0 || logo) {
+    drawLetterhead(layout, letterheadLines, logo);
+  }
+
+  blocks.forEach((block, i) => {
+    switch (block.type) {
+      case 'heading':
+        drawHeading(layout, block, blocks[i + 1]);
+        break;
+      case 'list':
+        drawList(layout, block);
+        break;
+      case 'table':
+        drawTable(layout, block.rows);
+        break;
+      case 'pageBreak':
+        newPage(layout);
+        break;
+      default:
+        drawParagraph(layout, block.text);
+    }
+  });
+
+  if (tocPages > 0) {
+    drawTableOfContents(doc, layout.headingPages, coverPages + 1, tocPerPage);
+  }
+
+  drawPageFurniture(doc, { title, footerText, disclaimerLines, firstPage: coverPages + 1, letterhead: letterheadLines.length > 0 || logo });
+  return doc;
+};
+
+function drawCover(doc, cover) {
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(26);
+  doc.setTextColor(...HEADING_COLOR);
+  const titleLines = doc.splitTextToSize(toPdfText(cover.title), CONTENT_WIDTH);
+  doc.text(titleLines, MARGIN_X, 100);
+
+  let y = 100 + titleLines.length * lineHeight(26) + 8;
+  doc.setDrawColor(...HEADING_COLOR);
+  doc.setLineWidth(0.8);
+  doc.line(MARGIN_X, y, MARGIN_X + 60, y);
+  y += 12;
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(12);
+  doc.setTextColor(...TEXT_COLOR);
+  cover.lines.forEach(line => {
+    const wrapped = doc.splitTextToSize(toPdfText(line), CONTENT_WIDTH);
+    doc.text(wrapped, MARGIN_X, y);
+    y += wrapped.length * lineHeight(12) + 2;
+  });
+}
+
+function drawLetterhead(layout, lines, logo) {
+  const { doc } = layout;
+  let logoHeight = 0;
+
+  if (logo) {
+    const format = /^data:image\/(\w+)/.exec(logo.dataUrl)?.[1].toUpperCase() || 'PNG';
+    const width = logo.width && logo.height ? Math.min((logo.width / logo.height) * LOGO_HEIGHT, CONTENT_WIDTH / 2) : LOGO_HEIGHT;
+    doc.addImage(logo.dataUrl, format === 'JPG' ? 'JPEG' : format, MARGIN_X, layout.y - 8, width, LOGO_HEIGHT);
+    logoHeight = LOGO_HEIGHT;
+  }
+
+  let y = layout.y - 4;
+  lines.forEach((line, i) => {
+    doc.setFont('helvetica', i === 0 ? 'bold' : 'normal');
+    doc.setFontSize(i === 0 ? 13 : 8.5);
+    doc.setTextColor(...(i === 0 ? TEXT_COLOR : MUTED_COLOR));
+    doc.text(toPdfText(line), PAGE_WIDTH - MARGIN_X, y, { align: 'right' });
+    y += lineHeight(i === 0 ? 13 : 8.5);
+  });
+
+  const ruleY = Math.max(y, layout.y - 8 + logoHeight) + 2;
+  doc.setDrawColor(...TEXT_COLOR);
+  doc.setLineWidth(0.6);
+  doc.line(MARGIN_X, ruleY, PAGE_WIDTH - MARGIN_X, ruleY);
+  layout.y = ruleY + 10;
+}
+
+function drawHeading(layout, block, nextBlock) {
+  const { doc } = layout;
+  const size = HEADING_SIZES[block.level] || BODY_SIZE;
+  setFont(doc, size, 'bold', HEADING_COLOR);
+  const lines = doc.splitTextToSize(toPdfText(block.text), CONTENT_WIDTH);
+  const spaceBefore = block.level <= 2 ? 6 : 4;
+
+  // Keep the heading with at least two lines of what follows it
+  const following = nextBlock && nextBlock.type !== 'heading' && nextBlock.type !== 'pageBreak' ? 2 * lineHeight(BODY_SIZE) : 0;
+  if (layout.y + spaceBefore + lines.length * lineHeight(size) + following > layout.bottom) {
+    newPage(layout);
+  } else if (layout.y > MARGIN_TOP) {
+    layout.y += spaceBefore;
+  }
+
+  layout.headingPages.push({ level: block.level, text: block.text, page: doc.getCurrentPageInfo().pageNumber, y: layout.y });
+  lines.forEach(line => {
+    doc.text(line, MARGIN_X, layout.y + lineHeight(size) * 0.75);
+    layout.y += lineHeight(size);
+  });
+  layout.y += 2;
+}
+
+function drawParagraph(layout, text) {
+  const { doc } = layout;
+  setFont(doc, BODY_SIZE, 'normal', TEXT_COLOR);
+  writeLines(layout, wrapText(doc, text, CONTENT_WIDTH), MARGIN_X);
+  layout.y += 3;
+}
+
+function drawList(layout, block) {
+  const { doc } = layout;
+  block.items.forEach((item, i) => {
+    setFont(doc, BODY_SIZE, 'normal', TEXT_COLOR);
+    const lines = wrapText(doc, item, CONTENT_WIDTH - LIST_INDENT);
+    ensureSpace(layout, lineHeight(BODY_SIZE));
+    doc.text(block.ordered ? `${i + 1}.` : '•', MARGIN_X + 1, layout.y + lineHeight(BODY_SIZE) * 0.75);
+    writeLines(layout, lines, MARGIN_X + LIST_INDENT);
+    layout.y += 1;
+  });
+  layout.y += 2;
+}
+
+function drawTable(layout, rows) {
+  const { doc } = layout;
+  const columnCount = Math.max(...rows.map(row => row.length));
+  const columnWidth = CONTENT_WIDTH / columnCount;
+  const size = BODY_SIZE - 1;
+
+  const measureRow = (row, bold) => {
+    setFont(doc, size, bold ? 'bold' : 'normal', TEXT_COLOR);
+    const cells = Array.from({ length: columnCount }, (_, i) => wrapText(doc, row[i] || '', columnWidth - 2 * CELL_PADDING));
+    const height = Math.max(...cells.map(lines => lines.length)) * lineHeight(size) + 2 * CELL_PADDING;
+    return { cells, height };
+  };
+
+  const drawRow = ({ cells, height }, bold) => {
+    setFont(doc, size, bold ? 'bold' : 'normal', TEXT_COLOR);
+    doc.setDrawColor(166, 166, 166);
+    doc.setLineWidth(0.2);
+    cells.forEach((lines, i) => {
+      const x = MARGIN_X + i * columnWidth;
+      if (bold) {
+        doc.setFillColor(217, 226, 243);
+        doc.rect(x, layout.y, columnWidth, height, 'FD');
+      } else {
+        doc.rect(x, layout.y, columnWidth, height);
+      }
+      lines.forEach((line, j) => {
+        doc.text(line, x + CELL_PADDING, layout.y + CELL_PADDING + lineHeight(size) * (j + 0.75));
+      });
+    });
+    layout.y += height;
+  };
+
+  const header = measureRow(rows[0], true);
+  ensureSpace(layout, header.height + lineHeight(size) + 2 * CELL_PADDING);
+  drawRow(header, true);
+
+  // Rows are never split; a row that doesn't fit starts a new page under a repeated header
+  rows.slice(1).forEach(row => {
+    const measured = measureRow(row, false);
+    if (layout.y + measured.height > layout.bottom) {
+      newPage(layout);
+      drawRow(header, true);
+    }
+    drawRow(measured, false);
+  });
+
+  layout.y += 4;
+}
+
+function drawTableOfContents(doc, headingPages, firstPage, perPage) {
+  headingPages
+    .filter(heading => heading.level === 2 || heading.level === 3)
+    .forEach((heading, i) => {
+      const page = firstPage + Math.floor(i / perPage);
+      doc.setPage(page);
+
+      if (i % perPage === 0) {
+        setFont(doc, HEADING_SIZES[1], 'bold', HEADING_COLOR);
+        doc.text(i === 0 ? 'Contents' : 'Contents (continued)', MARGIN_X, MARGIN_TOP + 6);
+      }
+
+      const y = MARGIN_TOP + 20 + (i % perPage) * TOC_LINE_HEIGHT;
+      const indent = heading.level === 3 ? 6 : 0;
+      const pageLabel = String(heading.page);
+
+      setFont(doc, BODY_SIZE, heading.level === 2 ? 'bold' : 'normal', TEXT_COLOR);
+      const pageLabelWidth = doc.getTextWidth(pageLabel);
+      const [label] = doc.splitTextToSize(toPdfText(heading.text), CONTENT_WIDTH - indent - pageLabelWidth - 10);
+      doc.text(label, MARGIN_X + indent, y);
+      doc.text(pageLabel, PAGE_WIDTH - MARGIN_X, y, { align: 'right' });
+
+      // Dotted leader between the entry and its page number
+      const leaderStart = MARGIN_X + indent + doc.getTextWidth(label) + 2;
+      const leaderEnd = PAGE_WIDTH - MARGIN_X - pageLabelWidth - 2;
+      doc.setDrawColor(...MUTED_COLOR);
+      doc.setLineDashPattern([0.4, 1.2], 0);
+      if (leaderEnd > leaderStart) doc.line(leaderStart, y, leaderEnd, y);
+      doc.setLineDashPattern([], 0);
+
+      doc.link(MARGIN_X, y - 5, CONTENT_WIDTH, TOC_LINE_HEIGHT, { pageNumber: heading.page, top: heading.y });
+    });
+}
+
+// Running header, disclaimer and page numbers, added once the page count is known
+function drawPageFurniture(doc, { title, footerText, disclaimerLines, firstPage, letterhead }) {
+  const pageCount = doc.getNumberOfPages();
+
+  for (let page = firstPage; page <= pageCount; page++) {
+    doc.setPage(page);
+
+    // The letterhead already heads the first page of a letter
+    if (title && !(letterhead && page === firstPage)) {
+      setFont(doc, 8.5, 'normal', MUTED_COLOR);
+      const [headerLine] = doc.splitTextToSize(toPdfText(title), CONTENT_WIDTH);
+      doc.text(headerLine, MARGIN_X, 14);
+      doc.setDrawColor(209, 213, 219);
+      doc.setLineWidth(0.2);
+      doc.line(MARGIN_X, 16, PAGE_WIDTH - MARGIN_X, 16);
+    }
+
+    const footerY = PAGE_HEIGHT - 12;
+    if (disclaimerLines.length > 0) {
+      setFont(doc, 7.5, 'italic', MUTED_COLOR);
+      doc.text(disclaimerLines, PAGE_WIDTH / 2, footerY - 4 - disclaimerLines.length * lineHeight(7.5), { align: 'center' });
+    }
+
+    setFont(doc, 8.5, 'normal', MUTED_COLOR);
+    if (footerText) doc.text(toPdfText(footerText), MARGIN_X, footerY);
+    doc.text(`Page ${page} of ${pageCount}`, PAGE_WIDTH - MARGIN_X, footerY, { align: 'right' });
+  }
+}
+
+function writeLines(layout, lines, x) {
+  const height = lineHeight(layout.doc.getFontSize());
+  lines.forEach(line => {
+    ensureSpace(layout, height);
+    layout.doc.text(line, x, layout.y + height * 0.75);
+    layout.y += height;
+  });
+}
+
+function ensureSpace(layout, height) {
+  if (layout.y + height > layout.bottom) newPage(layout);
+}
+
+function newPage(layout) {
+  // addPage resets the font, so carry the current one over
+  const { fontName, fontStyle } = layout.doc.getFont();
+  const size = layout.doc.getFontSize();
+  layout.doc.addPage();
+  layout.doc.setFont(fontName, fontStyle);
+  layout.doc.setFontSize(size);
+  layout.y = MARGIN_TOP;
+}
+
+// Wrap each line of the text separately so explicit line breaks are kept
+function wrapText(doc, text, width) {
+  return toPdfText(text)
+    .split('\n')
+    .flatMap(line => line.trim() ? doc.splitTextToSize(line, width) : ['']);
+}
+
+function setFont(doc, size, style, color) {
+  doc.setFont('helvetica', style);
+  doc.setFontSize(size);
+  doc.setTextColor(...color);
+}
+
+function lineHeight(size) {
+  return size * PT_TO_MM * LINE_SPACING;
+}
+
+// The built-in PDF fonts only cover WinAnsi, so drop markdown emphasis and replace anything they can't draw
+function toPdfText(text) {
+  return String(text)
+    .replace(/\*\*([^*]+)\*\*/g, '$1')
+    .replace(/\u2264/g, '<=')
+    .replace(/\u2265/g, '>=')
+    .replace(/\u2192/g, '->')
+    .replace(/[^\n\x20-\x7E\xA0-\xFF\u2013\u2014\u2018\u2019\u201C\u201D\u2022\u2026\u20AC]/g, '?');
+}
@@ -0,0 +1,165 @@
+// A project owns the details entered on the project form. Each report keeps a snapshot of the details it
+// was generated from, plus the projectId of the project it belongs to, so a project's reports, letters and
+// issue history are all read from its saved reports.
+
+/**
+ * Blank details for the project form
+ * @returns {object} - Project details with one empty issue
+ */
+export const createBlankProjectDetails = () => ({
+  projectName: '',
+  projectDescription: '',
+  contractType: '',
+  organizationRole: '',
+  issues: [{ description: '', actionsTaken: '', eventDate: '' }],
+  amendments: [],
+  compensationEvents: [],
+  paymentTerms: {
+    applicationDate: '',
+    periodEndDate: '',
+    paymentCycle: 'monthly',
+    contractPeriods: { dueDateDays: '', finalDateDays: '', paymentNoticeDays: '', payLessNoticeDays: '' }
+  }
+});
+
+/**
+ * Create a project from the project form
+ * @param {object} projectDetails - Details from the project form or a report
+ * @param {string} [date] - When the project was started (ISO string)
+ * @returns {object} - The project
+ */
+export const createProject = (projectDetails, date = new Date().toISOString()) => ({
+  id: Date.now().toString(),
+  details: { ...createBlankProjectDetails(), ...projectDetails },
+  createdAt: date,
+  updatedAt: date
+});
+
+/**
+ * Find a project by name, ignoring letter case and surrounding spaces
+ * @param {Array<object>} projects - All projects
+ * @param {string} projectName - The name to look for
+ * @returns {object|undefined} - The project
+ */
+export const findProjectByName = (projects, projectName) => {
+  const name = projectName.trim().toLowerCase();
+  return projects.find(project => project.details.projectName.trim().toLowerCase() === name);
+};
+
+/**
+ * Store the details an analysis is about to run with on their project
+ * @param {Array<object>} projects - All projects
+ * @param {string|null} projectId - The project the form was opened for, if any
+ * @param {object} projectDetails - Details from the project form
+ * @returns {{projects: Array<object>, projectId: string}} - The updated projects and the project the details belong to
+ */
+export const saveProjectDetails = (projects, projectId, projectDetails) => {
+  const existing = projects.find(project => project.id === projectId) || findProjectByName(projects, projectDetails.projectName);
+  if (!existing) {
+    const project = { ...createProject(projectDetails), id: nextProjectId(projects) };
+    return { projects: [...projects, project], projectId: project.id };
+  }
+
+  const updated = { ...existing, details: { ...projectDetails }, updatedAt: new Date().toISOString() };
+  return { projects: projects.map(project => (project.id === existing.id ? updated : project)), projectId: existing.id };
+};
+
+/**
+ * Link reports that don't belong to a known project to one, matching by project name or creating a project
+ * @param {Array<object>} projects - All projects
+ * @param {Array<object>} reports - Saved reports, e.g. from before projects existed or from an imported file
+ * @returns {{projects: Array<object>, reports: Array<object>}} - Projects including any new ones, and the reports with a projectId
+ */
+export const assignReportsToProjects = (projects, reports) => {
+  let updatedProjects = projects;
+
+  // Oldest first, so a project created here starts from its earliest report and ends with its latest details
+  const byDate = [...reports].sort((a, b) => new Date(a.date) - new Date(b.date));
+  const assignedIds = new Map();
+  byDate.forEach(report => {
+    if (updatedProjects.some(project => project.id === report.projectId)) return;
+
+    const existing = findProjectByName(updatedProjects, report.projectDetails.projectName);
+    if (existing) {
+      assignedIds.set(report.id, existing.id);
+      updatedProjects = updatedProjects.map(project => (
+        project.id === existing.id && report.date > project.updatedAt
+          ? { ...project, details: { ...project.details, ...report.projectDetails }, updatedAt: report.date }
+          : project
+      ));
+      return;
+    }
+
+    const project = { ...createProject(report.projectDetails, report.date), id: nextProjectId(updatedProjects, report.projectId) };
+    updatedProjects = [...updatedProjects, project];
+    assignedIds.set(report.id, project.id);
+  });
+
+  return {
+    projects: updatedProjects,
+    reports: reports.map(report => (assignedIds.has(report.id) ? { ...report, projectId: assignedIds.get(report.id) } : report))
+  };
+};
+
+/**
+ * A project's saved reports, newest first
+ * @param {string} projectId - The project
+ * @param {Array<object>} reports - Saved reports
+ * @returns {Array<object>} - The project's reports
+ */
+export const getProjectReports = (projectId, reports) => {
+  return reports
+    .filter(report => report.projectId === projectId)
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+};
+
+/**
+ * Every draft letter generated for a set of reports, newest report first
+ * @param {Array<object>} reports - A project's reports
+ * @returns {Array<object>} - Letters with the ID and date of the report they were drafted from
+ */
+export const getProjectLetters = (reports) => {
+  return reports.flatMap(report => (report.draftLetters || []).map(letter => ({
+    ...letter,
+    reportId: report.id,
+    reportDate: report.date
+  })));
+};
+
+/**
+ * Each distinct issue analysed across a project's reports, with when it was first and last analysed
+ * @param {Array<object>} reports - A project's reports
+ * @returns {Array<{issue: string, firstAnalysed: string, lastAnalysed: string, reportIds: string[]}>} - Issues, most recently analysed first
+ */
+export const getProjectIssueHistory = (reports) => {
+  const issues = new Map();
+
+  [...reports].sort((a, b) => new Date(a.date) - new Date(b.date)).forEach(report => {
+    report.analysis.forEach(entry => {
+      const key = entry.issue.trim().toLowerCase();
+      if (!key) return;
+
+      const history = issues.get(key) || { issue: entry.issue.trim(), firstAnalysed: report.date, reportIds: [] };
+      issues.set(key, {
+        ...history,
+        lastAnalysed: report.date,
+        reportIds: [...history.reportIds, report.id]
+      });
+    });
+  });
+
+  return [...issues.values()].sort((a, b) => new Date(b.lastAnalysed) - new Date(a.lastAnalysed));
+};
+
+// Keep the ID a report already points at, e.g. from a colleague's export, unless it is taken
+function nextProjectId(projects, preferredId) {
+  if (preferredId && !projects.some(project => project.id === preferredId)) {
+    return String(preferredId);
+  }
+
+  let candidate = Date.now();
+  while (projects.some(project => project.id === String(candidate))) {
+    candidate++;
+  }
+  return String(candidate);
+}
@@ -0,0 +1,219 @@
+// Reports are shared between colleagues as JSON files in this format:
+//
+// {
+//   "format": "contract-assistant-reports",
+//   "version": 1,
+//   "exportedAt": "2025-03-04T10:15:00.000Z",
+//   "reports": [
+//     {
+//       "id": "1741083300000",                  // unique within the saved reports of one browser
+//       "projectId": "1741000000000",           // optional; reports with the same projectId belong to one project
+//       "date": "2025-03-04T10:15:00.000Z",     // when the report was generated
+//       "projectDetails": { ... },              // the project form, including issues, amendments and payment terms
+//       "contractDocuments": [{ "fileName", "clauseCount" }],
+//       "paymentTimetable": { ... } | null,
+//       "analysis": [{ "issue", "status", "detailedAnalysis", ... }],  // one entry per issue
+//       "partial": false,                        // true when some issues failed
+//       "failedIssues": [],
+//       "tags": ["Phase 2", "Variations"],       // optional labels chosen by the user
+//       "draftLetters": [{ "to", "subject", "greeting", "body", "closing", "sender", "reference", ... }],
+//       "model": "openai:gpt-4o",                 // the model that generated the analysis
+//       "versions": [{ "date", "model", "projectDetails", "analysis", ... }]  // optional earlier analyses, oldest first
+//     }
+//   ]
+// }
+//
+// Bump REPORT_FILE_VERSION whenever the shape changes and add a migration from the previous version,
+// so files exported by older copies of the app can still be imported.
+
+export const REPORT_FILE_FORMAT = 'contract-assistant-reports';
+export const REPORT_FILE_VERSION = 1;
+
+// The sections of an issue analysis checked on import
+const REQUIRED_LIST_SECTIONS = ['relevantClauses', 'recommendations'];
+const OPTIONAL_LIST_SECTIONS = ['clauseExplanations', 'contractClauses', 'clauseVerification', 'actionItems', 'noticeDeadlines'];
+const TEXT_SECTIONS = ['actionsTaken', 'detailedAnalysis', 'legalContext', 'potentialOutcomes', 'timelineSuggestions', 'riskAssessment'];
+
+// Each migration takes a file of version n and returns the same reports as version n + 1
+const migrations = {
+  // Version 0 is a bare report or list of reports copied from localStorage before the file format existed.
+  // Those reports were generated in one request, so every analysis that came back was complete.
+  0: (file) => ({
+    reports: file.reports.map(report => ({
+      ...report,
+      analysis: Array.isArray(report.analysis)
+        ? report.analysis.map(entry => ({ noticeDeadlines: [], actionItems: [], ...entry, status: entry.status || 'complete' }))
+        : report.analysis,
+      partial: report.partial || false,
+      failedIssues: report.failedIssues || [],
+      draftLetters: report.draftLetters || []
+    }))
+  })
+};
+
+/**
+ * Wrap reports in the versioned file format
+ * @param {Array<object>} reports - Saved reports, each with its draft letters
+ * @param {Date} [exportedAt] - When the file was exported
+ * @returns {object} - The file contents, ready for JSON.stringify
+ */
+export const createReportFile = (reports, exportedAt = new Date()) => ({
+  format: REPORT_FILE_FORMAT,
+  version: REPORT_FILE_VERSION,
+  exportedAt: exportedAt.toISOString(),
+  reports: reports.map(report => ({
+    id: report.id,
+    projectId: report.projectId,
+    date: report.date,
+    projectDetails: report.projectDetails,
+    contractDocuments: report.contractDocuments || [],
+    paymentTimetable: report.paymentTimetable || null,
+    analysis: report.analysis,
+    partial: report.partial || false,
+    failedIssues: report.failedIssues || [],
+    tags: report.tags || [],
+    draftLetters: report.draftLetters || [],
+    model: report.model || '',
+    versions: report.versions || []
+  }))
+});
+
+/**
+ * Read a report file, migrating it from older versions and checking every report
+ * @param {string} text - The file contents
+ * @returns {{reports: Array<object>, skipped: string[]}} - Valid reports, and why any others were left out
+ */
+export const parseReportFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  let file = readFileEnvelope(data);
+  if (file.version > REPORT_FILE_VERSION) {
+    throw new Error(`The file was exported by a newer version of the app (format version ${file.version}). Please update and try again.`);
+  }
+
+  for (let version = file.version; version < REPORT_FILE_VERSION; version++) {
+    file = { ...migrations[version](file), version: version + 1 };
+  }
+
+  const reports = [];
+  const skipped = [];
+  file.reports.forEach((report, index) => {
+    const problem = findReportProblem(report);
+    if (problem) {
+      skipped.push(`Report ${index + 1}: ${problem}`);
+    } else {
+      reports.push({ ...report, id: String(report.id) });
+    }
+  });
+
+  if (reports.length === 0) {
+    throw new Error(`The file does not contain any valid reports. ${skipped.join('; ')}`.trim());
+  }
+
+  return { reports, skipped };
+};
+
+/**
+ * Add imported reports to the saved ones without overwriting anything
+ * @param {Array<object>} savedReports - Reports already saved
+ * @param {Array<object>} importedReports - Reports from parseReportFile
+ * @returns {{savedReports: Array<object>, added: number, renamed: number, duplicates: number}} - The merged list and what happened
+ */
+export const mergeImportedReports = (savedReports, importedReports) => {
+  const merged = [...savedReports];
+  const ids = new Set(savedReports.map(report => report.id));
+  let added = 0;
+  let renamed = 0;
+  let duplicates = 0;
+
+  importedReports.forEach(report => {
+    const existing = merged.find(saved => saved.id === report.id);
+    if (existing && isSameReport(existing, report)) {
+      duplicates++;
+      return;
+    }
+
+    // A different report with the same ID keeps both: the imported copy gets the next free ID
+    let id = report.id;
+    if (ids.has(id)) {
+      id = nextFreeId(ids);
+      renamed++;
+    }
+
+    ids.add(id);
+    merged.push({ ...report, id });
+    added++;
+  });
+
+  return { savedReports: merged, added, renamed, duplicates };
+};
+
+function readFileEnvelope(data) {
+  // Older exports were the bare savedReports array or a single report
+  if (Array.isArray(data)) {
+    return { version: 0, reports: data };
+  }
+  if (data && typeof data === 'object' && !('format' in data) && 'projectDetails' in data) {
+    return { version: 0, reports: [data] };
+  }
+
+  if (!data || data.format !== REPORT_FILE_FORMAT) {
+    throw new Error('The file is not a Contract Assistant report export.');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error('The file has no valid format version.');
+  }
+  if (!Array.isArray(data.reports)) {
+    throw new Error('The file has no list of reports.');
+  }
+
+  return data;
+}
+
+function findReportProblem(report) {
+  if (!report || typeof report !== 'object') return 'not a report';
+  if (typeof report.id !== 'string' && typeof report.id !== 'number') return 'missing an ID';
+  if (Number.isNaN(Date.parse(report.date))) return 'missing a valid date';
+  if (!report.projectDetails || typeof report.projectDetails.projectName !== 'string') return 'missing project details';
+  if (!isValidAnalysis(report.analysis)) {
+    return 'missing the issue analysis, or it is malformed';
+  }
+  if (report.tags !== undefined && (!Array.isArray(report.tags) || report.tags.some(tag => typeof tag !== 'string'))) {
+    return 'has malformed tags';
+  }
+  if (report.versions !== undefined && (!Array.isArray(report.versions) || report.versions.some(version => !version || !isValidAnalysis(version.analysis)))) {
+    return 'has malformed versions';
+  }
+  if (!Array.isArray(report.draftLetters) || report.draftLetters.some(letter => !letter || typeof letter.body !== 'string')) {
+    return 'has malformed draft letters';
+  }
+  return null;
+}
+
+// Every issue needs its citations and recommendations, and any other sections must have the shape the report view reads
+function isValidAnalysis(analysis) {
+  return Array.isArray(analysis) && analysis.every(entry => (
+    entry && typeof entry.issue === 'string' &&
+    REQUIRED_LIST_SECTIONS.every(key => Array.isArray(entry[key]) && entry[key].every(item => typeof item === 'string')) &&
+    OPTIONAL_LIST_SECTIONS.every(key => entry[key] == null || Array.isArray(entry[key])) &&
+    TEXT_SECTIONS.every(key => entry[key] == null || typeof entry[key] === 'string')
+  ));
+}
+
+function isSameReport(a, b) {
+  return JSON.stringify(createReportFile([a]).reports[0]) === JSON.stringify(createReportFile([b]).reports[0]);
+}
+
+// New IDs follow the Date.now() style of generated reports
+function nextFreeId(ids) {
+  let candidate = Date.now();
+  while (ids.has(String(candidate))) {
+    candidate++;
+  }
+  return String(candidate);
+}
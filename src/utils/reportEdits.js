@@ -0,0 +1,111 @@
+// Sections of an issue analysis the user can correct in the report. Edits replace the generated text on the
+// analysis entry itself, so exports and letters pick them up, and entry.userEdits records which sections were
+// edited, when, and what was generated so the edit can be undone.
+
+export const EDITABLE_SECTIONS = [
+  { key: 'detailedAnalysis', label: 'Detailed Analysis', type: 'text' },
+  { key: 'legalContext', label: 'Legal Context', type: 'text' },
+  { key: 'relevantClauses', label: 'Relevant Contract Clauses', type: 'list' },
+  { key: 'clauseExplanations', label: 'Clause Explanations', type: 'list' },
+  { key: 'recommendations', label: 'Recommendations', type: 'list' },
+  { key: 'potentialOutcomes', label: 'Potential Outcomes', type: 'text' },
+  { key: 'timelineSuggestions', label: 'Timeline Suggestions', type: 'text' },
+  { key: 'actionItems', label: 'Action Items', type: 'actions' },
+  { key: 'riskAssessment', label: 'Risk Assessment', type: 'text' }
+];
+
+/**
+ * Replace a section of an issue analysis with the user's wording
+ * @param {object} entry - The issue analysis
+ * @param {string} section - A key from EDITABLE_SECTIONS
+ * @param {string|string[]} value - The new text, or list items for list sections
+ * @param {Date} [date] - When the edit was made
+ * @returns {object} - The analysis with the edit applied and recorded
+ */
+export const applySectionEdit = (entry, section, value, date = new Date()) => {
+  const userEdits = entry.userEdits || {};
+  const generated = section in userEdits ? userEdits[section].generated : entry[section];
+
+  // Editing a section back to what was generated clears the mark
+  if (JSON.stringify(value) === JSON.stringify(generated)) {
+    return revertSectionEdit(entry, section);
+  }
+
+  return dropStaleVerification({
+    ...entry,
+    [section]: value,
+    userEdits: { ...userEdits, [section]: { editedAt: date.toISOString(), generated } }
+  }, section);
+};
+
+/**
+ * Put back the generated wording of an edited section
+ * @param {object} entry - The issue analysis
+ * @param {string} section - A key from EDITABLE_SECTIONS
+ * @returns {object} - The analysis as generated for that section
+ */
+export const revertSectionEdit = (entry, section) => {
+  if (!entry.userEdits || !(section in entry.userEdits)) return entry;
+
+  const { [section]: edit, ...userEdits } = entry.userEdits;
+  return dropStaleVerification({ ...entry, [section]: edit.generated, userEdits }, section);
+};
+
+/**
+ * Check whether the user has edited a section
+ * @param {object} entry - The issue analysis
+ * @param {string} section - A key from EDITABLE_SECTIONS
+ * @returns {boolean}
+ */
+export const isSectionEdited = (entry, section) => Boolean(entry.userEdits && section in entry.userEdits);
+
+/**
+ * Write a section out as editor text
+ * @param {string|Array} value - The section's current value
+ * @param {'text'|'list'|'actions'} type - The section type
+ * @returns {string} - The text to edit, one line per item for lists and action items
+ */
+export const formatSectionInput = (value, type) => {
+  if (type === 'actions') {
+    return value.map(item => [item.dueDate, item.action, item.clause].filter(Boolean).join(' | ')).join('\n');
+  }
+  return type === 'list' ? value.join('\n') : value;
+};
+
+/**
+ * Read the text typed into a section editor
+ * @param {string} text - The editor contents
+ * @param {'text'|'list'|'actions'} type - The section type
+ * @returns {string|string[]|Array<{action: string, dueDate: string, clause: string}>} - Trimmed text, one list item
+ *   per non-blank line, or one action item per line written as "date | action | clause"
+ * @throws {Error} - When an action item has no action or its date is not a real YYYY-MM-DD date
+ */
+export const parseSectionInput = (text, type) => {
+  if (type === 'actions') {
+    return text.split('\n').filter(line => line.trim()).map((line, index) => {
+      const [dueDate = '', action = '', ...clause] = line.split('|').map(part => part.trim());
+      if (!isCalendarDate(dueDate) || !action) {
+        throw new Error(`Action item ${index + 1} must start with a date as YYYY-MM-DD followed by | and the action`);
+      }
+      return { action, dueDate, clause: clause.join(' | ') };
+    });
+  }
+  if (type === 'list') {
+    return text.split('\n').map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim()).filter(Boolean);
+  }
+  return text.trim();
+};
+
+function isCalendarDate(text) {
+  const date = new Date(`${text}T00:00:00Z`);
+  return /^\d{4}-\d{2}-\d{2}$/.test(text) && !Number.isNaN(date.getTime()) && date.toISOString().startsWith(text);
+}
+
+// Stored verification results line up with the citations they were generated for, so they are dropped when the
+// citations change and getClauseVerification checks the current citations instead
+function dropStaleVerification(entry, section) {
+  if (section !== 'relevantClauses' || !entry.clauseVerification) return entry;
+
+  const { clauseVerification, ...rest } = entry;
+  return rest;
+}
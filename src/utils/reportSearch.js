@@ -0,0 +1,94 @@
+/**
+ * Tidy a user-entered tag
+ * @param {string} tag - The tag as typed
+ * @returns {string} - The tag without surrounding or repeated spaces
+ */
+export const normaliseTag = (tag) => tag.trim().replace(/\s+/g, ' ');
+
+/**
+ * Add a tag unless the report already has it in any letter case
+ * @param {string[]} tags - The report's tags
+ * @param {string} tag - The tag to add
+ * @returns {string[]} - The tags with the new one at the end
+ */
+export const addTag = (tags, tag) => {
+  const normalised = normaliseTag(tag);
+  if (!normalised || tags.some(existing => existing.toLowerCase() === normalised.toLowerCase())) {
+    return tags;
+  }
+  return [...tags, normalised];
+};
+
+/**
+ * Collect the values the saved reports can be filtered by
+ * @param {Array<object>} reports - Saved reports
+ * @returns {{contractTypes: string[], roles: string[], tags: string[]}} - Sorted distinct values
+ */
+export const getReportFilterOptions = (reports) => ({
+  contractTypes: distinct(reports.map(report => report.projectDetails.contractType)),
+  roles: distinct(reports.map(report => report.projectDetails.organizationRole)),
+  tags: distinct(reports.flatMap(report => report.tags || []))
+});
+
+/**
+ * Filter saved reports by a search query and the chosen filters
+ * @param {Array<object>} reports - Saved reports
+ * @param {object} filters
+ * @param {string} [filters.query] - Words that must all appear in the project, issues or analysis
+ * @param {string} [filters.contractType] - Exact contract type
+ * @param {string} [filters.organizationRole] - Exact role
+ * @param {string} [filters.tag] - A tag the report must have
+ * @param {string} [filters.dateFrom] - Earliest report date (YYYY-MM-DD)
+ * @param {string} [filters.dateTo] - Latest report date (YYYY-MM-DD), inclusive
+ * @returns {Array<object>} - The matching reports, in their original order
+ */
+export const filterSavedReports = (reports, { query = '', contractType = '', organizationRole = '', tag = '', dateFrom = '', dateTo = '' }) => {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+  return reports.filter(report => {
+    const { projectDetails } = report;
+    const reportDate = formatLocalDate(new Date(report.date));
+
+    if (contractType && projectDetails.contractType !== contractType) return false;
+    if (organizationRole && projectDetails.organizationRole !== organizationRole) return false;
+    if (tag && !(report.tags || []).includes(tag)) return false;
+    if (dateFrom && reportDate < dateFrom) return false;
+    if (dateTo && reportDate > dateTo) return false;
+
+    if (words.length === 0) return true;
+    const searchText = getReportSearchText(report);
+    return words.every(word => searchText.includes(word));
+  });
+};
+
+// The date fields give the user's own calendar day, so a report saved just after midnight during
+// British Summer Time falls on that day rather than the UTC one before it
+function formatLocalDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Everything a user might remember about a report, in one lower-case string
+function getReportSearchText(report) {
+  const { projectDetails } = report;
+  return [
+    projectDetails.projectName,
+    projectDetails.projectDescription,
+    ...(report.tags || []),
+    ...report.analysis.flatMap(entry => [
+      entry.issue,
+      entry.actionsTaken,
+      entry.detailedAnalysis,
+      entry.legalContext,
+      entry.potentialOutcomes,
+      entry.timelineSuggestions,
+      entry.riskAssessment,
+      ...(entry.relevantClauses || []),
+      ...(entry.clauseExplanations || []),
+      ...(entry.recommendations || [])
+    ])
+  ].filter(Boolean).join('\n').toLowerCase();
+}
+
+function distinct(values) {
+  return [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+}
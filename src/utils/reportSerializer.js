@@ -0,0 +1,263 @@
+import { describePaymentTimetable } from './paymentTimetable.js';
+import { describeNoticeDeadline } from './noticeDeadlines.js';
+import { getClauseVerification, describeClauseVerification, formatAmendment } from './clauseUtils.js';
+import { getIssueActionItems } from './actionItems.js';
+import { isSectionEdited } from './reportEdits.js';
+
+// Reports and letters are first built into one canonical document, {title, blocks}, and every export
+// and copy renders that document, so a section added here reaches every format at once.
+// Blocks are {type: 'heading', level: 1-4, text}, {type: 'paragraph', text}, {type: 'list', ordered, items}
+// or {type: 'table', rows} with the header as the first row. Text may contain line breaks and **bold**.
+
+/**
+ * Build the canonical document for a report
+ * @param {object} report - The report, as generated or saved
+ * @returns {{title: string, blocks: Array<object>}} - The report document
+ */
+export const buildReportDocument = (report) => {
+  const { projectDetails } = report;
+  const title = `Contract Report: ${projectDetails.projectName}`;
+
+  const blocks = [
+    heading(1, title),
+    paragraph(`Date: ${new Date(report.date).toLocaleDateString()}`),
+    heading(2, 'Project Details'),
+    paragraph([
+      `Project: ${projectDetails.projectName}`,
+      `Description: ${projectDetails.projectDescription}`,
+      `Contract Type: ${projectDetails.contractType}`,
+      report.contractDocuments?.length > 0 && `Contract Documents: ${report.contractDocuments.map(contractDocument => contractDocument.fileName).join(', ')}`,
+      `Organization Role: ${projectDetails.organizationRole}`
+    ].filter(Boolean).join('\n'))
+  ];
+
+  if (projectDetails.amendments?.length > 0) {
+    blocks.push(heading(2, 'Contract Amendments'), list(projectDetails.amendments.map(formatAmendment)));
+  }
+
+  if (report.paymentTimetable) {
+    blocks.push(heading(2, 'Payment Timetable'), list(describePaymentTimetable(report.paymentTimetable)));
+  }
+
+  blocks.push(heading(2, 'Issues Analysis'));
+  report.analysis.forEach((analysis, index) => {
+    blocks.push(...buildIssueBlocks(report, analysis, index));
+  });
+
+  return { title, blocks };
+};
+
+/**
+ * Build the canonical document for a draft letter
+ * @param {object} draftCommunication - The draft from generateLetter
+ * @returns {{title: string, blocks: Array<object>}} - The letter document
+ */
+export const buildLetterDocument = (draftCommunication) => {
+  const blocks = [
+    paragraph(`To: ${draftCommunication.to}`),
+    paragraph(`Subject: ${draftCommunication.subject}`),
+    paragraph(draftCommunication.greeting),
+    // Issue headings in the body are shown as headings, as in DraftCommunication
+    ...draftCommunication.body.split('\n\n').map(text => /^Issue \d+:/.test(text) ? heading(3, text) : paragraph(text))
+  ];
+
+  if (draftCommunication.closing) {
+    blocks.push(paragraph(draftCommunication.closing));
+  }
+  blocks.push(paragraph(draftCommunication.sender));
+
+  return { title: draftCommunication.subject, blocks };
+};
+
+/**
+ * Render a document as Markdown
+ * @param {{blocks: Array<object>}} document - A report or letter document
+ * @returns {string} - Markdown text
+ */
+export const toMarkdown = ({ blocks }) => {
+  return blocks.map(block => {
+    switch (block.type) {
+      case 'heading':
+        return `${'#'.repeat(block.level)} ${block.text}`;
+      case 'list':
+        return block.items.map((item, i) => `${block.ordered ? `${i + 1}.` : '-'} ${item}`).join('\n');
+      case 'table': {
+        const [header, ...rows] = block.rows.map(row => `| ${row.map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`);
+        return [header, `|${' --- |'.repeat(block.rows[0].length)}`, ...rows].join('\n');
+      }
+      case 'pageBreak':
+        return '---';
+      default:
+        // Two trailing spaces keep line breaks inside a paragraph
+        return block.text.replace(/\n/g, '  \n');
+    }
+  }).join('\n\n') + '\n';
+};
+
+/**
+ * Render a document as plain text for pasting into email or chat
+ * @param {{blocks: Array<object>}} document - A report or letter document
+ * @returns {string} - Plain text
+ */
+export const toPlainText = ({ blocks }) => {
+  return blocks.map(block => {
+    switch (block.type) {
+      case 'heading': {
+        const text = stripEmphasis(block.text);
+        // Underline the top two heading levels so the structure survives without formatting
+        return block.level <= 2 ? `${text}\n${(block.level === 1 ? '=' : '-').repeat(text.length)}` : text;
+      }
+      case 'list':
+        return block.items.map((item, i) => `${block.ordered ? `${i + 1}.` : '-'} ${stripEmphasis(item)}`).join('\n');
+      case 'table':
+        return block.rows.map(row => row.map(stripEmphasis).join(' | ')).join('\n');
+      case 'pageBreak':
+        return '';
+      default:
+        return stripEmphasis(block.text);
+    }
+  }).join('\n\n') + '\n';
+};
+
+/**
+ * Render a document as an HTML fragment
+ * @param {{blocks: Array<object>}} document - A report or letter document
+ * @returns {string} - HTML without a surrounding page
+ */
+export const toHtml = ({ blocks }) => {
+  return blocks.map(block => {
+    switch (block.type) {
+      case 'heading':
+        return `<h${block.level}>${formatHtmlText(block.text)}</h${block.level}>`;
+      case 'list': {
+        const tag = block.ordered ? 'ol' : 'ul';
+        return `<${tag}>${block.items.map(item => `<li>${formatHtmlText(item)}</li>`).join('')}</${tag}>`;
+      }
+      case 'table': {
+        const [header, ...rows] = block.rows;
+        return `<table><thead><tr>${header.map(cell => `<th>${formatHtmlText(cell)}</th>`).join('')}</tr></thead>`
+          + `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${formatHtmlText(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+      }
+      case 'pageBreak':
+        return '<div style="page-break-after: always"></div>';
+      default:
+        return `<p>${formatHtmlText(block.text)}</p>`;
+    }
+  }).join('\n');
+};
+
+/**
+ * Render a document as JSON, for tools that consume the structured sections
+ * @param {{title: string, blocks: Array<object>}} document - A report or letter document
+ * @returns {string} - Indented JSON
+ */
+export const toJson = (document) => {
+  return JSON.stringify(document, null, 2);
+};
+
+function buildIssueBlocks(report, analysis, index) {
+  const blocks = [
+    heading(3, `Issue ${index + 1}: ${analysis.issue}`),
+    paragraph(`Actions Taken: ${analysis.actionsTaken || 'None'}`)
+  ];
+
+  if (analysis.status === 'failed') {
+    blocks.push(paragraph(`Analysis not available: ${analysis.error || 'the analysis of this issue failed'}`));
+  }
+
+  if (analysis.noticeDeadlines?.length > 0) {
+    blocks.push(
+      heading(4, `Notice Deadlines${analysis.eventDate ? ` (event on ${formatDisplayDate(analysis.eventDate)})` : ''}:`),
+      list(analysis.noticeDeadlines.map(deadline => describeNoticeDeadline(deadline)))
+    );
+  }
+
+  if (analysis.detailedAnalysis) {
+    blocks.push(heading(4, `Analysis${editedMarker(analysis, 'detailedAnalysis')}:`), paragraph(analysis.detailedAnalysis));
+  }
+
+  if (analysis.legalContext) {
+    blocks.push(heading(4, `Legal Context${editedMarker(analysis, 'legalContext')}:`), paragraph(analysis.legalContext));
+  }
+
+  if (analysis.relevantClauses?.length > 0) {
+    const verification = getClauseVerification(report.projectDetails.contractType, analysis);
+    blocks.push(heading(4, `Relevant Contract Clauses${editedMarker(analysis, 'relevantClauses')}:`), {
+      type: 'table',
+      rows: [
+        ['Clause', 'Verification'],
+        ...analysis.relevantClauses.map((clause, i) => [clause, describeClauseVerification(verification[i])])
+      ]
+    });
+  }
+
+  if (analysis.contractClauses?.length > 0) {
+    blocks.push(
+      heading(4, 'Contract Extracts:'),
+      ...analysis.contractClauses.map(clause => paragraph(`Clause ${clause.number}${clause.source ? ` (${clause.source})` : ''}:\n${clause.text}`))
+    );
+  }
+
+  if (analysis.clauseExplanations?.length > 0) {
+    blocks.push(heading(4, `Clause Explanations${editedMarker(analysis, 'clauseExplanations')}:`), list(analysis.clauseExplanations));
+  }
+
+  if (analysis.recommendations?.length > 0) {
+    blocks.push(heading(4, `Recommendations${editedMarker(analysis, 'recommendations')}:`), list(analysis.recommendations, true));
+  }
+
+  if (analysis.potentialOutcomes) {
+    blocks.push(heading(4, `Potential Outcomes${editedMarker(analysis, 'potentialOutcomes')}:`), paragraph(analysis.potentialOutcomes));
+  }
+
+  if (analysis.timelineSuggestions) {
+    blocks.push(heading(4, `Timeline Suggestions${editedMarker(analysis, 'timelineSuggestions')}:`), paragraph(analysis.timelineSuggestions));
+  }
+
+  const actionItems = getIssueActionItems(analysis, report.paymentTimetable);
+  if (actionItems.length > 0) {
+    blocks.push(heading(4, `Action Items${editedMarker(analysis, 'actionItems')}:`), list(actionItems.map(item => (
+      `${formatDisplayDate(item.date)} - ${item.title}${item.source === 'timeline' && item.clause ? ` (${item.clause})` : ''}`
+    ))));
+  }
+
+  if (analysis.riskAssessment) {
+    blocks.push(heading(4, `Risk Assessment${editedMarker(analysis, 'riskAssessment')}:`), paragraph(analysis.riskAssessment));
+  }
+
+  return blocks;
+}
+
+// Sections the user corrected are labelled in every format, as they are in the report view
+function editedMarker(analysis, section) {
+  return isSectionEdited(analysis, section) ? ' (edited by user)' : '';
+}
+
+function heading(level, text) {
+  return { type: 'heading', level, text };
+}
+
+function paragraph(text) {
+  return { type: 'paragraph', text };
+}
+
+function list(items, ordered = false) {
+  return { type: 'list', ordered, items };
+}
+
+function formatDisplayDate(isoDate) {
+  return new Date(isoDate).toLocaleDateString(undefined, { timeZone: 'UTC' });
+}
+
+function stripEmphasis(text) {
+  return text.replace(/\*\*([^*]+)\*\*/g, '$1');
+}
+
+function formatHtmlText(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/\n/g, '<br>');
+}
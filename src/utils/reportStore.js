@@ -0,0 +1,160 @@
+// Saved reports are kept in IndexedDB, one record per report, so a team's reports are not limited by the
+// roughly 5 MB localStorage quota and saving one report does not rewrite all the others. Each project's
+// clause index over its uploaded contract documents is kept in the same database, one record per project.
+
+const DB_NAME = 'contract-assistant';
+const DB_VERSION = 2;
+const REPORTS_STORE = 'savedReports';
+const CONTRACT_INDEX_STORE = 'contractIndexes';
+
+// Before IndexedDB, every saved report was serialised into this one localStorage key
+const LEGACY_STORAGE_KEY = 'savedReports';
+// Before indexes belonged to projects, one index was shared by every project under this localStorage key
+const LEGACY_INDEX_KEY = 'contractIndex';
+
+// Documents uploaded on the form before the project has been analysed, and so before it has an ID
+export const NEW_PROJECT_KEY = 'new-project';
+
+let databasePromise = null;
+
+/**
+ * Load every saved report, first moving any reports still in localStorage into IndexedDB
+ * @returns {Promise<Array<object>>} - Saved reports, oldest first
+ */
+export const loadSavedReports = async () => {
+  const legacyReports = readLegacyItem(LEGACY_STORAGE_KEY, Array.isArray);
+  if (legacyReports) {
+    await runTransaction(REPORTS_STORE, 'readwrite', store => legacyReports.forEach(report => store.put({ ...report, id: String(report.id) })));
+    // Only drop the old copy once every report is safely in IndexedDB
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+  }
+
+  const reports = await runTransaction(REPORTS_STORE, 'readonly', store => store.getAll());
+  return reports.sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+/**
+ * Write changed reports and delete removed ones in a single transaction
+ * @param {Array<object>} changedReports - Reports to add or replace
+ * @param {string[]} [removedIds] - IDs of reports to delete
+ * @returns {Promise<void>}
+ */
+export const writeSavedReports = async (changedReports, removedIds = []) => {
+  await runTransaction(REPORTS_STORE, 'readwrite', store => {
+    changedReports.forEach(report => store.put(report));
+    removedIds.forEach(id => store.delete(id));
+  });
+};
+
+/**
+ * Load the clause index for a project's contract documents. An index left from before indexes belonged to
+ * projects is given to the new project on the form, since it can't be told which project it was for.
+ * @param {string} projectId - The project, or NEW_PROJECT_KEY
+ * @returns {Promise<object|null>} - The stored index, or null when the project has none
+ */
+export const loadContractIndex = async (projectId) => {
+  const legacyIndex = readLegacyItem(LEGACY_INDEX_KEY, index => Array.isArray(index?.documents));
+  if (legacyIndex) {
+    await runTransaction(CONTRACT_INDEX_STORE, 'readwrite', store => store.put({ projectId: NEW_PROJECT_KEY, index: legacyIndex }));
+    localStorage.removeItem(LEGACY_INDEX_KEY);
+  }
+
+  const record = await runTransaction(CONTRACT_INDEX_STORE, 'readonly', store => store.get(projectId));
+  return record ? record.index : null;
+};
+
+/**
+ * Store a project's clause index, or delete it when the project has no documents
+ * @param {string} projectId - The project, or NEW_PROJECT_KEY
+ * @param {object} index - The clause index
+ * @returns {Promise<void>}
+ */
+export const writeContractIndex = async (projectId, index) => {
+  await runTransaction(CONTRACT_INDEX_STORE, 'readwrite', store => (
+    index.documents.length > 0 ? store.put({ projectId, index }) : store.delete(projectId)
+  ));
+};
+
+/**
+ * Explain a storage failure in terms the user can act on
+ * @param {Error} error - The error from IndexedDB
+ * @returns {string} - A message for the user
+ */
+export const describeStorageError = (error) => {
+  if (error?.name === 'QuotaExceededError') {
+    return 'Your browser has run out of space for saved reports. Export and delete older reports to free some space, then save again.';
+  }
+  if (typeof indexedDB === 'undefined' || error?.name === 'InvalidStateError' || error?.name === 'SecurityError') {
+    return 'This browser does not allow reports to be stored, for example in a private window. Export reports you want to keep.';
+  }
+  return `Saved reports could not be stored: ${error?.message || 'unknown error'}. Export reports you want to keep.`;
+};
+
+/**
+ * Explain why uploaded contract documents could not be stored
+ * @param {Error} error - The error from IndexedDB
+ * @returns {string} - A message for the user
+ */
+export const describeContractStorageError = (error) => {
+  if (error?.name === 'QuotaExceededError') {
+    return 'Your browser has run out of space for uploaded contracts. Remove documents you no longer need; these will have to be uploaded again next session.';
+  }
+  return `The uploaded contract documents could not be stored (${error?.message || 'unknown error'}), so they will have to be uploaded again next session.`;
+};
+
+// Read a value left in localStorage by an earlier version. One that can't be read is moved aside under an
+// "-unreadable" key rather than deleted, so it isn't lost and doesn't stop everything in IndexedDB loading.
+function readLegacyItem(key, isValid) {
+  const stored = localStorage.getItem(key);
+  if (!stored) return null;
+
+  try {
+    const value = JSON.parse(stored);
+    if (isValid(value)) return value;
+    throw new Error('unexpected format');
+  } catch (error) {
+    console.error(`Could not move ${key} from localStorage, keeping it as ${key}-unreadable:`, error);
+    try {
+      localStorage.setItem(`${key}-unreadable`, stored);
+      localStorage.removeItem(key);
+    } catch (moveError) {
+      console.error(`Could not move aside ${key}:`, moveError);
+    }
+    return null;
+  }
+}
+
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(REPORTS_STORE)) {
+          database.createObjectStore(REPORTS_STORE, { keyPath: 'id' });
+        }
+        if (!database.objectStoreNames.contains(CONTRACT_INDEX_STORE)) {
+          database.createObjectStore(CONTRACT_INDEX_STORE, { keyPath: 'projectId' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let the next call try again rather than caching the failure
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+}
+
+async function runTransaction(storeName, mode, operation) {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('The storage transaction was aborted'));
+  });
+}
@@ -0,0 +1,129 @@
+import { formatAmendment } from './clauseUtils.js';
+
+// A regenerated report keeps its ID, and every earlier analysis is kept in report.versions, oldest first.
+// The report's own fields are always the latest version, so nothing that reads a report needs to know about versions.
+
+// The sections compared between two analyses of the same issue
+const LIST_SECTIONS = [
+  { key: 'recommendations', label: 'Recommendations' },
+  { key: 'relevantClauses', label: 'Relevant Contract Clauses' },
+  { key: 'clauseExplanations', label: 'Clause Explanations' }
+];
+const TEXT_SECTIONS = [
+  { key: 'actionsTaken', label: 'Actions Taken' },
+  { key: 'detailedAnalysis', label: 'Analysis' },
+  { key: 'legalContext', label: 'Legal Context' },
+  { key: 'potentialOutcomes', label: 'Potential Outcomes' },
+  { key: 'timelineSuggestions', label: 'Timeline Suggestions' },
+  { key: 'riskAssessment', label: 'Risk Assessment' }
+];
+
+/**
+ * Take a snapshot of a report's analysis and the inputs it was generated from
+ * @param {object} report - The report
+ * @returns {object} - The version: date, model, inputs and results
+ */
+export const createReportVersion = (report) => ({
+  date: report.date,
+  model: report.model || '',
+  projectDetails: report.projectDetails,
+  contractDocuments: report.contractDocuments || [],
+  paymentTimetable: report.paymentTimetable || null,
+  analysis: report.analysis,
+  partial: report.partial || false,
+  failedIssues: report.failedIssues || []
+});
+
+/**
+ * Make a newly generated report the latest version of an earlier one
+ * @param {object} previousReport - The report being regenerated
+ * @param {object} generatedReport - The new analysis
+ * @returns {object} - The new analysis, with the earlier report's ID, project, tags, letters and versions
+ */
+export const addReportVersion = (previousReport, generatedReport) => ({
+  ...keepReportIdentity(previousReport, generatedReport),
+  versions: [...(previousReport.versions || []), createReportVersion(previousReport)]
+});
+
+/**
+ * Carry a report's identity and history over to a replacement generated for it
+ * @param {object} report - The report being replaced
+ * @param {object} generatedReport - The replacement, e.g. the final report from the server
+ * @returns {object} - The replacement with the report's ID, project, tags, letters and versions
+ */
+export const keepReportIdentity = (report, generatedReport) => ({
+  ...generatedReport,
+  id: report.id,
+  projectId: report.projectId,
+  tags: report.tags,
+  draftLetters: report.draftLetters,
+  versions: report.versions
+});
+
+/**
+ * Every version of a report, oldest first, ending with the current one
+ * @param {object} report - The report
+ * @returns {Array<object>} - Versions from createReportVersion
+ */
+export const getReportVersions = (report) => [...(report.versions || []), createReportVersion(report)];
+
+/**
+ * Compare two versions of a report section by section
+ * @param {object} before - The earlier version
+ * @param {object} after - The later version
+ * @returns {{inputs: Array<object>, issues: Array<object>}} - Changed inputs, and each issue with what changed in its analysis
+ */
+export const diffReportVersions = (before, after) => {
+  const inputs = [
+    compareText('Model', before.model, after.model),
+    compareText('Project Description', before.projectDetails.projectDescription, after.projectDetails.projectDescription),
+    compareText('Contract Type', before.projectDetails.contractType, after.projectDetails.contractType),
+    compareText('Organization Role', before.projectDetails.organizationRole, after.projectDetails.organizationRole),
+    compareList('Contract Amendments', (before.projectDetails.amendments || []).map(formatAmendment), (after.projectDetails.amendments || []).map(formatAmendment)),
+    compareList('Contract Documents', before.contractDocuments.map(doc => doc.fileName), after.contractDocuments.map(doc => doc.fileName))
+  ].filter(Boolean);
+
+  const beforeByIssue = new Map(before.analysis.map(entry => [normaliseIssue(entry.issue), entry]));
+  const afterKeys = new Set(after.analysis.map(entry => normaliseIssue(entry.issue)));
+
+  const issues = after.analysis.map(entry => {
+    const previous = beforeByIssue.get(normaliseIssue(entry.issue));
+    if (!previous) {
+      return { issue: entry.issue, change: 'added', sections: [] };
+    }
+
+    const sections = [
+      ...LIST_SECTIONS.map(({ key, label }) => compareList(label, previous[key] || [], entry[key] || [])),
+      ...TEXT_SECTIONS.map(({ key, label }) => compareText(label, previous[key], entry[key]))
+    ].filter(Boolean);
+    return { issue: entry.issue, change: sections.length > 0 ? 'changed' : 'unchanged', sections };
+  });
+
+  before.analysis
+    .filter(entry => !afterKeys.has(normaliseIssue(entry.issue)))
+    .forEach(entry => issues.push({ issue: entry.issue, change: 'removed', sections: [] }));
+
+  return { inputs, issues };
+};
+
+function compareList(label, beforeItems, afterItems) {
+  const beforeSet = new Set(beforeItems.map(normaliseItem));
+  const afterSet = new Set(afterItems.map(normaliseItem));
+  const added = afterItems.filter(item => !beforeSet.has(normaliseItem(item)));
+  const removed = beforeItems.filter(item => !afterSet.has(normaliseItem(item)));
+
+  return added.length > 0 || removed.length > 0 ? { label, type: 'list', added, removed } : null;
+}
+
+function compareText(label, beforeText = '', afterText = '') {
+  return (beforeText || '').trim() !== (afterText || '').trim() ? { label, type: 'text', before: beforeText || '', after: afterText || '' } : null;
+}
+
+function normaliseIssue(issue) {
+  return issue.trim().toLowerCase();
+}
+
+// Ignore differences in case and spacing, which the model varies between runs
+function normaliseItem(item) {
+  return item.trim().replace(/\s+/g, ' ').toLowerCase();
+}
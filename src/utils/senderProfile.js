@@ -0,0 +1,142 @@
+// Placeholders a reference-number scheme can use
+export const REFERENCE_TOKENS = [
+  { token: '{COMPANY}', description: 'Company initials' },
+  { token: '{PROJECT}', description: 'First three letters of the project name' },
+  { token: '{YEAR}', description: 'Year the letter is dated' },
+  { token: '{SEQ}', description: 'Next letter number, padded to three digits' }
+];
+
+export const DEFAULT_REFERENCE_SCHEME = '{PROJECT}/{YEAR}/{SEQ}';
+
+// Logos are kept in localStorage with the profile, so they have to stay small
+export const MAX_LOGO_BYTES = 200 * 1024;
+
+/**
+ * Create an empty sender profile
+ * @returns {object} - A profile with one blank signatory
+ */
+export const createSenderProfile = () => ({
+  companyName: '',
+  registeredAddress: '',
+  companyNumber: '',
+  logo: null,
+  signatories: [createSignatory()],
+  referenceScheme: DEFAULT_REFERENCE_SCHEME,
+  nextReferenceNumber: 1
+});
+
+/**
+ * Create a blank signatory
+ * @returns {{id: string, name: string, position: string}}
+ */
+export const createSignatory = () => ({
+  id: Date.now().toString(),
+  name: '',
+  position: ''
+});
+
+/**
+ * Check the profile has what a letter needs to be sent without editing
+ * @param {object} profile - The sender profile
+ * @returns {string[]} - What is missing, empty when the profile is complete
+ */
+export const findMissingProfileDetails = (profile) => {
+  const missing = [];
+  if (!profile.companyName.trim()) missing.push('Company name');
+  if (!profile.registeredAddress.trim()) missing.push('Registered address');
+  if (!profile.signatories.some(signatory => signatory.name.trim() && signatory.position.trim())) {
+    missing.push('A signatory with a name and position');
+  }
+  if (!profile.referenceScheme.includes('{SEQ}')) missing.push('A reference scheme containing {SEQ}');
+  return missing;
+};
+
+/**
+ * Find a signatory, falling back to the first one that has a name
+ * @param {object} profile - The sender profile
+ * @param {string} [signatoryId] - The chosen signatory
+ * @returns {object|undefined} - The signatory
+ */
+export const getSignatory = (profile, signatoryId) => {
+  return profile.signatories.find(signatory => signatory.id === signatoryId)
+    || profile.signatories.find(signatory => signatory.name.trim());
+};
+
+/**
+ * Work out a letter reference from the profile's reference scheme
+ * @param {object} profile - The sender profile
+ * @param {string} projectName - The project the letter is about
+ * @param {Date} [date] - The date of the letter
+ * @returns {string} - The reference, e.g. "RIV/2025/014"
+ */
+export const formatLetterReference = (profile, projectName, date = new Date()) => {
+  const initials = profile.companyName
+    .split(/\s+/)
+    .filter(word => /^[A-Za-z]/.test(word))
+    .map(word => word[0].toUpperCase())
+    .join('');
+
+  return (profile.referenceScheme || DEFAULT_REFERENCE_SCHEME)
+    .replace(/\{COMPANY\}/g, initials || 'CO')
+    .replace(/\{PROJECT\}/g, projectName.replace(/[^A-Za-z0-9]/g, '').substring(0, 3).toUpperCase() || 'PRJ')
+    .replace(/\{YEAR\}/g, String(date.getFullYear()))
+    .replace(/\{SEQ\}/g, String(profile.nextReferenceNumber).padStart(3, '0'));
+};
+
+/**
+ * Build the sender details sent with a letter request; the logo stays in the browser
+ * @param {object} profile - The sender profile
+ * @param {string} [signatoryId] - The chosen signatory
+ * @param {string} reference - The letter reference
+ * @param {string} date - The date of the letter (YYYY-MM-DD)
+ * @returns {object} - Company, address, signatory, reference and date
+ */
+export const getLetterSender = (profile, signatoryId, reference, date) => {
+  const signatory = getSignatory(profile, signatoryId);
+  return {
+    companyName: profile.companyName.trim(),
+    registeredAddress: profile.registeredAddress.trim(),
+    companyNumber: profile.companyNumber.trim(),
+    signatoryName: signatory?.name.trim() || '',
+    signatoryPosition: signatory?.position.trim() || '',
+    reference,
+    date
+  };
+};
+
+/**
+ * Format the signature block that ends a letter
+ * @param {object} sender - Sender details from getLetterSender
+ * @returns {string} - Name, position, company, reference and date on separate lines
+ */
+export const formatSenderBlock = (sender) => {
+  return [
+    sender.signatoryName || '[NAME]',
+    sender.signatoryPosition || '[POSITION]',
+    sender.companyName ? `For and on behalf of ${sender.companyName}` : '[COMPANY]',
+    `Ref: ${sender.reference}`,
+    `Date: ${formatLetterDate(sender.date)}`
+  ].join('\n');
+};
+
+/**
+ * Lines printed under the logo at the head of each letter
+ * @param {object} profile - The sender profile
+ * @returns {string[]} - Company name, address and registration, skipping anything not filled in
+ */
+export const getLetterheadLines = (profile) => {
+  return [
+    profile.companyName.trim(),
+    profile.registeredAddress.trim().replace(/\s*\n\s*/g, ', '),
+    profile.companyNumber.trim() && `Registered in England and Wales No. ${profile.companyNumber.trim()}`
+  ].filter(Boolean);
+};
+
+function formatLetterDate(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+}
@@ -0,0 +1,22 @@
+/**
+ * Call an endpoint handler the way Vercel does
+ * @param {Function} handler - The endpoint's default export
+ * @param {object} body - The parsed JSON request body
+ * @returns {Promise<{statusCode: number, body: object}>} - The status and JSON body sent
+ */
+export const callHandler = async (handler, body) => {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(data) {
+      this.body = data;
+      this.writableEnded = true;
+      return this;
+    },
+    on() {}
+  };
+  await handler({ method: 'POST', headers: {}, body }, res);
+  return res;
+};
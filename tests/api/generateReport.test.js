@@ -0,0 +1,54 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { callHandler } from './callHandler.js';
+
+vi.mock('../../api/_sentry.js', () => ({ default: { captureException: vi.fn() } }));
+
+const projectDetails = {
+  projectName: 'Sample Project',
+  contractType: 'JCT Standard Building Contract',
+  organizationRole: 'Main Contractor',
+  issues: [
+    { description: 'Interim application not paid', actionsTaken: '' },
+    { description: 'Delay caused by late design information', actionsTaken: '' }
+  ]
+};
+
+describe('generateReport issue regeneration', () => {
+  let generateReport;
+
+  beforeAll(async () => {
+    vi.stubEnv('LLM_PROVIDER', 'stub');
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    generateReport = (await import('../../api/generateReport.js')).default;
+  });
+
+  it.each(['0', 1.5, -1, 2, null])('rejects issue index %j', async (issueIndex) => {
+    const { statusCode, body } = await callHandler(generateReport, { projectDetails, issueIndex });
+
+    expect(statusCode).toBe(400);
+    expect(body.error).toBe('Invalid issue index');
+  });
+
+  it('regenerates the issue at a valid index', async () => {
+    const { statusCode, body } = await callHandler(generateReport, { projectDetails, issueIndex: 1 });
+
+    expect(statusCode).toBe(200);
+    expect(body.index).toBe(1);
+    expect(body.analysis.issue).toBe('Delay caused by late design information');
+  });
+});
+
+describe('generateReport issue concurrency setting', () => {
+  it.each(['abc', ' ', '0'])('falls back to the default for REPORT_ISSUE_CONCURRENCY %j', async (concurrency) => {
+    vi.stubEnv('LLM_PROVIDER', 'stub');
+    vi.stubEnv('REPORT_ISSUE_CONCURRENCY', concurrency);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.resetModules();
+    const generateReport = (await import('../../api/generateReport.js')).default;
+
+    const { statusCode, body } = await callHandler(generateReport, { projectDetails });
+
+    expect(statusCode).toBe(200);
+    expect(body.analysis.map(entry => entry.issue)).toEqual(projectDetails.issues.map(issue => issue.description));
+  });
+});
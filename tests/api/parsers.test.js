@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { readFile } from 'fs/promises';
+import { validateIssueResponse } from '../../api/_reportSchema.js';
+import { validateAdjudicationPackResponse } from '../../api/_adjudicationSchema.js';
+import { callHandler } from './callHandler.js';
+
+// Errors are reported to Sentry in production only; initialising it here hooks module loading and loads openai twice
+vi.mock('../../api/_sentry.js', () => ({ default: { captureException: vi.fn() } }));
+
+const readFixture = async (name) => JSON.parse(await readFile(new URL(`../../api/_fixtures/${name}/default.json`, import.meta.url), 'utf8')).content;
+
+const report = {
+  projectDetails: {
+    projectName: 'Sample Project',
+    contractType: 'JCT Standard Building Contract',
+    organizationRole: 'Main Contractor',
+    issues: [{ description: 'Interim application not paid', actionsTaken: '' }]
+  },
+  analysis: [{ issue: 'Interim application not paid', relevantClauses: ['Clause 4.9'], recommendations: ['Chase payment'] }]
+};
+
+describe('validateIssueResponse', () => {
+  it('accepts the recorded report response', async () => {
+    const { result, errors } = validateIssueResponse(await readFixture('report'));
+
+    expect(errors).toEqual([]);
+    expect(result.relevantClauses.length).toBeGreaterThan(0);
+    expect(result.actionItems.every(item => /^\d{4}-\d{2}-\d{2}$/.test(item.dueDate))).toBe(true);
+  });
+
+  it('lists every problem with a malformed response', async () => {
+    const response = JSON.parse(await readFixture('report'));
+    const { result, errors } = validateIssueResponse(JSON.stringify({
+      ...response,
+      legalContext: '',
+      recommendations: [],
+      actionItems: [{ action: 'Pay', dueDate: '2024-02-30', clause: '4.9' }]
+    }));
+
+    expect(result).toBeNull();
+    expect(errors).toEqual([
+      'legalContext must be a non-empty string',
+      'recommendations must be a non-empty array',
+      'actionItems[0].dueDate must be a date in YYYY-MM-DD format'
+    ]);
+  });
+
+  it('rejects text that is not JSON', () => {
+    expect(validateIssueResponse('Here is the analysis').errors[0]).toMatch(/^Response is not valid JSON/);
+  });
+});
+
+describe('validateAdjudicationPackResponse', () => {
+  it('accepts the recorded adjudication pack', async () => {
+    expect(validateAdjudicationPackResponse(await readFixture('adjudication')).errors).toEqual([]);
+  });
+
+  it('rejects a pack that is not an object', () => {
+    expect(validateAdjudicationPackResponse('[]').errors).toEqual(['draft is not an object']);
+  });
+});
+
+describe('letter endpoints with the stub provider', () => {
+  let generateLetter;
+  let rewriteLetter;
+
+  beforeAll(async () => {
+    vi.stubEnv('LLM_PROVIDER', 'stub');
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    generateLetter = (await import('../../api/generateLetter.js')).default;
+    rewriteLetter = (await import('../../api/rewriteLetter.js')).default;
+  });
+
+  it('splits the recorded letter into its parts', async () => {
+    const { statusCode, body } = await callHandler(generateLetter, { report });
+
+    expect(statusCode).toBe(200);
+    expect(body.to).toBe('The Employer/Client');
+    expect(body.subject).toBe('Sample Project - JCT Standard Building Contract - Notice of Non-Payment of Interim Application');
+    expect(body.greeting).toBe('Dear Sir or Madam,');
+    expect(body.body.startsWith('We write in connection with the above project')).toBe(true);
+    expect(body.body.endsWith('We look forward to your prompt response.')).toBe(true);
+    expect(body.closing).toBe('Yours faithfully,');
+    expect(body.sender).toBe('Commercial Manager\nMain Contractor');
+  });
+
+  it('returns the recorded rewrite for one paragraph', async () => {
+    const { body: letter } = await callHandler(generateLetter, { report });
+    const { statusCode, body } = await callHandler(rewriteLetter, { report, letter, part: 'body', paragraphIndex: 2, instruction: 'make firmer' });
+
+    expect(statusCode).toBe(200);
+    expect(body.paragraphIndex).toBe(2);
+    expect(body.text).toMatch(/^We have received neither a Payment Notice/);
+  });
+
+  it('rejects a rewrite of a paragraph the letter does not have', async () => {
+    const { body: letter } = await callHandler(generateLetter, { report });
+    const { statusCode } = await callHandler(rewriteLetter, { report, letter, part: 'body', paragraphIndex: 40 });
+
+    expect(statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+
+vi.mock('../../api/_sentry.js', () => ({ default: { captureException: vi.fn(), captureMessage: vi.fn() } }));
+
+// Calls the report endpoint asking for an event stream and returns the events it sent, in order
+const streamReport = async (handler, body) => {
+  let output = '';
+  const res = {
+    headersSent: false,
+    writableEnded: false,
+    writeHead() {
+      this.headersSent = true;
+    },
+    write(text) {
+      output += text;
+    },
+    end() {
+      this.writableEnded = true;
+    },
+    on() {}
+  };
+  await handler({ method: 'POST', headers: { accept: 'text/event-stream' }, body }, res);
+
+  return output.trim().split('\n\n').map(message => {
+    const [, event] = /^event: (.*)$/m.exec(message);
+    const [, data] = /^data: (.*)$/m.exec(message);
+    return { event, data: JSON.parse(data) };
+  });
+};
+
+describe('generateReport streaming retries', () => {
+  let fixturesDir;
+  let generateReport;
+
+  beforeAll(async () => {
+    // A reply that streams complete sections but fails validation on every attempt
+    fixturesDir = await mkdtemp(path.join(tmpdir(), 'report-fixtures-'));
+    await mkdir(path.join(fixturesDir, 'report'));
+    await writeFile(path.join(fixturesDir, 'report', 'default.json'), JSON.stringify({
+      fixture: 'report',
+      model: 'recorded',
+      content: JSON.stringify({ detailedAnalysis: 'Draft analysis', legalContext: '' })
+    }));
+
+    vi.stubEnv('LLM_PROVIDER', 'stub');
+    vi.stubEnv('LLM_FIXTURES_DIR', fixturesDir);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    generateReport = (await import('../../api/generateReport.js')).default;
+  });
+
+  afterAll(async () => {
+    await rm(fixturesDir, { recursive: true, force: true });
+  });
+
+  it('tells the client to clear an issue before each retry of a failed attempt', async () => {
+    const events = await streamReport(generateReport, {
+      projectDetails: {
+        projectName: 'Sample Project',
+        contractType: 'JCT Standard Building Contract',
+        organizationRole: 'Main Contractor',
+        issues: [{ description: 'Interim application not paid', actionsTaken: '' }]
+      }
+    });
+
+    const sequence = events.map(({ event, data }) => (event === 'issue-reset' ? `issue-reset:${data.attempt}` : event));
+    expect(sequence).toEqual([
+      'start', 'issue-start',
+      'section', 'section', 'issue-reset:2',
+      'section', 'section', 'issue-reset:3',
+      'section', 'section',
+      'issue', 'error'
+    ]);
+    expect(events.find(({ event }) => event === 'issue').data.analysis.status).toBe('failed');
+  });
+});
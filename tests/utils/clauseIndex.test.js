@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { createClauseIndex, addDocumentToIndex, removeDocumentFromIndex, restoreClauseIndex, searchClauseIndex } from '../../src/utils/clauseIndex.js';
+
+const CONTRACT = [
+  '2.27 Notice by Contractor of delay to progress',
+  'If it becomes reasonably apparent that the progress of the Works is being or is likely to be delayed, the Contractor shall forthwith give written notice to the Architect of the material circumstances, including the cause or causes of the delay.',
+  '2.28 Fixing Completion Date',
+  'If the Architect is of the opinion that the cause of delay is a Relevant Event, the Architect shall give an extension of time by fixing a later Completion Date.',
+  '4.9 Payment Notices',
+  'Not later than 5 days after each due date the Employer shall give a Payment Notice to the Contractor specifying the sum considered due.',
+  '4.10 Pay Less Notices',
+  'If the Employer intends to pay less than the sum stated as due, the Employer shall give a Pay Less Notice not later than 5 days before the final date for payment.'
+].join('\n');
+
+const AMENDMENTS = [
+  '4.9 Payment Notices (amended)',
+  'The Employer shall give a Payment Notice not later than 7 days after each due date.'
+].join('\n');
+
+describe('clause index', () => {
+  it('ranks the clauses that share the most distinctive words with the query first', () => {
+    const index = addDocumentToIndex(createClauseIndex(), { fileName: 'Contract.pdf', text: CONTRACT });
+
+    const results = searchClauseIndex(index, 'The employer has not paid and gave no pay less notice before the final date for payment');
+
+    expect(results[0]).toMatchObject({ number: '4.10', heading: 'Pay Less Notices', source: 'Contract.pdf' });
+    expect(results.map(result => result.number)).toEqual(['4.10', '4.9', '2.28', '2.27']);
+  });
+
+  it('matches simple word forms and returns at most the requested number of clauses', () => {
+    const index = addDocumentToIndex(createClauseIndex(), { fileName: 'Contract.pdf', text: CONTRACT });
+
+    expect(searchClauseIndex(index, 'Works delayed by late information', 1).map(result => result.number)).toEqual(['2.27']);
+    expect(searchClauseIndex(index, 'the and for')).toEqual([]);
+  });
+
+  it('names the document each clause came from and drops a removed document\'s clauses', () => {
+    let index = addDocumentToIndex(createClauseIndex(), { fileName: 'Contract.pdf', text: CONTRACT });
+    index = addDocumentToIndex(index, { fileName: 'Amendments.docx', text: AMENDMENTS });
+
+    expect(searchClauseIndex(index, 'payment notice 7 days').map(result => result.source)).toContain('Amendments.docx');
+
+    const [, amendments] = index.documents;
+    const withoutAmendments = removeDocumentFromIndex(index, amendments.id);
+    expect(withoutAmendments.documents).toHaveLength(1);
+    expect(searchClauseIndex(withoutAmendments, 'payment notice 7 days').map(result => result.source)).not.toContain('Amendments.docx');
+  });
+
+  it('refuses a document with no numbered clauses', () => {
+    expect(() => addDocumentToIndex(createClauseIndex(), { fileName: 'Letter.txt', text: 'Dear Sirs,\nPlease pay.' }))
+      .toThrow('No numbered clauses were found in Letter.txt.');
+  });
+
+  it('splits a long clause into chunks at line breaks, each small enough to quote', () => {
+    const paragraphs = Array.from({ length: 30 }, (_, i) => `(${i + 1}) The Contractor shall keep records of the resources used on the works each day.`);
+    const index = addDocumentToIndex(createClauseIndex(), { fileName: 'Contract.pdf', text: ['10.1 Records', ...paragraphs].join('\n') });
+
+    expect(index.documents[0].clauseCount).toBe(1);
+    expect(index.chunks.length).toBeGreaterThan(1);
+    expect(index.chunks.every(chunk => chunk.text.length <= 1500)).toBe(true);
+    expect(index.chunks.map(chunk => chunk.heading)).toEqual(['Records', ...Array(index.chunks.length - 1).fill('Records (continued)')]);
+    expect(index.chunks.map(chunk => chunk.text).join('\n')).toBe(['10.1 Records', ...paragraphs].join('\n'));
+  });
+});
+
+describe('restoreClauseIndex', () => {
+  it('rebuilds the scoring of an index saved by an older version', () => {
+    const current = addDocumentToIndex(createClauseIndex(), { fileName: 'Contract.pdf', text: CONTRACT });
+    const older = {
+      documents: current.documents,
+      chunks: current.chunks.map(({ documentId, number, heading, text }) => ({ documentId, number, heading, text }))
+    };
+
+    const restored = restoreClauseIndex(older);
+
+    expect(restored.version).toBe(current.version);
+    expect(restored.documentFrequency).toEqual(current.documentFrequency);
+    expect(searchClauseIndex(restored, 'pay less notice')).toEqual(searchClauseIndex(current, 'pay less notice'));
+  });
+
+  it('returns a current index as it is and ignores anything that is not an index', () => {
+    const current = addDocumentToIndex(createClauseIndex(), { fileName: 'Contract.pdf', text: CONTRACT });
+
+    expect(restoreClauseIndex(current)).toBe(current);
+    expect(restoreClauseIndex(null)).toBeNull();
+    expect(restoreClauseIndex({ documents: [] })).toBeNull();
+  });
+});
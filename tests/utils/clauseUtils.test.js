@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getClauseLibraryEntry,
+  detectIssueTopics,
+  findRelevantClauses,
+  matchClause,
+  parseClauseNumber,
+  verifyClauseCitation,
+  getClauseVerification,
+  describeClauseVerification
+} from '../../src/utils/clauseUtils.js';
+
+describe('clause library', () => {
+  it('falls back to the statutory provisions for a contract type without its own entry', () => {
+    const entry = getClauseLibraryEntry('Bespoke Contract');
+
+    expect(entry.edition).toBeNull();
+    expect(entry.clauses.map(clause => clause.clause)).toEqual(['108', '109', '110', '110A', '110B', '111', '112', '113']);
+  });
+
+  it('recognises the topics an issue touches', () => {
+    expect(detectIssueTopics('Works are behind schedule and our application was not paid')).toEqual(['payment', 'delay']);
+    expect(detectIssueTopics('Something else happened')).toEqual([]);
+  });
+
+  it('ranks clauses by how many of the issue\'s topics they cover, keeping library order for ties', () => {
+    const clauses = findRelevantClauses('JCT Standard Building Contract', 'The Employer has not paid our interim application', 4);
+
+    expect(clauses.map(clause => clause.clause)).toEqual(['2.32', '4.9', '4.10', '4.11']);
+    expect(clauses.every(clause => clause.topics.includes('payment'))).toBe(true);
+  });
+
+  it('offers the general clauses when no topic is recognised', () => {
+    const clauses = findRelevantClauses('JCT Standard Building Contract', 'Something else happened', 3);
+
+    expect(clauses.every(clause => clause.topics.includes('general'))).toBe(true);
+  });
+
+  it('matches a sub-clause citation to its parent clause in the library', () => {
+    expect(matchClause('JCT Standard Building Contract', 'Clause 4.10.1 - Pay Less Notices')).toMatchObject({ clause: '4.10' });
+    expect(matchClause('JCT Standard Building Contract', 'Clause 99.9')).toBeNull();
+  });
+});
+
+describe('clause verification', () => {
+  const NEC3 = 'NEC3 Engineering and Construction Contract (ECC)';
+
+  it('reads the clause number from the ways citations are written', () => {
+    expect(parseClauseNumber('Clause 61.3 - Notifying compensation events')).toBe('61.3');
+    expect(parseClauseNumber('Sub-Clause 20.2.1')).toBe('20.2.1');
+    expect(parseClauseNumber('cl. 2.27')).toBe('2.27');
+    expect(parseClauseNumber('Option X7')).toBe('X7');
+    expect(parseClauseNumber('Section 111 of the Construction Act')).toBe('111');
+    expect(parseClauseNumber('The contract')).toBeNull();
+  });
+
+  it('verifies clauses in the reference list for the contract, including their sub-clauses', () => {
+    expect(verifyClauseCitation(NEC3, 'Clause 61.3 - Notifying compensation events')).toEqual({ status: 'verified' });
+    expect(verifyClauseCitation(NEC3, 'Clause 60.1(12)')).toEqual({ status: 'verified' });
+  });
+
+  it('flags a clause that only exists in another edition of the form', () => {
+    // Early warning moved to clause 15.1 in NEC4; NEC3 has it at 16.1
+    expect(verifyClauseCitation(NEC3, 'Clause 15.1 - Early warning')).toEqual({ status: 'wrong-edition', edition: 'NEC4 ECC (June 2017)' });
+  });
+
+  it('marks a clause that is in neither the contract nor the reference list as unknown', () => {
+    expect(verifyClauseCitation(NEC3, 'Clause 99.9 - Invented clause')).toEqual({ status: 'unknown' });
+    expect(verifyClauseCitation(NEC3, 'The contract terms')).toEqual({ status: 'unknown' });
+  });
+
+  it('prefers the uploaded contract, so clauses added by amendment are verified', () => {
+    expect(verifyClauseCitation(NEC3, 'Clause 99.9', [{ number: '99.9', heading: 'Additional clause', text: '...' }]))
+      .toEqual({ status: 'verified', source: 'contract' });
+  });
+
+  it('uses stored results where it has them and checks the other citations', () => {
+    const verification = getClauseVerification(NEC3, {
+      relevantClauses: ['Clause 61.3', 'Clause 99.9'],
+      clauseVerification: [{ status: 'verified', source: 'contract' }],
+      contractClauses: []
+    });
+
+    expect(verification).toEqual([{ status: 'verified', source: 'contract' }, { status: 'unknown' }]);
+    expect(verification.map(describeClauseVerification)).toEqual([
+      'Verified against uploaded contract',
+      'Not in reference list – check against the contract'
+    ]);
+    expect(describeClauseVerification({ status: 'wrong-edition', edition: 'NEC4 ECC (June 2017)' })).toBe('Possibly wrong edition (matches NEC4 ECC (June 2017))');
+  });
+});
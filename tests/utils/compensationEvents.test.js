@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { assessCompensationEvent, createCompensationEvent, compensationEventToIssue, isNecContract } from '../../src/utils/compensationEvents.js';
+
+const event = (fields) => ({ ...createCompensationEvent(1), ...fields });
+
+describe('assessCompensationEvent', () => {
+  it('time-bars an event notified more than eight weeks after it happened', () => {
+    const { status, deadlines } = assessCompensationEvent(event({ eventDate: '2024-01-10', notifiedDate: '2024-03-07' }), '2024-03-10');
+
+    expect(deadlines[0]).toEqual({ label: 'Notify the compensation event', clause: '61.3', date: '2024-03-06', status: 'time-barred' });
+    expect(status).toBe('time-barred');
+  });
+
+  it('accepts a notification on the last day of the period', () => {
+    const { status, deadlines } = assessCompensationEvent(event({ eventDate: '2024-01-10', notifiedDate: '2024-03-06' }), '2024-03-10');
+
+    expect(deadlines[0].status).toBe('met');
+    expect(status).toBe('open');
+  });
+
+  it('flags a quotation due within two weeks as at risk', () => {
+    const { status, deadlines } = assessCompensationEvent(event({
+      eventDate: '2024-01-10',
+      notifiedDate: '2024-01-20',
+      quotationInstructedDate: '2024-02-01'
+    }), '2024-02-15');
+
+    expect(deadlines[1]).toMatchObject({ clause: '62.3', date: '2024-02-22', status: 'at-risk' });
+    expect(status).toBe('at-risk');
+  });
+
+  it('treats the quotation as accepted two weeks after notice of the failure to reply', () => {
+    const assessed = event({
+      eventDate: '2024-01-10',
+      notifiedDate: '2024-01-20',
+      quotationInstructedDate: '2024-02-01',
+      quotationSubmittedDate: '2024-02-20',
+      failureNoticeDate: '2024-04-01'
+    });
+
+    expect(assessCompensationEvent(assessed, '2024-04-14')).toMatchObject({ deemedAcceptanceDate: '2024-04-15', status: 'at-risk' });
+    expect(assessCompensationEvent(assessed, '2024-04-15').status).toBe('deemed-accepted');
+  });
+
+  it('stops tracking once the quotation is accepted', () => {
+    const { status, deemedAcceptanceDate } = assessCompensationEvent(event({
+      eventDate: '2024-01-10',
+      notifiedDate: '2024-01-20',
+      failureNoticeDate: '2024-04-01',
+      quotationAcceptedDate: '2024-04-05'
+    }), '2024-06-01');
+
+    expect(status).toBe('accepted');
+    expect(deemedAcceptanceDate).toBeNull();
+  });
+});
+
+describe('compensationEventToIssue', () => {
+  it('carries the event date and what has been done into the issue', () => {
+    const issue = compensationEventToIssue(event({ description: 'Late access', eventDate: '2024-01-10', notifiedDate: '2024-01-20' }));
+
+    expect(issue.eventDate).toBe('2024-01-10');
+    expect(issue.description).toContain('2024-03-06');
+    expect(issue.actionsTaken).toContain('Compensation event notified on 2024-01-20.');
+  });
+});
+
+describe('isNecContract', () => {
+  it('only recognises NEC forms', () => {
+    expect(isNecContract('NEC4 Engineering and Construction Contract (ECC)')).toBe(true);
+    expect(isNecContract('JCT Standard Building Contract')).toBe(false);
+    expect(isNecContract('')).toBe(false);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { splitIntoClauses } from '../../src/utils/contractDocument.js';
+
+describe('splitIntoClauses', () => {
+  it('splits numbered clauses and keeps the lines under each heading', () => {
+    const clauses = splitIntoClauses([
+      'Articles of Agreement',
+      '2.27 Notice by Contractor of delay to progress',
+      '.1 If it becomes reasonably apparent that progress is being delayed,',
+      '   the Contractor shall forthwith give notice.',
+      'Sub-Clause 20.2: Claims for payment and/or EOT',
+      'The Contractor shall give a Notice within 28 days.',
+      '8 Termination',
+      'Either party may terminate on notice.'
+    ].join('\r\n'));
+
+    expect(clauses).toEqual([
+      {
+        number: '2.27',
+        heading: 'Notice by Contractor of delay to progress',
+        text: '2.27 Notice by Contractor of delay to progress\n.1 If it becomes reasonably apparent that progress is being delayed,\nthe Contractor shall forthwith give notice.'
+      },
+      {
+        number: '20.2',
+        heading: 'Claims for payment and/or EOT',
+        text: 'Sub-Clause 20.2: Claims for payment and/or EOT\nThe Contractor shall give a Notice within 28 days.'
+      },
+      { number: '8', heading: 'Termination', text: '8 Termination\nEither party may terminate on notice.' }
+    ]);
+  });
+
+  it('keeps the full clause rather than its table of contents entry', () => {
+    const clauses = splitIntoClauses([
+      'CONTENTS',
+      '4.9 Payment Notices',
+      '4.10 Pay Less Notices',
+      'SECTION 4 PAYMENT',
+      '4.9 Payment Notices',
+      'Not later than 5 days after each due date the Employer shall give a Payment Notice.',
+      '4.10 Pay Less Notices',
+      'A Pay Less Notice shall be given not later than 5 days before the final date for payment.'
+    ].join('\n'));
+
+    expect(clauses.map(clause => clause.number)).toEqual(['4.9', '4.10']);
+    expect(clauses[0].text).toBe('4.9 Payment Notices\nNot later than 5 days after each due date the Employer shall give a Payment Notice.');
+    expect(clauses[1].text).toContain('final date for payment');
+  });
+
+  it('finds no clauses in text without numbered headings', () => {
+    expect(splitIntoClauses('This agreement is made between the parties.\nSigned.')).toEqual([]);
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import JSZip from 'jszip';
+import mammoth from 'mammoth';
+import { DOMParser } from '@xmldom/xmldom';
+import { createDocx } from '../../src/utils/docxWriter.js';
+
+// A 1x1 transparent PNG
+const LOGO = {
+  dataUrl: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+  width: 200,
+  height: 100
+};
+
+const blocks = [
+  { type: 'heading', level: 1, text: 'Contract Report: Sample & Co <Project>' },
+  { type: 'paragraph', text: 'Date: 1 March 2024\nContract: **JCT**' },
+  { type: 'list', ordered: true, items: ['First step', 'Second step'] },
+  { type: 'list', ordered: false, items: ['A point'] },
+  { type: 'table', rows: [['Clause', 'Verification'], ['Clause 4.9', 'Verified']] },
+  { type: 'pageBreak' },
+  { type: 'list', ordered: true, items: ['Restarts at one'] }
+];
+
+// The parser recovers from most mistakes, so even its warnings mean the XML is malformed
+const parseXml = (text) => new DOMParser({
+  errorHandler: (level, message) => {
+    throw new Error(message);
+  }
+}).parseFromString(text, 'application/xml');
+
+describe('createDocx', () => {
+  let buffer;
+  let zip;
+
+  beforeAll(async () => {
+    const blob = await createDocx({ blocks, title: 'Sample report', headerLines: ['A Contractor Ltd', '1 High Street'], footerText: 'Ref ACL/001', logo: LOGO });
+    buffer = Buffer.from(await blob.arrayBuffer());
+    zip = await JSZip.loadAsync(buffer);
+  });
+
+  it('writes every part of the package as well-formed XML, without folder entries', async () => {
+    expect(Object.keys(zip.files).sort()).toEqual([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'docProps/core.xml',
+      'word/_rels/document.xml.rels',
+      'word/_rels/header1.xml.rels',
+      'word/document.xml',
+      'word/footer1.xml',
+      'word/header1.xml',
+      'word/media/logo.png',
+      'word/numbering.xml',
+      'word/styles.xml'
+    ]);
+
+    for (const name of Object.keys(zip.files).filter(file => /\.(xml|rels)$/.test(file))) {
+      const xml = parseXml(await zip.file(name).async('string'));
+      expect(xml.documentElement, name).toBeTruthy();
+    }
+  });
+
+  it('escapes text and turns bold spans and line breaks into runs', async () => {
+    const document = await zip.file('word/document.xml').async('string');
+
+    expect(document).toContain('Contract Report: Sample &amp; Co &lt;Project&gt;');
+    expect(document).toContain('<w:t xml:space="preserve">Date: 1 March 2024</w:t><w:br/><w:t xml:space="preserve">Contract: </w:t>');
+    expect(document).toContain('<w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">JCT</w:t></w:r>');
+    expect(document).toContain('<w:br w:type="page"/>');
+  });
+
+  it('gives each ordered list its own numbering instance so it restarts at 1', async () => {
+    const document = await zip.file('word/document.xml').async('string');
+    const numbering = await zip.file('word/numbering.xml').async('string');
+
+    expect([...document.matchAll(/<w:numId w:val="(\d+)"\/>/g)].map(match => match[1])).toEqual(['2', '2', '1', '3']);
+    expect(numbering).toContain('<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>');
+    expect(numbering.match(/<w:startOverride w:val="1"\/>/g)).toHaveLength(2);
+  });
+
+  it('links the header with its logo and the footer with page numbers', async () => {
+    const relationships = await zip.file('word/_rels/document.xml.rels').async('string');
+    const header = await zip.file('word/header1.xml').async('string');
+    const footer = await zip.file('word/footer1.xml').async('string');
+
+    expect(relationships).toContain('Id="rIdHeader"');
+    expect(relationships).toContain('Id="rIdFooter"');
+    expect(await zip.file('word/_rels/header1.xml.rels').async('string')).toContain('Target="media/logo.png"');
+    expect(header).toContain('<wp:extent cx="1080000" cy="540000"/>');
+    expect(header).toContain('<w:rPr><w:b/></w:rPr><w:t xml:space="preserve">A Contractor Ltd</w:t>');
+    expect(footer).toContain('Ref ACL/001');
+    expect(footer).toContain('w:instr=" PAGE "');
+    expect(footer).toContain('w:instr=" NUMPAGES "');
+    expect(await zip.file('[Content_Types].xml').async('string')).toContain('<Default Extension="png" ContentType="image/png"/>');
+  });
+
+  it('opens in a Word reader with its headings, lists and table', async () => {
+    const { value, messages } = await mammoth.convertToHtml({ buffer });
+
+    // The reader warns about custom styles such as TableText that it has no HTML mapping for
+    expect(messages.filter(message => message.type === 'error')).toEqual([]);
+    expect(value).toContain('<h1>Contract Report: Sample &amp; Co &lt;Project&gt;</h1>');
+    expect(value).toContain('<ol><li>First step</li><li>Second step</li></ol><ul><li>A point</li></ul>');
+    expect(value).toContain('<table>');
+  });
+});
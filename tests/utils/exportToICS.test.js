@@ -0,0 +1,65 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { saveAs } from 'file-saver';
+import { exportToICS } from '../../src/utils/exportUtils.js';
+
+vi.mock('file-saver', () => ({ saveAs: vi.fn() }));
+
+const items = [
+  { date: '2024-03-06', title: 'Notice deadline: Clause 61.3', clause: 'Clause 61.3', source: 'notice', key: '0', issueIndex: 0, issue: 'Late access' },
+  { date: '2024-03-12', title: 'Payment notice deadline', clause: 's110A', source: 'payment', key: 'paymentNoticeDeadline', issueIndex: 1, issue: 'Unpaid application' }
+];
+
+// Export the items and read back the lines of every event that start with the given property
+const exportProperty = async (exported, property) => {
+  saveAs.mockClear();
+  exportToICS(exported, 'Action_Items.ics', { reportId: '1700000000000', projectName: 'Sample Project' });
+  const text = await saveAs.mock.calls[0][0].text();
+  return text.split('\r\n').filter(line => line.startsWith(`${property}:`));
+};
+
+const exportUids = (exported) => exportProperty(exported, 'UID');
+
+describe('exportToICS', () => {
+  beforeEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('gives each event the same UID every time the report is exported', async () => {
+    const first = await exportUids(items);
+    vi.useFakeTimers({ now: new Date('2030-01-01T00:00:00Z') });
+    const second = await exportUids(items);
+
+    expect(first).toHaveLength(2);
+    expect(new Set(first).size).toBe(2);
+    expect(second).toEqual(first);
+    expect(first).toEqual([
+      'UID:1700000000000-0-notice-0@contract-assistant',
+      'UID:1700000000000-1-payment-paymentNoticeDeadline@contract-assistant'
+    ]);
+  });
+
+  it('keeps an event\'s UID when its date moves or its title is reworded', async () => {
+    const all = await exportUids(items);
+    const changed = await exportUids([{ ...items[0], date: '2024-03-08', title: 'Notice deadline: Clause 61.3 (revised)' }, items[1]]);
+
+    expect(changed).toEqual(all);
+  });
+
+  it('raises the sequence on each later export so calendars accept the update', async () => {
+    vi.useFakeTimers({ now: new Date('2030-01-01T00:00:00Z') });
+    const first = await exportProperty(items, 'SEQUENCE');
+    vi.setSystemTime(new Date('2030-01-02T00:00:00Z'));
+    const second = await exportProperty(items, 'SEQUENCE');
+    const lastModified = await exportProperty(items, 'LAST-MODIFIED');
+
+    expect(Number(second[0].slice('SEQUENCE:'.length))).toBeGreaterThan(Number(first[0].slice('SEQUENCE:'.length)));
+    expect(lastModified).toEqual(['LAST-MODIFIED:20300102T000000Z', 'LAST-MODIFIED:20300102T000000Z']);
+  });
+
+  it('keeps the UIDs of other events when one item is left out', async () => {
+    const all = await exportUids(items);
+    const withoutFirst = await exportUids(items.slice(1));
+
+    expect(withoutFirst).toEqual([all[1]]);
+  });
+});
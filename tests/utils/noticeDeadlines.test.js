@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { getNoticeDeadlines, getNoticeDeadlineStatus, describeNoticeDeadline } from '../../src/utils/noticeDeadlines.js';
+
+const NEC4_ECC = 'NEC4 Engineering and Construction Contract (ECC)';
+
+describe('getNoticeDeadlines', () => {
+  it('dates the NEC compensation event notice eight weeks from the event', () => {
+    const deadlines = getNoticeDeadlines(NEC4_ECC, 'Delay caused by late access to site', '2024-01-10');
+    const notification = deadlines.find(deadline => deadline.clause.startsWith('Clause 61.3'));
+
+    expect(notification.deadline).toBe('2024-03-06');
+    expect(notification.conditionPrecedent).toBe(true);
+  });
+
+  it('leaves periods that run from another trigger undated', () => {
+    const deadlines = getNoticeDeadlines(NEC4_ECC, 'Variation instructed', '2024-01-10');
+    const quotation = deadlines.find(deadline => deadline.clause.startsWith('Clause 62.3'));
+
+    expect(quotation.deadline).toBeNull();
+    expect(quotation.from).toBe('the instruction to submit a quotation');
+  });
+
+  it('marks forthwith notices and leaves out notices for other topics', () => {
+    const deadlines = getNoticeDeadlines('JCT Standard Building Contract', 'Delay to progress', '2024-01-10');
+
+    expect(deadlines.find(deadline => deadline.clause.startsWith('Clause 2.27')).forthwith).toBe(true);
+    expect(deadlines.some(deadline => deadline.clause.startsWith('Clause 4.11'))).toBe(false);
+  });
+
+  it('gives no dates without an event date', () => {
+    const deadlines = getNoticeDeadlines(NEC4_ECC, 'Delay', '');
+
+    expect(deadlines.every(deadline => deadline.deadline === null)).toBe(true);
+  });
+});
+
+describe('getNoticeDeadlineStatus', () => {
+  const deadline = { forthwith: false, deadline: '2024-03-06' };
+
+  it('tracks a deadline from open to imminent to expired', () => {
+    expect(getNoticeDeadlineStatus(deadline, '2024-02-01')).toBe('open');
+    expect(getNoticeDeadlineStatus(deadline, '2024-02-28')).toBe('imminent');
+    expect(getNoticeDeadlineStatus(deadline, '2024-03-06')).toBe('imminent');
+    expect(getNoticeDeadlineStatus(deadline, '2024-03-07')).toBe('expired');
+  });
+
+  it('reports forthwith and undated notices', () => {
+    expect(getNoticeDeadlineStatus({ forthwith: true, deadline: null }, '2024-01-01')).toBe('forthwith');
+    expect(getNoticeDeadlineStatus({ forthwith: false, deadline: null }, '2024-01-01')).toBe('undated');
+  });
+});
+
+describe('describeNoticeDeadline', () => {
+  it('includes the date, its status and the time-bar warning', () => {
+    const [notification] = getNoticeDeadlines(NEC4_ECC, 'Delay', '2024-01-10')
+      .filter(deadline => deadline.clause.startsWith('Clause 61.3'));
+
+    expect(describeNoticeDeadline(notification, '2024-02-01')).toMatch(/^Clause 61\.3 - .*: by 2024-03-06 \(open\) - .* \[condition precedent \/ time-bar\]$/);
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { calculatePaymentTimetable, describePaymentTimetable } from '../../src/utils/paymentTimetable.js';
+
+const dates = (timetable) => ({
+  dueDate: timetable.dueDate.date,
+  paymentNoticeDeadline: timetable.paymentNoticeDeadline.date,
+  payLessNoticeDeadline: timetable.payLessNoticeDeadline.date,
+  finalDateForPayment: timetable.finalDateForPayment.date
+});
+
+describe('calculatePaymentTimetable', () => {
+  it('applies the Scheme periods when no contract type or periods are given', () => {
+    const timetable = calculatePaymentTimetable({ applicationDate: '2024-03-01', periodEndDate: '2024-02-29' });
+
+    expect(dates(timetable)).toEqual({
+      dueDate: '2024-03-07',
+      paymentNoticeDeadline: '2024-03-12',
+      payLessNoticeDeadline: '2024-03-17',
+      finalDateForPayment: '2024-03-24'
+    });
+    expect(timetable.dueDate.basis).toBe('scheme');
+  });
+
+  it('counts weekends, since s116 only leaves out Christmas Day, Good Friday and bank holidays', () => {
+    // 24 March 2024 is a Sunday and is still the final date for payment
+    const timetable = calculatePaymentTimetable({ applicationDate: '2024-03-01', periodEndDate: '2024-02-29' });
+
+    expect(new Date(`${timetable.finalDateForPayment.date}T00:00:00Z`).getUTCDay()).toBe(0);
+  });
+
+  it('takes the application as the Scheme due date when it is made after the period end plus 7 days', () => {
+    const timetable = calculatePaymentTimetable({ applicationDate: '2024-03-20', periodEndDate: '2024-03-01' });
+
+    expect(timetable.dueDate.date).toBe('2024-03-20');
+  });
+
+  it('leaves Good Friday and Easter Monday out of the period', () => {
+    // Good Friday is 29 March 2024 and Easter Monday 1 April 2024
+    const timetable = calculatePaymentTimetable({ applicationDate: '2024-03-25' });
+
+    expect(dates(timetable)).toEqual({
+      dueDate: '2024-04-03',
+      paymentNoticeDeadline: '2024-04-08',
+      payLessNoticeDeadline: '2024-04-13',
+      finalDateForPayment: '2024-04-20'
+    });
+  });
+
+  it('leaves out substitute bank holidays when Christmas and New Year fall at the weekend', () => {
+    // Christmas Day 2021 was a Saturday, so 27 and 28 December were bank holidays;
+    // New Year's Day 2022 was a Saturday, so 3 January was the bank holiday instead
+    const timetable = calculatePaymentTimetable({
+      applicationDate: '2021-12-20',
+      contractType: 'JCT Standard Building Contract'
+    });
+
+    expect(dates(timetable)).toEqual({
+      dueDate: '2021-12-30',
+      paymentNoticeDeadline: '2022-01-05',
+      payLessNoticeDeadline: '2022-01-09',
+      finalDateForPayment: '2022-01-14'
+    });
+    expect(timetable.finalDateForPayment.basis).toBe('standard-form');
+  });
+
+  it('counts 26 December when it is a Sunday, since Boxing Day is then not a bank holiday', () => {
+    // Christmas Day 2027 is a Saturday: 26 December counts, 27 and 28 December and 3 January 2028 do not
+    const timetable = calculatePaymentTimetable({
+      applicationDate: '2027-12-25',
+      contractType: 'JCT Standard Building Contract'
+    });
+
+    expect(timetable.dueDate.date).toBe('2028-01-04');
+  });
+
+  it('prefers contract periods over the standard form', () => {
+    const timetable = calculatePaymentTimetable({
+      applicationDate: '2024-06-03',
+      contractType: 'JCT Standard Building Contract',
+      contractPeriods: { dueDateDays: '10', finalDateDays: '20', paymentNoticeDays: '', payLessNoticeDays: '' }
+    });
+
+    expect(dates(timetable)).toEqual({
+      dueDate: '2024-06-13',
+      paymentNoticeDeadline: '2024-06-18',
+      payLessNoticeDeadline: '2024-06-28',
+      finalDateForPayment: '2024-07-03'
+    });
+    expect(timetable.dueDate.basis).toBe('contract');
+    expect(timetable.paymentNoticeDeadline.basis).toBe('standard-form');
+  });
+
+  it('finds the next valuation date for each payment cycle', () => {
+    expect(calculatePaymentTimetable({ applicationDate: '2024-01-31' }).nextValuationDate).toBe('2024-02-29');
+    expect(calculatePaymentTimetable({ applicationDate: '2024-01-31', paymentCycle: 'four-weekly' }).nextValuationDate).toBe('2024-02-28');
+    expect(calculatePaymentTimetable({ applicationDate: '2024-01-31', paymentCycle: 'fortnightly' }).nextValuationDate).toBe('2024-02-14');
+  });
+});
+
+describe('describePaymentTimetable', () => {
+  it('gives one line per date with the rule and where the period came from', () => {
+    const lines = describePaymentTimetable(calculatePaymentTimetable({ applicationDate: '2024-03-25' }));
+
+    expect(lines).toHaveLength(7);
+    expect(lines[2]).toMatch(/^Due date: .* \[Scheme default\]$/);
+  });
+});
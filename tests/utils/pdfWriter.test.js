@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { createPdf } from '../../src/utils/pdfWriter.js';
+
+// The strings drawn on a page, in drawing order, read from its uncompressed content stream
+const pageText = (doc, page) => [...doc.internal.pages[page].join('\n').matchAll(/\(((?:\\.|[^\\)])*)\) Tj/g)]
+  .map(match => match[1].replace(/\\(.)/g, '$1'));
+
+const heading = (level, text) => ({ type: 'heading', level, text });
+const paragraph = (text) => ({ type: 'paragraph', text });
+const pageBreak = { type: 'pageBreak' };
+
+describe('createPdf', () => {
+  it('starts a new page at each page break', () => {
+    const doc = createPdf({ blocks: [paragraph('First page'), pageBreak, paragraph('Second page')] });
+
+    expect(doc.getNumberOfPages()).toBe(2);
+    expect(pageText(doc, 1)).toContain('First page');
+    expect(pageText(doc, 2)).toContain('Second page');
+  });
+
+  it('lists level 2 and 3 headings on a contents page with the pages they ended up on', () => {
+    const doc = createPdf({
+      title: 'Contract Report',
+      cover: { title: 'Contract Report', lines: ['Sample Project'] },
+      tableOfContents: true,
+      footerText: 'Ref ACL/001',
+      blocks: [
+        heading(1, 'Not listed'),
+        heading(2, 'Project Details'),
+        paragraph('Details (with brackets)'),
+        pageBreak,
+        heading(3, 'Issue 1: Late payment'),
+        heading(4, 'Also not listed')
+      ]
+    });
+
+    expect(doc.getNumberOfPages()).toBe(4);
+    expect(pageText(doc, 2)).toEqual(expect.arrayContaining(['Contents', 'Project Details', '3', 'Issue 1: Late payment', '4']));
+    expect(pageText(doc, 2)).not.toContain('Not listed');
+    expect(pageText(doc, 3)).toEqual(expect.arrayContaining(['Project Details', 'Details (with brackets)']));
+    expect(pageText(doc, 4)).toContain('Issue 1: Late payment');
+  });
+
+  it('numbers every page after the cover and repeats the title and footer on them', () => {
+    const doc = createPdf({
+      title: 'Contract Report',
+      cover: { title: 'Contract Report', lines: [] },
+      tableOfContents: true,
+      footerText: 'Ref ACL/001',
+      blocks: [heading(2, 'Project Details'), pageBreak, paragraph('More')]
+    });
+
+    expect(pageText(doc, 1).some(text => text.startsWith('Page '))).toBe(false);
+    [2, 3, 4].forEach(page => {
+      expect(pageText(doc, page)).toEqual(expect.arrayContaining(['Contract Report', 'Ref ACL/001', `Page ${page} of 4`]));
+    });
+  });
+
+  it('continues the contents onto more pages and numbers the entries after them', () => {
+    const blocks = Array.from({ length: 40 }, (_, i) => [heading(2, `Section ${i + 1}`), pageBreak]).flat().slice(0, -1);
+    const doc = createPdf({ tableOfContents: true, blocks });
+
+    const firstContents = pageText(doc, 1);
+    const secondContents = pageText(doc, 2);
+    expect(doc.getNumberOfPages()).toBe(42);
+    expect(firstContents.slice(0, 3)).toEqual(['Contents', 'Section 1', '3']);
+    expect(secondContents[0]).toBe('Contents (continued)');
+    expect(secondContents).toEqual(expect.arrayContaining(['Section 40', '42']));
+    expect(pageText(doc, 42)).toContain('Section 40');
+  });
+
+  it('repeats a table\'s header row when its rows run onto another page', () => {
+    const rows = [['Clause', 'Verification'], ...Array.from({ length: 60 }, (_, i) => [`Clause ${i + 1}`, 'Verified'])];
+    const doc = createPdf({ blocks: [{ type: 'table', rows }] });
+
+    expect(doc.getNumberOfPages()).toBe(2);
+    expect(pageText(doc, 1)[0]).toBe('Clause');
+    expect(pageText(doc, 2).slice(0, 2)).toEqual(['Clause', 'Verification']);
+    expect(pageText(doc, 2)).toContain('Clause 60');
+  });
+
+  it('leaves the running title off the first page of a letter, which has the letterhead', () => {
+    const doc = createPdf({
+      title: 'Unpaid interim application',
+      letterheadLines: ['A Contractor Ltd', '1 High Street'],
+      blocks: [paragraph('Dear Sirs,'), pageBreak, paragraph('Yours faithfully,')]
+    });
+
+    expect(pageText(doc, 1)).toEqual(expect.arrayContaining(['A Contractor Ltd', '1 High Street']));
+    expect(pageText(doc, 1)).not.toContain('Unpaid interim application');
+    expect(pageText(doc, 2)).toContain('Unpaid interim application');
+  });
+
+  it('replaces characters the built-in fonts can\'t draw', () => {
+    const doc = createPdf({ blocks: [paragraph('Within ≤ 7 days → **notify** ✓')] });
+
+    expect(pageText(doc, 1)).toContain('Within <= 7 days -> notify ?');
+  });
+});
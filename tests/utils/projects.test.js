@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  createProject,
+  findProjectByName,
+  saveProjectDetails,
+  assignReportsToProjects,
+  getProjectReports,
+  getProjectLetters,
+  getProjectIssueHistory
+} from '../../src/utils/projects.js';
+
+const createReport = (id, date, projectName, overrides = {}) => ({
+  id,
+  date,
+  projectDetails: { projectName, contractType: 'JCT Design and Build Contract' },
+  analysis: [],
+  ...overrides
+});
+
+describe('projects', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-05-01T09:00:00.000Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('finds a project by name whatever its letter case and surrounding spaces', () => {
+    const project = createProject({ projectName: 'Riverside Depot' });
+
+    expect(findProjectByName([project], '  riverside DEPOT ')).toBe(project);
+    expect(findProjectByName([project], 'Riverside')).toBeUndefined();
+  });
+
+  it('saves the form details to the project it was opened for, or to a new one', () => {
+    const project = createProject({ projectName: 'Riverside Depot' }, '2024-01-01T00:00:00.000Z');
+
+    const updated = saveProjectDetails([project], project.id, { projectName: 'Riverside Depot Phase 2' });
+    expect(updated.projectId).toBe(project.id);
+    expect(updated.projects).toHaveLength(1);
+    expect(updated.projects[0].details.projectName).toBe('Riverside Depot Phase 2');
+    expect(updated.projects[0].updatedAt).toBe('2024-05-01T09:00:00.000Z');
+
+    const added = saveProjectDetails([project], null, { projectName: 'Station Car Park' });
+    expect(added.projects).toHaveLength(2);
+    expect(added.projectId).not.toBe(project.id);
+  });
+
+  it('groups reports without a known project by name, starting each new project from its earliest report', () => {
+    const existing = { ...createProject({ projectName: 'Riverside Depot' }, '2024-01-01T00:00:00.000Z'), id: 'p1' };
+    const reports = [
+      createReport('r3', '2024-03-01T00:00:00.000Z', 'Station Car Park'),
+      createReport('r1', '2024-02-01T00:00:00.000Z', 'riverside depot'),
+      createReport('r2', '2024-01-15T00:00:00.000Z', 'Station Car Park', { projectId: 'from-export' }),
+      createReport('r4', '2024-04-01T00:00:00.000Z', 'Riverside Depot', { projectId: 'p1' })
+    ];
+
+    const result = assignReportsToProjects([existing], reports);
+
+    expect(result.reports.map(report => [report.id, report.projectId])).toEqual([
+      ['r3', 'from-export'],
+      ['r1', 'p1'],
+      ['r2', 'from-export'],
+      ['r4', 'p1']
+    ]);
+    expect(result.projects.map(project => [project.id, project.createdAt])).toEqual([
+      ['p1', '2024-01-01T00:00:00.000Z'],
+      ['from-export', '2024-01-15T00:00:00.000Z']
+    ]);
+    // The project takes the details of the latest report matched to it
+    expect(result.projects[0].details.projectName).toBe('riverside depot');
+    expect(result.projects[0].updatedAt).toBe('2024-02-01T00:00:00.000Z');
+  });
+
+  it('gives a new project a fresh ID when the one its report points at is taken', () => {
+    const taken = { ...createProject({ projectName: 'Riverside Depot' }), id: String(Date.now()) };
+    const other = { ...createProject({ projectName: 'Station Car Park' }), id: 'p2' };
+
+    const result = assignReportsToProjects([taken, other], [createReport('r1', '2024-02-01T00:00:00.000Z', 'Harbour Wall', { projectId: undefined })]);
+    const withTakenId = assignReportsToProjects([other], [createReport('r1', '2024-02-01T00:00:00.000Z', 'Harbour Wall', { projectId: 'p2x' })]);
+
+    expect(result.projects[2].id).toBe(String(Date.now() + 1));
+    expect(withTakenId.projects[1].id).toBe('p2x');
+  });
+
+  it('lists a project\'s reports and letters newest first', () => {
+    const reports = [
+      createReport('r1', '2024-01-01T00:00:00.000Z', 'Riverside Depot', { projectId: 'p1', draftLetters: [{ title: 'Payment notice' }] }),
+      createReport('r2', '2024-02-01T00:00:00.000Z', 'Riverside Depot', { projectId: 'p1', draftLetters: [{ title: 'Notice of suspension' }] }),
+      createReport('r3', '2024-03-01T00:00:00.000Z', 'Station Car Park', { projectId: 'p2' })
+    ];
+
+    const projectReports = getProjectReports('p1', reports);
+
+    expect(projectReports.map(report => report.id)).toEqual(['r2', 'r1']);
+    expect(getProjectLetters(projectReports)).toEqual([
+      { title: 'Notice of suspension', reportId: 'r2', reportDate: '2024-02-01T00:00:00.000Z' },
+      { title: 'Payment notice', reportId: 'r1', reportDate: '2024-01-01T00:00:00.000Z' }
+    ]);
+  });
+
+  it('tracks when each issue was first and last analysed, treating the same wording in any case as one issue', () => {
+    const reports = [
+      createReport('r2', '2024-02-01T00:00:00.000Z', 'Riverside Depot', { analysis: [{ issue: 'late payment ' }, { issue: 'Drainage redesign' }] }),
+      createReport('r1', '2024-01-01T00:00:00.000Z', 'Riverside Depot', { analysis: [{ issue: 'Late payment' }, { issue: '  ' }] }),
+      createReport('r3', '2024-03-01T00:00:00.000Z', 'Riverside Depot', { analysis: [{ issue: 'Late Payment' }] })
+    ];
+
+    expect(getProjectIssueHistory(reports)).toEqual([
+      { issue: 'Late payment', firstAnalysed: '2024-01-01T00:00:00.000Z', lastAnalysed: '2024-03-01T00:00:00.000Z', reportIds: ['r1', 'r2', 'r3'] },
+      { issue: 'Drainage redesign', firstAnalysed: '2024-02-01T00:00:00.000Z', lastAnalysed: '2024-02-01T00:00:00.000Z', reportIds: ['r2'] }
+    ]);
+  });
+});
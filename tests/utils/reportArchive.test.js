@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { createReportFile, parseReportFile, mergeImportedReports } from '../../src/utils/reportArchive.js';
+
+const entry = { issue: 'Interim application not paid', status: 'complete', relevantClauses: ['Clause 4.9'], recommendations: ['Chase payment'], detailedAnalysis: 'Analysis' };
+const report = { id: '1', date: '2024-03-01T10:00:00.000Z', projectDetails: { projectName: 'Riverside' }, analysis: [entry], draftLetters: [] };
+
+describe('parseReportFile', () => {
+  it('reads back an exported file', () => {
+    const { reports, skipped } = parseReportFile(JSON.stringify(createReportFile([report])));
+
+    expect(skipped).toEqual([]);
+    expect(reports[0]).toMatchObject({ id: '1', analysis: [entry], tags: [], versions: [] });
+  });
+
+  it('skips reports whose analysis the report view could not show', () => {
+    const file = createReportFile([
+      report,
+      { ...report, id: '2', analysis: [{ issue: 'No sections' }] },
+      { ...report, id: '3', analysis: [{ ...entry, detailedAnalysis: 42 }] },
+      { ...report, id: '4', versions: [{ analysis: [{ ...entry, recommendations: 'Chase payment' }] }] }
+    ]);
+
+    const { reports, skipped } = parseReportFile(JSON.stringify(file));
+
+    expect(reports.map(r => r.id)).toEqual(['1']);
+    expect(skipped).toEqual([
+      'Report 2: missing the issue analysis, or it is malformed',
+      'Report 3: missing the issue analysis, or it is malformed',
+      'Report 4: has malformed versions'
+    ]);
+  });
+
+  it('upgrades a bare list of reports from before the file format', () => {
+    const { reports } = parseReportFile(JSON.stringify([{ ...report, analysis: [{ ...entry, status: undefined }], draftLetters: undefined }]));
+
+    expect(reports[0].analysis[0]).toMatchObject({ status: 'complete', noticeDeadlines: [], actionItems: [] });
+    expect(reports[0].draftLetters).toEqual([]);
+  });
+
+  it('rejects files that are not report exports', () => {
+    expect(() => parseReportFile('not json')).toThrow();
+    expect(() => parseReportFile(JSON.stringify({ format: 'something-else' }))).toThrow('The file is not a Contract Assistant report export.');
+  });
+});
+
+describe('mergeImportedReports', () => {
+  it('skips reports already saved and renames different reports with a clashing ID', () => {
+    const changed = { ...report, date: '2024-04-01T10:00:00.000Z' };
+    const { savedReports, added, renamed, duplicates } = mergeImportedReports([report], [report, changed]);
+
+    expect(duplicates).toBe(1);
+    expect(added).toBe(1);
+    expect(renamed).toBe(1);
+    expect(savedReports).toHaveLength(2);
+    expect(savedReports[1].id).not.toBe('1');
+  });
+});
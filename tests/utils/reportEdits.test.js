@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { applySectionEdit, revertSectionEdit, isSectionEdited, formatSectionInput, parseSectionInput } from '../../src/utils/reportEdits.js';
+import { getClauseVerification } from '../../src/utils/clauseUtils.js';
+import { getIssueActionItems } from '../../src/utils/actionItems.js';
+
+const entry = {
+  issue: 'Interim application not paid',
+  detailedAnalysis: 'Generated analysis',
+  relevantClauses: ['Clause 4.9'],
+  clauseVerification: [{ status: 'verified' }],
+  contractClauses: [],
+  actionItems: [{ action: 'Write to the Employer', dueDate: '2024-03-04', clause: 'Clause 4.9' }]
+};
+
+describe('applySectionEdit', () => {
+  it('keeps the generated wording so the edit can be reverted', () => {
+    const edited = applySectionEdit(entry, 'detailedAnalysis', 'Corrected analysis', new Date('2024-03-01T12:00:00Z'));
+
+    expect(edited.detailedAnalysis).toBe('Corrected analysis');
+    expect(edited.userEdits.detailedAnalysis).toEqual({ editedAt: '2024-03-01T12:00:00.000Z', generated: 'Generated analysis' });
+    expect(revertSectionEdit(edited, 'detailedAnalysis').detailedAnalysis).toBe('Generated analysis');
+  });
+
+  it('clears the mark when a section is edited back to what was generated', () => {
+    const edited = applySectionEdit(entry, 'detailedAnalysis', 'Corrected analysis');
+
+    expect(isSectionEdited(applySectionEdit(edited, 'detailedAnalysis', 'Generated analysis'), 'detailedAnalysis')).toBe(false);
+  });
+
+  it('drops stored clause verification when the citations change, so the new citations are checked', () => {
+    const edited = applySectionEdit(entry, 'relevantClauses', ['Clause 99.9', 'Clause 4.9']);
+
+    expect(edited.clauseVerification).toBeUndefined();
+    expect(getClauseVerification('JCT Standard Building Contract', edited)).toHaveLength(2);
+    expect(revertSectionEdit(edited, 'relevantClauses').clauseVerification).toBeUndefined();
+  });
+
+  it('keeps clause verification when another section is edited', () => {
+    expect(applySectionEdit(entry, 'detailedAnalysis', 'Corrected').clauseVerification).toEqual(entry.clauseVerification);
+  });
+});
+
+describe('action item edits', () => {
+  it('round-trips action items through the editor text', () => {
+    const text = formatSectionInput(entry.actionItems, 'actions');
+
+    expect(text).toBe('2024-03-04 | Write to the Employer | Clause 4.9');
+    expect(parseSectionInput(text, 'actions')).toEqual(entry.actionItems);
+  });
+
+  it('rejects action items without a real date or an action', () => {
+    expect(() => parseSectionInput('2024-02-30 | Write to the Employer', 'actions')).toThrow('Action item 1');
+    expect(() => parseSectionInput('Write to the Employer', 'actions')).toThrow('Action item 1');
+    expect(() => parseSectionInput('2024-03-04 | Write\n\n2024-03-05 |', 'actions')).toThrow('Action item 2');
+  });
+
+  it('carries corrected action items into the dated items for exports and the calendar', () => {
+    const edited = applySectionEdit(entry, 'actionItems', parseSectionInput('2024-03-08 | Refer to adjudication | Clause 9.2', 'actions'));
+
+    expect(isSectionEdited(edited, 'actionItems')).toBe(true);
+    expect(getIssueActionItems(edited).map(item => `${item.date} ${item.title}`)).toEqual(['2024-03-08 Refer to adjudication']);
+    expect(getIssueActionItems(revertSectionEdit(edited, 'actionItems'))[0].title).toBe('Write to the Employer');
+  });
+});
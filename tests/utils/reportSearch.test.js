@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { normaliseTag, addTag, getReportFilterOptions, filterSavedReports } from '../../src/utils/reportSearch.js';
+
+const createReport = (id, date, overrides = {}) => ({
+  id,
+  date,
+  tags: [],
+  projectDetails: { projectName: `Project ${id}`, contractType: 'NEC4 Engineering and Construction Contract', organizationRole: 'Main Contractor' },
+  analysis: [],
+  ...overrides
+});
+
+describe('report tags', () => {
+  it('trims a tag and collapses the spaces inside it', () => {
+    expect(normaliseTag('  Retention   release ')).toBe('Retention release');
+  });
+
+  it('adds a tag once, ignoring letter case, and ignores a blank one', () => {
+    const tags = ['Adjudication'];
+
+    expect(addTag(tags, ' Final  account ')).toEqual(['Adjudication', 'Final account']);
+    expect(addTag(tags, 'adjudication')).toBe(tags);
+    expect(addTag(tags, '   ')).toBe(tags);
+  });
+});
+
+describe('getReportFilterOptions', () => {
+  it('lists each contract type, role and tag once, sorted, skipping blanks', () => {
+    const reports = [
+      createReport('1', '2024-03-01T10:00:00.000Z', { tags: ['Variation', 'Adjudication'] }),
+      createReport('2', '2024-03-02T10:00:00.000Z', {
+        tags: ['Adjudication'],
+        projectDetails: { projectName: 'Depot', contractType: 'JCT Design and Build Contract', organizationRole: '' }
+      }),
+      createReport('3', '2024-03-03T10:00:00.000Z', { tags: undefined })
+    ];
+
+    expect(getReportFilterOptions(reports)).toEqual({
+      contractTypes: ['JCT Design and Build Contract', 'NEC4 Engineering and Construction Contract'],
+      roles: ['Main Contractor'],
+      tags: ['Adjudication', 'Variation']
+    });
+  });
+});
+
+describe('filterSavedReports', () => {
+  const reports = [
+    createReport('1', '2024-03-01T10:00:00.000Z', {
+      tags: ['Adjudication'],
+      analysis: [{ issue: 'Late payment of interim application', recommendations: ['Serve a notice of intention to suspend'] }]
+    }),
+    createReport('2', '2024-03-02T10:00:00.000Z', {
+      tags: ['Variation'],
+      projectDetails: { projectName: 'Riverside Depot', contractType: 'JCT Design and Build Contract', organizationRole: 'Subcontractor' },
+      analysis: [{ issue: 'Instructed change to drainage layout' }]
+    })
+  ];
+  const ids = (filters) => filterSavedReports(reports, filters).map(report => report.id);
+
+  it('matches every word of the query anywhere in the project, tags or analysis, ignoring case', () => {
+    expect(ids({ query: 'riverside DRAINAGE' })).toEqual(['2']);
+    expect(ids({ query: 'suspend adjudication' })).toEqual(['1']);
+    expect(ids({ query: 'payment drainage' })).toEqual([]);
+    expect(ids({ query: '  ' })).toEqual(['1', '2']);
+  });
+
+  it('keeps only reports with the chosen contract type, role and tag', () => {
+    expect(ids({ contractType: 'JCT Design and Build Contract' })).toEqual(['2']);
+    expect(ids({ organizationRole: 'Main Contractor' })).toEqual(['1']);
+    expect(ids({ tag: 'Variation' })).toEqual(['2']);
+    expect(ids({ tag: 'variation' })).toEqual([]);
+    expect(ids({ tag: 'Adjudication', contractType: 'JCT Design and Build Contract' })).toEqual([]);
+  });
+});
+
+describe('filterSavedReports date range', () => {
+  const originalTimeZone = process.env.TZ;
+
+  beforeAll(() => {
+    process.env.TZ = 'Europe/London';
+  });
+
+  afterAll(() => {
+    process.env.TZ = originalTimeZone;
+  });
+
+  it('compares the local calendar day, so a report saved just after midnight in summer time is on that day', () => {
+    // 00:30 on 1 July 2024 in London is 23:30 on 30 June in UTC
+    const reports = [createReport('1', '2024-06-30T23:30:00.000Z'), createReport('2', '2024-06-30T12:00:00.000Z')];
+
+    expect(filterSavedReports(reports, { dateFrom: '2024-07-01' }).map(report => report.id)).toEqual(['1']);
+    expect(filterSavedReports(reports, { dateTo: '2024-06-30' }).map(report => report.id)).toEqual(['2']);
+  });
+});
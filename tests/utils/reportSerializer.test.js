@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest';
+import { buildReportDocument, buildLetterDocument, toMarkdown, toPlainText, toHtml, toJson } from '../../src/utils/reportSerializer.js';
+import { applySectionEdit } from '../../src/utils/reportEdits.js';
+
+const analysis = {
+  issue: 'Interim application not paid',
+  actionsTaken: 'Chased by email',
+  status: 'complete',
+  detailedAnalysis: 'No Payment Notice was issued.',
+  legalContext: 'Section 111 of the Construction Act applies.',
+  relevantClauses: ['Clause 4.9 - Interim payments'],
+  contractClauses: [],
+  clauseExplanations: ['Clause 4.9 requires a Payment Notice.'],
+  recommendations: ['Demand payment of the notified sum.', 'Diarise the final date for payment.'],
+  potentialOutcomes: 'An adjudicator is likely to order payment.',
+  timelineSuggestions: 'Write within 2 working days.',
+  riskAssessment: 'Low.',
+  noticeDeadlines: [],
+  actionItems: [{ action: 'Write to the Employer', dueDate: '2024-03-04', clause: 'Clause 4.9' }]
+};
+
+const report = {
+  id: '1700000000000',
+  date: '2024-03-01T10:00:00.000Z',
+  projectDetails: {
+    projectName: 'Sample Project',
+    projectDescription: 'A new school',
+    contractType: 'JCT Standard Building Contract',
+    organizationRole: 'Main Contractor'
+  },
+  analysis: [analysis]
+};
+
+const headingTexts = (document, level) => document.blocks.filter(block => block.type === 'heading' && block.level === level).map(block => block.text);
+
+describe('buildReportDocument', () => {
+  it('keeps every section of an issue in report order', () => {
+    const document = buildReportDocument(report);
+
+    expect(document.title).toBe('Contract Report: Sample Project');
+    expect(headingTexts(document, 2)).toEqual(['Project Details', 'Issues Analysis']);
+    expect(headingTexts(document, 3)).toEqual(['Issue 1: Interim application not paid']);
+    expect(headingTexts(document, 4)).toEqual([
+      'Analysis:',
+      'Legal Context:',
+      'Relevant Contract Clauses:',
+      'Clause Explanations:',
+      'Recommendations:',
+      'Potential Outcomes:',
+      'Timeline Suggestions:',
+      'Action Items:',
+      'Risk Assessment:'
+    ]);
+  });
+
+  it('labels the sections the user edited', () => {
+    const edited = applySectionEdit(applySectionEdit(analysis, 'legalContext', 'Corrected context.'), 'recommendations', ['Refer to adjudication.']);
+    const document = buildReportDocument({ ...report, analysis: [edited] });
+
+    expect(headingTexts(document, 4)).toContain('Legal Context (edited by user):');
+    expect(headingTexts(document, 4)).toContain('Recommendations (edited by user):');
+    expect(headingTexts(document, 4)).toContain('Analysis:');
+    expect(toMarkdown(document)).toContain('#### Legal Context (edited by user):\n\nCorrected context.');
+    expect(toPlainText(document)).toContain('Recommendations (edited by user):\n\n1. Refer to adjudication.');
+  });
+
+  it('shows the clause verification next to each cited clause', () => {
+    const table = buildReportDocument(report).blocks.find(block => block.type === 'table');
+
+    expect(table.rows[0]).toEqual(['Clause', 'Verification']);
+    expect(table.rows[1][0]).toBe('Clause 4.9 - Interim payments');
+  });
+
+  it('says when an issue could not be analysed', () => {
+    const document = buildReportDocument({ ...report, analysis: [{ ...analysis, status: 'failed', error: 'Timed out' }] });
+
+    expect(document.blocks).toContainEqual({ type: 'paragraph', text: 'Analysis not available: Timed out' });
+  });
+});
+
+describe('buildLetterDocument', () => {
+  it('includes the recipient and subject, and turns issue headings in the body into headings', () => {
+    const document = buildLetterDocument({
+      to: 'The Employer',
+      subject: 'Unpaid interim application',
+      greeting: 'Dear Sirs,',
+      body: 'We write about the unpaid application.\n\nIssue 1: Late payment\n\nPlease pay the notified sum.',
+      closing: 'Yours faithfully,',
+      sender: 'A Contractor Ltd'
+    });
+
+    expect(document.title).toBe('Unpaid interim application');
+    expect(document.blocks.map(block => `${block.type}:${block.text}`)).toEqual([
+      'paragraph:To: The Employer',
+      'paragraph:Subject: Unpaid interim application',
+      'paragraph:Dear Sirs,',
+      'paragraph:We write about the unpaid application.',
+      'heading:Issue 1: Late payment',
+      'paragraph:Please pay the notified sum.',
+      'paragraph:Yours faithfully,',
+      'paragraph:A Contractor Ltd'
+    ]);
+  });
+});
+
+describe('renderers', () => {
+  const document = {
+    title: 'Example',
+    blocks: [
+      { type: 'heading', level: 1, text: 'Example' },
+      { type: 'paragraph', text: 'First line\nSecond **line** & more' },
+      { type: 'list', ordered: true, items: ['One', 'Two'] },
+      { type: 'table', rows: [['Clause', 'Status'], ['4|9', 'Verified']] },
+      { type: 'pageBreak' }
+    ]
+  };
+
+  it('renders Markdown', () => {
+    expect(toMarkdown(document)).toBe('# Example\n\nFirst line  \nSecond **line** & more\n\n1. One\n2. Two\n\n| Clause | Status |\n| --- | --- |\n| 4\\|9 | Verified |\n\n---\n');
+  });
+
+  it('renders plain text without emphasis markers', () => {
+    expect(toPlainText(document)).toBe('Example\n=======\n\nFirst line\nSecond line & more\n\n1. One\n2. Two\n\nClause | Status\n4|9 | Verified\n\n\n');
+  });
+
+  it('renders escaped HTML', () => {
+    expect(toHtml(document)).toBe([
+      '<h1>Example</h1>',
+      '<p>First line<br>Second <strong>line</strong> &amp; more</p>',
+      '<ol><li>One</li><li>Two</li></ol>',
+      '<table><thead><tr><th>Clause</th><th>Status</th></tr></thead><tbody><tr><td>4|9</td><td>Verified</td></tr></tbody></table>',
+      '<div style="page-break-after: always"></div>'
+    ].join('\n'));
+  });
+
+  it('renders JSON that reads back as the same document', () => {
+    expect(JSON.parse(toJson(document))).toEqual(document);
+  });
+});
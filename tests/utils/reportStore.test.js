@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+
+// A localStorage for Node, holding what an earlier version of the app left behind
+const createLocalStorage = (items) => {
+  const store = new Map(Object.entries(items));
+  return {
+    getItem: key => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: key => store.delete(key)
+  };
+};
+
+// Each test gets an empty database and a fresh copy of the module, which caches its connection
+const loadStore = async (legacyItems = {}) => {
+  vi.stubGlobal('indexedDB', new IDBFactory());
+  vi.stubGlobal('localStorage', createLocalStorage(legacyItems));
+  vi.resetModules();
+  return import('../../src/utils/reportStore.js');
+};
+
+const report = (id, date) => ({ id, date, projectDetails: { projectName: `Project ${id}` }, analysis: [] });
+
+describe('reportStore', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('moves reports from localStorage into IndexedDB and returns them oldest first', async () => {
+    const legacy = [report(1700000000002, '2024-03-02T10:00:00.000Z'), report(1700000000001, '2024-03-01T10:00:00.000Z')];
+    const { loadSavedReports } = await loadStore({ savedReports: JSON.stringify(legacy) });
+
+    const reports = await loadSavedReports();
+
+    expect(reports.map(saved => saved.id)).toEqual(['1700000000001', '1700000000002']);
+    expect(localStorage.getItem('savedReports')).toBeNull();
+    expect(await loadSavedReports()).toHaveLength(2);
+  });
+
+  it('keeps unreadable legacy reports aside and still loads the reports in IndexedDB', async () => {
+    const { loadSavedReports, writeSavedReports } = await loadStore();
+    await writeSavedReports([report('1', '2024-03-01T10:00:00.000Z')]);
+    localStorage.setItem('savedReports', '[{"id": 2,');
+
+    const reports = await loadSavedReports();
+
+    expect(reports.map(saved => saved.id)).toEqual(['1']);
+    expect(localStorage.getItem('savedReports')).toBeNull();
+    expect(localStorage.getItem('savedReports-unreadable')).toBe('[{"id": 2,');
+  });
+
+  it('writes and deletes reports in one call', async () => {
+    const { loadSavedReports, writeSavedReports } = await loadStore();
+    await writeSavedReports([report('1', '2024-03-01T10:00:00.000Z'), report('2', '2024-03-02T10:00:00.000Z')]);
+
+    await writeSavedReports([{ ...report('2', '2024-03-02T10:00:00.000Z'), tags: ['Final account'] }], ['1']);
+
+    expect(await loadSavedReports()).toEqual([{ ...report('2', '2024-03-02T10:00:00.000Z'), tags: ['Final account'] }]);
+  });
+
+  it('gives the shared legacy contract index to the new project on the form', async () => {
+    const index = { version: 2, documents: [{ id: 'doc-1', fileName: 'Contract.pdf' }], chunks: [] };
+    const { loadContractIndex, NEW_PROJECT_KEY } = await loadStore({ contractIndex: JSON.stringify(index) });
+
+    expect(await loadContractIndex('project-1')).toBeNull();
+    expect(await loadContractIndex(NEW_PROJECT_KEY)).toEqual(index);
+    expect(localStorage.getItem('contractIndex')).toBeNull();
+  });
+
+  it('keeps an unreadable legacy contract index aside and loads the project\'s own index', async () => {
+    const index = { version: 2, documents: [{ id: 'doc-1', fileName: 'Contract.pdf' }], chunks: [] };
+    const { loadContractIndex, writeContractIndex } = await loadStore({ contractIndex: 'not json' });
+    await writeContractIndex('project-1', index);
+
+    expect(await loadContractIndex('project-1')).toEqual(index);
+    expect(localStorage.getItem('contractIndex-unreadable')).toBe('not json');
+  });
+
+  it('deletes a project\'s contract index once it has no documents', async () => {
+    const { loadContractIndex, writeContractIndex } = await loadStore();
+    await writeContractIndex('project-1', { version: 2, documents: [{ id: 'doc-1' }], chunks: [] });
+
+    await writeContractIndex('project-1', { version: 2, documents: [], chunks: [] });
+
+    expect(await loadContractIndex('project-1')).toBeNull();
+  });
+});
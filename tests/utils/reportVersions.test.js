@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { addReportVersion, getReportVersions, diffReportVersions } from '../../src/utils/reportVersions.js';
+
+const createReport = (overrides = {}) => ({
+  id: 'r1',
+  projectId: 'p1',
+  date: '2024-03-01T10:00:00.000Z',
+  model: 'model-a',
+  tags: ['Adjudication'],
+  draftLetters: [{ title: 'Payment notice' }],
+  projectDetails: {
+    projectName: 'Riverside Depot',
+    projectDescription: 'New depot',
+    contractType: 'JCT Design and Build Contract',
+    organizationRole: 'Main Contractor',
+    amendments: []
+  },
+  contractDocuments: [{ fileName: 'Contract.pdf' }],
+  analysis: [{
+    issue: 'Late payment',
+    recommendations: ['Serve a notice of intention to suspend'],
+    relevantClauses: ['Clause 4.9'],
+    detailedAnalysis: 'The Employer is late.'
+  }],
+  ...overrides
+});
+
+describe('report versions', () => {
+  it('keeps the earlier analysis as a version and the report\'s identity on the new one', () => {
+    const previous = createReport();
+    const generated = createReport({ id: 'new', projectId: undefined, tags: [], draftLetters: [], date: '2024-04-01T10:00:00.000Z', model: 'model-b' });
+
+    const regenerated = addReportVersion(previous, generated);
+    const versions = getReportVersions(regenerated);
+
+    expect(regenerated).toMatchObject({ id: 'r1', projectId: 'p1', tags: ['Adjudication'], draftLetters: [{ title: 'Payment notice' }], model: 'model-b' });
+    expect(versions.map(version => [version.date, version.model])).toEqual([
+      ['2024-03-01T10:00:00.000Z', 'model-a'],
+      ['2024-04-01T10:00:00.000Z', 'model-b']
+    ]);
+    expect(addReportVersion(regenerated, generated).versions).toHaveLength(2);
+  });
+
+  it('lists the inputs that changed between two versions', () => {
+    const before = getReportVersions(createReport())[0];
+    const after = getReportVersions(createReport({
+      model: 'model-b',
+      projectDetails: {
+        ...createReport().projectDetails,
+        amendments: [{ clauseReference: '4.9', type: 'replaced', wording: 'Within 7 days' }]
+      },
+      contractDocuments: [{ fileName: 'Contract.pdf' }, { fileName: 'Amendments.docx' }]
+    }))[0];
+
+    expect(diffReportVersions(before, after).inputs).toEqual([
+      { label: 'Model', type: 'text', before: 'model-a', after: 'model-b' },
+      { label: 'Contract Amendments', type: 'list', added: ['Clause 4.9 - replaced: "Within 7 days"'], removed: [] },
+      { label: 'Contract Documents', type: 'list', added: ['Amendments.docx'], removed: [] }
+    ]);
+  });
+
+  it('compares each issue\'s sections, ignoring case and spacing in list items', () => {
+    const before = getReportVersions(createReport({
+      analysis: [
+        ...createReport().analysis,
+        { issue: 'Drainage redesign', recommendations: [] }
+      ]
+    }))[0];
+    const after = getReportVersions(createReport({
+      analysis: [
+        {
+          issue: 'late payment',
+          recommendations: ['serve a notice of  intention to suspend', 'Refer the dispute to adjudication'],
+          relevantClauses: [],
+          detailedAnalysis: 'The Employer is late.  '
+        },
+        { issue: 'Defective cladding' }
+      ]
+    }))[0];
+
+    expect(diffReportVersions(before, after).issues).toEqual([
+      {
+        issue: 'late payment',
+        change: 'changed',
+        sections: [
+          { label: 'Recommendations', type: 'list', added: ['Refer the dispute to adjudication'], removed: [] },
+          { label: 'Relevant Contract Clauses', type: 'list', added: [], removed: ['Clause 4.9'] }
+        ]
+      },
+      { issue: 'Defective cladding', change: 'added', sections: [] },
+      { issue: 'Drainage redesign', change: 'removed', sections: [] }
+    ]);
+  });
+
+  it('reports nothing changed between identical versions', () => {
+    const version = getReportVersions(createReport())[0];
+
+    expect(diffReportVersions(version, version)).toEqual({
+      inputs: [],
+      issues: [{ issue: 'Late payment', change: 'unchanged', sections: [] }]
+    });
+  });
+});
@@ -0,0 +1,9 @@
+import { defineConfig } from 'vitest/config';
+
+// Tests run the utilities and API handlers under Node, so they don't use the browser build settings in vite.config.js
+export default defineConfig({
+  test: {
+    include: ['tests/**/*.test.js'],
+    environment: 'node'
+  }
+});